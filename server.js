@@ -5,17 +5,31 @@ const { connectDB, closeDB } = require('./src/config/database');
 const { initializeSocket } = require('./src/utils/socket');
 const { createIndexes } = require('./src/utils/indexManager');
 const logger = require('./src/utils/logger');
+const substitutionService = require('./src/services/substitution.service');
+const walletService = require('./src/services/wallet.service');
+const kitchenService = require('./src/services/kitchen.service');
 
 const PORT = process.env.PORT || 5000;
 
 // Track if shutdown is in progress
 let isShuttingDown = false;
 
+// Timer that expires unanswered kitchen substitution requests
+let substitutionWatcher;
+// Timer that expires store credit past its date
+let walletWatcher;
+// Timer that puts scheduled orders on the kitchen screens at their release time
+let releaseWatcher;
+
 // Connect to database
 connectDB().then(() => {
   createIndexes().catch((err) => {
     logger.warn('Failed to create indexes:', err.message);
   });
+
+  substitutionWatcher = substitutionService.startExpiryWatcher();
+  walletWatcher = walletService.startExpiryWatcher();
+  releaseWatcher = kitchenService.startReleaseWatcher();
 });
 
 // Create HTTP server
@@ -43,6 +57,10 @@ const gracefulShutdown = (signal) => {
 
   logger.info(`\n${signal} signal received. Starting graceful shutdown...`);
 
+  clearInterval(substitutionWatcher);
+  clearInterval(walletWatcher);
+  clearInterval(releaseWatcher);
+
   // Stop accepting new connections
   server.close(() => {
     logger.info('✅ HTTP server closed');
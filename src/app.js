@@ -66,7 +66,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 };
 
 app.use(cors(corsOptions));
@@ -74,8 +75,17 @@ app.use(cors(corsOptions));
 // Handle preflight requests
 app.options('*', cors(corsOptions));
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser - payment webhooks keep the raw bytes, their signature is computed over them
+app.use(
+  express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/v1/payments/webhook')) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser
@@ -117,6 +127,10 @@ const userRoutes = require('./routes/user.routes');
 const deliveryRoutes = require('./routes/delivery.routes');
 const settingsRoutes = require('./routes/settings.routes');
 const addressRoutes = require('./routes/address.routes');
+const promoRoutes = require('./routes/promo.routes');
+const kitchenRoutes = require('./routes/kitchen.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const walletRoutes = require('./routes/wallet.routes');
 
 // Mount routes
 app.use('/api/v1/auth', authRoutes);
@@ -127,6 +141,10 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/delivery', deliveryRoutes);
 app.use('/api/v1/settings', settingsRoutes);
 app.use('/api/v1/addresses', addressRoutes);
+app.use('/api/v1/promos', promoRoutes);
+app.use('/api/v1/kitchen', kitchenRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/wallet', walletRoutes);
 
 // Test route
 app.get('/api/v1/test', (req, res) => {
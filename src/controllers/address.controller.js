@@ -1,7 +1,9 @@
 const User = require('../models/User');
+const Settings = require('../models/Settings');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const serviceAreaService = require('../services/serviceArea.service');
 
 /**
  * @desc    Get all addresses for current user
@@ -26,7 +28,18 @@ exports.getAddresses = catchAsync(async (req, res, next) => {
  * @access  Private (Customer)
  */
 exports.addAddress = catchAsync(async (req, res, next) => {
-  const { type, label, street, apartment, city, state, zipCode, landmark, isDefault } = req.body;
+  const {
+    type,
+    label,
+    street,
+    apartment,
+    city,
+    state,
+    zipCode,
+    landmark,
+    coordinates,
+    isDefault,
+  } = req.body;
 
   const user = await User.findById(req.user.id);
 
@@ -34,6 +47,13 @@ exports.addAddress = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
+  // Don't let customers save addresses we can't deliver to. Unpinned addresses are checked
+  // when an order is placed to them
+  if (coordinates) {
+    const settings = await Settings.getSettings();
+    serviceAreaService.assertServiceable(settings, { coordinates });
+  }
+
   // If this is set as default, unset other defaults
   if (isDefault) {
     user.addresses.forEach((addr) => {
@@ -54,6 +74,7 @@ exports.addAddress = catchAsync(async (req, res, next) => {
     state,
     zipCode,
     landmark,
+    ...(coordinates && { coordinates }),
     isDefault: makeDefault,
   });
 
@@ -79,7 +100,18 @@ exports.addAddress = catchAsync(async (req, res, next) => {
  */
 exports.updateAddress = catchAsync(async (req, res, next) => {
   const { addressId } = req.params;
-  const { type, label, street, apartment, city, state, zipCode, landmark, isDefault } = req.body;
+  const {
+    type,
+    label,
+    street,
+    apartment,
+    city,
+    state,
+    zipCode,
+    landmark,
+    coordinates,
+    isDefault,
+  } = req.body;
 
   const user = await User.findById(req.user.id);
 
@@ -93,6 +125,11 @@ exports.updateAddress = catchAsync(async (req, res, next) => {
     return next(new AppError('Address not found', 404));
   }
 
+  if (coordinates) {
+    const settings = await Settings.getSettings();
+    serviceAreaService.assertServiceable(settings, { coordinates });
+  }
+
   // If setting as default, unset other defaults
   if (isDefault && !address.isDefault) {
     user.addresses.forEach((addr) => {
@@ -111,6 +148,7 @@ exports.updateAddress = catchAsync(async (req, res, next) => {
   if (state !== undefined) address.state = state;
   if (zipCode !== undefined) address.zipCode = zipCode;
   if (landmark !== undefined) address.landmark = landmark;
+  if (coordinates !== undefined) address.coordinates = coordinates;
   if (isDefault !== undefined) address.isDefault = isDefault;
 
   await user.save();
@@ -72,7 +72,7 @@ exports.getCategoryById = catchAsync(async (req, res, next) => {
  * Admin only
  */
 exports.createCategory = catchAsync(async (req, res, next) => {
-  const { name, description, isActive, color } = req.body;
+  const { name, description, isActive, color, station } = req.body;
 
   // Check if category already exists
   const existingCategory = await Category.findOne({ 
@@ -87,6 +87,7 @@ exports.createCategory = catchAsync(async (req, res, next) => {
     name,
     description,
     isActive,
+    station,
     color: color || ['green', 'blue', 'purple', 'orange', 'pink', 'yellow', 'red'][Math.floor(Math.random() * 7)],
   });
 
@@ -104,7 +105,7 @@ exports.createCategory = catchAsync(async (req, res, next) => {
  * Admin only
  */
 exports.updateCategory = catchAsync(async (req, res, next) => {
-  const { name, description, isActive, color } = req.body;
+  const { name, description, isActive, color, station } = req.body;
 
   // If name is being updated, check for duplicates
   if (name) {
@@ -120,7 +121,7 @@ exports.updateCategory = catchAsync(async (req, res, next) => {
 
   const category = await Category.findByIdAndUpdate(
     req.params.id,
-    { name, description, isActive, color },
+    { name, description, isActive, color, station },
     { new: true, runValidators: true }
   );
 
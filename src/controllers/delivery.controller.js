@@ -119,7 +119,7 @@ exports.deleteDeliveryPartner = catchAsync(async (req, res, next) => {
 
   // Check if partner has active orders
   const activeOrders = await Order.countDocuments({
-    deliveryPartner: id,
+    'deliveryPartner.id': id,
     status: { $in: ['OUT_FOR_DELIVERY'] }
   });
 
@@ -356,7 +356,7 @@ exports.getMyStats = catchAsync(async (req, res, next) => {
     {
       $match: {
         'deliveryPartner.id': req.user._id,
-        status: 'delivered',
+        status: 'DELIVERED',
         createdAt: { $gte: startOfMonth },
       },
     },
@@ -614,13 +614,13 @@ exports.getAllDeliveryPartners = catchAsync(async (req, res, next) => {
     partners.map(async (partner) => {
       const todayOrders = await Order.countDocuments({
         'deliveryPartner.id': partner._id,
-        status: 'delivered',
+        status: 'DELIVERED',
         updatedAt: { $gte: today },
       });
 
       const currentOrders = await Order.countDocuments({
         'deliveryPartner.id': partner._id,
-        status: { $in: ['confirmed', 'preparing', 'out_for_delivery'] },
+        status: { $in: ['READY', 'OUT_FOR_DELIVERY'] },
       });
 
       return {
@@ -0,0 +1,65 @@
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+const kitchenService = require('../services/kitchen.service');
+
+/**
+ * Get the kitchen queue - one ticket per released PENDING order, oldest first
+ * GET /api/v1/kitchen/queue?station=grill
+ * Admin / Kitchen
+ */
+exports.getQueue = catchAsync(async (req, res) => {
+  const { tickets, stations } = await kitchenService.getQueue(req.query.station);
+
+  res.status(200).json({
+    status: 'success',
+    results: tickets.length,
+    data: { tickets, stations },
+  });
+});
+
+/**
+ * Bump one order line done (or back to queued)
+ * PATCH /api/v1/kitchen/orders/:id/items/:itemId
+ * Admin / Kitchen
+ */
+exports.bumpItem = catchAsync(async (req, res) => {
+  const order = await kitchenService.bump(
+    req.params.id,
+    { itemId: req.params.itemId },
+    req.body.status,
+    req.user._id
+  );
+
+  logger.info(
+    `Kitchen: line ${req.params.itemId} on order ${order.orderNumber} ${req.body.status} by ${req.user.email.address}`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { ticket: kitchenService.toTicket(order), orderStatus: order.status },
+  });
+});
+
+/**
+ * Bump every line of one station on an order
+ * PATCH /api/v1/kitchen/orders/:id/stations/:station
+ * Admin / Kitchen
+ */
+exports.bumpStation = catchAsync(async (req, res) => {
+  const station = req.params.station.toLowerCase();
+  const order = await kitchenService.bump(
+    req.params.id,
+    { station },
+    req.body.status,
+    req.user._id
+  );
+
+  logger.info(
+    `Kitchen: ${station} on order ${order.orderNumber} ${req.body.status} by ${req.user.email.address}`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { ticket: kitchenService.toTicket(order), orderStatus: order.status },
+  });
+});
@@ -1,14 +1,75 @@
+const crypto = require('crypto');
 const Order = require('../models/Order');
-const MenuItem = require('../models/MenuItem');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
 const APIFeatures = require('../utils/APIFeatures');
 const logger = require('../utils/logger');
-const { emitOrderUpdate, emitUserNotification, emitNewOrder } = require('../utils/socket');
+const {
+  emitOrderUpdate,
+  emitUserNotification,
+  emitNewOrder,
+  emitOrderEdited,
+  emitKitchenTicket,
+} = require('../utils/socket');
+const { zonedTime } = require('../utils/timezone');
 const emailService = require('../services/email.service');
 const notificationService = require('../services/notification.service');
+const pricingService = require('../services/pricing.service');
+const orderService = require('../services/order.service');
+const slotService = require('../services/slot.service');
+const serviceAreaService = require('../services/serviceArea.service');
+const etaService = require('../services/eta.service');
+const substitutionService = require('../services/substitution.service');
+const kitchenService = require('../services/kitchen.service');
+const invoiceService = require('../services/invoice.service');
+const exportService = require('../services/export.service');
+const upiService = require('../services/upi.service');
+const tenderService = require('../services/tender.service');
+const { ORDER_STATUSES } = require('../utils/orderStateMachine');
+
+/**
+ * Tell the customer about a refund (socket + push)
+ * @param {Object} order - Order document
+ * @param {Object} refund - Refund ledger entry
+ */
+const notifyRefund = async (order, refund) => {
+  let message = `A refund of ₹${refund.amount} for your order ${order.orderNumber} is being processed`;
+  if (refund.status === 'PROCESSED' && refund.destination === 'wallet') {
+    message = `₹${refund.amount} has been added to your wallet for your order ${order.orderNumber}`;
+  } else if (refund.status === 'PROCESSED' && refund.destination === 'loyalty') {
+    message = `${refund.points} loyalty points have been returned for your order ${order.orderNumber}`;
+  } else if (refund.status === 'PROCESSED') {
+    message = `₹${refund.amount} has been refunded for your order ${order.orderNumber}`;
+  }
+
+  emitUserNotification(order.customer.id.toString(), {
+    type: 'order_refund',
+    title: 'Refund Update',
+    message,
+    orderId: order._id,
+    refundId: refund._id,
+    amount: refund.amount,
+    status: refund.status,
+  });
+
+  try {
+    const customer = await User.findById(order.customer.id);
+    const tokens = customer ? customer.getActiveDeviceTokens() : [];
+    if (tokens.length > 0) {
+      await notificationService.sendMulticastNotification(tokens, 'Refund Update', message, {
+        type: 'ORDER_REFUND',
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        refundId: refund._id.toString(),
+        status: refund.status,
+      });
+    }
+  } catch (err) {
+    logger.warn('[REFUND NOTIFICATION] Failed to send push notification:', err.message);
+  }
+};
 
 /**
  * Create new order
@@ -18,161 +79,66 @@ const notificationService = require('../services/notification.service');
 exports.createOrder = catchAsync(async (req, res, next) => {
   const {
     items,
+    orderType,
     deliveryAddress,
+    tableNumber,
     paymentMethod,
-    paymentDetails,
+    payments,
     contactPhone,
     scheduledFor,
     specialInstructions,
     promoCode,
+    expectedTotal,
   } = req.body;
 
-  // Validate menu items exist and are available
-  logger.info('\n========== BACKEND RECEIVED ORDER ==========');
-  logger.info('Items from frontend:');
-  items.forEach((item, idx) => {
-    logger.info(`\n  Item ${idx + 1}:`);
-    logger.info(`    - ID: ${item.menuItem}`);
-    logger.info(`    - Quantity: ${item.quantity}`);
-    logger.info(`    - Price: ${item.price || 'NOT PROVIDED'}`);
-    logger.info(`    - PORTION: ${item.portion || 'NOT PROVIDED'}`);
-    logger.info(`    - Full item:`, JSON.stringify(item, null, 2));
-  });
-  logger.info('==========================================\n');
-  
-  const menuItemIds = items.map((item) => item.menuItem);
-  logger.info(`Received ${menuItemIds.length} menu item IDs: ${menuItemIds.join(', ')}`);
-  
-  // Convert to ObjectIds and remove duplicates
-  const mongoose = require('mongoose');
-  const uniqueIds = [...new Set(menuItemIds)];
-  logger.info(`Unique IDs after deduplication: ${uniqueIds.length}`);
-  
-  // First check if items exist at all
-  const allItems = await MenuItem.find({
-    _id: { $in: uniqueIds }
-  });
-  
-  logger.info(`Found ${allItems.length} items in database (regardless of availability)`);
-  if (allItems.length > 0) {
-    allItems.forEach(item => {
-      logger.info(`  ✓ Item ${item._id}: "${item.name}", isAvailable=${item.isAvailable}, isActive=${item.isActive}`);
-    });
-  } else {
-    logger.error('❌ No items found in database!');
-    logger.info('Checking if IDs are valid ObjectIds...');
-    uniqueIds.forEach(id => {
-      const isValid = mongoose.Types.ObjectId.isValid(id);
-      logger.info(`  ID ${id}: ${isValid ? 'Valid' : 'INVALID'}`);
-    });
-  }
-  
-  const menuItems = await MenuItem.find({
-    _id: { $in: uniqueIds },
-    isAvailable: true,
-    isActive: true,
-  });
-  
-  logger.info(`Found ${menuItems.length} available items out of ${uniqueIds.length} unique requested`);
-  
-  if (menuItems.length !== uniqueIds.length) {
-    // Find which items are missing
-    const foundIds = menuItems.map(item => item._id.toString());
-    const missingIds = uniqueIds.filter(id => !foundIds.includes(id.toString()));
-    logger.error(`❌ Missing or unavailable menu items: ${missingIds.join(', ')}`);
-    
-    return next(
-      new AppError('Some menu items are not available or do not exist', 400)
-    );
-  }
-
   // Fetch settings for dynamic charges
   const settings = await Settings.getSettings();
 
-  // Calculate order totals
-  let subtotal = 0;
-  const orderItems = items.map((item) => {
-    const menuItem = menuItems.find(
-      (mi) => mi._id.toString() === item.menuItem.toString()
-    );
-
-    if (!menuItem) {
-      logger.error(`Menu item not found: ${item.menuItem}`);
-      throw new AppError('Menu item not found', 404);
-    }
-
-    // Get price - if item.price is provided (from frontend with selected portion), use it
-    // Otherwise, get from first priceVariant
-    let itemPrice = item.price || 0;
-    if (!itemPrice && menuItem.priceVariants && menuItem.priceVariants.length > 0) {
-      itemPrice = menuItem.priceVariants[0].price;
-      logger.info(`  ⚠️  Using fallback price from priceVariants[0]: ${itemPrice}`);
-    } else if (item.price) {
-      logger.info(`  ✓ Using price from frontend: ${item.price}`);
-    }
-    
-    logger.info(`Item: ${menuItem.name}, Final Price: ${itemPrice}, Quantity: ${item.quantity}, Subtotal: ${itemPrice * item.quantity}`);
-
-    const customizationPrice = item.customizations
-      ? item.customizations.reduce((sum, c) => sum + (c.price || 0), 0)
-      : 0;
-    const itemTotal = (itemPrice + customizationPrice) * item.quantity;
+  const typeConfig = pricingService.orderTypeConfig(settings, orderType);
+  if (typeConfig && !typeConfig.enabled) {
+    return next(new AppError(`${orderType} orders are not being accepted right now`, 400));
+  }
 
-    subtotal += itemTotal;
+  // Price every line from the catalog - app-sent prices are only used to detect drift
+  const {
+    items: orderItems,
+    pricing,
+    promo,
+  } = await pricingService.priceCart(items, settings, {
+    user: req.user,
+    promoCode,
+    deliveryAddress,
+    orderType,
+    payments,
+  });
+  pricingService.assertClientTotal(pricing, items, expectedTotal, settings);
+  serviceAreaService.assertMinimumOrder(settings, pricing, orderType);
+  if (orderType === 'delivery') {
+    serviceAreaService.assertServiceable(settings, deliveryAddress);
+  }
+  const { finalAmount } = pricing;
 
-    const orderItem = {
-      menuItemId: menuItem._id,
-      name: menuItem.name,
-      image: menuItem.image,
-      description: menuItem.description,
-      portion: item.portion || '', // Store portion/variant from frontend
-      quantity: item.quantity,
-      price: itemPrice,
-      customizations: item.customizations || [],
-      subtotal: itemTotal,
-    };
+  // Wallet and loyalty points pay their part now; the rest is one leg paid the usual way.
+  // Online orders become PAID only once the gateway confirms (POST /payments/orders/:id/checkout)
+  const tender = tenderService.buildLegs(settings, {
+    finalAmount,
+    paymentMethod,
+    payments,
+    upiToRestaurant: upiService.isEnabled(settings),
+  });
 
-    logger.info('\n📦 Order Item being saved to DB:');
-    logger.info(`  - Name: ${orderItem.name}`);
-    logger.info(`  - PORTION: "${orderItem.portion}"`);
-    logger.info(`  - Price: ${orderItem.price}`);
-    logger.info(`  - Quantity: ${orderItem.quantity}`);
-    logger.info(`  - Full orderItem:`, JSON.stringify(orderItem, null, 2));
+  // Scheduled orders must be placed into a configured slot and reach the kitchen before it
+  const slotStart = scheduledFor ? slotService.resolveSlot(settings, scheduledFor) : null;
 
-    return orderItem;
+  // First ETA from the kitchen queue and recent prep times
+  const eta = await etaService.estimateForNewOrder(settings, {
+    deliveryAddress,
+    scheduledFor: slotStart,
+    orderType,
   });
 
-  // Calculate delivery charges from settings
-  const deliveryCharges = settings.deliveryCharge || 0;
-
-  // Calculate taxes from settings
-  const taxRate = settings.taxRate || 0;
-  const taxAmount = (subtotal + deliveryCharges) * (taxRate / 100);
-
-  // TODO: Apply promo code if provided
-  const discountAmount = 0;
-
-  // Calculate final amount
-  const finalAmount = subtotal + deliveryCharges + taxAmount - discountAmount;
-
-  // Generate unique order number (format: ORDDDHHMMSSXXX)
-  // DD = day, HH = hour, MM = minute, SS = second, XXX = 3-digit counter
-  const now = new Date();
-  const day = String(now.getDate()).padStart(2, '0');
-  const hour = String(now.getHours()).padStart(2, '0');
-  const minute = String(now.getMinutes()).padStart(2, '0');
-  const second = String(now.getSeconds()).padStart(2, '0');
-  const orderCount = await Order.countDocuments();
-  const counter = String((orderCount + 1) % 1000).padStart(3, '0'); // Keep last 3 digits
-  const orderNumber = `ORD${day}${hour}${minute}${second}${counter}`;
-
-  // Determine payment status based on method
-  const paymentStatus = paymentMethod === 'COD' ? 'PENDING' : 
-                       paymentDetails?.transactionId ? 'PAID' : 'PENDING';
-
-  // Create order
-  const order = await Order.create({
-    orderNumber,
+  // Create order together with promo usage, menu/customer stats and loyalty deductions
+  const orderData = {
     customer: {
       id: req.user._id,
       name: `${req.user.name.first} ${req.user.name.last}`,
@@ -180,18 +146,26 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       email: req.user.email.address,
     },
     items: orderItems,
-    pricing: {
-      itemsTotal: subtotal,
-      deliveryFee: deliveryCharges,
-      gst: taxAmount,
-      discount: discountAmount,
-      finalAmount,
-    },
+    pricing,
+    orderType,
     deliveryAddress,
-    paymentMethod,
-    paymentStatus,
-    paymentDetails: paymentDetails || {},
-    scheduledFor: scheduledFor || Date.now(),
+    ...(orderType === 'pickup' && { pickupCode: String(crypto.randomInt(1000, 10000)) }),
+    ...(orderType === 'dine-in' && { tableNumber }),
+    paymentMethod: tender.paymentMethod,
+    paymentStatus: tender.paymentStatus,
+    payments: tender.payments,
+    ...(['WALLET', 'LOYALTY'].includes(tender.paymentMethod) && {
+      paymentDetails: {
+        gateway: tender.paymentMethod.toLowerCase(),
+        method: tender.paymentMethod,
+        timestamp: new Date(),
+      },
+    }),
+    ...(slotStart && {
+      scheduledFor: slotStart,
+      releaseAt: slotService.releaseTime(settings, slotStart),
+    }),
+    ...eta,
     specialInstructions,
     statusHistory: [{
       status: 'PENDING',
@@ -204,31 +178,20 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       orderSource: 'mobile',
       deviceType: req.headers['user-agent'] || 'unknown',
     },
-  });
-
-  // Update menu item stats for popularity tracking
-  for (const item of orderItems) {
-    await MenuItem.findByIdAndUpdate(
-      item.menuItem,
-      {
-        $inc: {
-          'stats.totalOrders': item.quantity,
-          'stats.totalRevenue': item.subtotal,
-        },
-      },
-      { new: false }
-    );
-  }
+  };
 
-  // Update customer stats
-  req.user.customerData.totalOrders += 1;
-  req.user.customerData.totalSpent += finalAmount;
-  await req.user.save({ validateBeforeSave: false });
+  const order = await orderService.placeOrder({
+    user: req.user,
+    orderData,
+    promo,
+    settings,
+  });
 
   logger.info(
     `✅ Order created: ${order.orderNumber} by ${req.user.email.address} - Amount: ₹${finalAmount}`
   );
 
+  // Notifications only go out once the order is committed
   // ═══════════════════════════════════════════════════════════════
   // NOTIFICATION FLOW DEBUGGING
   // ═══════════════════════════════════════════════════════════════
@@ -256,6 +219,11 @@ exports.createOrder = catchAsync(async (req, res, next) => {
   try {
     logger.info('\n📡 [WEBSOCKET] Emitting to admins...');
     emitNewOrder(order);
+    // Pre-orders reach the kitchen screens through the queue once released,
+    // UPI orders once the payment is confirmed
+    if (order.isInKitchenQueue()) {
+      emitKitchenTicket(kitchenService.toTicket(order));
+    }
     logger.info('✅ [WEBSOCKET] Admin notification emitted');
   } catch (err) {
     logger.error('❌ [WEBSOCKET] Failed to emit new order event:', err.message);
@@ -327,6 +295,24 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     logger.error('❌ [ADMIN PUSH] Failed to send push notification:', err.message);
   }
 
+  const orderDetails = {
+    orderNumber: order.orderNumber,
+    customer: {
+      name: `${req.user.name.first} ${req.user.name.last}`,
+      phone: req.user.phone,
+    },
+    items: orderItems.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      subtotal: item.subtotal,
+      portion: item.portion,
+    })),
+    pricing: order.pricing,
+    deliveryAddress: order.orderType === 'delivery' ? order.deliveryAddress : null,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+  };
+
   // Send email notification to configured emails
   try {
     logger.info('\n📧 [EMAIL ADMIN] Checking notification emails...');
@@ -334,7 +320,7 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       logger.info(`📧 [EMAIL ADMIN] Sending to: ${settings.notificationEmails.join(', ')}`);
       // Admin emails can be sent using sendEmail method with custom content
       for (const email of settings.notificationEmails) {
-        await emailService.sendOrderConfirmation(orderDetails, email);
+        await emailService.sendOrderConfirmation(email, orderDetails);
       }
       logger.info(`✅ [EMAIL ADMIN] Order notification emails sent to: ${settings.notificationEmails.join(', ')}`);
     } else {
@@ -351,23 +337,7 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     const customerEmail = req.user.email.address;
     logger.info(`📧 [EMAIL CUSTOMER] Recipient: ${customerEmail}`);
     
-    const result = await emailService.sendOrderConfirmation(customerEmail, {
-      orderNumber: order.orderNumber,
-      customer: {
-        name: `${req.user.name.first} ${req.user.name.last}`,
-        phone: req.user.phone,
-      },
-      items: orderItems.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-        subtotal: item.subtotal,
-        portion: item.portion,
-      })),
-      pricing: order.pricing,
-      deliveryAddress: order.deliveryAddress,
-      estimatedDeliveryTime: order.estimatedDeliveryTime,
-    });
+    const result = await emailService.sendOrderConfirmation(customerEmail, orderDetails);
     
     if (result) {
       logger.info(`✅ [EMAIL CUSTOMER] Order confirmation email sent to: ${customerEmail}`);
@@ -387,6 +357,208 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     message: 'Order placed successfully',
     data: {
       order,
+      ...(order.paymentStatus === 'AWAITING_PAYMENT' && {
+        upiPayment: upiService.buildPaymentRequest(settings, order),
+      }),
+    },
+  });
+});
+
+/**
+ * Quote a cart (pricing preview, nothing is persisted)
+ * POST /api/v1/orders/quote
+ * Customer only
+ */
+exports.quoteOrder = catchAsync(async (req, res, next) => {
+  const { items, promoCode, deliveryAddress, orderType, payments } = req.body;
+
+  const settings = await Settings.getSettings();
+  const quote = await pricingService.quoteCart(items, settings, {
+    user: req.user,
+    promoCode,
+    deliveryAddress,
+    orderType,
+    payments,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      items: quote.items,
+      pricing: quote.pricing,
+      warnings: quote.warnings,
+    },
+  });
+});
+
+/**
+ * Edit a pending order's items, delivery address or instructions
+ * PATCH /api/v1/orders/:id
+ * Customer (own orders) & Admin
+ */
+exports.editOrder = catchAsync(async (req, res, next) => {
+  const { items, deliveryAddress, specialInstructions, expectedTotal } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const isCustomer = req.user.role === 'customer';
+  if (isCustomer && order.customer.id.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only edit your own orders', 403));
+  }
+
+  if (order.status !== 'PENDING') {
+    return next(new AppError('Only orders that are still PENDING can be edited', 400));
+  }
+
+  if (deliveryAddress && order.orderType !== 'delivery') {
+    return next(new AppError(`A ${order.orderType} order has no delivery address`, 400));
+  }
+
+  const settings = await Settings.getSettings();
+
+  if (deliveryAddress) {
+    serviceAreaService.assertServiceable(settings, deliveryAddress);
+  }
+
+  // Re-price with the same rules as createOrder; an applied promo stays claimed.
+  // A new address alone can change the delivery fee, so it re-prices the current lines
+  let priced = {};
+  if (items || deliveryAddress) {
+    const customer = isCustomer
+      ? req.user
+      : (await User.findById(order.customer.id)) || { _id: order.customer.id };
+    const pricingOptions = {
+      user: customer,
+      promoCode: order.pricing.promoCode,
+      isExistingOrder: true,
+      deliveryAddress: deliveryAddress || order.deliveryAddress,
+      orderType: order.orderType,
+      payments: order.payments,
+    };
+
+    if (items) {
+      priced = await pricingService.priceCart(items, settings, pricingOptions);
+      pricingService.assertClientTotal(priced.pricing, items, expectedTotal, settings);
+      serviceAreaService.assertMinimumOrder(settings, priced.pricing, order.orderType);
+    } else {
+      const lines = order.items.map((item) => item.toObject());
+      const { pricing } = await pricingService.priceLines(lines, settings, pricingOptions);
+      priced = { pricing };
+    }
+  }
+
+  const changes = await orderService.editOrder(order, {
+    items: priced.items,
+    pricing: priced.pricing,
+    deliveryAddress,
+    specialInstructions,
+    updatedBy: req.user._id,
+  });
+
+  logger.info(`Order ${order.orderNumber} edited by ${req.user.email.address}`);
+
+  emitOrderEdited(order, changes);
+  if (changes.items) {
+    await kitchenService.syncTicket(order, req.user._id);
+  }
+
+  if (!isCustomer) {
+    emitUserNotification(order.customer.id.toString(), {
+      type: 'order_edited',
+      title: 'Order Updated',
+      message: `Your order ${order.orderNumber} was updated by the restaurant`,
+      orderId: order._id,
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Order updated successfully',
+    data: { order, changes },
+  });
+});
+
+/**
+ * Rebuild a cart from a past order, re-priced against today's menu (nothing is placed)
+ * Warning indexes refer to the lines of the past order
+ * POST /api/v1/orders/:id/reorder
+ * Customer only
+ */
+exports.reorder = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.customer.id.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only reorder your own orders', 403));
+  }
+
+  const settings = await Settings.getSettings();
+  const cartItems = order.toCartItems();
+  const deliveryAddress = order.orderType === 'delivery' ? order.deliveryAddress : undefined;
+  const quote = await pricingService.quoteCart(cartItems, settings, {
+    user: req.user,
+    deliveryAddress,
+    orderType: order.orderType,
+  });
+
+  // Lines that can be ordered today, ready to send to POST /orders with pricing.finalAmount
+  // as expectedTotal once the customer confirms (old prices are dropped)
+  const droppedLines = new Set(
+    quote.warnings.filter((w) => w.code !== 'PRICE_CHANGED').map((w) => w.index)
+  );
+  const cart = cartItems
+    .filter((item, index) => !droppedLines.has(index))
+    .map(({ menuItem, quantity, portion, customizations }) => ({
+      menuItem,
+      quantity,
+      portion,
+      customizations,
+    }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sourceOrder: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+      },
+      cart,
+      orderType: order.orderType,
+      deliveryAddress,
+      items: quote.items,
+      pricing: quote.pricing,
+      warnings: quote.warnings,
+    },
+  });
+});
+
+/**
+ * Get delivery slots for a day with remaining capacity
+ * GET /api/v1/orders/slots?date=YYYY-MM-DD
+ * Customer & Admin
+ */
+exports.getDeliverySlots = catchAsync(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  // The date is a day in the restaurant's time zone
+  const [year, month, date] = (req.query.date || '').split('-').map(Number);
+  const day = req.query.date
+    ? zonedTime(settings.timezone, { year, month, day: date })
+    : new Date();
+
+  const slots = await slotService.getSlots(settings, day);
+
+  res.status(200).json({
+    status: 'success',
+    results: slots.length,
+    data: {
+      slots,
     },
   });
 });
@@ -483,13 +655,161 @@ exports.getOrderById = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Download the GST tax invoice of a delivered order (PDF, or printable HTML)
+ * GET /api/v1/orders/:id/invoice?format=pdf|html
+ * Customer (own orders) / Admin
+ */
+exports.getOrderInvoice = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const isCustomer = order.customer.id.toString() === req.user._id.toString();
+  if (!isCustomer && req.user.role !== 'admin') {
+    return next(new AppError('You do not have permission to view this invoice', 403));
+  }
+
+  const invoice = await invoiceService.issue(order);
+
+  if (req.query.format === 'html') {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(invoiceService.renderHtml(invoice));
+  }
+
+  const pdf = await invoiceService.renderPdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoiceService.fileName(invoice, 'pdf')}"`,
+  });
+  res.status(200).send(pdf);
+});
+
+/**
+ * Get the UPI payment link / QR payload for an order awaiting its UPI payment
+ * GET /api/v1/orders/:id/upi
+ * Customer (own orders) & Admin
+ */
+exports.getUpiPayment = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (req.user.role === 'customer' && order.customer.id.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only view your own orders', 403));
+  }
+
+  if (order.paymentStatus !== 'AWAITING_PAYMENT') {
+    return next(new AppError('This order is not waiting for a UPI payment', 400));
+  }
+
+  const settings = await Settings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: { upiPayment: upiService.buildPaymentRequest(settings, order) },
+  });
+});
+
+/**
+ * Confirm (with its UTR) or reject a UPI payment after checking the bank account
+ * PATCH /api/v1/orders/:id/upi-payment
+ * Admin only
+ */
+exports.reviewUpiPayment = catchAsync(async (req, res, next) => {
+  const { action, utr, reason } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (action === 'confirm') {
+    await upiService.confirm(order, { utr, confirmedBy: req.user._id });
+    logger.info(`UPI payment for ${order.orderNumber} confirmed (UTR ${utr}) by ${req.user.email.address}`);
+
+    // Paid - the order now reaches the kitchen
+    if (order.isInKitchenQueue()) {
+      emitKitchenTicket(kitchenService.toTicket(order));
+    }
+    emitOrderUpdate(order._id.toString(), {
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      message: 'Payment received',
+      orderNumber: order.orderNumber,
+    });
+    emitUserNotification(order.customer.id.toString(), {
+      type: 'payment_received',
+      title: 'Payment Received',
+      message: `We received your UPI payment for order ${order.orderNumber}`,
+      orderId: order._id,
+    });
+  } else {
+    await upiService.reject(order, { reason, rejectedBy: req.user._id });
+    logger.info(`UPI payment for ${order.orderNumber} rejected by ${req.user.email.address}`);
+
+    emitUserNotification(order.customer.id.toString(), {
+      type: 'order_cancelled',
+      title: 'Order Cancelled',
+      message: `We could not find your UPI payment for order ${order.orderNumber}, so it was cancelled`,
+      orderId: order._id,
+      reason,
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: action === 'confirm' ? 'Payment confirmed' : 'Payment rejected and order cancelled',
+    data: { order },
+  });
+});
+
+/**
+ * Settle a pickup / dine-in bill paid at the counter
+ * PATCH /api/v1/orders/:id/settle
+ * Admin only
+ */
+exports.settleOrder = catchAsync(async (req, res, next) => {
+  const { method, reference } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await order.settleAtCounter({ method, reference, settledBy: req.user._id });
+
+  logger.info(
+    `Order ${order.orderNumber} settled at the counter (${method}) by ${req.user.email.address}`
+  );
+
+  emitOrderUpdate(order._id.toString(), {
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    message: 'Bill settled at the counter',
+    orderNumber: order.orderNumber,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Bill settled successfully',
+    data: { order },
+  });
+});
+
 /**
  * Update order status
  * PATCH /api/v1/orders/:id/status
  * Admin & Delivery partners
  */
 exports.updateOrderStatus = catchAsync(async (req, res, next) => {
-  const { status, notes } = req.body;
+  const { status, notes, reason, pickupCode, collectedAmount, changeFund } = req.body;
 
   const order = await Order.findById(req.params.id);
 
@@ -497,21 +817,17 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  // Check if delivery partner is updating their own order
-  if (req.user.role === 'delivery') {
-    if (
-      !order.deliveryPartner ||
-      !order.deliveryPartner.id ||
-      order.deliveryPartner.id.toString() !== req.user._id.toString()
-    ) {
-      return next(
-        new AppError('You can only update orders assigned to you', 403)
-      );
-    }
-  }
-
-  // Use model method to update status
-  await order.updateStatus(status, notes);
+  // State machine checks the role, assignment and required fields
+  await order.updateStatus(status, {
+    role: req.user.role,
+    updatedBy: req.user._id,
+    reason,
+    notes,
+    pickupCode,
+    collectedAmount,
+    changeFund,
+  });
+  await etaService.refresh(order);
 
   logger.info(
     `Order ${order.orderNumber} status updated to ${status} by ${req.user.email.address}`
@@ -548,16 +864,6 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
         
         // Map status to notification messages
         const statusNotifications = {
-          'CONFIRMED': {
-            title: '✅ Order Confirmed!',
-            body: `Your order #${order.orderNumber} has been confirmed and is being prepared.`,
-            type: 'ORDER_CONFIRMED'
-          },
-          'PREPARING': {
-            title: '👨‍🍳 Order Preparing',
-            body: `Your order #${order.orderNumber} is being prepared by our kitchen.`,
-            type: 'ORDER_PREPARING'
-          },
           'READY': {
             title: '🎉 Order Ready!',
             body: `Your order #${order.orderNumber} is ready for pickup!`,
@@ -612,152 +918,11 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
       order,
     },
   });
-});
-
-/**
- * Cancel order
- * PATCH /api/v1/orders/:id/cancel
- * Customer (own orders), Admin
- */
-exports.cancelOrder = catchAsync(async (req, res, next) => {
-  const { reason } = req.body;
 
-  const order = await Order.findById(req.params.id);
-
-  if (!order) {
-    return next(new AppError('Order not found', 404));
-  }
-
-  // Check authorization
-  const isCustomer = order.customer.id.toString() === req.user._id.toString();
-  const isAdmin = req.user.role === 'admin';
-
-  if (!isCustomer && !isAdmin) {
-    return next(
-      new AppError('You do not have permission to cancel this order', 403)
-    );
-  }
-
-  // Check if order can be cancelled
-  if (['delivered', 'cancelled'].includes(order.status)) {
-    return next(
-      new AppError(`Cannot cancel order that is already ${order.status}`, 400)
-    );
+  // The invoice email goes out after the response; failures are only logged
+  if (order.status === 'DELIVERED') {
+    invoiceService.sendDeliveryConfirmation(order);
   }
-
-  // Update status to cancelled
-  await order.updateStatus('cancelled', reason || 'Cancelled by customer');
-
-  logger.info(
-    `Order ${order.orderNumber} cancelled by ${req.user.email.address} - Reason: ${reason}`
-  );
-
-  // Send push notification to customer
-  try {
-    const customer = await User.findById(order.customer.id);
-    if (customer) {
-      const customerTokens = customer.getActiveDeviceTokens();
-      
-      if (customerTokens && customerTokens.length > 0) {
-        logger.info(`[CANCEL NOTIFICATION] Sending to customer on ${customerTokens.length} device(s)`);
-        
-        for (const token of customerTokens) {
-          await notificationService.sendCustomNotification(
-            token,
-            '❌ Order Cancelled',
-            `Your order #${order.orderNumber} has been cancelled. ${reason ? 'Reason: ' + reason : ''}`,
-            {
-              type: 'ORDER_CANCELLED',
-              orderId: order._id.toString(),
-              orderNumber: order.orderNumber,
-              reason: reason || '',
-              timestamp: new Date().toISOString(),
-            }
-          );
-        }
-      }
-    }
-  } catch (err) {
-    logger.warn('[CANCEL NOTIFICATION] Failed to send push notification:', err.message);
-  }
-
-  res.status(200).json({
-    status: 'success',
-    message: 'Order cancelled successfully',
-    data: {
-      order,
-    },
-  });
-});
-
-/**
- * Assign delivery partner to order
- * PATCH /api/v1/orders/:id/assign
- * Admin only
- */
-exports.assignDeliveryPartner = catchAsync(async (req, res, next) => {
-  const { deliveryPartnerId } = req.body;
-
-  const order = await Order.findById(req.params.id);
-
-  if (!order) {
-    return next(new AppError('Order not found', 404));
-  }
-
-  // Check if delivery partner exists and is available
-  const deliveryPartner = await User.findOne({
-    _id: deliveryPartnerId,
-    role: 'delivery',
-    isActive: true,
-  });
-
-  if (!deliveryPartner) {
-    return next(new AppError('Delivery partner not found or not available', 404));
-  }
-
-  // Use model method to assign delivery partner
-  await order.assignDeliveryPartner(deliveryPartnerId);
-
-  logger.info(
-    `Order ${order.orderNumber} assigned to ${deliveryPartner.name.first} ${deliveryPartner.name.last} by ${req.user.email.address}`
-  );
-
-  // Send push notification to delivery partner
-  try {
-    const deliveryTokens = deliveryPartner.getActiveDeviceTokens();
-    if (deliveryTokens && deliveryTokens.length > 0) {
-      logger.info(`[DELIVERY NOTIFICATION] Sending to ${deliveryTokens.length} device(s) for delivery partner ${deliveryPartner.email.address}`);
-      
-      for (const token of deliveryTokens) {
-        await notificationService.sendCustomNotification(
-          token,
-          '📦 New Delivery Assigned!',
-          `Order #${order.orderNumber} - ${order.customer.name} - ₹${order.pricing.finalAmount.toFixed(2)}`,
-          {
-            type: 'DELIVERY_ASSIGNED',
-            orderId: order._id.toString(),
-            orderNumber: order.orderNumber,
-            customerName: order.customer.name,
-            customerPhone: order.customer.phone,
-            deliveryAddress: JSON.stringify(order.deliveryAddress),
-            amount: order.pricing.finalAmount.toString(),
-          }
-        );
-      }
-    } else {
-      logger.info(`[DELIVERY NOTIFICATION] No active device tokens found for delivery partner ${deliveryPartner._id}`);
-    }
-  } catch (err) {
-    logger.warn('[DELIVERY NOTIFICATION] Failed to send push notification:', err.message);
-  }
-
-  res.status(200).json({
-    status: 'success',
-    message: 'Delivery partner assigned successfully',
-    data: {
-      order,
-    },
-  });
 });
 
 /**
@@ -783,16 +948,20 @@ exports.getPendingOrders = catchAsync(async (req, res, next) => {
  * Admin & Delivery partners
  */
 exports.getOrdersByStatus = catchAsync(async (req, res, next) => {
-  const { status } = req.params;
+  const status = req.params.status.toUpperCase();
 
-  let query = { status };
+  if (!ORDER_STATUSES.includes(status)) {
+    return next(new AppError(`Invalid order status: ${req.params.status}`, 400));
+  }
+
+  const query = { status };
 
   // If delivery partner, filter by assigned orders
   if (req.user.role === 'delivery') {
     query['deliveryPartner.id'] = req.user._id;
   }
 
-  const orders = await Order.findByStatus(status);
+  const orders = await Order.find(query).sort({ createdAt: -1 });
 
   res.status(200).json({
     status: 'success',
@@ -847,6 +1016,7 @@ exports.trackOrder = catchAsync(async (req, res, next) => {
         orderNumber: order.orderNumber,
         status: order.status,
         statusHistory: order.statusHistory,
+        estimatedPrepTime: order.estimatedPrepTime,
         estimatedDeliveryTime: order.estimatedDeliveryTime,
         deliveryAddress: order.deliveryAddress,
         deliveryPartner: order.deliveryPartner,
@@ -878,7 +1048,7 @@ exports.rateOrder = catchAsync(async (req, res, next) => {
   }
 
   // Check if order is delivered
-  if (order.status !== 'delivered') {
+  if (order.status !== 'DELIVERED') {
     return next(
       new AppError('You can only rate delivered orders', 400)
     );
@@ -929,6 +1099,34 @@ exports.rateOrder = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Export orders for accounting as CSV or XLSX, one row per order or per line item
+ * GET /api/v1/orders/export?from=2026-09-01&to=2026-10-01&status=DELIVERED&format=xlsx&rows=item
+ * Admin only
+ */
+exports.exportOrders = catchAsync(async (req, res) => {
+  const { from, to, format, rows } = req.query;
+  const day = (date) => date.toISOString().slice(0, 10);
+  const fileName = `orders-${rows === 'item' ? 'items-' : ''}${day(from)}-to-${day(to)}.${format}`;
+
+  res.set({
+    'Content-Type':
+      format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+  });
+  res.status(200);
+
+  const count = await exportService.streamOrders(res, {
+    filter: exportService.buildFilter(req.query),
+    format,
+    rows,
+  });
+
+  logger.info(`Order export ${fileName} (${count} rows) by ${req.user.email.address}`);
+});
+
 /**
  * Get order statistics
  * GET /api/v1/orders/stats/overview
@@ -991,20 +1189,12 @@ exports.markOrderReady = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  if (order.status !== 'PENDING') {
-    return next(new AppError(`Cannot mark order as ready. Current status: ${order.status}`, 400));
-  }
-
-  // Update status
-  order.status = 'READY';
-  order.statusHistory.push({
-    status: 'READY',
-    timestamp: new Date(),
+  await order.updateStatus('READY', {
+    role: 'admin',
     updatedBy: req.user._id,
     notes: 'Order marked as ready by admin',
   });
-
-  await order.save();
+  await etaService.refresh(order);
 
   logger.info(`Order ${order.orderNumber} marked as READY by admin ${req.user.email.address}`);
 
@@ -1040,33 +1230,13 @@ exports.assignDeliveryPartner = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  if (order.status !== 'READY') {
-    return next(new AppError(`Cannot assign partner. Order must be READY. Current status: ${order.status}`, 400));
-  }
-
   // Get delivery partner details
   const partner = await User.findById(partnerId);
   if (!partner || partner.role !== 'delivery') {
     return next(new AppError('Invalid delivery partner', 400));
   }
 
-  // Assign partner
-  order.deliveryPartner = {
-    id: partner._id,
-    name: `${partner.name.first} ${partner.name.last}`,
-    phone: partner.phone.number,
-    vehicleNumber: partner.deliveryProfile?.vehicleNumber || 'N/A',
-    assignedAt: new Date(),
-  };
-
-  order.statusHistory.push({
-    status: 'READY',
-    timestamp: new Date(),
-    updatedBy: req.user._id,
-    notes: `Delivery partner assigned: ${partner.name.first} ${partner.name.last}`,
-  });
-
-  await order.save();
+  await order.assignDeliveryPartner(partner, req.user._id);
 
   logger.info(`Order ${order.orderNumber} assigned to partner ${partner.email.address}`);
 
@@ -1111,21 +1281,13 @@ exports.cancelOrder = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  if (['DELIVERED', 'CANCELLED'].includes(order.status)) {
-    return next(new AppError(`Cannot cancel order with status: ${order.status}`, 400));
-  }
-
   const previousStatus = order.status;
-  order.status = 'CANCELLED';
-  order.statusHistory.push({
-    status: 'CANCELLED',
-    timestamp: new Date(),
+  await order.updateStatus('CANCELLED', {
+    role: 'admin',
     updatedBy: req.user._id,
-    notes: reason || 'Cancelled by admin',
+    reason,
   });
 
-  await order.save();
-
   logger.info(`Order ${order.orderNumber} cancelled by admin. Previous status: ${previousStatus}`);
 
   // Notify customer
@@ -1134,7 +1296,7 @@ exports.cancelOrder = catchAsync(async (req, res, next) => {
     title: 'Order Cancelled',
     message: `Your order ${order.orderNumber} has been cancelled`,
     orderId: order._id,
-    reason: reason || 'Cancelled by restaurant',
+    reason,
   });
 
   // If partner was assigned, notify them
@@ -1155,37 +1317,162 @@ exports.cancelOrder = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Mark order picked up (Delivery Partner)
- * PATCH /api/v1/delivery/orders/:id/pickup
- * Delivery partner only
+ * Refund an order - full, partial amount or specific lines
+ * POST /api/v1/orders/:id/refunds
+ * Admin only
  */
-exports.markOrderPickedUp = catchAsync(async (req, res, next) => {
+exports.createRefund = catchAsync(async (req, res, next) => {
+  const { type, amount, items, reason, status, destination, reference } = req.body;
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const refund = order.openRefund({
+    type,
+    amount,
+    items,
+    reason,
+    requestedBy: req.user._id,
+    destination,
+  });
+  if (status === 'PROCESSED') {
+    order.settleRefund(refund._id, { status, reference, processedBy: req.user._id });
+  }
+
+  // Refunds to the wallet or loyalty points are credited in the same transaction
+  await tenderService.saveOrder(order, { actor: req.user._id, actorRole: 'admin' });
+
+  logger.info(
+    `Refund of ₹${refund.amount} (${type}, ${refund.status}) on order ${order.orderNumber} by ${req.user.email.address}`
+  );
+
+  await notifyRefund(order, refund);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Refund recorded successfully',
+    data: { refund, order },
+  });
+});
+
+/**
+ * Settle a pending refund
+ * PATCH /api/v1/orders/:id/refunds/:refundId
+ * Admin only
+ */
+exports.settleRefund = catchAsync(async (req, res, next) => {
+  const { status, reference, failureReason, destination } = req.body;
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const refund = order.settleRefund(req.params.refundId, {
+    status,
+    reference,
+    failureReason,
+    processedBy: req.user._id,
+    destination,
+  });
+
+  await tenderService.saveOrder(order, { actor: req.user._id, actorRole: 'admin' });
+
+  logger.info(
+    `Refund ${refund._id} on order ${order.orderNumber} marked ${status} by ${req.user.email.address}`
+  );
+
+  if (status === 'PROCESSED') {
+    await notifyRefund(order, refund);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Refund marked as ${status.toLowerCase()}`,
+    data: { refund, order },
+  });
+});
+
+/**
+ * Flag unavailable lines on a pending order and propose substitutes or removal
+ * POST /api/v1/orders/:id/substitutions
+ * Admin only
+ */
+exports.proposeSubstitution = catchAsync(async (req, res, next) => {
+  const { lines, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const substitution = await substitutionService.propose(order, {
+    lines,
+    note,
+    proposedBy: req.user._id,
+  });
+
+  logger.info(`Substitution proposed on order ${order.orderNumber} by ${req.user.email.address}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Substitution sent to the customer',
+    data: { substitution, order },
+  });
+});
+
+/**
+ * Answer a kitchen substitution request
+ * POST /api/v1/orders/:id/substitutions/:substitutionId/respond
+ * Customer (own orders)
+ */
+exports.respondSubstitution = catchAsync(async (req, res, next) => {
   const order = await Order.findById(req.params.id);
 
   if (!order) {
     return next(new AppError('Order not found', 404));
   }
 
-  // Verify this order is assigned to current delivery partner
-  if (!order.deliveryPartner?.id || order.deliveryPartner.id.toString() !== req.user._id.toString()) {
-    return next(new AppError('This order is not assigned to you', 403));
+  if (order.customer.id.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only answer substitutions on your own orders', 403));
   }
 
-  if (order.status !== 'READY') {
-    return next(new AppError(`Cannot pick up order. Current status: ${order.status}`, 400));
+  const substitution = await substitutionService.respond(
+    order,
+    req.params.substitutionId,
+    req.body.response,
+    { role: 'customer', userId: req.user._id }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      order.status === 'CANCELLED' ? 'Order cancelled' : 'Order updated with your choice',
+    data: { substitution, order },
+  });
+});
+
+/**
+ * Mark order picked up (Delivery Partner)
+ * PATCH /api/v1/delivery/orders/:id/pickup
+ * Delivery partner only
+ */
+exports.markOrderPickedUp = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
   }
 
-  // Update status
-  order.status = 'OUT_FOR_DELIVERY';
-  order.deliveryPartner.pickedUpAt = new Date();
-  order.statusHistory.push({
-    status: 'OUT_FOR_DELIVERY',
-    timestamp: new Date(),
+  // State machine verifies the order is assigned to this partner
+  await order.updateStatus('OUT_FOR_DELIVERY', {
+    role: 'delivery',
     updatedBy: req.user._id,
     notes: 'Order picked up by delivery partner',
   });
-
-  await order.save();
+  await etaService.refresh(order);
 
   logger.info(`Order ${order.orderNumber} picked up by partner ${req.user.email.address}`);
 
@@ -1222,41 +1509,15 @@ exports.markOrderDelivered = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  // Verify this order is assigned to current delivery partner
-  if (!order.deliveryPartner?.id || order.deliveryPartner.id.toString() !== req.user._id.toString()) {
-    return next(new AppError('This order is not assigned to you', 403));
-  }
-
-  if (order.status !== 'OUT_FOR_DELIVERY') {
-    return next(new AppError(`Cannot deliver order. Current status: ${order.status}`, 400));
-  }
-
-  // Update status
-  order.status = 'DELIVERED';
-  order.deliveryPartner.deliveredAt = new Date();
-  order.actualDeliveryTime = new Date();
-  
-  // Handle COD payment
-  if (order.paymentMethod === 'COD') {
-    order.cashCollection = {
-      expectedAmount: order.pricing.finalAmount,
-      collectedAmount: collectedAmount || order.pricing.finalAmount,
-      changeFund: changeFund || 0,
-      collectedAt: new Date(),
-      isSettled: false,
-    };
-    order.paymentStatus = 'PAID';
-  }
-
-  order.statusHistory.push({
-    status: 'DELIVERED',
-    timestamp: new Date(),
+  // COD cash is recorded together with the status change
+  await order.updateStatus('DELIVERED', {
+    role: 'delivery',
     updatedBy: req.user._id,
     notes: 'Order delivered successfully',
+    collectedAmount,
+    changeFund,
   });
 
-  await order.save();
-
   logger.info(`Order ${order.orderNumber} delivered by partner ${req.user.email.address}`);
 
   // Notify customer
@@ -1272,6 +1533,9 @@ exports.markOrderDelivered = catchAsync(async (req, res, next) => {
     message: 'Order marked as delivered',
     data: { order },
   });
+
+  // The invoice email goes out after the response; failures are only logged
+  invoiceService.sendDeliveryConfirmation(order);
 });
 
 /**
@@ -1311,25 +1575,17 @@ exports.customerCancelOrder = catchAsync(async (req, res, next) => {
     return next(new AppError('You can only cancel your own orders', 403));
   }
 
-  // Can only cancel if PENDING
-  if (order.status !== 'PENDING') {
-    return next(new AppError('Order can only be cancelled when in PENDING status', 400));
-  }
-
-  order.status = 'CANCELLED';
-  order.statusHistory.push({
-    status: 'CANCELLED',
-    timestamp: new Date(),
+  // Customers can only cancel while the order is PENDING
+  await order.updateStatus('CANCELLED', {
+    role: 'customer',
     updatedBy: req.user._id,
-    notes: 'Cancelled by customer',
+    reason: req.body.reason || 'Cancelled by customer',
   });
 
-  await order.save();
-
   logger.info(`Order ${order.orderNumber} cancelled by customer ${req.user.email.address}`);
 
   // Notify admin
-  emitOrderUpdate({
+  emitOrderUpdate(order._id.toString(), {
     type: 'order_cancelled',
     orderId: order._id,
     orderNumber: order.orderNumber,
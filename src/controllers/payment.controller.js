@@ -0,0 +1,102 @@
+const Order = require('../models/Order');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+const { emitKitchenTicket, emitOrderUpdate, emitUserNotification } = require('../utils/socket');
+const kitchenService = require('../services/kitchen.service');
+const paymentService = require('../services/payment.service');
+
+// Tell the customer and anyone tracking the order how the payment went
+const notifyPayment = (order) => {
+  const paid = order.paymentStatus === 'PAID';
+
+  // Paid - the order now reaches the kitchen
+  if (paid && order.isInKitchenQueue()) {
+    emitKitchenTicket(kitchenService.toTicket(order));
+  }
+  emitOrderUpdate(order._id.toString(), {
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    message: paid ? 'Payment received' : 'Payment failed',
+    orderNumber: order.orderNumber,
+  });
+  emitUserNotification(order.customer.id.toString(), {
+    type: paid ? 'payment_received' : 'payment_failed',
+    title: paid ? 'Payment Received' : 'Payment Failed',
+    message: paid
+      ? `We received your payment for order ${order.orderNumber}`
+      : `Your payment for order ${order.orderNumber} did not go through. Please try again`,
+    orderId: order._id,
+  });
+};
+
+// Customers can only pay for their own orders
+const findOwnOrder = async (req) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  if (order.customer.id.toString() !== req.user._id.toString()) {
+    throw new AppError('You can only pay for your own orders', 403);
+  }
+  return order;
+};
+
+/**
+ * Start the gateway checkout for an unpaid online order
+ * POST /api/v1/payments/orders/:orderId/checkout
+ * Customer only
+ */
+exports.createCheckout = catchAsync(async (req, res) => {
+  const order = await findOwnOrder(req);
+  const checkout = await paymentService.createCheckout(order);
+
+  res.status(200).json({
+    status: 'success',
+    data: { checkout },
+  });
+});
+
+/**
+ * Confirm a payment with the signature returned by the checkout
+ * POST /api/v1/payments/orders/:orderId/verify
+ * Customer only
+ */
+exports.verifyPayment = catchAsync(async (req, res) => {
+  const order = await findOwnOrder(req);
+  const outcome = await paymentService.verifyCheckout(order, req.body);
+
+  if (outcome === 'paid') {
+    notifyPayment(order);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paymentStatus: order.paymentStatus,
+      order,
+    },
+  });
+});
+
+/**
+ * Payment gateway webhook - authenticated by its signature, not a user session
+ * POST /api/v1/payments/webhook
+ * Public
+ */
+exports.handleWebhook = catchAsync(async (req, res) => {
+  const { outcome, order } = await paymentService.handleWebhook(req.rawBody, req.headers);
+
+  logger.info(`Payment webhook ${req.headers['x-razorpay-event-id'] || ''}: ${outcome}`);
+
+  if (order) {
+    notifyPayment(order);
+  }
+
+  // Any 2xx stops the gateway from redelivering
+  res.status(200).json({
+    status: 'success',
+    data: { outcome },
+  });
+});
@@ -0,0 +1,320 @@
+const PromoCode = require('../models/PromoCode');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const logger = require('../utils/logger');
+const pricingService = require('../services/pricing.service');
+
+// Fields a customer may see about a promo code
+const PUBLIC_FIELDS = [
+  'code',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minOrderValue',
+  'validTo',
+  'daysOfWeek',
+  'timeSlots',
+  'description',
+  'termsAndConditions',
+];
+
+/**
+ * Get all promo codes
+ * GET /api/v1/promos
+ * Admin only
+ */
+exports.getAllPromos = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(PromoCode.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const result = await features.execute(PromoCode);
+
+  res.status(200).json({
+    status: 'success',
+    results: result.data.length,
+    pagination: result.pagination,
+    data: {
+      promos: result.data,
+    },
+  });
+});
+
+/**
+ * Get promo code by ID
+ * GET /api/v1/promos/:id
+ * Admin only
+ */
+exports.getPromo = catchAsync(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+
+  if (!promo) {
+    return next(new AppError('Promo code not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      promo,
+    },
+  });
+});
+
+/**
+ * Create promo code
+ * POST /api/v1/promos
+ * Admin only
+ */
+exports.createPromo = catchAsync(async (req, res, next) => {
+  const existing = await PromoCode.findOne({ code: req.body.code });
+  if (existing) {
+    return next(new AppError(`Promo code ${req.body.code} already exists`, 400));
+  }
+
+  const promo = await PromoCode.create(req.body);
+
+  logger.info(`Promo code ${promo.code} created by ${req.user.email.address}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Promo code created successfully',
+    data: {
+      promo,
+    },
+  });
+});
+
+/**
+ * Update promo code
+ * PATCH /api/v1/promos/:id
+ * Admin only
+ */
+exports.updatePromo = catchAsync(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+
+  if (!promo) {
+    return next(new AppError('Promo code not found', 404));
+  }
+
+  if (req.body.code && req.body.code !== promo.code) {
+    if (promo.usageCount > 0) {
+      return next(new AppError('Cannot rename a promo code that has already been used', 400));
+    }
+    const existing = await PromoCode.findOne({ code: req.body.code });
+    if (existing) {
+      return next(new AppError(`Promo code ${req.body.code} already exists`, 400));
+    }
+  }
+
+  promo.set(req.body);
+
+  if (promo.validTo <= promo.validFrom) {
+    return next(new AppError('validTo must be after validFrom', 400));
+  }
+
+  await promo.save();
+
+  logger.info(`Promo code ${promo.code} updated by ${req.user.email.address}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Promo code updated successfully',
+    data: {
+      promo,
+    },
+  });
+});
+
+/**
+ * Delete promo code
+ * DELETE /api/v1/promos/:id
+ * Admin only - used codes must be deactivated instead so order history stays consistent
+ */
+exports.deletePromo = catchAsync(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+
+  if (!promo) {
+    return next(new AppError('Promo code not found', 404));
+  }
+
+  if (promo.usageCount > 0) {
+    return next(
+      new AppError('This promo code has been used on orders. Deactivate it instead.', 400)
+    );
+  }
+
+  await promo.deleteOne();
+
+  logger.info(`Promo code ${promo.code} deleted by ${req.user.email.address}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Promo code deleted successfully',
+  });
+});
+
+/**
+ * Activate / deactivate promo code
+ * PATCH /api/v1/promos/:id/activate
+ * PATCH /api/v1/promos/:id/deactivate
+ * Admin only
+ */
+const setPromoActive = (isActive) =>
+  catchAsync(async (req, res, next) => {
+    const promo = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true }
+    );
+
+    if (!promo) {
+      return next(new AppError('Promo code not found', 404));
+    }
+
+    logger.info(
+      `Promo code ${promo.code} ${isActive ? 'activated' : 'deactivated'} by ${req.user.email.address}`
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `Promo code ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        promo,
+      },
+    });
+  });
+
+exports.activatePromo = setPromoActive(true);
+exports.deactivatePromo = setPromoActive(false);
+
+/**
+ * Duplicate promo code under a new code
+ * POST /api/v1/promos/:id/duplicate
+ * Admin only - usage and stats start from zero, the copy starts inactive
+ */
+exports.duplicatePromo = catchAsync(async (req, res, next) => {
+  const { code, validFrom, validTo } = req.body;
+
+  const source = await PromoCode.findById(req.params.id);
+  if (!source) {
+    return next(new AppError('Promo code not found', 404));
+  }
+
+  const existing = await PromoCode.findOne({ code });
+  if (existing) {
+    return next(new AppError(`Promo code ${code} already exists`, 400));
+  }
+
+  const fields = source.toObject({ virtuals: false });
+  ['_id', '__v', 'createdAt', 'updatedAt', 'usageCount', 'stats'].forEach((field) => {
+    delete fields[field];
+  });
+
+  // Only one date may be given; the other comes from the source code
+  const dates = {
+    validFrom: validFrom || fields.validFrom,
+    validTo: validTo || fields.validTo,
+  };
+  if (new Date(dates.validTo) <= new Date(dates.validFrom)) {
+    return next(new AppError('validTo must be after validFrom', 400));
+  }
+
+  const promo = await PromoCode.create({
+    ...fields,
+    code,
+    ...dates,
+    isActive: false,
+  });
+
+  logger.info(`Promo code ${source.code} duplicated as ${promo.code} by ${req.user.email.address}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Promo code duplicated successfully',
+    data: {
+      promo,
+    },
+  });
+});
+
+/**
+ * Get promo codes the current customer is eligible for
+ * GET /api/v1/promos/available
+ * Customer only
+ */
+exports.getAvailablePromos = catchAsync(async (req, res, next) => {
+  const promos = await PromoCode.findActive().sort({ validTo: 1 });
+  const isFirstOrder = (req.user.customerData?.totalOrders || 0) === 0;
+  const now = new Date();
+  const today = now.getDay();
+
+  // Count how often the customer already used each code
+  const usage = await Order.aggregate([
+    {
+      $match: {
+        'customer.id': req.user._id,
+        'pricing.promoCode': { $in: promos.map((p) => p.code) },
+        status: { $ne: 'CANCELLED' },
+      },
+    },
+    { $group: { _id: '$pricing.promoCode', count: { $sum: 1 } } },
+  ]);
+  const usageByCode = new Map(usage.map((u) => [u._id, u.count]));
+
+  const available = promos
+    .filter((promo) => {
+      if (promo.remainingUses !== null && promo.remainingUses <= 0) return false;
+      if (promo.daysOfWeek.length > 0 && !promo.daysOfWeek.includes(today)) return false;
+      if (!promo.isWithinTimeSlots(now)) return false;
+      if (promo.applicableTo === 'first-order' && !isFirstOrder) return false;
+      if (promo.applicableTo === 'specific-users' && !promo.eligibleUsers.includes(req.user._id)) {
+        return false;
+      }
+      return !promo.perUserLimit || (usageByCode.get(promo.code) || 0) < promo.perUserLimit;
+    })
+    .map((promo) =>
+      PUBLIC_FIELDS.reduce((fields, field) => ({ ...fields, [field]: promo[field] }), {})
+    );
+
+  res.status(200).json({
+    status: 'success',
+    results: available.length,
+    data: {
+      promos: available,
+    },
+  });
+});
+
+/**
+ * Check a promo code against the customer's current cart
+ * POST /api/v1/promos/validate
+ * Customer only
+ */
+exports.validatePromo = catchAsync(async (req, res, next) => {
+  const { code, items } = req.body;
+
+  const settings = await Settings.getSettings();
+  const quote = await pricingService.quoteCart(items, settings, {
+    user: req.user,
+    promoCode: code,
+  });
+
+  const promoWarning = quote.warnings.find((w) => w.code === 'PROMO_INVALID');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code,
+      valid: !promoWarning,
+      message: promoWarning ? promoWarning.message : 'Promo code applied',
+      discount: quote.pricing.promoDiscount,
+      pricing: quote.pricing,
+      warnings: quote.warnings.filter((w) => w !== promoWarning),
+    },
+  });
+});
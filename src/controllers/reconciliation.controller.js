@@ -0,0 +1,95 @@
+const ReconciliationRun = require('../models/ReconciliationRun');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const logger = require('../utils/logger');
+const reconciliationService = require('../services/reconciliation.service');
+
+/**
+ * Reconcile a settlement report - the CSV file is the request body (Content-Type: text/csv)
+ * POST /api/v1/payments/reconciliations?source=razorpay&from=2026-09-01&to=2026-09-08
+ * Admin only
+ */
+exports.createReconciliation = catchAsync(async (req, res, next) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return next(new AppError('Upload the settlement report as CSV (Content-Type: text/csv)', 400));
+  }
+
+  const { fileName, source, from, to, amountUnit } = req.query;
+  const run = await reconciliationService.reconcile(req.body, {
+    fileName,
+    source,
+    from,
+    to,
+    amountUnit,
+    uploadedBy: req.user._id,
+  });
+
+  logger.info(
+    `Reconciliation ${run._id} by ${req.user.email.address}: ${run.summary.matched}/${run.summary.rows} matched, ${run.summary.exceptions} exceptions`
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: { reconciliation: run },
+  });
+});
+
+/**
+ * List reconciliation runs, newest first (without their exceptions)
+ * GET /api/v1/payments/reconciliations
+ * Admin only
+ */
+exports.getReconciliations = catchAsync(async (req, res) => {
+  const features = new APIFeatures(
+    ReconciliationRun.find().select('-exceptions').sort({ createdAt: -1 }),
+    req.query
+  ).paginate();
+
+  const result = await features.execute(ReconciliationRun);
+
+  res.status(200).json({
+    status: 'success',
+    results: result.data.length,
+    pagination: result.pagination,
+    data: { reconciliations: result.data },
+  });
+});
+
+/**
+ * Get a reconciliation run with its exceptions
+ * GET /api/v1/payments/reconciliations/:id
+ * Admin only
+ */
+exports.getReconciliation = catchAsync(async (req, res, next) => {
+  const run = await ReconciliationRun.findById(req.params.id).populate('uploadedBy', 'name email');
+
+  if (!run) {
+    return next(new AppError('Reconciliation not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { reconciliation: run },
+  });
+});
+
+/**
+ * Download a run's exceptions as CSV
+ * GET /api/v1/payments/reconciliations/:id/exceptions?type=amount_mismatch
+ * Admin only
+ */
+exports.downloadExceptions = catchAsync(async (req, res, next) => {
+  const run = await ReconciliationRun.findById(req.params.id);
+
+  if (!run) {
+    return next(new AppError('Reconciliation not found', 404));
+  }
+
+  const date = run.createdAt.toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="reconciliation-exceptions-${date}-${run._id}.csv"`,
+  });
+  res.status(200).send(reconciliationService.exceptionsCsv(run, req.query.type));
+});
@@ -2,6 +2,9 @@ const Settings = require('../models/Settings');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const sequenceService = require('../services/sequence.service');
+const serviceAreaService = require('../services/serviceArea.service');
+const invoiceService = require('../services/invoice.service');
 
 /**
  * @desc    Get settings
@@ -40,12 +43,82 @@ exports.updateSettings = catchAsync(async (req, res, next) => {
     minimumOrderAmount,
     taxRate,
     deliveryCharge,
+    deliveryFeeSlabs,
+    freeDeliveryAbove,
+    surge,
+    platformFee,
+    packagingFee,
+    priceTolerance,
+    orderNumberFormat,
+    orderNumberReset,
+    outletCode,
+    timezone,
+    slotDurationMinutes,
+    maxOrdersPerSlot,
+    slotStartTime,
+    slotEndTime,
+    scheduleLeadTimeMinutes,
+    kitchenLeadTimeMinutes,
+    scheduleMaxDaysAhead,
+    defaultPrepTimeMinutes,
+    kitchenParallelOrders,
+    riderSpeedKmph,
+    defaultTravelMinutes,
+    handoverMinutes,
+    substitutionTimeoutMinutes,
+    serviceArea,
+    invoice,
+    orderTypes,
     upiId,
+    loyaltyPointValue,
   } = req.body;
 
   // Get the singleton settings document
   const settings = await Settings.getSettings();
 
+  // Reject numbering schemes that could issue the same order number twice
+  if (orderNumberFormat !== undefined || orderNumberReset !== undefined) {
+    const formatError = sequenceService.validateFormat(
+      orderNumberFormat ?? settings.orderNumberFormat,
+      orderNumberReset ?? settings.orderNumberReset
+    );
+    if (formatError) {
+      return next(new AppError(formatError, 400));
+    }
+  }
+
+  if (invoice && (invoice.numberFormat !== undefined || invoice.numberReset !== undefined)) {
+    const formatError = invoiceService.validateNumberFormat(
+      invoice.numberFormat ?? settings.invoice.numberFormat,
+      invoice.numberReset ?? settings.invoice.numberReset,
+      outletCode ?? settings.outletCode
+    );
+    if (formatError) {
+      return next(new AppError(formatError, 400));
+    }
+  }
+
+  if (serviceArea !== undefined) {
+    const serviceAreaError = serviceAreaService.validateConfig(serviceArea);
+    if (serviceAreaError) {
+      return next(new AppError(serviceAreaError, 400));
+    }
+  }
+
+  if (deliveryFeeSlabs !== undefined && deliveryFeeSlabs.length > 0) {
+    const { location } = serviceArea ?? settings.serviceArea ?? {};
+    if (!location || !location.coordinates || location.coordinates.length !== 2) {
+      return next(
+        new AppError('Set the restaurant location to use distance-based delivery fees', 400)
+      );
+    }
+
+    const distances = deliveryFeeSlabs.map((slab) => slab.upToKm);
+    if (new Set(distances).size !== distances.length) {
+      return next(new AppError('Each delivery fee slab needs a different distance', 400));
+    }
+  }
+
   // Update fields if provided
   if (siteName !== undefined) settings.siteName = siteName;
   if (contactEmail !== undefined) settings.contactEmail = contactEmail;
@@ -56,7 +129,57 @@ exports.updateSettings = catchAsync(async (req, res, next) => {
   if (minimumOrderAmount !== undefined) settings.minimumOrderAmount = minimumOrderAmount;
   if (taxRate !== undefined) settings.taxRate = taxRate;
   if (deliveryCharge !== undefined) settings.deliveryCharge = deliveryCharge;
+  if (deliveryFeeSlabs !== undefined) {
+    settings.deliveryFeeSlabs = [...deliveryFeeSlabs].sort((a, b) => a.upToKm - b.upToKm);
+  }
+  if (freeDeliveryAbove !== undefined) settings.freeDeliveryAbove = freeDeliveryAbove;
+  // Surge is usually toggled on its own, so merge instead of replacing the whole object
+  if (surge !== undefined) {
+    Object.entries(surge).forEach(([field, value]) => settings.set(`surge.${field}`, value));
+  }
+  if (platformFee !== undefined) settings.platformFee = platformFee;
+  if (packagingFee !== undefined) settings.packagingFee = packagingFee;
+  if (priceTolerance !== undefined) settings.priceTolerance = priceTolerance;
+  if (orderNumberFormat !== undefined) settings.orderNumberFormat = orderNumberFormat;
+  if (orderNumberReset !== undefined) settings.orderNumberReset = orderNumberReset;
+  if (outletCode !== undefined) settings.outletCode = outletCode;
+  if (timezone !== undefined) settings.timezone = timezone;
+  if (slotDurationMinutes !== undefined) settings.slotDurationMinutes = slotDurationMinutes;
+  if (maxOrdersPerSlot !== undefined) settings.maxOrdersPerSlot = maxOrdersPerSlot;
+  if (slotStartTime !== undefined) settings.slotStartTime = slotStartTime;
+  if (slotEndTime !== undefined) settings.slotEndTime = slotEndTime;
+  if (scheduleLeadTimeMinutes !== undefined) {
+    settings.scheduleLeadTimeMinutes = scheduleLeadTimeMinutes;
+  }
+  if (kitchenLeadTimeMinutes !== undefined) {
+    settings.kitchenLeadTimeMinutes = kitchenLeadTimeMinutes;
+  }
+  if (scheduleMaxDaysAhead !== undefined) settings.scheduleMaxDaysAhead = scheduleMaxDaysAhead;
+  if (defaultPrepTimeMinutes !== undefined) {
+    settings.defaultPrepTimeMinutes = defaultPrepTimeMinutes;
+  }
+  if (kitchenParallelOrders !== undefined) settings.kitchenParallelOrders = kitchenParallelOrders;
+  if (riderSpeedKmph !== undefined) settings.riderSpeedKmph = riderSpeedKmph;
+  if (defaultTravelMinutes !== undefined) settings.defaultTravelMinutes = defaultTravelMinutes;
+  if (handoverMinutes !== undefined) settings.handoverMinutes = handoverMinutes;
+  if (substitutionTimeoutMinutes !== undefined) {
+    settings.substitutionTimeoutMinutes = substitutionTimeoutMinutes;
+  }
+  if (serviceArea !== undefined) settings.serviceArea = serviceArea;
+  // Seller details are edited a few at a time, so merge like surge
+  if (invoice !== undefined) {
+    Object.entries(invoice).forEach(([field, value]) => settings.set(`invoice.${field}`, value));
+  }
+  // Per-type switches, e.g. { dineIn: { enabled: false } } leaves pickup untouched
+  if (orderTypes !== undefined) {
+    Object.entries(orderTypes).forEach(([type, config]) =>
+      Object.entries(config).forEach(([field, value]) =>
+        settings.set(`orderTypes.${type}.${field}`, value)
+      )
+    );
+  }
   if (upiId !== undefined) settings.upiId = upiId;
+  if (loyaltyPointValue !== undefined) settings.loyaltyPointValue = loyaltyPointValue;
 
   await settings.save();
 
@@ -68,3 +191,23 @@ exports.updateSettings = catchAsync(async (req, res, next) => {
     },
   });
 });
+
+/**
+ * @desc    Check whether a location is inside the delivery area
+ * @route   GET /api/v1/settings/serviceability?lat=&lng=
+ * @access  Public
+ */
+exports.checkServiceability = catchAsync(async (req, res, next) => {
+  const { lat, lng } = req.query;
+
+  const settings = await Settings.getSettings();
+  const result = serviceAreaService.check(settings, [lng, lat]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...result,
+      minimumOrderAmount: settings.minimumOrderAmount,
+    },
+  });
+});
@@ -61,6 +61,12 @@ exports.updateUser = catchAsync(async (req, res, next) => {
   delete req.body.passwordResetToken;
   delete req.body.passwordResetExpires;
 
+  // The wallet balance only moves with a ledger entry (POST /api/v1/wallet/users/:userId/...)
+  delete req.body['customerData.walletBalance'];
+  if (req.body.customerData) {
+    delete req.body.customerData.walletBalance;
+  }
+
   const user = await User.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -191,7 +197,7 @@ exports.toggleBlockUser = catchAsync(async (req, res, next) => {
 exports.getUsersByRole = catchAsync(async (req, res, next) => {
   const { role } = req.params;
 
-  if (!['customer', 'delivery', 'admin'].includes(role)) {
+  if (!['customer', 'delivery', 'admin', 'kitchen'].includes(role)) {
     return next(new AppError('Invalid role', 400));
   }
 
@@ -284,7 +290,10 @@ exports.getUserStats = catchAsync(async (req, res, next) => {
  * Admin only
  */
 exports.createUser = catchAsync(async (req, res, next) => {
-  // Allow admin to create users with any role
+  // Allow admin to create users with any role; store credit is granted through the wallet
+  if (req.body.customerData) {
+    delete req.body.customerData.walletBalance;
+  }
   const user = await User.create(req.body);
 
   logger.info(`User created: ${user.email.address} (${user.role}) by ${req.user.email.address}`);
@@ -306,7 +315,7 @@ exports.createUser = catchAsync(async (req, res, next) => {
 exports.updateUserRole = catchAsync(async (req, res, next) => {
   const { role } = req.body;
 
-  if (!['customer', 'delivery', 'admin'].includes(role)) {
+  if (!['customer', 'delivery', 'admin', 'kitchen'].includes(role)) {
     return next(new AppError('Invalid role', 400));
   }
 
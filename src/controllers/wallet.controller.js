@@ -0,0 +1,141 @@
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+const { emitUserNotification } = require('../utils/socket');
+const walletService = require('../services/wallet.service');
+
+/**
+ * Tell the customer their wallet changed (socket)
+ * @param {Object} transaction - WalletTransaction
+ */
+const notifyWallet = (transaction) => {
+  const change = transaction.direction === 'in' ? 'added to' : 'taken from';
+  const message = `₹${transaction.amount} ${change} your wallet: ${transaction.reason}`;
+
+  emitUserNotification(transaction.user.toString(), {
+    type: 'wallet_updated',
+    title: 'Wallet Update',
+    message,
+    transactionId: transaction._id,
+    amount: transaction.amount,
+    balance: transaction.balanceAfter,
+  });
+};
+
+/**
+ * Get my wallet balance and statement
+ * GET /api/v1/wallet?from=2026-09-01&to=2026-10-01&type=credit&page=1
+ * Customer only
+ */
+exports.getMyStatement = catchAsync(async (req, res) => {
+  const statement = await walletService.getStatement(req.user._id, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: statement.transactions.length,
+    pagination: statement.pagination,
+    data: {
+      balance: statement.balance,
+      expiring: statement.expiring,
+      transactions: statement.transactions,
+    },
+  });
+});
+
+/**
+ * Get a customer's wallet balance and statement
+ * GET /api/v1/wallet/users/:userId
+ * Admin only
+ */
+exports.getStatement = catchAsync(async (req, res) => {
+  const statement = await walletService.getStatement(req.params.userId, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: statement.transactions.length,
+    pagination: statement.pagination,
+    data: {
+      balance: statement.balance,
+      expiring: statement.expiring,
+      transactions: statement.transactions,
+    },
+  });
+});
+
+/**
+ * Add store credit to a customer's wallet
+ * POST /api/v1/wallet/users/:userId/credit
+ * Admin only
+ */
+exports.creditWallet = catchAsync(async (req, res) => {
+  const { amount, reason, expiresAt } = req.body;
+
+  const transaction = await walletService.credit(req.params.userId, {
+    amount,
+    reason,
+    expiresAt,
+    actor: req.user._id,
+    actorRole: 'admin',
+  });
+
+  logger.info(
+    `Wallet credit of ₹${transaction.amount} to user ${req.params.userId} by ${req.user.email.address}`
+  );
+  notifyWallet(transaction);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Wallet credited successfully',
+    data: { transaction },
+  });
+});
+
+/**
+ * Take money out of a customer's wallet
+ * POST /api/v1/wallet/users/:userId/debit
+ * Admin only
+ */
+exports.debitWallet = catchAsync(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const transaction = await walletService.debit(req.params.userId, {
+    amount,
+    reason,
+    actor: req.user._id,
+    actorRole: 'admin',
+  });
+
+  logger.info(
+    `Wallet debit of ₹${transaction.amount} from user ${req.params.userId} by ${req.user.email.address}`
+  );
+  notifyWallet(transaction);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Wallet debited successfully',
+    data: { transaction },
+  });
+});
+
+/**
+ * Reverse a wallet transaction posted by mistake
+ * POST /api/v1/wallet/transactions/:id/reverse
+ * Admin only
+ */
+exports.reverseTransaction = catchAsync(async (req, res) => {
+  const transaction = await walletService.reverse(req.params.id, {
+    reason: req.body.reason,
+    actor: req.user._id,
+    actorRole: 'admin',
+  });
+
+  logger.info(
+    `Wallet transaction ${req.params.id} reversed (₹${transaction.amount}) by ${req.user.email.address}`
+  );
+  notifyWallet(transaction);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Wallet transaction reversed successfully',
+    data: { transaction },
+  });
+});
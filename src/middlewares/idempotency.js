@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the parts of a request that must match for a retry to be replayed
+ */
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.baseUrl + req.path, body: req.body }))
+    .digest('hex');
+
+/**
+ * Idempotency middleware factory
+ * Stores the first successful response per user + Idempotency-Key and replays it for retries.
+ * Failed requests release the key so the client can retry them; a retry while the first request
+ * is still processing gets 409, even if that client has gone away. Must run after protect.
+ * @param {Object} options
+ * @param {number} options.retentionHours - How long responses are kept for replay (default: 24)
+ */
+const idempotency = ({ retentionHours = 24 } = {}) =>
+  catchAsync(async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    // The header is optional; requests without it behave as before
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(new AppError(`${HEADER} cannot exceed ${MAX_KEY_LENGTH} characters`, 400));
+    }
+
+    const requestHash = hashRequest(req);
+    const filter = { user: req.user._id, key };
+
+    let record;
+    try {
+      // The unique (user, key) index makes concurrent retries race for a single insert
+      record = await IdempotencyKey.create({
+        ...filter,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        requestHash,
+        expiresAt: new Date(Date.now() + retentionHours * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await IdempotencyKey.findOne(filter);
+
+      if (!existing) {
+        // Expired between the insert and the lookup - let the client retry
+        return next(new AppError(`Please retry the request with this ${HEADER}`, 409));
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return next(new AppError(`${HEADER} has already been used for a different request`, 409));
+      }
+
+      if (existing.status === 'completed') {
+        // Succeeded, but its response could not be stored - it must not run again
+        if (existing.response.body === undefined) {
+          return next(
+            new AppError(
+              `A request with this ${HEADER} already succeeded. Please refresh to see its result`,
+              409
+            )
+          );
+        }
+
+        logger.info(`Replaying ${existing.method} ${existing.path} for ${HEADER} ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      // Never run twice: the first request may still be moving money
+      return next(new AppError(`A request with this ${HEADER} is still being processed`, 409));
+    }
+
+    let finalized = false;
+    const finalize = async (statusCode, body) => {
+      if (finalized) return;
+      finalized = true;
+
+      if (statusCode < 200 || statusCode >= 300) {
+        IdempotencyKey.deleteOne({ _id: record._id }).catch((err) => {
+          logger.error(`Failed to release ${HEADER} ${key}:`, err);
+        });
+        return;
+      }
+
+      try {
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', response: { statusCode, body } }
+        );
+      } catch (err) {
+        // At least record that it succeeded, so a retry is not left waiting on it
+        logger.error(`Failed to store response for ${HEADER} ${key}:`, err);
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', response: { statusCode } }
+        ).catch((fallbackErr) => {
+          logger.error(
+            `${HEADER} ${key} succeeded but is still processing; retries get 409 until it expires:`,
+            fallbackErr
+          );
+        });
+      }
+    };
+
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = function (body) {
+      // Stored as plain JSON, so a replay sends exactly what the client got (virtuals included)
+      responseBody = JSON.parse(JSON.stringify(body));
+      const result = originalJson(body);
+      // The outcome is known here even when the client has disconnected and 'finish' never fires
+      finalize(res.statusCode, responseBody);
+      return result;
+    };
+
+    // Responses not sent with res.json; 'close' alone when the connection dropped while sending.
+    // A client that leaves before the handler answers keeps the key processing until it does.
+    const onDone = () => {
+      if (res.headersSent) {
+        finalize(res.statusCode, responseBody);
+      }
+    };
+    res.on('finish', onDone);
+    res.on('close', onDone);
+
+    next();
+  });
+
+module.exports = idempotency;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Counter Schema - one document per named sequence (e.g. order:MAIN:20260118)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/**
+ * Atomically add to a counter and return the new value
+ * Creates the counter on first use, so concurrent callers never get the same value
+ * @param {string} key - Counter name
+ * @param {number} amount - Amount to add (negative to release)
+ * @param {Object} options - { session }
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.increment = async function (key, amount, { session } = {}) {
+  const increment = () =>
+    this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: amount } },
+      { new: true, upsert: true, session }
+    );
+
+  try {
+    return (await increment()).seq;
+  } catch (error) {
+    // Two first-time upserts can race on _id; the loser simply increments the winner's document.
+    // Not inside a transaction: the error has aborted it, and runInTransaction retries the whole
+    // transaction on the write conflict a racing upsert causes there
+    if (error.code === 11000 && !session) {
+      return (await increment()).seq;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Next value of a sequence
+ * @param {string} key - Sequence name
+ * @param {Object} options - { session }
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = function (key, options) {
+  return this.increment(key, 1, options);
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// IdempotencyKey Schema - first response to a money-moving request, replayed for client retries
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    method: String,
+    path: String,
+    // Hash of method + path + body, to detect the same key reused for a different request
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    response: {
+      statusCode: Number,
+      // Response body as plain JSON; missing when it could not be stored
+      body: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once the retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
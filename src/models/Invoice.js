@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Invoice Line Sub-schema - amounts are in rupees, tax split into CGST + SGST
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: true,
+    },
+    sacCode: String,
+    quantity: {
+      type: Number,
+      default: 1,
+    },
+    unitPrice: Number,
+    amount: Number,
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    taxableValue: Number,
+    taxRate: Number,
+    cgst: Number,
+    sgst: Number,
+    total: Number,
+  },
+  { _id: false }
+);
+
+// Invoice Schema - GST tax invoice, issued once per delivered order and never changed
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    orderNumber: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Copied from Settings.invoice at issue time
+    seller: {
+      name: String,
+      legalName: String,
+      gstin: String,
+      address: String,
+      stateCode: String,
+      stateName: String,
+      fssaiNumber: String,
+      phone: String,
+      email: String,
+    },
+    buyer: {
+      name: String,
+      phone: String,
+      email: String,
+      address: String,
+    },
+    // Deliveries never leave the service area, so supply is always intra-state
+    placeOfSupply: String,
+
+    lines: [invoiceLineSchema],
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      totalTax: Number,
+      roundOff: Number,
+      grandTotal: Number,
+    },
+
+    paymentMethod: String,
+    footerNote: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -14,6 +14,37 @@ const priceVariantSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// Customization Option Sub-schema (e.g. "Extra Cheese" +₹30)
+const customizationOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// Customization Group Sub-schema (e.g. "Add-ons", "Spice Level")
+const customizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['single', 'multiple'],
+    default: 'single',
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  options: [customizationOptionSchema],
+}, { _id: false });
+
 // MenuItem Schema - Simplified based on data.json
 const menuItemSchema = new mongoose.Schema(
   {
@@ -52,6 +83,9 @@ const menuItemSchema = new mongoose.Schema(
       },
     },
 
+    // Customization catalog - the only source of add-on prices at checkout
+    customizations: [customizationSchema],
+
     // Categories (from data.json)
     categories: {
       type: [String],
@@ -59,6 +93,12 @@ const menuItemSchema = new mongoose.Schema(
       default: ['All'],
     },
 
+    // HSN/SAC code printed on tax invoices; Settings.invoice.foodSacCode when not set
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+
     // Ratings
     rating: {
       type: Number,
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const AppError = require('../utils/AppError');
+const { roundCurrency } = require('../utils/currency');
+const { ORDER_STATUSES, ORDER_TYPES, assertTransition } = require('../utils/orderStateMachine');
+const sequenceService = require('../services/sequence.service');
+const slotService = require('../services/slot.service');
+const tenderService = require('../services/tender.service');
+const { emitKitchenTicketClosed } = require('../utils/socket');
+
+// Payment statuses where money has been taken and can be returned
+const REFUNDABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+// Payment legs paid from the customer's own balance (taken when the order is placed)
+const STORE_CREDIT_METHODS = ['WALLET', 'LOYALTY'];
+// Payment leg statuses still waiting for money
+const DUE_LEG_STATUSES = ['PENDING', 'AWAITING_PAYMENT', 'FAILED'];
+// Payment statuses of an ONLINE order whose payment the gateway has not confirmed
+const ONLINE_UNPAID_STATUSES = ['PENDING', 'FAILED'];
 
 // Customization Sub-schema
 const orderCustomizationSchema = new mongoose.Schema({
@@ -38,6 +54,18 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Kitchen display routing and progress
+  station: String,
+  kitchenStatus: {
+    type: String,
+    enum: ['QUEUED', 'DONE'],
+    default: 'QUEUED',
+  },
+  preparedAt: Date,
+  preparedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 });
 
 // Status History Sub-schema
@@ -55,6 +83,8 @@ const statusHistorySchema = new mongoose.Schema({
     ref: 'User',
   },
   notes: String,
+  // What an edit changed (items added/removed/changed, address, instructions, total)
+  changes: mongoose.Schema.Types.Mixed,
   location: {
     type: {
       type: String,
@@ -64,6 +94,172 @@ const statusHistorySchema = new mongoose.Schema({
   },
 });
 
+// Refund Line Sub-schema (item-level refunds)
+const refundItemSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    amount: Number,
+  },
+  { _id: false }
+);
+
+// Payment Leg Sub-schema - one tender of the order's payment (amounts in rupees)
+const paymentLegSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['ONLINE', 'COD', 'CARD', 'UPI', 'WALLET', 'LOYALTY'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // RETURNED: store credit given back because the order was cancelled before it was paid
+  status: {
+    type: String,
+    enum: ['PENDING', 'AWAITING_PAYMENT', 'PAID', 'FAILED', 'RETURNED'],
+    default: 'PENDING',
+  },
+  // LOYALTY: points redeemed for the amount
+  points: Number,
+  // WALLET: the ledger debit
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+  },
+  // Gateway payment ID, UTR or counter reference
+  reference: String,
+  paidAt: Date,
+  returnedAt: Date,
+});
+
+// Refund Ledger Sub-schema
+const refundSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['full', 'partial', 'items'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    items: [refundItemSchema],
+    // cancellation = opened automatically when a paid order was cancelled
+    source: {
+      type: String,
+      enum: ['admin', 'cancellation'],
+      default: 'admin',
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'PROCESSED', 'FAILED'],
+      default: 'PENDING',
+    },
+    // wallet / loyalty = returned as store credit (loyalty: points), given when PROCESSED
+    destination: {
+      type: String,
+      enum: ['original', 'wallet', 'loyalty'],
+      default: 'original',
+    },
+    points: Number,
+    reference: String,
+    walletTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletTransaction',
+    },
+    creditedAt: Date,
+    failureReason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Substitution Line Sub-schema - one unavailable order line and what the kitchen proposes
+const substitutionLineSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: String,
+    quantity: Number,
+    action: {
+      type: String,
+      enum: ['substitute', 'remove'],
+      required: true,
+    },
+    substitute: {
+      menuItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+      },
+      name: String,
+      portion: String,
+      quantity: Number,
+      customizations: [
+        {
+          _id: false,
+          name: String,
+          option: String,
+        },
+      ],
+    },
+  },
+  { _id: false }
+);
+
+// Substitution Sub-schema - kitchen proposal the customer accepts or declines
+const substitutionSchema = new mongoose.Schema(
+  {
+    lines: [substitutionLineSchema],
+    note: String,
+    // PROPOSED until the customer answers: ACCEPTED (take substitutes), REMOVED (drop the
+    // lines only), CANCELLED (cancel the order) or EXPIRED (no answer, lines dropped)
+    status: {
+      type: String,
+      enum: ['PROPOSED', 'ACCEPTED', 'REMOVED', 'CANCELLED', 'EXPIRED'],
+      default: 'PROPOSED',
+    },
+    currentTotal: Number,
+    proposedTotal: Number,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+  },
+  { timestamps: true }
+);
+
 // Order Schema
 const orderSchema = new mongoose.Schema(
   {
@@ -97,6 +293,19 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // How deliveryFee was worked out, kept for audits
+      deliveryRule: {
+        mode: {
+          type: String,
+          enum: ['flat', 'distance', 'free'],
+        },
+        distanceKm: Number,
+        slabUpToKm: Number,
+        baseFee: Number,
+        freeDeliveryAbove: Number,
+        surgeMultiplier: Number,
+        surgeReason: String,
+      },
       platformFee: {
         type: Number,
         default: 0,
@@ -109,6 +318,8 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // GST rate (%) in force when the order was priced, for the tax invoice
+      taxRate: Number,
       discount: {
         type: Number,
         default: 0,
@@ -136,7 +347,18 @@ const orderSchema = new mongoose.Schema(
       },
     },
 
-    // Delivery Information
+    // Order Type - changes the status flow, required fields and fees
+    orderType: {
+      type: String,
+      enum: ORDER_TYPES,
+      default: 'delivery',
+    },
+    // Pickup: code the customer shows at the counter to collect the order
+    pickupCode: String,
+    // Dine-in: table the order is served to
+    tableNumber: String,
+
+    // Delivery Information (delivery orders only)
     deliveryAddress: {
       street: String,
       apartment: String,
@@ -175,33 +397,61 @@ const orderSchema = new mongoose.Schema(
     // Order Status & Timeline
     status: {
       type: String,
-      enum: ['PENDING', 'READY', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'],
+      enum: ORDER_STATUSES,
       default: 'PENDING',
     },
 
     statusHistory: [statusHistorySchema],
 
     // Payment
+    // Method of the leg collected outside the customer's balances (see payments);
+    // WALLET / LOYALTY when store credit pays the whole order
     paymentMethod: {
       type: String,
-      enum: ['ONLINE', 'COD', 'CARD', 'UPI'],
+      enum: ['ONLINE', 'COD', 'CARD', 'UPI', 'WALLET', 'LOYALTY'],
       required: true,
     },
 
+    // Derived from the payment legs until refunds start
     paymentStatus: {
       type: String,
-      enum: ['PENDING', 'PAID', 'FAILED', 'REFUNDED'],
+      // AWAITING_PAYMENT: paid by UPI to Settings.upiId, not yet confirmed by an admin
+      enum: ['PENDING', 'AWAITING_PAYMENT', 'PAID', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
       default: 'PENDING',
     },
 
+    // Amount actually charged, when it differs from pricing.finalAmount (prepaid order edited)
+    amountPaid: Number,
+
+    // Split tender: store credit legs plus at most one leg for the rest (the due leg).
+    // Empty on orders placed before payment legs, which are paid in full by paymentMethod
+    payments: [paymentLegSchema],
+
     paymentDetails: {
       transactionId: String,
       gateway: String,
+      // Gateway order the checkout collects against, and its amount in paise
+      gatewayOrderId: String,
+      gatewayAmount: Number,
       method: String,
       timestamp: Date,
+      failureReason: String,
       receiptUrl: String,
     },
 
+    // Gateway / bank settlement of an online payment, filled by payment reconciliation
+    settlement: {
+      settlementId: String,
+      settledAt: Date,
+      amount: Number,
+      fee: Number,
+      tax: Number,
+      reconciliation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReconciliationRun',
+      },
+    },
+
     // COD-specific
     cashCollection: {
       expectedAmount: Number,
@@ -216,11 +466,33 @@ const orderSchema = new mongoose.Schema(
       settledAt: Date,
     },
 
+    // Pickup / dine-in bill paid at the counter
+    counterSettlement: {
+      method: {
+        type: String,
+        enum: ['COD', 'CARD', 'UPI'],
+      },
+      amount: Number,
+      reference: String,
+      settledAt: Date,
+      settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
     // Time Management
     estimatedPrepTime: Number,
     estimatedDeliveryTime: Date,
     actualDeliveryTime: Date,
 
+    // Scheduled delivery: start of the booked slot (unset for ASAP orders)
+    scheduledFor: Date,
+    // When the order enters the live kitchen queue
+    releaseAt: Date,
+    // When the release watcher put it on the kitchen screens
+    releasedAt: Date,
+
     // Rating & Feedback
     rating: {
       food: {
@@ -266,6 +538,12 @@ const orderSchema = new mongoose.Schema(
       refundedAt: Date,
     },
 
+    // Refund ledger - one entry per refund, pending until the money is returned
+    refunds: [refundSchema],
+
+    // Kitchen substitution proposals for lines that ran out
+    substitutions: [substitutionSchema],
+
     // Special Instructions
     specialInstructions: String,
     contactlessDelivery: {
@@ -304,11 +582,17 @@ orderSchema.index({ orderNumber: 1 }, { unique: true });
 orderSchema.index({ 'customer.id': 1, createdAt: -1 });
 orderSchema.index({ 'deliveryPartner.id': 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ orderType: 1, status: 1 });
 orderSchema.index({ paymentMethod: 1, paymentStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'paymentDetails.gatewayOrderId': 1 }, { sparse: true });
+orderSchema.index({ 'paymentDetails.transactionId': 1 }, { sparse: true });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'deliveryAddress.coordinates': '2dsphere' });
 orderSchema.index({ 'metadata.isFirstOrder': 1 });
+orderSchema.index({ scheduledFor: 1 }, { sparse: true });
+orderSchema.index({ releaseAt: 1 }, { sparse: true });
+orderSchema.index({ 'substitutions.status': 1, 'substitutions.expiresAt': 1 });
 
 // Virtual for total items
 orderSchema.virtual('totalItems').get(function () {
@@ -323,34 +607,54 @@ orderSchema.virtual('deliveryTime').get(function () {
   return null;
 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function (next) {
+// Order numbers come from the shared counter-backed sequence (runs before required validation)
+orderSchema.pre('validate', async function () {
   if (this.isNew && !this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    this.orderNumber = `ORD_${year}${month}_${String(count + 1).padStart(6, '0')}`;
+    this.orderNumber = await sequenceService.nextOrderNumber({ session: this.$session() });
   }
-  next();
 });
 
-// Add status to history before saving
+// Seed the history of new orders and keep later status changes on updateStatus
 orderSchema.pre('save', function (next) {
-  if (this.isModified('status')) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-    });
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+    return next();
   }
+
+  if (this.isModified('status') && !this.$locals.statusTransition) {
+    return next(new AppError('Order status must be changed through updateStatus', 500));
+  }
+  this.$locals.statusTransition = false;
   next();
 });
 
-// Static method to find pending orders
+// Static method to find orders waiting on the kitchen
+// Scheduled orders stay out of the queue until their release time, and UPI and ONLINE orders
+// until their payment is confirmed
 orderSchema.statics.findPending = function () {
-  return this.find({
-    status: { $in: ['PENDING', 'CONFIRMED', 'PREPARING'] },
-  }).sort({ createdAt: 1 });
+  return this.find(this.kitchenQueueFilter()).sort({ createdAt: 1 });
+};
+
+// Static method to get the filter for orders the kitchen should be cooking
+orderSchema.statics.kitchenQueueFilter = function () {
+  return {
+    status: 'PENDING',
+    paymentStatus: { $ne: 'AWAITING_PAYMENT' },
+    $nor: [{ paymentMethod: 'ONLINE', paymentStatus: { $in: ONLINE_UNPAID_STATUSES } }],
+    releaseAt: { $not: { $gt: new Date() } },
+  };
+};
+
+// Instance method to check the order against kitchenQueueFilter()
+orderSchema.methods.isInKitchenQueue = function () {
+  return (
+    this.status === 'PENDING' &&
+    this.paymentStatus !== 'AWAITING_PAYMENT' &&
+    !(this.paymentMethod === 'ONLINE' && ONLINE_UNPAID_STATUSES.includes(this.paymentStatus)) &&
+    !(this.releaseAt > new Date())
+  );
 };
 
 // Static method to find orders by status
@@ -365,28 +669,516 @@ orderSchema.statics.findByCustomer = function (customerId, limit = 20) {
     .limit(limit);
 };
 
-// Instance method to update status
-orderSchema.methods.updateStatus = async function (newStatus, updatedBy, notes) {
+/**
+ * Instance method to update status
+ * Validates the transition against the state machine, applies its side effects
+ * and writes exactly one statusHistory entry.
+ * @param {string} newStatus - Target status
+ * @param {Object} context - { role, updatedBy, reason, notes, location, pickupCode,
+ *   collectedAmount, changeFund } - the last two describe the cash a rider took for a COD order
+ */
+orderSchema.methods.updateStatus = async function (newStatus, context = {}) {
+  const {
+    role = 'system',
+    updatedBy,
+    reason,
+    notes,
+    location,
+    pickupCode,
+    collectedAmount,
+    changeFund,
+  } = context;
+
+  assertTransition(this, newStatus, { role, userId: updatedBy, reason, pickupCode });
+
+  if (newStatus === 'READY' && this.getOpenSubstitution()) {
+    throw new AppError('The customer has not answered the substitution request yet', 400);
+  }
+  if (newStatus === 'READY' && this.paymentStatus === 'AWAITING_PAYMENT') {
+    throw new AppError('The UPI payment for this order has not been confirmed yet', 400);
+  }
+  if (
+    newStatus === 'READY' &&
+    this.paymentMethod === 'ONLINE' &&
+    ONLINE_UNPAID_STATUSES.includes(this.paymentStatus)
+  ) {
+    throw new AppError('The online payment for this order has not been received yet', 400);
+  }
+
+  const now = new Date();
+  const previousStatus = this.status;
+
+  if (newStatus === 'OUT_FOR_DELIVERY') {
+    this.deliveryPartner.pickedUpAt = now;
+  } else if (newStatus === 'DELIVERED') {
+    if (this.deliveryPartner.id) {
+      this.deliveryPartner.deliveredAt = now;
+    }
+    this.actualDeliveryTime = now;
+
+    // The rider collected the cash on delivery; only the cash leg is collected - store credit
+    // already paid its part
+    if (
+      this.paymentMethod === 'COD' &&
+      this.deliveryPartner.id &&
+      ['PENDING', 'FAILED'].includes(this.paymentStatus)
+    ) {
+      const cashDue = this.getAmountDue();
+      this.cashCollection = {
+        expectedAmount: cashDue,
+        collectedAmount: collectedAmount || cashDue,
+        changeFund: changeFund || 0,
+        collectedAt: now,
+        isSettled: false,
+      };
+      this.updateDueLeg('PAID');
+    }
+  } else if (newStatus === 'CANCELLED') {
+    this.cancellation = {
+      ...(this.cancellation ? this.cancellation.toObject() : {}),
+      reason,
+      cancelledBy: ['customer', 'admin'].includes(role) ? role : 'system',
+      timestamp: now,
+    };
+
+    // Prepaid orders get a refund for whatever has not been refunded yet: wallet and loyalty
+    // legs go straight back as store credit, the rest is a pending refund to the original method
+    const refundable = this.getRefundableAmount();
+    if (REFUNDABLE_PAYMENT_STATUSES.includes(this.paymentStatus) && refundable > 0) {
+      let left = refundable;
+      this.payments
+        .filter((leg) => STORE_CREDIT_METHODS.includes(leg.method) && leg.status === 'PAID')
+        .forEach((leg) => {
+          const destination = leg.method.toLowerCase();
+          const returned = this.refunds
+            .filter((refund) => refund.destination === destination && refund.status !== 'FAILED')
+            .reduce((sum, refund) => sum + refund.amount, 0);
+          const share = roundCurrency(Math.min(Math.max(leg.amount - returned, 0), left));
+          if (share <= 0) return;
+
+          const refund = this.openRefund({
+            type: share < left ? 'partial' : 'full',
+            amount: share,
+            reason,
+            requestedBy: updatedBy,
+            source: 'cancellation',
+            destination,
+          });
+          this.settleRefund(refund._id, { status: 'PROCESSED', processedBy: updatedBy });
+          left = roundCurrency(left - share);
+        });
+
+      if (left > 0) {
+        this.openRefund({
+          type: 'full',
+          reason,
+          requestedBy: updatedBy,
+          source: 'cancellation',
+          destination: 'original',
+        });
+      }
+      this.cancellation.refundAmount = refundable;
+    }
+  }
+
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
-    timestamp: new Date(),
+    timestamp: now,
     updatedBy,
-    notes,
+    notes: notes || reason,
+    location,
   });
-  await this.save();
+
+  this.$locals.statusTransition = true;
+  if (newStatus === 'CANCELLED') {
+    // Store credit refunds, and the store credit of an unpaid order, go back with the save
+    await tenderService.saveOrder(this, { actor: updatedBy, actorRole: role });
+  } else {
+    await this.save();
+  }
+
+  // A cancelled pre-order frees its place in the delivery slot
+  if (newStatus === 'CANCELLED' && this.scheduledFor) {
+    await slotService.release(this.scheduledFor);
+  }
+
+  // The kitchen display drops the ticket once the order leaves the queue
+  if (previousStatus === 'PENDING') {
+    emitKitchenTicketClosed(this);
+  }
+
+  return this;
 };
 
-// Instance method to assign delivery partner
-orderSchema.methods.assignDeliveryPartner = async function (partnerId, partnerDetails) {
+/**
+ * Instance method to assign delivery partner
+ * Assignment keeps the order READY; it is recorded in statusHistory for the audit trail
+ * @param {Object} partner - Delivery partner user document
+ * @param {ObjectId} assignedBy - Admin assigning the partner
+ */
+orderSchema.methods.assignDeliveryPartner = async function (partner, assignedBy) {
+  if (this.orderType !== 'delivery') {
+    throw new AppError(`A ${this.orderType} order does not need a delivery partner`, 400);
+  }
+
+  if (this.status !== 'READY') {
+    throw new AppError(
+      `Cannot assign partner. Order must be READY. Current status: ${this.status}`,
+      400
+    );
+  }
+
+  const partnerName = `${partner.name.first} ${partner.name.last}`;
+
   this.deliveryPartner = {
-    id: partnerId,
-    name: partnerDetails.name,
-    phone: partnerDetails.phone,
-    vehicleNumber: partnerDetails.vehicleNumber,
+    id: partner._id,
+    name: partnerName,
+    phone: partner.phone.number,
+    vehicleNumber: partner.deliveryData?.vehicleInfo?.number || 'N/A',
     assignedAt: new Date(),
   };
-  await this.updateStatus('CONFIRMED');
+
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: new Date(),
+    updatedBy: assignedBy,
+    notes: `Delivery partner assigned: ${partnerName}`,
+  });
+
+  await this.save();
+  return this;
+};
+
+/**
+ * Instance method to record a pickup / dine-in bill paid at the counter
+ * @param {Object} settlement - { method: COD | CARD | UPI, reference, settledBy }
+ */
+orderSchema.methods.settleAtCounter = async function ({ method, reference, settledBy }) {
+  if (this.orderType === 'delivery') {
+    throw new AppError('Only pickup and dine-in orders can be settled at the counter', 400);
+  }
+  if (this.status === 'CANCELLED') {
+    throw new AppError('This order was cancelled', 400);
+  }
+  if (this.paymentStatus !== 'PENDING' && this.paymentStatus !== 'FAILED') {
+    throw new AppError(`This order is already ${this.paymentStatus.toLowerCase()}`, 400);
+  }
+
+  const now = new Date();
+  const amount = this.getAmountDue();
+
+  this.paymentMethod = method;
+  this.updateDueLeg('PAID', { method, reference });
+  this.counterSettlement = { method, amount, reference, settledAt: now, settledBy };
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: now,
+    updatedBy: settledBy,
+    notes: `Bill of ₹${amount} settled at the counter (${method})`,
+  });
+
+  // Two cashiers must not both take the payment
+  this.$where = { paymentStatus: { $in: ['PENDING', 'FAILED'] } };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new AppError('This bill was already settled. Please refresh the order', 409);
+    }
+    throw error;
+  }
+  return this;
+};
+
+/**
+ * Instance method to record an online payment confirmed by the gateway
+ * @param {Object} payment - { gateway, paymentId, method, session }
+ */
+orderSchema.methods.recordOnlinePayment = async function ({ gateway, paymentId, method, session }) {
+  const now = new Date();
+  const amount = this.getAmountDue();
+
+  this.updateDueLeg('PAID', { reference: paymentId });
+  this.paymentDetails.gateway = gateway;
+  this.paymentDetails.transactionId = paymentId;
+  this.paymentDetails.method = method;
+  this.paymentDetails.timestamp = now;
+  this.paymentDetails.failureReason = undefined;
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: now,
+    notes: `Payment of ₹${amount} received online (${paymentId})`,
+  });
+
+  // The checkout callback and the webhook race to confirm the same payment
+  this.$where = { paymentStatus: { $in: ['PENDING', 'FAILED'] } };
+  await this.save({ session });
+  return this;
+};
+
+/**
+ * Instance method to record a UPI payment to Settings.upiId, found by an admin
+ * @param {Object} confirmation - { utr, confirmedBy }
+ */
+orderSchema.methods.confirmUpiPayment = async function ({ utr, confirmedBy }) {
+  const now = new Date();
+  const amount = this.getAmountDue();
+
+  this.updateDueLeg('PAID', { reference: utr });
+  this.paymentDetails.gateway = 'upi';
+  this.paymentDetails.transactionId = utr;
+  this.paymentDetails.method = 'UPI';
+  this.paymentDetails.timestamp = now;
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: now,
+    updatedBy: confirmedBy,
+    notes: `UPI payment of ₹${amount} confirmed (UTR ${utr})`,
+  });
+
+  this.$where = { paymentStatus: 'AWAITING_PAYMENT' };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new AppError('This payment was already handled. Please refresh the order', 409);
+    }
+    throw error;
+  }
+  return this;
+};
+
+// Instance method to get the amount that can still be refunded (pending refunds count as used)
+orderSchema.methods.getRefundableAmount = function () {
+  const committed = this.refunds
+    .filter((refund) => refund.status !== 'FAILED')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return roundCurrency(this.getAmountPaid() - committed);
+};
+
+// Instance method to get the amount charged to the customer
+orderSchema.methods.getAmountPaid = function () {
+  return this.amountPaid ?? this.pricing.finalAmount;
+};
+
+// Instance method to get the payment leg collected outside the customer's balances, if any
+orderSchema.methods.getDueLeg = function () {
+  return this.payments.find((leg) => !STORE_CREDIT_METHODS.includes(leg.method));
+};
+
+// Instance method to get the amount still to be collected (the whole bill on orders without legs)
+orderSchema.methods.getAmountDue = function () {
+  if (this.payments.length === 0) {
+    return this.pricing.finalAmount;
+  }
+  return roundCurrency(
+    this.payments
+      .filter((leg) => DUE_LEG_STATUSES.includes(leg.status))
+      .reduce((sum, leg) => sum + leg.amount, 0)
+  );
+};
+
+/**
+ * Instance method to record the outcome of the due leg and derive paymentStatus (does not save)
+ * @param {string} status - PAID | FAILED
+ * @param {Object} details - { method, reference }
+ */
+orderSchema.methods.updateDueLeg = function (status, { method, reference } = {}) {
+  const leg = this.getDueLeg();
+
+  if (!leg) {
+    this.paymentStatus = status;
+    return;
+  }
+
+  leg.status = status;
+  if (method) leg.method = method;
+  if (reference) leg.reference = reference;
+  if (status === 'PAID') leg.paidAt = new Date();
+  this.paymentStatus = tenderService.derivePaymentStatus(this.payments);
+};
+
+// Instance method to price an item-level refund: the lines' share after discount, plus their GST
+orderSchema.methods.priceRefundItems = function (lines) {
+  const {
+    itemsTotal,
+    discount = 0,
+    deliveryFee = 0,
+    platformFee = 0,
+    packagingFee = 0,
+    gst = 0,
+  } = this.pricing;
+  const taxableAmount = itemsTotal - discount + deliveryFee + platformFee + packagingFee;
+  const discountRatio = itemsTotal > 0 ? discount / itemsTotal : 0;
+  const taxRatio = taxableAmount > 0 ? gst / taxableAmount : 0;
+
+  const refundedItems = this.refunds
+    .filter((refund) => refund.status !== 'FAILED')
+    .flatMap((refund) => refund.items);
+
+  return lines.map(({ itemId, quantity }) => {
+    const item = this.items.id(itemId);
+    if (!item) {
+      throw new AppError(`Order line ${itemId} not found`, 400);
+    }
+
+    const alreadyRefunded = refundedItems
+      .filter((refunded) => refunded.itemId.equals(item._id))
+      .reduce((sum, refunded) => sum + refunded.quantity, 0);
+    if (quantity > item.quantity - alreadyRefunded) {
+      throw new AppError(
+        `Only ${item.quantity - alreadyRefunded} × ${item.name} can still be refunded`,
+        400
+      );
+    }
+
+    const lineAmount = (item.subtotal / item.quantity) * quantity * (1 - discountRatio);
+
+    return {
+      itemId: item._id,
+      name: item.name,
+      quantity,
+      amount: roundCurrency(lineAmount * (1 + taxRatio)),
+    };
+  });
+};
+
+/**
+ * Instance method to add a pending refund to the ledger (does not save)
+ * @param {Object} refund - { type: full|partial|items, amount, items: [{ itemId, quantity }],
+ *   reason, requestedBy, source, destination, points }
+ * @returns {Object} Refund subdocument
+ */
+orderSchema.methods.openRefund = function ({
+  type,
+  amount,
+  items = [],
+  reason,
+  requestedBy,
+  source = 'admin',
+  // Orders paid entirely from store credit are refunded to it unless told otherwise
+  destination = STORE_CREDIT_METHODS.includes(this.paymentMethod)
+    ? this.paymentMethod.toLowerCase()
+    : 'original',
+  points,
+}) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(this.paymentStatus)) {
+    throw new AppError(`Cannot refund an order with payment status ${this.paymentStatus}`, 400);
+  }
+
+  const refundable = this.getRefundableAmount();
+  let refundItems = [];
+  let refundAmount;
+
+  if (type === 'full') {
+    refundAmount = refundable;
+  } else if (type === 'partial') {
+    refundAmount = roundCurrency(amount);
+  } else {
+    refundItems = this.priceRefundItems(items);
+    refundAmount = roundCurrency(refundItems.reduce((sum, item) => sum + item.amount, 0));
+  }
+
+  if (refundAmount <= 0) {
+    throw new AppError('Nothing left to refund on this order', 400);
+  }
+  if (refundAmount > refundable) {
+    throw new AppError(`Refund exceeds the refundable amount of ₹${refundable}`, 400);
+  }
+
+  // Points go back in proportion to the loyalty leg unless given
+  const loyaltyLeg = this.payments.find((leg) => leg.method === 'LOYALTY');
+  let refundPoints = points;
+  if (destination === 'loyalty' && refundPoints === undefined && loyaltyLeg) {
+    refundPoints = Math.round((loyaltyLeg.points * refundAmount) / loyaltyLeg.amount);
+  }
+
+  this.refunds.push({
+    type,
+    amount: refundAmount,
+    reason,
+    items: refundItems,
+    source,
+    destination,
+    points: refundPoints,
+    requestedBy,
+  });
+
+  if (source === 'cancellation') {
+    this.cancellation.refundAmount = refundAmount;
+    this.cancellation.refundStatus = 'PENDING';
+  }
+
+  // Concurrent refunds on the same order fail with a VersionError instead of over-refunding
+  this.increment();
+  return this.refunds[this.refunds.length - 1];
+};
+
+/**
+ * Instance method to record the outcome of a pending refund (does not save)
+ * @param {string} refundId - Refund subdocument id
+ * @param {Object} outcome - { status: PROCESSED|FAILED, reference, failureReason, processedBy,
+ *   destination }
+ * @returns {Object} Refund subdocument
+ */
+orderSchema.methods.settleRefund = function (
+  refundId,
+  { status, reference, failureReason, processedBy, destination }
+) {
+  const refund = this.refunds.id(refundId);
+
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  if (refund.status !== 'PENDING') {
+    throw new AppError(`Refund is already ${refund.status}`, 400);
+  }
+
+  refund.status = status;
+  refund.destination = destination || refund.destination;
+  refund.reference = reference;
+  refund.failureReason = failureReason;
+  refund.processedBy = processedBy;
+  refund.processedAt = new Date();
+
+  const refunded = this.refunds
+    .filter((r) => r.status === 'PROCESSED')
+    .reduce((sum, r) => sum + r.amount, 0);
+  if (refunded >= this.getAmountPaid()) {
+    this.paymentStatus = 'REFUNDED';
+  } else if (refunded > 0) {
+    this.paymentStatus = 'PARTIALLY_REFUNDED';
+  }
+
+  if (refund.source === 'cancellation') {
+    this.cancellation.refundStatus = status;
+    if (status === 'PROCESSED') {
+      this.cancellation.refundedAt = refund.processedAt;
+    }
+  }
+
+  this.increment();
+  return refund;
+};
+
+// Instance method to get the substitution request still waiting for the customer
+orderSchema.methods.getOpenSubstitution = function () {
+  return this.substitutions.find((substitution) => substitution.status === 'PROPOSED');
+};
+
+// Instance method to rebuild cart items (as accepted by createOrder) from the order lines
+orderSchema.methods.toCartItems = function () {
+  return this.items.map((item) => ({
+    menuItem: item.menuItemId.toString(),
+    quantity: item.quantity,
+    portion: item.portion,
+    price: item.price,
+    customizations: item.customizations.flatMap((c) =>
+      c.options.map((option) => ({ name: c.name, option }))
+    ),
+  }));
 };
 
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// PaymentEvent Schema - gateway webhooks already applied, so retried deliveries are no-ops
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    gatewayOrderId: String,
+    paymentId: String,
+    // Paise, as reported by the gateway
+    amount: Number,
+    // What the event did to the order
+    outcome: {
+      type: String,
+      enum: ['paid', 'failed', 'ignored', 'unmatched', 'amount_mismatch', 'double_payment'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ outcome: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -132,10 +132,15 @@ const promoCodeSchema = new mongoose.Schema(
     termsAndConditions: String,
 
     // Analytics
-    stats: promoStatsSchema,
+    stats: {
+      type: promoStatsSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
@@ -149,9 +154,10 @@ promoCodeSchema.virtual('isCurrentlyActive').get(function () {
   return this.isActive && this.validFrom <= now && this.validTo >= now;
 });
 
-// Virtual for remaining uses
+// Virtual for remaining uses - null for codes without a usage limit (Infinity would be
+// serialized as null anyway)
 promoCodeSchema.virtual('remainingUses').get(function () {
-  if (!this.usageLimit) return Infinity;
+  if (!this.usageLimit) return null;
   return this.usageLimit - this.usageCount;
 });
 
@@ -165,54 +171,156 @@ promoCodeSchema.statics.findActive = function () {
   });
 };
 
-// Static method to validate promo code
-promoCodeSchema.statics.validateCode = async function (code, userId, orderData) {
-  const promo = await this.findOne({ code: code.toUpperCase() });
+// Convert "HH:mm" to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
 
-  if (!promo) {
-    return { valid: false, message: 'Invalid promo code' };
-  }
+// Check whether a date falls inside any of the promo's time slots (slots may cross midnight)
+const isWithinTimeSlots = (timeSlots, date) => {
+  const current = date.getHours() * 60 + date.getMinutes();
+  return timeSlots.some(({ from, to }) => {
+    if (!from || !to) return true;
+    const start = toMinutes(from);
+    const end = toMinutes(to);
+    return start <= end ? current >= start && current <= end : current >= start || current <= end;
+  });
+};
+
+// Instance method to check whether the code can be used at a time of day (no slots = any time)
+promoCodeSchema.methods.isWithinTimeSlots = function (date = new Date()) {
+  return !this.timeSlots || this.timeSlots.length === 0 || isWithinTimeSlots(this.timeSlots, date);
+};
 
+/**
+ * Check the rules that decide whether a customer may claim a code right now
+ * (status, dates, usage limits, day/time windows, customer eligibility)
+ * @returns {Promise<string|null>} Reason the code cannot be claimed, or null
+ */
+const checkClaim = async (promo, userId, orderData) => {
   if (!promo.isActive) {
-    return { valid: false, message: 'Promo code is inactive' };
+    return 'Promo code is inactive';
   }
 
   const now = new Date();
-  if (promo.validFrom > now || promo.validTo < now) {
-    return { valid: false, message: 'Promo code has expired' };
+  if (promo.validFrom > now) {
+    return 'Promo code is not active yet';
   }
-
-  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
-    return { valid: false, message: 'Promo code usage limit reached' };
+  if (promo.validTo < now) {
+    return 'Promo code has expired';
   }
 
-  if (orderData.itemsTotal < promo.minOrderValue) {
-    return {
-      valid: false,
-      message: `Minimum order value of ₹${promo.minOrderValue} required`,
-    };
+  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
+    return 'Promo code usage limit reached';
   }
 
   // Check day of week
   if (promo.daysOfWeek && promo.daysOfWeek.length > 0) {
     const currentDay = now.getDay();
     if (!promo.daysOfWeek.includes(currentDay)) {
-      return { valid: false, message: 'Promo code not valid on this day' };
+      return 'Promo code not valid on this day';
     }
   }
 
+  // Check time of day
+  if (!promo.isWithinTimeSlots(now)) {
+    const slots = promo.timeSlots.map((slot) => `${slot.from}-${slot.to}`).join(', ');
+    return `Promo code is only valid between ${slots}`;
+  }
+
   // Check user eligibility
   if (promo.applicableTo === 'specific-users') {
     if (!promo.eligibleUsers.includes(userId)) {
-      return { valid: false, message: 'You are not eligible for this promo code' };
+      return 'You are not eligible for this promo code';
+    }
+  }
+
+  if (promo.applicableTo === 'first-order' && !orderData.isFirstOrder) {
+    return 'Promo code is only valid on your first order';
+  }
+
+  // Check per-user limit against the customer's past orders (placeOrder checks it again
+  // inside its transaction)
+  if (promo.perUserLimit) {
+    const timesUsed = await promo.countUsesBy(userId);
+    if (timesUsed >= promo.perUserLimit) {
+      return 'You have already used this promo code';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Static method to validate promo code
+ * Codes already claimed by an order being edited (isExistingOrder) only re-check the
+ * cart-dependent rules: minimum order value and eligible items
+ * @param {string} code - Promo code
+ * @param {ObjectId} userId - Customer applying the code
+ * @param {Object} orderData - { itemsTotal, items: [{ menuItemId, subtotal }], isFirstOrder, isExistingOrder }
+ * @returns {Promise<{ valid: boolean, message?: string, promo?: Object, eligibleTotal?: number }>}
+ */
+promoCodeSchema.statics.validateCode = async function (code, userId, orderData) {
+  const promo = await this.findOne({ code: code.toUpperCase() });
+
+  if (!promo) {
+    return { valid: false, message: 'Invalid promo code' };
+  }
+
+  if (!orderData.isExistingOrder) {
+    const claimError = await checkClaim(promo, userId, orderData);
+    if (claimError) {
+      return { valid: false, message: claimError };
     }
   }
 
-  return { valid: true, promo };
+  if (orderData.itemsTotal < promo.minOrderValue) {
+    return {
+      valid: false,
+      message: `Minimum order value of ₹${promo.minOrderValue} required`,
+    };
+  }
+
+  // Restrict the discount to eligible items/categories
+  let eligibleTotal = orderData.itemsTotal;
+  const hasItemRestriction = promo.applicableItems && promo.applicableItems.length > 0;
+  const hasCategoryRestriction = promo.applicableCategories && promo.applicableCategories.length > 0;
+
+  if (hasItemRestriction || hasCategoryRestriction) {
+    const lineIds = orderData.items.map((item) => item.menuItemId);
+    const menuItems = await mongoose
+      .model('MenuItem')
+      .find({ _id: { $in: lineIds } })
+      .select('categories');
+    const categoriesById = new Map(menuItems.map((mi) => [mi._id.toString(), mi.categories]));
+
+    eligibleTotal = orderData.items
+      .filter((item) => {
+        const itemId = item.menuItemId.toString();
+        const matchesItem =
+          hasItemRestriction && promo.applicableItems.some((id) => id.toString() === itemId);
+        const matchesCategory =
+          hasCategoryRestriction &&
+          (categoriesById.get(itemId) || []).some((c) => promo.applicableCategories.includes(c));
+        return matchesItem || matchesCategory;
+      })
+      .reduce((sum, item) => sum + item.subtotal, 0);
+
+    if (eligibleTotal === 0) {
+      return { valid: false, message: 'Promo code does not apply to the items in your cart' };
+    }
+  }
+
+  return { valid: true, promo, eligibleTotal };
 };
 
-// Instance method to calculate discount
-promoCodeSchema.methods.calculateDiscount = function (orderTotal) {
+/**
+ * Instance method to calculate discount
+ * @param {number} orderTotal - Amount the discount applies to (eligible items total)
+ * @param {Object} options - { deliveryFee } used by free-delivery codes
+ */
+promoCodeSchema.methods.calculateDiscount = function (orderTotal, { deliveryFee = 0 } = {}) {
   let discount = 0;
 
   if (this.discountType === 'percentage') {
@@ -222,18 +330,56 @@ promoCodeSchema.methods.calculateDiscount = function (orderTotal) {
     }
   } else if (this.discountType === 'fixed') {
     discount = this.discountValue;
+  } else if (this.discountType === 'free-delivery') {
+    return deliveryFee;
   }
 
   return Math.min(discount, orderTotal);
 };
 
-// Instance method to increment usage
-promoCodeSchema.methods.incrementUsage = async function (orderTotal, discountAmount) {
-  this.usageCount += 1;
-  this.stats.totalUses += 1;
-  this.stats.totalDiscount += discountAmount;
-  this.stats.totalRevenue += orderTotal;
-  await this.save();
+/**
+ * Instance method to count a customer's orders (not cancelled) that used this code
+ * @param {ObjectId} userId - Customer
+ * @param {Object} options - { session }
+ * @returns {Promise<number>}
+ */
+promoCodeSchema.methods.countUsesBy = function (userId, options = {}) {
+  return mongoose
+    .model('Order')
+    .countDocuments({
+      'customer.id': userId,
+      'pricing.promoCode': this.code,
+      status: { $ne: 'CANCELLED' },
+    })
+    .session(options.session || null);
+};
+
+/**
+ * Instance method to increment usage
+ * Claims a use atomically so a limited code cannot be oversubscribed by concurrent orders
+ * @returns {Promise<boolean>} false when the usage limit has been reached
+ */
+promoCodeSchema.methods.incrementUsage = async function (orderTotal, discountAmount, options = {}) {
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+    },
+    {
+      $inc: {
+        usageCount: 1,
+        'stats.totalUses': 1,
+        'stats.totalDiscount': discountAmount,
+        'stats.totalRevenue': orderTotal,
+      },
+    },
+    { new: true, session: options.session }
+  );
+
+  if (!updated) return false;
+
+  this.usageCount = updated.usageCount;
+  return true;
 };
 
 module.exports = mongoose.model('PromoCode', promoCodeSchema);
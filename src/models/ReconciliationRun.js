@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const EXCEPTION_TYPES = [
+  'missing_order', // payment in the report, no order has its transaction ID
+  'missing_in_report', // paid order in the period that the report does not settle
+  'duplicate_in_report', // same transaction ID on more than one report row
+  'duplicate_order', // more than one order claims the transaction ID
+  'already_settled', // order settled by an earlier reconciliation run
+  'amount_mismatch', // report amount differs from the amount charged on the order
+  'invalid_row', // no transaction ID or unreadable amount
+];
+
+// Reconciliation Exception Sub-schema - amounts are in rupees
+const reconciliationExceptionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: EXCEPTION_TYPES,
+      required: true,
+    },
+    // Line of the uploaded file (header is line 1); empty for missing_in_report
+    rowNumber: Number,
+    transactionId: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    orderNumber: String,
+    expectedAmount: Number,
+    reportedAmount: Number,
+    details: String,
+  },
+  { _id: false }
+);
+
+// ReconciliationRun Schema - one uploaded settlement report checked against orders
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    fileName: String,
+    // Gateway the report came from (matches Order.paymentDetails.gateway)
+    source: String,
+    // Orders created in [from, to) are expected in the report
+    period: {
+      from: Date,
+      to: Date,
+    },
+    amountUnit: {
+      type: String,
+      enum: ['rupees', 'paise'],
+      default: 'rupees',
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    summary: {
+      rows: Number,
+      skippedRows: Number,
+      matched: Number,
+      reportedAmount: Number,
+      matchedAmount: Number,
+      fees: Number,
+      taxes: Number,
+      exceptions: Number,
+      // Count per exception type
+      byType: {
+        type: Map,
+        of: Number,
+      },
+    },
+    exceptions: [reconciliationExceptionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+module.exports = ReconciliationRun;
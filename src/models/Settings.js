@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const settingsSchema = new mongoose.Schema(
   {
@@ -54,6 +55,308 @@ const settingsSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    platformFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    packagingFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Counter orders - delivery orders always pay every fee; pickup and dine-in never pay
+    // the delivery fee or need the minimum order amount
+    orderTypes: {
+      pickup: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        applyPackagingFee: {
+          type: Boolean,
+          default: true,
+        },
+        applyPlatformFee: {
+          type: Boolean,
+          default: true,
+        },
+      },
+      dineIn: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        applyPackagingFee: {
+          type: Boolean,
+          default: false,
+        },
+        applyPlatformFee: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    },
+    // Delivery fee by distance from serviceArea.location, checked in upToKm order;
+    // deliveryCharge applies when there are no slabs or the address has no map pin
+    deliveryFeeSlabs: [
+      {
+        _id: false,
+        upToKm: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        fee: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // Overrides freeDeliveryAbove for this slab
+        freeAbove: {
+          type: Number,
+          min: 0,
+        },
+      },
+    ],
+    // Items total from which delivery is free (0 = never)
+    freeDeliveryAbove: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Surge for peak hours or bad weather - multiplies the delivery fee until endsAt (if set)
+    surge: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      multiplier: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: 5,
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      endsAt: Date,
+    },
+    // Max difference (₹) allowed between the app's total and the server-computed total
+    priceTolerance: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+
+    // Order Numbering - tokens: {YYYY} {YY} {MM} {DD} {OUTLET} {SEQ} {SEQ:n}
+    orderNumberFormat: {
+      type: String,
+      default: 'ORD{YY}{MM}{DD}-{SEQ:4}',
+      trim: true,
+    },
+    // How often the sequence restarts from 1
+    orderNumberReset: {
+      type: String,
+      enum: ['daily', 'monthly', 'yearly', 'never'],
+      default: 'daily',
+    },
+    outletCode: {
+      type: String,
+      default: 'MAIN',
+      trim: true,
+      uppercase: true,
+    },
+
+    // Scheduled Deliveries - customers book a slot; times are HH:mm in this IANA time zone
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata',
+      validate: [isValidTimeZone, 'Unknown time zone'],
+    },
+    slotDurationMinutes: {
+      type: Number,
+      default: 30,
+      min: 5,
+    },
+    maxOrdersPerSlot: {
+      type: Number,
+      default: 10,
+      min: 1,
+    },
+    slotStartTime: {
+      type: String,
+      default: '11:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot start time must be in HH:mm format'],
+    },
+    slotEndTime: {
+      type: String,
+      default: '23:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot end time must be in HH:mm format'],
+    },
+    // Slots must be booked at least this long before they start
+    scheduleLeadTimeMinutes: {
+      type: Number,
+      default: 60,
+      min: 0,
+    },
+    // Scheduled orders reach the kitchen queue this long before their slot
+    kitchenLeadTimeMinutes: {
+      type: Number,
+      default: 60,
+      min: 0,
+    },
+    scheduleMaxDaysAhead: {
+      type: Number,
+      default: 3,
+      min: 0,
+    },
+
+    // Delivery ETA - prep time falls back to defaultPrepTimeMinutes until there is order history
+    defaultPrepTimeMinutes: {
+      type: Number,
+      default: 20,
+      min: 1,
+    },
+    // Orders the kitchen prepares at the same time
+    kitchenParallelOrders: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    riderSpeedKmph: {
+      type: Number,
+      default: 20,
+      min: 1,
+    },
+    // Travel time used when the address has no map pin
+    defaultTravelMinutes: {
+      type: Number,
+      default: 20,
+      min: 0,
+    },
+    // Pickup and handover time on top of travel
+    handoverMinutes: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
+
+    // Minutes a customer has to answer a kitchen substitution before flagged lines are dropped
+    substitutionTimeoutMinutes: {
+      type: Number,
+      default: 10,
+      min: 1,
+    },
+
+    // Service Area - deliverable if within radiusKm of location or inside any zone
+    // Coordinates are GeoJSON order: [longitude, latitude]
+    serviceArea: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      location: {
+        type: {
+          type: String,
+          enum: ['Point'],
+          default: 'Point',
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
+      radiusKm: {
+        type: Number,
+        min: 0,
+      },
+      zones: [
+        {
+          _id: false,
+          name: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          polygon: {
+            type: {
+              type: String,
+              enum: ['Polygon'],
+              default: 'Polygon',
+            },
+            coordinates: {
+              type: [[[Number]]],
+              required: true,
+            },
+          },
+        },
+      ],
+    },
+
+    // GST Invoicing - seller details printed on tax invoices
+    invoice: {
+      legalName: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      gstin: {
+        type: String,
+        default: '',
+        trim: true,
+        uppercase: true,
+        match: [/^(|\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z])$/, 'Please provide a valid GSTIN'],
+      },
+      address: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      // Two-digit GST state code, e.g. 27 for Maharashtra
+      stateCode: {
+        type: String,
+        default: '',
+        match: [/^(|\d{2})$/, 'State code must be two digits'],
+      },
+      stateName: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      fssaiNumber: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+      // Same tokens as orderNumberFormat; GST allows 16 characters of A-Z, 0-9, / and -
+      numberFormat: {
+        type: String,
+        default: 'INV/{YYYY}/{SEQ:5}',
+        trim: true,
+      },
+      numberReset: {
+        type: String,
+        enum: ['daily', 'monthly', 'yearly', 'never'],
+        default: 'yearly',
+      },
+      // Restaurant service; used for food, packaging and platform fee lines
+      foodSacCode: {
+        type: String,
+        default: '996331',
+      },
+      // Local delivery service
+      deliverySacCode: {
+        type: String,
+        default: '996813',
+      },
+      footerNote: {
+        type: String,
+        default: '',
+        trim: true,
+      },
+    },
 
     // Payment Configuration
     upiId: {
@@ -62,6 +365,13 @@ const settingsSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Rupees one loyalty point pays for at checkout (payment leg); 0 = points cannot pay
+    loyaltyPointValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     // Singleton pattern - only one settings document
     singleton: {
       type: Boolean,
@@ -87,7 +87,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['customer', 'delivery', 'admin'],
+      enum: ['customer', 'delivery', 'admin', 'kitchen'],
       default: 'customer',
     },
 
@@ -124,6 +124,12 @@ const userSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Store credit in rupees; only changed by wallet.service together with a ledger entry
+      walletBalance: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       favoriteItems: [
         {
           type: mongoose.Schema.Types.ObjectId,
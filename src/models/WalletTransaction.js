@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/AppError');
+
+// WalletTransaction Schema - append-only ledger of a customer's store credit (amounts in rupees)
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // credit and debit move money in and out; expiry removes unused credit;
+    // reversal undoes an earlier entry (in the opposite direction)
+    type: {
+      type: String,
+      enum: ['credit', 'debit', 'expiry', 'reversal'],
+      required: true,
+    },
+    // Money into (credits, reversed debits) or out of the wallet
+    direction: {
+      type: String,
+      enum: ['in', 'out'],
+      required: true,
+    },
+    // Always positive; direction gives the sign
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Wallet balance right after this entry
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Who posted the entry; empty for the expiry job
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    // Credits only: unused credit is removed by an expiry entry after this date
+    expiresAt: Date,
+    // Reversals: the entry being undone
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletTransaction',
+    },
+    // Expiries: the credit that expired
+    expiredCredit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletTransaction',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ type: 1, expiresAt: 1 });
+walletTransactionSchema.index({ order: 1 }, { sparse: true });
+// An entry can be reversed, and a credit expired, only once
+walletTransactionSchema.index(
+  { reverses: 1 },
+  { unique: true, partialFilterExpression: { reverses: { $exists: true } } }
+);
+walletTransactionSchema.index(
+  { expiredCredit: 1 },
+  { unique: true, partialFilterExpression: { expiredCredit: { $exists: true } } }
+);
+
+// Entries are never changed or removed - mistakes are corrected with a reversal
+function rejectChange() {
+  throw new AppError('Wallet transactions cannot be changed. Post a reversal instead', 400);
+}
+
+walletTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    rejectChange();
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => walletTransactionSchema.pre(operation, rejectChange));
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+module.exports = WalletTransaction;
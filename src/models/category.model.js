@@ -28,6 +28,14 @@ const categorySchema = new mongoose.Schema(
       enum: ['green', 'red', 'blue', 'purple', 'orange', 'pink', 'yellow'],
       default: 'blue',
     },
+    // Kitchen station that prepares this category's items (e.g. tandoor, curry, beverages)
+    station: {
+      type: String,
+      default: 'main',
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Station name cannot exceed 30 characters'],
+    },
   },
   {
     timestamps: true,
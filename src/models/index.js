@@ -9,4 +9,10 @@ module.exports = {
   PromoCode: require('./PromoCode'),
   Analytics: require('./Analytics'),
   Settings: require('./Settings'),
+  Counter: require('./Counter'),
+  IdempotencyKey: require('./IdempotencyKey'),
+  Invoice: require('./Invoice'),
+  PaymentEvent: require('./PaymentEvent'),
+  ReconciliationRun: require('./ReconciliationRun'),
+  WalletTransaction: require('./WalletTransaction'),
 };
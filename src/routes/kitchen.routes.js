@@ -0,0 +1,35 @@
+const express = require('express');
+const kitchenController = require('../controllers/kitchen.controller');
+const authMiddleware = require('../middlewares/auth');
+const kitchenValidator = require('../validators/kitchen.validator');
+
+const router = express.Router();
+
+/**
+ * Kitchen display routes - kitchen staff and admins only
+ */
+router.use(authMiddleware.protect);
+router.use(authMiddleware.restrictTo('admin', 'kitchen'));
+
+// Tickets to cook, optionally for one station
+router.get(
+  '/queue',
+  kitchenValidator.validateQuery(kitchenValidator.queueQuerySchema),
+  kitchenController.getQueue
+);
+
+// Bump a single line
+router.patch(
+  '/orders/:id/items/:itemId',
+  kitchenValidator.validate(kitchenValidator.bumpSchema),
+  kitchenController.bumpItem
+);
+
+// Bump all of a station's lines on an order
+router.patch(
+  '/orders/:id/stations/:station',
+  kitchenValidator.validate(kitchenValidator.bumpSchema),
+  kitchenController.bumpStation
+);
+
+module.exports = router;
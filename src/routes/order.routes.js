@@ -2,6 +2,7 @@ const express = require('express');
 const orderController = require('../controllers/order.controller');
 const authMiddleware = require('../middlewares/auth');
 const orderValidator = require('../validators/order.validator');
+const idempotency = require('../middlewares/idempotency');
 
 const router = express.Router();
 
@@ -14,14 +15,31 @@ router.use(authMiddleware.protect);
  * Customer routes
  */
 
-// Create new order
+// Create new order (retries with the same Idempotency-Key replay the first response)
 router.post(
   '/',
   authMiddleware.restrictTo('customer'),
   orderValidator.validate(orderValidator.createOrderSchema),
+  idempotency(),
   orderController.createOrder
 );
 
+// Quote cart pricing before checkout
+router.post(
+  '/quote',
+  authMiddleware.restrictTo('customer'),
+  orderValidator.validate(orderValidator.createOrderSchema),
+  orderController.quoteOrder
+);
+
+// Get delivery slots with remaining capacity
+router.get(
+  '/slots',
+  authMiddleware.restrictTo('customer', 'admin'),
+  orderValidator.validateQuery(orderValidator.slotQuerySchema),
+  orderController.getDeliverySlots
+);
+
 // Get my orders
 router.get(
   '/my-orders',
@@ -38,6 +56,29 @@ router.patch(
   orderController.rateOrder
 );
 
+// Edit a pending order (customer for own orders, admin on their behalf)
+router.patch(
+  '/:id',
+  authMiddleware.restrictTo('customer', 'admin'),
+  orderValidator.validate(orderValidator.editOrderSchema),
+  orderController.editOrder
+);
+
+// Rebuild a cart from a past order
+router.post(
+  '/:id/reorder',
+  authMiddleware.restrictTo('customer'),
+  orderController.reorder
+);
+
+// Answer a kitchen substitution request
+router.post(
+  '/:id/substitutions/:substitutionId/respond',
+  authMiddleware.restrictTo('customer'),
+  orderValidator.validate(orderValidator.respondSubstitutionSchema),
+  orderController.respondSubstitution
+);
+
 // Cancel order (customer)
 router.patch(
   '/:id/cancel',
@@ -63,6 +104,14 @@ router.get(
   orderController.getOrderStats
 );
 
+// Export orders as CSV / XLSX (admin only)
+router.get(
+  '/export',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validateQuery(orderValidator.exportQuerySchema),
+  orderController.exportOrders
+);
+
 // Get orders by status
 router.get(
   '/status/:status',
@@ -100,9 +149,59 @@ router.patch(
 router.patch(
   '/:id/admin-cancel',
   authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.cancelOrderSchema),
   orderController.cancelOrder
 );
 
+// Flag unavailable lines and propose substitutes (admin only)
+router.post(
+  '/:id/substitutions',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.proposeSubstitutionSchema),
+  orderController.proposeSubstitution
+);
+
+// Move order to any status the state machine allows for the caller's role
+router.patch(
+  '/:id/status',
+  authMiddleware.restrictTo('admin', 'delivery'),
+  orderValidator.validate(orderValidator.updateOrderStatusSchema),
+  orderController.updateOrderStatus
+);
+
+// Confirm or reject a UPI payment to the restaurant's UPI ID (admin only)
+router.patch(
+  '/:id/upi-payment',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.upiPaymentSchema),
+  orderController.reviewUpiPayment
+);
+
+// Settle a pickup / dine-in bill paid at the counter (admin only)
+router.patch(
+  '/:id/settle',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.settleOrderSchema),
+  orderController.settleOrder
+);
+
+// Refund an order (admin only)
+router.post(
+  '/:id/refunds',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.createRefundSchema),
+  idempotency(),
+  orderController.createRefund
+);
+
+// Settle a pending refund (admin only)
+router.patch(
+  '/:id/refunds/:refundId',
+  authMiddleware.restrictTo('admin'),
+  orderValidator.validate(orderValidator.settleRefundSchema),
+  orderController.settleRefund
+);
+
 /**
  * Delivery partner routes
  */
@@ -131,6 +230,20 @@ router.patch(
 // Track order (customer for own orders, admin, assigned delivery partner)
 router.get('/:id/track', orderController.trackOrder);
 
+// Tax invoice of a delivered order (customer for own orders, admin)
+router.get(
+  '/:id/invoice',
+  orderValidator.validateQuery(orderValidator.invoiceQuerySchema),
+  orderController.getOrderInvoice
+);
+
+// UPI link / QR payload of an order awaiting its UPI payment (customer for own orders, admin)
+router.get(
+  '/:id/upi',
+  authMiddleware.restrictTo('customer', 'admin'),
+  orderController.getUpiPayment
+);
+
 // Get order by ID (customer for own orders, admin, assigned delivery partner)
 router.get('/:id', orderController.getOrderById);
 
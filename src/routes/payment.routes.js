@@ -0,0 +1,73 @@
+const express = require('express');
+const paymentController = require('../controllers/payment.controller');
+const reconciliationController = require('../controllers/reconciliation.controller');
+const authMiddleware = require('../middlewares/auth');
+const paymentValidator = require('../validators/payment.validator');
+const idempotency = require('../middlewares/idempotency');
+
+const router = express.Router();
+
+// Gateway webhook - signed by the gateway, so it comes before protect
+router.post('/webhook', paymentController.handleWebhook);
+
+router.use(authMiddleware.protect);
+
+/**
+ * Checkout routes - customers paying for their own orders
+ * POST routes replay retries sent with the same Idempotency-Key
+ */
+
+// Create the gateway order and get checkout options
+router.post(
+  '/orders/:orderId/checkout',
+  authMiddleware.restrictTo('customer'),
+  idempotency(),
+  paymentController.createCheckout
+);
+
+// Confirm the payment with the checkout signature
+router.post(
+  '/orders/:orderId/verify',
+  authMiddleware.restrictTo('customer'),
+  paymentValidator.validate(paymentValidator.verifyPaymentSchema),
+  idempotency(),
+  paymentController.verifyPayment
+);
+
+/**
+ * Settlement reconciliation routes - admin only
+ */
+
+// Upload a settlement report (CSV body) and reconcile it against orders
+router.post(
+  '/reconciliations',
+  authMiddleware.restrictTo('admin'),
+  express.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: '5mb' }),
+  paymentValidator.validateQuery(paymentValidator.reconciliationQuerySchema),
+  idempotency(),
+  reconciliationController.createReconciliation
+);
+
+// Past runs
+router.get(
+  '/reconciliations',
+  authMiddleware.restrictTo('admin'),
+  paymentValidator.validateQuery(paymentValidator.reconciliationListQuerySchema),
+  reconciliationController.getReconciliations
+);
+
+router.get(
+  '/reconciliations/:id',
+  authMiddleware.restrictTo('admin'),
+  reconciliationController.getReconciliation
+);
+
+// Exceptions report
+router.get(
+  '/reconciliations/:id/exceptions',
+  authMiddleware.restrictTo('admin'),
+  paymentValidator.validateQuery(paymentValidator.exceptionsQuerySchema),
+  reconciliationController.downloadExceptions
+);
+
+module.exports = router;
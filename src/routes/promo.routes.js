@@ -0,0 +1,57 @@
+const express = require('express');
+const promoController = require('../controllers/promo.controller');
+const authMiddleware = require('../middlewares/auth');
+const promoValidator = require('../validators/promo.validator');
+
+const router = express.Router();
+
+/**
+ * All promo routes require authentication
+ */
+router.use(authMiddleware.protect);
+
+/**
+ * Customer routes
+ */
+
+// Get promo codes available to me (must be before /:id)
+router.get(
+  '/available',
+  authMiddleware.restrictTo('customer'),
+  promoController.getAvailablePromos
+);
+
+// Check a promo code against my cart
+router.post(
+  '/validate',
+  authMiddleware.restrictTo('customer'),
+  promoValidator.validate(promoValidator.validatePromoSchema),
+  promoController.validatePromo
+);
+
+/**
+ * Admin routes
+ */
+router.use(authMiddleware.restrictTo('admin'));
+
+router
+  .route('/')
+  .get(promoValidator.validateQuery(promoValidator.promoQuerySchema), promoController.getAllPromos)
+  .post(promoValidator.validate(promoValidator.createPromoSchema), promoController.createPromo);
+
+router
+  .route('/:id')
+  .get(promoController.getPromo)
+  .patch(promoValidator.validate(promoValidator.updatePromoSchema), promoController.updatePromo)
+  .delete(promoController.deletePromo);
+
+router.patch('/:id/activate', promoController.activatePromo);
+router.patch('/:id/deactivate', promoController.deactivatePromo);
+
+router.post(
+  '/:id/duplicate',
+  promoValidator.validate(promoValidator.duplicatePromoSchema),
+  promoController.duplicatePromo
+);
+
+module.exports = router;
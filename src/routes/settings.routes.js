@@ -1,12 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { getSettings, updateSettings } = require('../controllers/settings.controller');
+const {
+  getSettings,
+  updateSettings,
+  checkServiceability,
+} = require('../controllers/settings.controller');
 const authMiddleware = require('../middlewares/auth');
+const settingsValidator = require('../validators/settings.validator');
 
 // Public route to get settings
 router.get('/', getSettings);
 
+// Public route to check whether a location is deliverable (lets apps warn before checkout)
+router.get(
+  '/serviceability',
+  settingsValidator.validateQuery(settingsValidator.serviceabilityQuerySchema),
+  checkServiceability
+);
+
 // Admin only route to update settings
-router.put('/', authMiddleware.protect, authMiddleware.restrictTo('admin'), updateSettings);
+router.put(
+  '/',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin'),
+  settingsValidator.validate(settingsValidator.updateSettingsSchema),
+  updateSettings
+);
 
 module.exports = router;
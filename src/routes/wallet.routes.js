@@ -0,0 +1,57 @@
+const express = require('express');
+const walletController = require('../controllers/wallet.controller');
+const authMiddleware = require('../middlewares/auth');
+const walletValidator = require('../validators/wallet.validator');
+const idempotency = require('../middlewares/idempotency');
+
+const router = express.Router();
+
+router.use(authMiddleware.protect);
+
+// My balance and statement
+router.get(
+  '/',
+  authMiddleware.restrictTo('customer'),
+  walletValidator.validateQuery(walletValidator.statementQuerySchema),
+  walletController.getMyStatement
+);
+
+/**
+ * Admin routes - customers' wallets
+ * Posting routes replay retries sent with the same Idempotency-Key
+ */
+
+router.get(
+  '/users/:userId',
+  authMiddleware.restrictTo('admin'),
+  walletValidator.validateQuery(walletValidator.statementQuerySchema),
+  walletController.getStatement
+);
+
+// Add store credit (goodwill, refund as credit, ...)
+router.post(
+  '/users/:userId/credit',
+  authMiddleware.restrictTo('admin'),
+  walletValidator.validate(walletValidator.creditSchema),
+  idempotency(),
+  walletController.creditWallet
+);
+
+router.post(
+  '/users/:userId/debit',
+  authMiddleware.restrictTo('admin'),
+  walletValidator.validate(walletValidator.debitSchema),
+  idempotency(),
+  walletController.debitWallet
+);
+
+// Undo an entry posted by mistake
+router.post(
+  '/transactions/:id/reverse',
+  authMiddleware.restrictTo('admin'),
+  walletValidator.validate(walletValidator.reverseSchema),
+  idempotency(),
+  walletController.reverseTransaction
+);
+
+module.exports = router;
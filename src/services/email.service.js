@@ -273,6 +273,78 @@ class EmailService {
     }
   }
 
+  /**
+   * Delivery confirmation with the tax invoice attached
+   * @param {string} to - Customer email
+   * @param {Object} details - { customerName, orderNumber, invoiceNumber, grandTotal }
+   * @param {Array} attachments - [{ name, content (base64) }]
+   */
+  async sendDeliveryConfirmation(to, details, attachments = []) {
+    if (!this.enabled) {
+      logger.error('❌ Email service not enabled. Cannot send delivery confirmation.');
+      return false;
+    }
+
+    try {
+      logger.info(`📧 Sending delivery confirmation for ${details.orderNumber} to ${to}`);
+
+      const sendSmtpEmail = new brevo.SendSmtpEmail();
+      sendSmtpEmail.subject = `Order ${details.orderNumber} delivered - Invoice ${details.invoiceNumber}`;
+      sendSmtpEmail.to = [{ email: to, name: details.customerName }];
+      sendSmtpEmail.htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+            <tr>
+              <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden;">
+                  <tr>
+                    <td style="padding: 30px;">
+                      <h2 style="color: #333333; margin: 0 0 15px 0;">Your order has been delivered</h2>
+                      <p style="color: #666666; font-size: 15px; line-height: 1.6;">
+                        Hi ${details.customerName || 'there'}, your order <strong>${details.orderNumber}</strong> has been delivered. Enjoy your meal!
+                      </p>
+                      <p style="color: #666666; font-size: 15px; line-height: 1.6;">
+                        Your tax invoice <strong>${details.invoiceNumber}</strong> for ₹${details.grandTotal} is attached to this email.
+                      </p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #f8f9fa; padding: 20px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                      <p style="color: #999999; font-size: 12px; margin: 0; line-height: 1.6;">
+                        © 2025 ThéTipTop. All rights reserved.<br>
+                        Questions? Contact us at support@thetiptop.com
+                      </p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `;
+      if (attachments.length > 0) {
+        sendSmtpEmail.attachment = attachments;
+      }
+      sendSmtpEmail.sender = {
+        name: process.env.EMAIL_FROM_NAME || 'ThéTipTop',
+        email: process.env.BREVO_FROM_EMAIL || 'noreply@yourdomain.com'
+      };
+
+      const result = await this.brevoClient.sendTransacEmail(sendSmtpEmail);
+      logger.info(`✅ Delivery confirmation sent to ${to}. Message ID: ${result.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ Failed to send delivery confirmation to ${to}:`, {
+        error: error.message,
+        response: error.response?.body || error.response?.text
+      });
+      return false;
+    }
+  }
+
   async sendEmail(to, subject, htmlContent, textContent = '') {
     if (!this.enabled) {
       logger.error('❌ Email service not enabled. Cannot send email.');
@@ -0,0 +1,176 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const { emitOrderEta } = require('../utils/socket');
+const serviceAreaService = require('./serviceArea.service');
+
+const MINUTE = 60 * 1000;
+
+// Straight-line distance understates the route; typical city detour factor
+const ROAD_FACTOR = 1.3;
+
+// Prep-time history: recent orders that reached READY, ignoring outliers
+const HISTORY_DAYS = 14;
+const HISTORY_LIMIT = 200;
+const MIN_HISTORY_SAMPLES = 10;
+const MAX_PREP_MINUTES = 180;
+
+/**
+ * Delivery time estimates.
+ * At placement: wait for the kitchen queue + average prep time + travel.
+ * At READY and OUT_FOR_DELIVERY the estimate is redone from travel distance alone
+ * and pushed to the order's socket room.
+ */
+class EtaService {
+  /**
+   * Average minutes from an order reaching the kitchen to READY, over recent orders
+   * @param {Object} settings - Settings document
+   * @returns {Promise<number>}
+   */
+  async averagePrepMinutes(settings) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE);
+
+    const [history] = await Order.aggregate([
+      { $match: { createdAt: { $gte: since }, 'statusHistory.status': 'READY' } },
+      { $sort: { createdAt: -1 } },
+      { $limit: HISTORY_LIMIT },
+      {
+        $project: {
+          // Scheduled orders only reach the kitchen at releaseAt
+          startedAt: { $max: ['$createdAt', { $ifNull: ['$releaseAt', '$createdAt'] }] },
+          ready: {
+            $first: {
+              $filter: { input: '$statusHistory', cond: { $eq: ['$$this.status', 'READY'] } },
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          minutes: { $divide: [{ $subtract: ['$ready.timestamp', '$startedAt'] }, MINUTE] },
+        },
+      },
+      { $match: { minutes: { $gt: 0, $lte: MAX_PREP_MINUTES } } },
+      { $group: { _id: null, average: { $avg: '$minutes' }, samples: { $sum: 1 } } },
+    ]);
+
+    if (!history || history.samples < MIN_HISTORY_SAMPLES) {
+      return settings.defaultPrepTimeMinutes;
+    }
+    return history.average;
+  }
+
+  /**
+   * Orders the kitchen is working on (released PENDING orders, payment confirmed)
+   * @returns {Promise<number>}
+   */
+  queueDepth() {
+    return Order.countDocuments(Order.kitchenQueueFilter());
+  }
+
+  /**
+   * Riding time between two points
+   * @param {Object} settings - Settings document
+   * @param {number[]} from - [lng, lat]
+   * @param {number[]} to - [lng, lat]
+   * @returns {number} Minutes
+   */
+  travelMinutes(settings, from, to) {
+    if (!serviceAreaService.isPinned(from) || !serviceAreaService.isPinned(to)) {
+      return settings.defaultTravelMinutes;
+    }
+
+    const roadKm = serviceAreaService.distanceKm(from, to) * ROAD_FACTOR;
+    return (roadKm / settings.riderSpeedKmph) * 60;
+  }
+
+  /**
+   * Minutes from the restaurant to an address, including handover
+   * @private
+   */
+  deliveryMinutes(settings, deliveryAddress) {
+    const { location } = settings.serviceArea || {};
+    const drop = deliveryAddress && deliveryAddress.coordinates;
+
+    return (
+      settings.handoverMinutes +
+      this.travelMinutes(settings, location && location.coordinates, drop && drop.coordinates)
+    );
+  }
+
+  /**
+   * Estimate for an order about to be placed
+   * @param {Object} settings - Settings document
+   * @param {Object} orderData - { deliveryAddress, scheduledFor, orderType }
+   * @returns {Promise<{ estimatedPrepTime: number, estimatedDeliveryTime: Date }>}
+   */
+  async estimateForNewOrder(settings, { deliveryAddress, scheduledFor, orderType = 'delivery' }) {
+    const prepMinutes = await this.averagePrepMinutes(settings);
+
+    // Pre-orders are cooked for their slot, so the current queue doesn't matter
+    if (scheduledFor) {
+      return {
+        estimatedPrepTime: Math.round(prepMinutes),
+        estimatedDeliveryTime: scheduledFor,
+      };
+    }
+
+    // Orders ahead are cooked in batches of kitchenParallelOrders
+    const ahead = await this.queueDepth();
+    const queueMinutes = Math.floor(ahead / settings.kitchenParallelOrders) * prepMinutes;
+    const estimatedPrepTime = Math.round(queueMinutes + prepMinutes);
+    // Pickup and dine-in orders are done once the food is ready
+    const totalMinutes =
+      estimatedPrepTime +
+      (orderType === 'delivery' ? this.deliveryMinutes(settings, deliveryAddress) : 0);
+
+    return {
+      estimatedPrepTime,
+      estimatedDeliveryTime: new Date(Date.now() + Math.round(totalMinutes) * MINUTE),
+    };
+  }
+
+  /**
+   * Re-estimate delivery once the food is READY or OUT_FOR_DELIVERY and push it to trackers
+   * Never throws: the status change has already been saved
+   * @param {Object} order - Order document
+   */
+  async refresh(order) {
+    if (order.orderType !== 'delivery' || !['READY', 'OUT_FOR_DELIVERY'].includes(order.status)) {
+      return;
+    }
+
+    try {
+      const settings = await Settings.getSettings();
+      let minutes = this.deliveryMinutes(settings, order.deliveryAddress);
+
+      // On the road: measure from the rider's last known position when we have one
+      if (order.status === 'OUT_FOR_DELIVERY') {
+        const partner =
+          order.deliveryPartner.id &&
+          (await User.findById(order.deliveryPartner.id).select('deliveryData.currentLocation'));
+        const position = partner && partner.deliveryData && partner.deliveryData.currentLocation;
+
+        if (position && serviceAreaService.isPinned(position.coordinates)) {
+          const drop = order.deliveryAddress.coordinates;
+          minutes = this.travelMinutes(settings, position.coordinates, drop && drop.coordinates);
+        } else {
+          minutes -= settings.handoverMinutes;
+        }
+      }
+
+      order.estimatedDeliveryTime = new Date(Date.now() + Math.round(minutes) * MINUTE);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { estimatedDeliveryTime: order.estimatedDeliveryTime } }
+      );
+
+      emitOrderEta(order);
+    } catch (err) {
+      logger.warn(`Failed to refresh ETA for order ${order.orderNumber}:`, err.message);
+    }
+  }
+}
+
+module.exports = new EtaService();
@@ -0,0 +1,199 @@
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+const logger = require('../utils/logger');
+const { csvLine } = require('../utils/csv');
+
+// Resolves when the client has read the buffered data, or has gone away
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+const describeCustomizations = (item) =>
+  (item.customizations || []).map((c) => `${c.name}: ${c.options.join(' + ')}`).join('; ');
+
+// Columns of the one-row-per-order layout
+const ORDER_COLUMNS = [
+  { header: 'Order Number', width: 20, value: (order) => order.orderNumber },
+  { header: 'Created At', width: 22, value: (order) => order.createdAt },
+  { header: 'Status', width: 18, value: (order) => order.status },
+  { header: 'Order Type', width: 10, value: (order) => order.orderType },
+  { header: 'Table', width: 8, value: (order) => order.tableNumber },
+  { header: 'Customer', width: 22, value: (order) => order.customer.name },
+  { header: 'Customer Phone', width: 15, value: (order) => order.customer.phone },
+  { header: 'Customer Email', width: 28, value: (order) => order.customer.email },
+  { header: 'City', width: 15, value: (order) => order.deliveryAddress?.city },
+  { header: 'Zip Code', width: 10, value: (order) => order.deliveryAddress?.zipCode },
+  {
+    header: 'Items',
+    width: 8,
+    value: (order) => order.items.reduce((sum, item) => sum + item.quantity, 0),
+  },
+  { header: 'Items Total', width: 12, value: (order) => order.pricing.itemsTotal },
+  { header: 'Discount', width: 10, value: (order) => order.pricing.discount },
+  { header: 'Promo Code', width: 14, value: (order) => order.pricing.promoCode },
+  { header: 'Delivery Fee', width: 12, value: (order) => order.pricing.deliveryFee },
+  { header: 'Packaging Fee', width: 13, value: (order) => order.pricing.packagingFee },
+  { header: 'Platform Fee', width: 12, value: (order) => order.pricing.platformFee },
+  { header: 'GST', width: 10, value: (order) => order.pricing.gst },
+  { header: 'Round Off', width: 10, value: (order) => order.pricing.roundOff },
+  { header: 'Final Amount', width: 13, value: (order) => order.pricing.finalAmount },
+  { header: 'Payment Method', width: 15, value: (order) => order.paymentMethod },
+  { header: 'Payment Status', width: 18, value: (order) => order.paymentStatus },
+  {
+    header: 'Payments',
+    width: 24,
+    // Split tender, e.g. "WALLET 100 + COD 150"
+    value: (order) =>
+      (order.payments || []).map((leg) => `${leg.method} ${leg.amount}`).join(' + '),
+  },
+  { header: 'Counter Reference', width: 18, value: (order) => order.counterSettlement?.reference },
+  { header: 'Delivery Partner', width: 22, value: (order) => order.deliveryPartner?.name },
+  { header: 'Delivered At', width: 22, value: (order) => order.actualDeliveryTime },
+];
+
+// Columns of the one-row-per-line-item layout
+const LINE_COLUMNS = [
+  { header: 'Order Number', width: 20, value: (order) => order.orderNumber },
+  { header: 'Created At', width: 22, value: (order) => order.createdAt },
+  { header: 'Status', width: 18, value: (order) => order.status },
+  { header: 'Order Type', width: 10, value: (order) => order.orderType },
+  { header: 'Customer', width: 22, value: (order) => order.customer.name },
+  { header: 'Payment Method', width: 15, value: (order) => order.paymentMethod },
+  { header: 'Item', width: 28, value: (order, item) => item.name },
+  { header: 'Portion', width: 10, value: (order, item) => item.portion },
+  { header: 'Customizations', width: 30, value: (order, item) => describeCustomizations(item) },
+  { header: 'Quantity', width: 9, value: (order, item) => item.quantity },
+  { header: 'Unit Price', width: 11, value: (order, item) => item.price },
+  { header: 'Line Total', width: 11, value: (order, item) => item.subtotal },
+];
+
+/**
+ * Order exports for accounting.
+ * Orders are read through a cursor and written to the response as they arrive, waiting for
+ * the client whenever the socket buffer is full, so memory use does not grow with the range.
+ */
+class ExportService {
+  /**
+   * Order query for an export
+   * @param {Object} query - { from, to, status, paymentMethod, deliveryPartner }
+   *   from is inclusive and to exclusive, so consecutive months never overlap
+   * @returns {Object} MongoDB filter
+   */
+  buildFilter({ from, to, status, paymentMethod, deliveryPartner }) {
+    const filter = { createdAt: { $gte: from, $lt: to } };
+
+    if (status) filter.status = { $in: status };
+    if (paymentMethod) filter.paymentMethod = { $in: paymentMethod };
+    if (deliveryPartner) filter['deliveryPartner.id'] = deliveryPartner;
+
+    return filter;
+  }
+
+  /**
+   * Stream matching orders to an HTTP response
+   * Response headers must already be set
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {Object} options.filter - Order filter from buildFilter()
+   * @param {string} options.format - csv | xlsx
+   * @param {string} options.rows - order | item
+   * @returns {Promise<number>} Rows written
+   */
+  async streamOrders(res, { filter, format, rows }) {
+    const columns = rows === 'item' ? LINE_COLUMNS : ORDER_COLUMNS;
+    const writer = format === 'xlsx' ? this.xlsxWriter(res, columns) : this.csvWriter(res, columns);
+    const cursor = Order.find(filter).sort({ createdAt: 1 }).lean().cursor({ batchSize: 500 });
+
+    // Stop reading from MongoDB if the client goes away mid-download
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    let count = 0;
+    try {
+      await cursor.eachAsync(async (order) => {
+        if (closed) {
+          await cursor.close();
+          return;
+        }
+
+        const records = rows === 'item' ? order.items.map((item) => [order, item]) : [[order]];
+        let writable = true;
+        records.forEach(([record, item]) => {
+          writable = writer.write(columns.map((column) => column.value(record, item)));
+          count += 1;
+        });
+
+        if (!writable) {
+          await waitForDrain(res);
+        }
+      });
+
+      if (!closed) {
+        await writer.end();
+      }
+      return count;
+    } catch (error) {
+      await cursor.close();
+      if (!res.headersSent) {
+        throw error;
+      }
+      // Too late for an error response; cut the download so it is not mistaken for complete
+      logger.error(`Order export failed after ${count} rows:`, error.message);
+      res.destroy(error);
+      return count;
+    }
+  }
+
+  /**
+   * @private
+   */
+  csvWriter(res, columns) {
+    // BOM so Excel reads the file as UTF-8
+    res.write(`\uFEFF${csvLine(columns.map((column) => column.header))}\r\n`);
+
+    return {
+      write: (values) => res.write(`${csvLine(values)}\r\n`),
+      end: () => res.end(),
+    };
+  }
+
+  /**
+   * @private
+   */
+  xlsxWriter(res, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet('Orders');
+    sheet.columns = columns.map((column, index) => ({
+      header: column.header,
+      key: String(index),
+      width: column.width,
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    return {
+      write: (values) => {
+        sheet.addRow(values).commit();
+        return !res.writableNeedDrain;
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+}
+
+module.exports = new ExportService();
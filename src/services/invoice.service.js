@@ -0,0 +1,496 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const MenuItem = require('../models/MenuItem');
+const Settings = require('../models/Settings');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/currency');
+const runInTransaction = require('../utils/transaction');
+const sequenceService = require('./sequence.service');
+const emailService = require('./email.service');
+
+// GST rules: invoice numbers are at most 16 characters of letters, digits, / and -
+const MAX_NUMBER_LENGTH = 16;
+
+const money = (value) => (value || 0).toFixed(2);
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (c) => HTML_ENTITIES[c]);
+
+/**
+ * GST tax invoices.
+ * One invoice is issued per delivered order from its own number series and stored as a
+ * snapshot, so later changes to prices, tax rate or seller details never alter it.
+ * Supply is intra-state, so tax is split equally into CGST and SGST.
+ */
+class InvoiceService {
+  /**
+   * Check an invoice number format before it is saved
+   * @param {string} format - Settings.invoice.numberFormat
+   * @param {string} reset - Settings.invoice.numberReset
+   * @param {string} outletCode - Settings.outletCode
+   * @returns {string|null} Error message, or null when the format is usable
+   */
+  validateNumberFormat(format, reset, outletCode) {
+    const formatError = sequenceService.validateFormat(format, reset, 'Invoice number');
+    if (formatError) {
+      return formatError;
+    }
+
+    const sample = sequenceService.render(format, { seq: 1, outlet: outletCode, date: new Date() });
+    if (sample.length > MAX_NUMBER_LENGTH || !/^[A-Za-z0-9/-]+$/.test(sample)) {
+      return `Invoice numbers must be at most ${MAX_NUMBER_LENGTH} characters of letters, digits, / and - (got "${sample}")`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Invoice lines for an order: one per item, then delivery, packaging and platform charges
+   * Discounts are spread over item lines by value; tax is computed per line and the last
+   * paisa of rounding goes to the largest line, so totals match what the customer paid.
+   * @param {Object} order - Order document
+   * @param {Object} settings - Settings document
+   * @param {Map} hsnCodes - Menu item id -> HSN/SAC code
+   * @returns {Array}
+   */
+  buildLines(order, settings, hsnCodes = new Map()) {
+    const { pricing } = order;
+    const { foodSacCode, deliverySacCode } = settings.invoice;
+    const taxRate = pricing.taxRate ?? settings.taxRate ?? 0;
+
+    const itemLines = order.items.map((item) => {
+      const options = item.customizations.flatMap((c) => c.options);
+      const description = [
+        item.name,
+        item.portion ? ` (${item.portion})` : '',
+        options.length ? ` + ${options.join(', ')}` : '',
+      ].join('');
+
+      return {
+        description,
+        sacCode: hsnCodes.get(item.menuItemId.toString()) || foodSacCode,
+        quantity: item.quantity,
+        unitPrice: roundCurrency(item.subtotal / item.quantity),
+        amount: item.subtotal,
+        discount: 0,
+      };
+    });
+
+    // Spread the order discount over items in proportion to their value
+    let discountLeft = pricing.discount || 0;
+    itemLines.forEach((line, index) => {
+      const share =
+        index === itemLines.length - 1
+          ? discountLeft
+          : roundCurrency((pricing.discount * line.amount) / pricing.itemsTotal);
+      line.discount = Math.min(share, discountLeft);
+      discountLeft = roundCurrency(discountLeft - line.discount);
+    });
+
+    const chargeLines = [
+      ['Delivery charges', pricing.deliveryFee, deliverySacCode],
+      ['Packaging charges', pricing.packagingFee, foodSacCode],
+      ['Platform fee', pricing.platformFee, foodSacCode],
+    ]
+      .filter(([, amount]) => amount > 0)
+      .map(([description, amount, sacCode]) => ({
+        description,
+        sacCode,
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+        discount: 0,
+      }));
+
+    const lines = [...itemLines, ...chargeLines].map((line) => {
+      const taxableValue = roundCurrency(line.amount - line.discount);
+      return { ...line, taxableValue, taxRate, tax: roundCurrency((taxableValue * taxRate) / 100) };
+    });
+
+    // Per-line rounding can drift from the tax charged at checkout by a few paise
+    const drift = roundCurrency(pricing.gst - lines.reduce((sum, line) => sum + line.tax, 0));
+    if (drift !== 0 && lines.length > 0) {
+      const largest = lines.reduce((max, line) =>
+        line.taxableValue > max.taxableValue ? line : max
+      );
+      largest.tax = roundCurrency(largest.tax + drift);
+    }
+
+    return lines.map(({ tax, ...line }) => {
+      const cgst = roundCurrency(tax / 2);
+      const sgst = roundCurrency(tax - cgst);
+      return { ...line, cgst, sgst, total: roundCurrency(line.taxableValue + tax) };
+    });
+  }
+
+  /**
+   * Get an order's invoice, issuing it on first request
+   * The number is drawn in the same transaction that stores the invoice, so the series has
+   * no gaps even when two requests race to issue the same order's invoice.
+   * @param {Object} order - Order document (must be DELIVERED)
+   * @returns {Promise<Object>} Invoice document
+   */
+  async issue(order) {
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) {
+      return existing;
+    }
+
+    if (order.status !== 'DELIVERED') {
+      throw new AppError('A tax invoice is issued once the order is delivered', 400);
+    }
+
+    const settings = await Settings.getSettings();
+    const menuItems = await MenuItem.find({
+      _id: { $in: order.items.map((item) => item.menuItemId) },
+    }).select('hsnCode');
+    const hsnCodes = new Map(menuItems.map((mi) => [mi._id.toString(), mi.hsnCode]));
+
+    const lines = this.buildLines(order, settings, hsnCodes);
+    const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+    const { invoice: config } = settings;
+    const address = order.deliveryAddress || {};
+
+    const data = {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      issuedAt: new Date(),
+      seller: {
+        name: settings.siteName,
+        legalName: config.legalName || settings.siteName,
+        gstin: config.gstin,
+        address: config.address || settings.businessAddress,
+        stateCode: config.stateCode,
+        stateName: config.stateName,
+        fssaiNumber: config.fssaiNumber,
+        phone: settings.contactPhone,
+        email: settings.contactEmail,
+      },
+      buyer: {
+        name: order.customer.name,
+        phone: order.customer.phone,
+        email: order.customer.email,
+        address: [
+          address.apartment,
+          address.street,
+          address.landmark,
+          address.city,
+          address.state,
+          address.zipCode,
+        ]
+          .filter(Boolean)
+          .join(', '),
+      },
+      placeOfSupply: [config.stateCode, config.stateName].filter(Boolean).join(' - '),
+      lines,
+      totals: {
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        totalTax: roundCurrency(sum('cgst') + sum('sgst')),
+        roundOff: order.pricing.roundOff || 0,
+        grandTotal: order.pricing.finalAmount,
+      },
+      paymentMethod: order.paymentMethod,
+      footerNote: config.footerNote,
+    };
+
+    try {
+      const invoice = await runInTransaction(async (session) => {
+        data.invoiceNumber = await sequenceService.nextInvoiceNumber({
+          settings,
+          date: data.issuedAt,
+          session,
+        });
+        const [created] = await Invoice.create([data], { session });
+        return created;
+      });
+
+      logger.info(`Invoice ${invoice.invoiceNumber} issued for order ${order.orderNumber}`);
+      return invoice;
+    } catch (error) {
+      // Another request issued this order's invoice first
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.order) {
+        return Invoice.findOne({ order: order._id });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download file name for an invoice
+   * @param {Object} invoice - Invoice document
+   * @param {string} extension - pdf | html
+   */
+  fileName(invoice, extension) {
+    return `Invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.${extension}`;
+  }
+
+  /**
+   * Printable HTML invoice
+   * @param {Object} invoice - Invoice document
+   * @returns {string}
+   */
+  renderHtml(invoice) {
+    const { seller, buyer, totals } = invoice;
+    const halfRate = (invoice.lines[0] ? invoice.lines[0].taxRate : 0) / 2;
+
+    const rows = invoice.lines
+      .map(
+        (line, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(line.description)}</td>
+            <td>${escapeHtml(line.sacCode)}</td>
+            <td class="num">${line.quantity}</td>
+            <td class="num">${money(line.unitPrice)}</td>
+            <td class="num">${money(line.discount)}</td>
+            <td class="num">${money(line.taxableValue)}</td>
+            <td class="num">${money(line.cgst)}</td>
+            <td class="num">${money(line.sgst)}</td>
+            <td class="num">${money(line.total)}</td>
+          </tr>`
+      )
+      .join('');
+
+    const sellerLines = [
+      seller.address,
+      seller.gstin && `GSTIN: ${seller.gstin}`,
+      seller.stateName && `State: ${seller.stateName} (${seller.stateCode})`,
+      seller.fssaiNumber && `FSSAI Lic. No: ${seller.fssaiNumber}`,
+      [seller.phone, seller.email].filter(Boolean).join(' | '),
+    ]
+      .filter(Boolean)
+      .map((text) => `<div>${escapeHtml(text)}</div>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 18px; text-align: center; margin: 0 0 16px; letter-spacing: 1px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 16px; }
+    .parties > div { width: 48%; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    th { background: #f3f3f3; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; margin-top: 12px; }
+    .totals td { border: none; padding: 3px 6px; }
+    .grand td { font-weight: bold; border-top: 1px solid #222; }
+    .note { margin-top: 24px; color: #666; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>TAX INVOICE</h1>
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(seller.legalName)}</strong>
+      ${sellerLines}
+    </div>
+    <div>
+      <div><strong>Invoice No:</strong> ${escapeHtml(invoice.invoiceNumber)}</div>
+      <div><strong>Invoice Date:</strong> ${invoice.issuedAt.toLocaleDateString('en-IN')}</div>
+      <div><strong>Order No:</strong> ${escapeHtml(invoice.orderNumber)}</div>
+      <div><strong>Place of Supply:</strong> ${escapeHtml(invoice.placeOfSupply)}</div>
+      <div style="margin-top: 8px;"><strong>Bill To:</strong> ${escapeHtml(buyer.name)}</div>
+      <div>${escapeHtml(buyer.address)}</div>
+      <div>${escapeHtml(buyer.phone)}</div>
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Description</th><th>HSN/SAC</th><th class="num">Qty</th>
+        <th class="num">Rate</th><th class="num">Discount</th><th class="num">Taxable</th>
+        <th class="num">CGST ${halfRate}%</th><th class="num">SGST ${halfRate}%</th>
+        <th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Taxable Value</td><td class="num">&#8377; ${money(totals.taxableValue)}</td></tr>
+    <tr><td>CGST</td><td class="num">&#8377; ${money(totals.cgst)}</td></tr>
+    <tr><td>SGST</td><td class="num">&#8377; ${money(totals.sgst)}</td></tr>
+    <tr><td>Round Off</td><td class="num">&#8377; ${money(totals.roundOff)}</td></tr>
+    <tr class="grand"><td>Grand Total</td><td class="num">&#8377; ${money(totals.grandTotal)}</td></tr>
+  </table>
+  <div class="note">
+    <div>Payment: ${escapeHtml(invoice.paymentMethod)}</div>
+    ${invoice.footerNote ? `<div>${escapeHtml(invoice.footerNote)}</div>` : ''}
+    <div>This is a computer-generated invoice and does not require a signature.</div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * PDF invoice
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { seller, buyer, totals } = invoice;
+      const { left, right } = doc.page.margins;
+      const width = doc.page.width - left - right;
+      const halfRate = (invoice.lines[0] ? invoice.lines[0].taxRate : 0) / 2;
+
+      doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+      doc.moveDown();
+
+      // Seller on the left, invoice details on the right
+      const top = doc.y;
+      doc.fontSize(11).text(seller.legalName, left, top, { width: width / 2 });
+      doc.font('Helvetica').fontSize(9);
+      [
+        seller.address,
+        seller.gstin && `GSTIN: ${seller.gstin}`,
+        seller.stateName && `State: ${seller.stateName} (${seller.stateCode})`,
+        seller.fssaiNumber && `FSSAI Lic. No: ${seller.fssaiNumber}`,
+        [seller.phone, seller.email].filter(Boolean).join(' | '),
+      ]
+        .filter(Boolean)
+        .forEach((text) => doc.text(text, { width: width / 2 }));
+      const sellerBottom = doc.y;
+
+      doc.text(`Invoice No: ${invoice.invoiceNumber}`, left + width / 2, top, { width: width / 2 });
+      doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`);
+      doc.text(`Order No: ${invoice.orderNumber}`);
+      doc.text(`Place of Supply: ${invoice.placeOfSupply}`);
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').text(`Bill To: ${buyer.name || ''}`);
+      doc.font('Helvetica');
+      [buyer.address, buyer.phone].filter(Boolean).forEach((text) => doc.text(text));
+
+      // Line table
+      const columns = [
+        { title: '#', width: 20, value: (line, i) => String(i + 1) },
+        { title: 'Description', width: 150, value: (line) => line.description },
+        { title: 'HSN/SAC', width: 45, value: (line) => line.sacCode || '' },
+        { title: 'Qty', width: 30, align: 'right', value: (line) => String(line.quantity) },
+        { title: 'Rate', width: 50, align: 'right', value: (line) => money(line.unitPrice) },
+        { title: 'Disc.', width: 40, align: 'right', value: (line) => money(line.discount) },
+        { title: 'Taxable', width: 55, align: 'right', value: (line) => money(line.taxableValue) },
+        {
+          title: `CGST ${halfRate}%`,
+          width: 40,
+          align: 'right',
+          value: (line) => money(line.cgst),
+        },
+        {
+          title: `SGST ${halfRate}%`,
+          width: 40,
+          align: 'right',
+          value: (line) => money(line.sgst),
+        },
+        { title: 'Total', width: 45, align: 'right', value: (line) => money(line.total) },
+      ];
+
+      const drawRow = (cells, y, font) => {
+        doc.font(font).fontSize(8);
+        let x = left;
+        const height = Math.max(
+          ...columns.map((col, i) => doc.heightOfString(cells[i], { width: col.width - 4 }))
+        );
+        columns.forEach((col, i) => {
+          doc.text(cells[i], x + 2, y + 3, { width: col.width - 4, align: col.align || 'left' });
+          x += col.width;
+        });
+        const bottom = y + height + 6;
+        doc
+          .moveTo(left, bottom)
+          .lineTo(left + width, bottom)
+          .strokeColor('#cccccc')
+          .stroke();
+        return bottom;
+      };
+
+      let y = Math.max(doc.y, sellerBottom) + 15;
+      y = drawRow(
+        columns.map((col) => col.title),
+        y,
+        'Helvetica-Bold'
+      );
+      invoice.lines.forEach((line, index) => {
+        if (y > doc.page.height - 160) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+        y = drawRow(
+          columns.map((col) => col.value(line, index)),
+          y,
+          'Helvetica'
+        );
+      });
+
+      // Totals - the built-in fonts have no rupee sign
+      y += 10;
+      [
+        ['Taxable Value', totals.taxableValue],
+        ['CGST', totals.cgst],
+        ['SGST', totals.sgst],
+        ['Round Off', totals.roundOff],
+        ['Grand Total (Rs.)', totals.grandTotal],
+      ].forEach(([label, amount], index, rows) => {
+        doc.font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, left + width - 220, y, { width: 120 });
+        doc.text(money(amount), left + width - 100, y, { width: 100, align: 'right' });
+        y += 14;
+      });
+
+      doc.font('Helvetica').fontSize(8).fillColor('#666666');
+      doc.text(`Payment: ${invoice.paymentMethod}`, left, y + 20, { width });
+      if (invoice.footerNote) {
+        doc.text(invoice.footerNote, { width });
+      }
+      doc.text('This is a computer-generated invoice and does not require a signature.', { width });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Issue the invoice for a just-delivered order and email it to the customer
+   * Never throws: the delivery has already been recorded, and callers do not wait for it
+   * @param {Object} order - Order document
+   */
+  async sendDeliveryConfirmation(order) {
+    try {
+      const invoice = await this.issue(order);
+
+      if (!order.customer.email) {
+        return;
+      }
+
+      const pdf = await this.renderPdf(invoice);
+      await emailService.sendDeliveryConfirmation(
+        order.customer.email,
+        {
+          customerName: order.customer.name,
+          orderNumber: order.orderNumber,
+          invoiceNumber: invoice.invoiceNumber,
+          grandTotal: invoice.totals.grandTotal,
+        },
+        [{ name: this.fileName(invoice, 'pdf'), content: pdf.toString('base64') }]
+      );
+    } catch (err) {
+      logger.warn(`Failed to send invoice for order ${order.orderNumber}:`, err.message);
+    }
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/category.model');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { emitKitchenTicket, emitOrderUpdate, emitUserNotification } = require('../utils/socket');
+const etaService = require('./eta.service');
+
+// Station for items whose categories have none configured
+const DEFAULT_STATION = 'main';
+
+const MINUTE = 60 * 1000;
+
+// Category names can contain regex characters (e.g. "Rice & Biryani (Veg)")
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Kitchen display system.
+ * Every order line is routed to the prep station of its menu item's category when the
+ * order is placed or edited. Cooks bump lines (or a whole station) done; when nothing is
+ * left the order moves to READY automatically.
+ */
+class KitchenService {
+  /**
+   * Set the prep station on priced order lines
+   * Uses the first of the menu item's categories that exists as a Category
+   * @param {Array} items - Priced order lines (mutated)
+   */
+  async assignStations(items) {
+    const menuItemIds = [...new Set(items.map((item) => item.menuItemId.toString()))];
+    const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).select('categories');
+    const categoryNames = [...new Set(menuItems.flatMap((mi) => mi.categories))];
+    const categories = await Category.find({
+      name: { $in: categoryNames.map((name) => new RegExp(`^${escapeRegex(name)}$`, 'i')) },
+    }).select('name station');
+
+    const stationByCategory = new Map(categories.map((c) => [c.name.toLowerCase(), c.station]));
+    const categoriesByItem = new Map(menuItems.map((mi) => [mi._id.toString(), mi.categories]));
+
+    items.forEach((item) => {
+      const itemCategories = categoriesByItem.get(item.menuItemId.toString()) || [];
+      const category = itemCategories.find((name) => stationByCategory.has(name.toLowerCase()));
+      item.station = category ? stationByCategory.get(category.toLowerCase()) : DEFAULT_STATION;
+    });
+  }
+
+  /**
+   * Kitchen ticket for an order, lines grouped by station
+   * @param {Object} order - Order document
+   * @param {string} station - Only include this station's lines
+   * @returns {Object|null} null when the station has nothing on this order
+   */
+  toTicket(order, station) {
+    const stations = {};
+
+    order.items.forEach((item) => {
+      const itemStation = item.station || DEFAULT_STATION;
+      if (station && itemStation !== station) return;
+
+      stations[itemStation] = stations[itemStation] || [];
+      stations[itemStation].push({
+        itemId: item._id,
+        name: item.name,
+        portion: item.portion,
+        quantity: item.quantity,
+        customizations: item.customizations.map((c) => ({ name: c.name, options: c.options })),
+        status: item.kitchenStatus,
+        preparedAt: item.preparedAt,
+      });
+    });
+
+    const lines = Object.values(stations).flat();
+    if (lines.length === 0) {
+      return null;
+    }
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderType: order.orderType,
+      tableNumber: order.tableNumber,
+      placedAt: order.createdAt,
+      scheduledFor: order.scheduledFor,
+      specialInstructions: order.specialInstructions,
+      awaitingCustomer: Boolean(order.getOpenSubstitution()),
+      stations,
+      progress: {
+        done: lines.filter((line) => line.status === 'DONE').length,
+        total: lines.length,
+      },
+    };
+  }
+
+  /**
+   * Tickets for every order the kitchen should be cooking, oldest first
+   * @param {string} station - Only show this station's lines
+   * @returns {Promise<{ tickets: Array, stations: string[] }>}
+   */
+  async getQueue(station) {
+    const [orders, categoryStations] = await Promise.all([
+      Order.findPending(),
+      Category.distinct('station', { isActive: true }),
+    ]);
+
+    const tickets = orders.map((order) => this.toTicket(order, station)).filter(Boolean);
+    const stations = [...new Set([...categoryStations, DEFAULT_STATION])].sort();
+
+    return { tickets, stations };
+  }
+
+  /**
+   * Mark order lines done (or back to queued) and move the order to READY when all are done
+   * The update is positional and atomic, so cooks bumping lines at the same time don't
+   * overwrite each other
+   * @param {string} orderId - Order ID
+   * @param {Object} target - { itemId } for one line or { station } for a station's lines
+   * @param {string} status - DONE | QUEUED
+   * @param {ObjectId} userId - Cook bumping the lines
+   * @returns {Promise<Object>} Updated order
+   */
+  async bump(orderId, { itemId, station }, status, userId) {
+    const done = status === 'DONE';
+    const lineUpdate = {
+      'items.$[line].kitchenStatus': status,
+      'items.$[line].preparedAt': done ? new Date() : null,
+      'items.$[line].preparedBy': done ? userId : null,
+    };
+    const lineFilter = itemId ? { 'line._id': itemId } : { 'line.station': station };
+    const orderFilter = itemId ? { 'items._id': itemId } : { 'items.station': station };
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, ...Order.kitchenQueueFilter(), ...orderFilter },
+      { $set: lineUpdate },
+      { new: true, arrayFilters: [lineFilter] }
+    );
+
+    if (!order) {
+      const existing = await Order.findById(orderId);
+      if (!existing) {
+        throw new AppError('Order not found', 404);
+      }
+      // Lines done before release or payment would never move the order to READY
+      if (existing.status === 'PENDING' && !existing.isInKitchenQueue()) {
+        throw new AppError('This order is not on the kitchen queue yet', 400);
+      }
+      throw new AppError(
+        itemId
+          ? 'This line is not on the order, or the order has left the kitchen'
+          : `No ${station} lines on this order, or the order has left the kitchen`,
+        400
+      );
+    }
+
+    await this.syncTicket(order, userId);
+
+    return order;
+  }
+
+  /**
+   * Push an order's ticket to kitchen screens after it changed, or move it to READY when
+   * every line is done (e.g. an edit removed the only line still cooking)
+   * @param {Object} order - PENDING order document
+   * @param {ObjectId} userId - User whose action changed the order
+   */
+  async syncTicket(order, userId) {
+    // Not on the kitchen screens yet (pre-order not released, UPI or online payment unconfirmed)
+    if (!order.isInKitchenQueue()) {
+      return;
+    }
+
+    if (order.items.every((item) => item.kitchenStatus === 'DONE')) {
+      await this.markReady(order, userId);
+    } else {
+      emitKitchenTicket(this.toTicket(order));
+    }
+  }
+
+  /**
+   * Put scheduled orders whose release time has passed on the kitchen screens
+   * Each order is claimed by setting releasedAt, so it is announced once
+   * @returns {Promise<number>} Number of orders released
+   */
+  async releaseDue() {
+    const now = new Date();
+    const orders = await Order.find({
+      ...Order.kitchenQueueFilter(),
+      releaseAt: { $lte: now },
+      releasedAt: null,
+    });
+
+    const results = await Promise.allSettled(
+      orders.map(async (order) => {
+        const { modifiedCount } = await Order.updateOne(
+          { _id: order._id, releasedAt: null },
+          { $set: { releasedAt: now } }
+        );
+        if (modifiedCount === 0) return false;
+
+        logger.info(`Scheduled order ${order.orderNumber} released to the kitchen`);
+        await this.syncTicket(order);
+        return true;
+      })
+    );
+
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => logger.error('Failed to release scheduled order:', result.reason));
+
+    return results.filter((result) => result.status === 'fulfilled' && result.value).length;
+  }
+
+  /**
+   * Check for scheduled orders to release on an interval
+   * @param {number} intervalMs - How often to check (default: 1 minute)
+   * @returns {NodeJS.Timeout} Timer, to clear on shutdown
+   */
+  startReleaseWatcher(intervalMs = MINUTE) {
+    return setInterval(() => {
+      this.releaseDue().catch((err) => {
+        logger.error('Scheduled order release check failed:', err);
+      });
+    }, intervalMs);
+  }
+
+  /**
+   * Move an order whose lines are all done to READY
+   * @private
+   */
+  async markReady(order, userId) {
+    // Kitchen is done but the customer still has to answer a substitution
+    if (order.getOpenSubstitution()) {
+      emitKitchenTicket(this.toTicket(order));
+      return;
+    }
+
+    // Two cooks can finish the last lines together; only one status change may win
+    order.$where = { status: 'PENDING' };
+
+    try {
+      await order.updateStatus('READY', {
+        role: 'system',
+        updatedBy: userId,
+        notes: 'All kitchen stations done',
+      });
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        return;
+      }
+      throw error;
+    }
+
+    logger.info(`Order ${order.orderNumber} READY - all kitchen stations done`);
+    await etaService.refresh(order);
+
+    emitOrderUpdate(order._id.toString(), {
+      status: order.status,
+      message: 'Order is ready',
+      orderNumber: order.orderNumber,
+    });
+    emitUserNotification(order.customer.id.toString(), {
+      type: 'order_ready',
+      title: 'Order Ready',
+      message: `Your order ${order.orderNumber} is ready`,
+      orderId: order._id,
+    });
+  }
+}
+
+module.exports = new KitchenService();
@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const User = require('../models/User');
+const PromoCode = require('../models/PromoCode');
+const AppError = require('../utils/AppError');
+const runInTransaction = require('../utils/transaction');
+const sequenceService = require('./sequence.service');
+const slotService = require('./slot.service');
+const kitchenService = require('./kitchen.service');
+const walletService = require('./wallet.service');
+const tenderService = require('./tender.service');
+
+// Identifies an order line by item, portion and chosen options, so edits can be diffed
+const lineKey = (item) => {
+  const options = (item.customizations || [])
+    .map((c) => `${c.name}:${[...c.options].sort().join('+')}`)
+    .sort()
+    .join(',');
+  return `${item.menuItemId}|${item.portion || ''}|${options}`;
+};
+
+const describeLine = (line) => `${line.name}${line.portion ? ` (${line.portion})` : ''}`;
+
+/**
+ * Order placement.
+ * The order and every counter it affects (promo usage, slot capacity, menu stats,
+ * customer stats, loyalty points, wallet and loyalty payment legs) are written in one MongoDB
+ * transaction, so they commit or roll back together. Callers send notifications only after placeOrder resolves.
+ */
+class OrderService {
+  /**
+   * Place an order and apply its side effects atomically
+   * @param {Object} params
+   * @param {Object} params.user - Customer placing the order
+   * @param {Object} params.orderData - Order fields (items and pricing already computed);
+   *   WALLET and LOYALTY payment legs are taken from the customer's balances
+   * @param {Object} params.promo - Promo code document to claim, if any
+   * @param {Object} params.settings - Settings document
+   * @returns {Promise<Object>} Created order
+   */
+  async placeOrder({ user, orderData, promo, settings }) {
+    await kitchenService.assignStations(orderData.items);
+
+    return runInTransaction((session) =>
+      this.createOrderInSession(session, { user, orderData, promo, settings })
+    );
+  }
+
+  /**
+   * Transaction body of placeOrder - every write must use the session
+   * @private
+   */
+  async createOrderInSession(session, { user, orderData, promo, settings }) {
+    const { items, pricing } = orderData;
+
+    // Claim a promo use atomically so limited codes can't be oversubscribed
+    if (promo) {
+      const claimed = await promo.incrementUsage(pricing.itemsTotal, pricing.promoDiscount, {
+        session,
+      });
+      if (!claimed) {
+        throw new AppError('Promo code usage limit reached', 409);
+      }
+
+      // Counted in the transaction: a concurrent order by the same customer conflicts on the
+      // customer stats update below, so the retry counts the order that committed first
+      if (promo.perUserLimit) {
+        const timesUsed = await promo.countUsesBy(user._id, { session });
+        if (timesUsed >= promo.perUserLimit) {
+          throw new AppError('You have already used this promo code', 409);
+        }
+      }
+    }
+
+    // Take a place in the delivery slot; a full slot aborts the whole order
+    if (orderData.scheduledFor) {
+      await slotService.reserve(settings, orderData.scheduledFor, { session });
+    }
+
+    const orderNumber = await sequenceService.nextOrderNumber({ settings, session });
+
+    // Store credit; an empty wallet aborts the whole order. Legs are copied, the callback may
+    // run again
+    const orderId = new mongoose.Types.ObjectId();
+    const payments = (orderData.payments || []).map((leg) => ({ ...leg }));
+    const walletLeg = payments.find((leg) => leg.method === 'WALLET');
+    if (walletLeg) {
+      const debit = await walletService.debit(user._id, {
+        amount: walletLeg.amount,
+        reason: `Payment for order ${orderNumber}`,
+        actor: user._id,
+        actorRole: 'customer',
+        order: orderId,
+        session,
+      });
+      walletLeg.walletTransaction = debit._id;
+      walletLeg.paidAt = debit.createdAt;
+    }
+    const loyaltyLeg = payments.find((leg) => leg.method === 'LOYALTY');
+    if (loyaltyLeg) {
+      loyaltyLeg.paidAt = new Date();
+    }
+
+    const [order] = await Order.create([{ ...orderData, _id: orderId, orderNumber, payments }], {
+      session,
+    });
+
+    // Menu item stats for popularity tracking
+    await MenuItem.bulkWrite(
+      items.map((item) => ({
+        updateOne: {
+          filter: { _id: item.menuItemId },
+          update: {
+            $inc: {
+              'stats.totalOrders': item.quantity,
+              'stats.totalRevenue': item.subtotal,
+            },
+          },
+        },
+      })),
+      { session }
+    );
+
+    // Customer stats and loyalty redemption (payment leg); the filter keeps points from going
+    // negative
+    const loyaltyPointsUsed = loyaltyLeg?.points || 0;
+    const customerFilter = { _id: user._id };
+    if (loyaltyPointsUsed > 0) {
+      customerFilter['customerData.loyaltyPoints'] = { $gte: loyaltyPointsUsed };
+    }
+
+    const { matchedCount } = await User.updateOne(
+      customerFilter,
+      {
+        $inc: {
+          'customerData.totalOrders': 1,
+          'customerData.totalSpent': pricing.finalAmount,
+          'customerData.loyaltyPoints': -loyaltyPointsUsed,
+        },
+      },
+      { session }
+    );
+    if (matchedCount === 0) {
+      throw new AppError('Not enough loyalty points', 400);
+    }
+
+    return order;
+  }
+
+  /**
+   * Compare two versions of an order's lines
+   * @param {Array} before - Current order items
+   * @param {Array} after - New priced lines
+   * @returns {{ added: Array, removed: Array, changed: Array }}
+   */
+  diffItems(before, after) {
+    const summarize = (items) =>
+      items.reduce((lines, item) => {
+        const key = lineKey(item);
+        const line = lines.get(key) || { name: item.name, portion: item.portion, quantity: 0 };
+        line.quantity += item.quantity;
+        return lines.set(key, line);
+      }, new Map());
+
+    const previous = summarize(before);
+    const next = summarize(after);
+    const diff = { added: [], removed: [], changed: [] };
+
+    next.forEach((line, key) => {
+      const old = previous.get(key);
+      if (!old) {
+        diff.added.push(line);
+      } else if (old.quantity !== line.quantity) {
+        diff.changed.push({
+          name: line.name,
+          portion: line.portion,
+          from: old.quantity,
+          to: line.quantity,
+        });
+      }
+    });
+    previous.forEach((line, key) => {
+      if (!next.has(key)) diff.removed.push(line);
+    });
+
+    return diff;
+  }
+
+  /**
+   * Keep lines the kitchen already finished marked done when an edit leaves them unchanged
+   * @param {Array} before - Current order items
+   * @param {Array} after - New priced lines (mutated)
+   */
+  carryKitchenProgress(before, after) {
+    const finished = new Map(
+      before
+        .filter((item) => item.kitchenStatus === 'DONE')
+        .map((item) => [`${lineKey(item)}|${item.quantity}`, item])
+    );
+
+    after.forEach((item) => {
+      const done = finished.get(`${lineKey(item)}|${item.quantity}`);
+      if (done) {
+        item.kitchenStatus = 'DONE';
+        item.preparedAt = done.preparedAt;
+        item.preparedBy = done.preparedBy;
+      }
+    });
+  }
+
+  /**
+   * One-line summary of an edit for statusHistory notes
+   * @param {Object} changes - Result of editOrder's change tracking
+   */
+  summarizeChanges(changes) {
+    const parts = [];
+
+    if (changes.items) {
+      changes.items.added.forEach((l) => parts.push(`added ${l.quantity}× ${describeLine(l)}`));
+      changes.items.removed.forEach((l) => parts.push(`removed ${describeLine(l)}`));
+      changes.items.changed.forEach((l) => parts.push(`${describeLine(l)} ${l.from} → ${l.to}`));
+    }
+    if (changes.finalAmount && changes.finalAmount.from !== changes.finalAmount.to) {
+      parts.push(`total ₹${changes.finalAmount.from} → ₹${changes.finalAmount.to}`);
+    }
+    if (changes.deliveryAddress) parts.push('delivery address updated');
+    if (changes.specialInstructions) parts.push('instructions updated');
+
+    return `Order edited: ${parts.join('; ')}`;
+  }
+
+  /**
+   * Edit a PENDING order's items, address or instructions
+   * Stats, promo totals and the order are updated in one transaction; prepaid orders can
+   * only go down in price and get a pending refund for the difference; on unpaid orders, the
+   * leg still due takes up the difference and store credit beyond the new total goes back to
+   * the customer. Pricing may change without items when
+   * a new address changes the delivery fee.
+   * @param {Object} order - Order document (must be PENDING)
+   * @param {Object} edit - { items, pricing, deliveryAddress, specialInstructions, updatedBy }
+   * @returns {Promise<Object>} Changes recorded in statusHistory
+   */
+  async editOrder(order, { items, pricing, deliveryAddress, specialInstructions, updatedBy }) {
+    if (order.status !== 'PENDING') {
+      throw new AppError('Only orders that are still PENDING can be edited', 400);
+    }
+    if (order.getOpenSubstitution()) {
+      throw new AppError('Please answer the kitchen substitution request first', 400);
+    }
+
+    const previous = order.toObject({ virtuals: false });
+    const changes = {};
+    let giveBack = [];
+
+    if (pricing) {
+      if (items) {
+        changes.items = this.diffItems(previous.items, items);
+      }
+      changes.finalAmount = { from: previous.pricing.finalAmount, to: pricing.finalAmount };
+
+      const isPrepaid = ['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus);
+      if (isPrepaid && pricing.finalAmount > previous.pricing.finalAmount) {
+        throw new AppError(
+          'This order is already paid and cannot cost more. Please place a new order for extra items',
+          400
+        );
+      }
+      if (isPrepaid && pricing.finalAmount < previous.pricing.finalAmount) {
+        order.amountPaid = order.getAmountPaid();
+        order.openRefund({
+          type: 'partial',
+          amount: previous.pricing.finalAmount - pricing.finalAmount,
+          reason: 'Order edited',
+          requestedBy: updatedBy,
+        });
+      }
+
+      // Store credit that now covers the whole order pays it all, the rest goes back
+      if (!isPrepaid && order.payments.length > 0) {
+        giveBack = tenderService.rebalance(order, pricing.finalAmount);
+        if (order.paymentStatus === 'PAID') {
+          order.paymentDetails = {
+            gateway: order.paymentMethod.toLowerCase(),
+            method: order.paymentMethod,
+            timestamp: new Date(),
+          };
+        }
+      }
+
+      if (items) {
+        await kitchenService.assignStations(items);
+        this.carryKitchenProgress(previous.items, items);
+        order.items = items;
+      }
+      // Points given back by the rebalance no longer pay for the order
+      const loyaltyLeg = order.payments.find((leg) => leg.method === 'LOYALTY');
+      order.pricing = {
+        ...pricing,
+        loyaltyPointsUsed: loyaltyLeg?.points || 0,
+        loyaltyDiscount: loyaltyLeg?.amount || 0,
+      };
+    }
+    if (deliveryAddress) {
+      changes.deliveryAddress = true;
+      order.deliveryAddress = deliveryAddress;
+    }
+    if (specialInstructions !== undefined) {
+      changes.specialInstructions = { from: order.specialInstructions, to: specialInstructions };
+      order.specialInstructions = specialInstructions;
+    }
+
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      updatedBy,
+      notes: this.summarizeChanges(changes),
+      changes,
+    });
+
+    // Only save if the kitchen has not moved the order on in the meantime
+    order.$where = { status: 'PENDING' };
+
+    try {
+      await runInTransaction(async (session) => {
+        await order.save({ session });
+        if (pricing) {
+          await this.applyEditCounters(session, order, previous);
+        }
+        // One after the other - the credits update the same customer
+        await giveBack.reduce(
+          (chain, credit) =>
+            chain.then(() =>
+              tenderService.giveBack(
+                order,
+                { ...credit, reason: `Order ${order.orderNumber} edited`, actor: updatedBy },
+                session
+              )
+            ),
+          Promise.resolve()
+        );
+      });
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        throw new AppError(
+          'The order was updated by the restaurant. Please refresh and try again',
+          409
+        );
+      }
+      throw error;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Move menu, customer and promo counters from the old version of an order to the new one
+   * @private
+   */
+  async applyEditCounters(session, order, previous) {
+    const menuDeltas = new Map();
+    const addLines = (lines, sign) =>
+      lines.forEach((line) => {
+        const key = line.menuItemId.toString();
+        const delta = menuDeltas.get(key) || { orders: 0, revenue: 0 };
+        delta.orders += sign * line.quantity;
+        delta.revenue += sign * line.subtotal;
+        menuDeltas.set(key, delta);
+      });
+    addLines(previous.items, -1);
+    addLines(order.items, 1);
+
+    await MenuItem.bulkWrite(
+      [...menuDeltas].map(([menuItemId, delta]) => ({
+        updateOne: {
+          filter: { _id: menuItemId },
+          update: {
+            $inc: { 'stats.totalOrders': delta.orders, 'stats.totalRevenue': delta.revenue },
+          },
+        },
+      })),
+      { session }
+    );
+
+    await User.updateOne(
+      { _id: order.customer.id },
+      {
+        $inc: {
+          'customerData.totalSpent': order.pricing.finalAmount - previous.pricing.finalAmount,
+        },
+      },
+      { session }
+    );
+
+    if (order.pricing.promoCode) {
+      await PromoCode.updateOne(
+        { code: order.pricing.promoCode },
+        {
+          $inc: {
+            'stats.totalDiscount':
+              (order.pricing.promoDiscount || 0) - (previous.pricing.promoDiscount || 0),
+            'stats.totalRevenue': order.pricing.itemsTotal - previous.pricing.itemsTotal,
+          },
+        },
+        { session }
+      );
+    }
+  }
+}
+
+module.exports = new OrderService();
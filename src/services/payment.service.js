@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const runInTransaction = require('../utils/transaction');
+const RazorpayProvider = require('./payment/razorpay.provider');
+const MockProvider = require('./payment/mock.provider');
+
+// Payment methods collected through the gateway checkout (UPI only when no Settings.upiId)
+const GATEWAY_METHODS = ['ONLINE', 'UPI'];
+const UNPAID_STATUSES = ['PENDING', 'FAILED'];
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+/**
+ * Online payments.
+ * The client never marks an order paid: the gateway order is created here, and the order
+ * becomes PAID only after the checkout signature or a signed webhook is verified.
+ * Provider is chosen by PAYMENT_PROVIDER (razorpay | mock), or razorpay when its keys are set.
+ * Mock must be asked for explicitly, with its own PAYMENT_MOCK_SECRET, and is refused in
+ * production. With neither, online payments are disabled.
+ */
+class PaymentService {
+  constructor() {
+    this.provider = null;
+    this.initialize();
+  }
+
+  initialize() {
+    const {
+      PAYMENT_PROVIDER,
+      RAZORPAY_KEY_ID,
+      RAZORPAY_KEY_SECRET,
+      RAZORPAY_WEBHOOK_SECRET,
+      PAYMENT_MOCK_SECRET,
+    } = process.env;
+    const name = PAYMENT_PROVIDER || (RAZORPAY_KEY_ID ? 'razorpay' : null);
+
+    if (!name) {
+      logger.warn('⚠️  No payment provider configured. Online payments disabled');
+      return;
+    }
+
+    if (name === 'razorpay') {
+      if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+        logger.error(
+          '❌ RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET not configured. Online payments disabled'
+        );
+        return;
+      }
+      if (!RAZORPAY_WEBHOOK_SECRET) {
+        logger.warn(
+          '⚠️  RAZORPAY_WEBHOOK_SECRET not configured. Payment webhooks will be rejected'
+        );
+      }
+      this.provider = new RazorpayProvider({
+        keyId: RAZORPAY_KEY_ID,
+        keySecret: RAZORPAY_KEY_SECRET,
+        webhookSecret: RAZORPAY_WEBHOOK_SECRET,
+      });
+    } else if (name === 'mock') {
+      // Anyone who knows the mock secret can sign payments
+      if (process.env.NODE_ENV === 'production') {
+        logger.error(
+          '❌ Mock payment provider cannot be used in production. Online payments disabled'
+        );
+        return;
+      }
+      if (!PAYMENT_MOCK_SECRET) {
+        logger.error('❌ PAYMENT_MOCK_SECRET not configured. Online payments disabled');
+        return;
+      }
+      this.provider = new MockProvider({ secret: PAYMENT_MOCK_SECRET });
+    } else {
+      logger.error(`❌ Unknown PAYMENT_PROVIDER "${name}". Online payments disabled`);
+      return;
+    }
+
+    logger.info(`✅ Payment service initialized with ${this.provider.name}`);
+  }
+
+  /**
+   * @private
+   */
+  getProvider() {
+    if (!this.provider) {
+      throw new AppError('Online payments are not available right now', 503);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Create (or reuse) the gateway order for an unpaid order and return checkout options
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} { provider, keyId, gatewayOrderId, amount, currency, ... }
+   */
+  async createCheckout(order) {
+    const provider = this.getProvider();
+
+    if (!GATEWAY_METHODS.includes(order.paymentMethod)) {
+      throw new AppError(`${order.paymentMethod} orders are not paid online`, 400);
+    }
+    if (order.status === 'CANCELLED') {
+      throw new AppError('This order was cancelled', 400);
+    }
+    if (order.paymentStatus === 'AWAITING_PAYMENT') {
+      throw new AppError('This order is paid by UPI to the restaurant. Use its UPI link', 400);
+    }
+    if (!UNPAID_STATUSES.includes(order.paymentStatus)) {
+      throw new AppError(`This order is already ${order.paymentStatus.toLowerCase()}`, 400);
+    }
+
+    // Store credit already paid part of the order
+    const amount = toPaise(order.getAmountDue());
+    const details = order.paymentDetails;
+
+    // A retried checkout reuses the gateway order, so the customer cannot pay twice;
+    // a new one is needed only when an edit changed the amount
+    let { gatewayOrderId } = details;
+    if (!gatewayOrderId || details.gateway !== provider.name || details.gatewayAmount !== amount) {
+      const gatewayOrder = await provider.createOrder({
+        amount,
+        currency: 'INR',
+        receipt: order.orderNumber,
+        notes: { orderId: order._id.toString() },
+      });
+
+      order.$where = { 'paymentDetails.gatewayOrderId': gatewayOrderId ?? null };
+      gatewayOrderId = gatewayOrder.id;
+      details.gateway = provider.name;
+      details.gatewayOrderId = gatewayOrderId;
+      details.gatewayAmount = amount;
+
+      try {
+        await order.save();
+      } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError) {
+          throw new AppError('Checkout was already started for this order. Please try again', 409);
+        }
+        throw error;
+      }
+    }
+
+    return {
+      provider: provider.name,
+      keyId: provider.keyId,
+      gatewayOrderId,
+      amount,
+      currency: 'INR',
+      orderNumber: order.orderNumber,
+      prefill: {
+        name: order.customer.name,
+        email: order.customer.email,
+        contact: order.customer.phone,
+      },
+    };
+  }
+
+  /**
+   * Confirm a payment from the checkout callback
+   * @param {Object} order - Order document
+   * @param {Object} payment - { gatewayOrderId, paymentId, signature } from the checkout
+   * @returns {Promise<string>} Outcome: paid | ignored | amount_mismatch | double_payment
+   */
+  async verifyCheckout(order, { gatewayOrderId, paymentId, signature }) {
+    const provider = this.getProvider();
+
+    if (!provider.verifyPaymentSignature({ gatewayOrderId, paymentId, signature })) {
+      throw new AppError('Payment could not be verified', 400);
+    }
+    if (gatewayOrderId !== order.paymentDetails.gatewayOrderId) {
+      throw new AppError('This payment belongs to an earlier checkout of the order', 409);
+    }
+
+    const outcome = await this.applyPayment(order, {
+      paymentId,
+      amount: order.paymentDetails.gatewayAmount,
+    });
+    if (outcome === 'amount_mismatch') {
+      throw new AppError('The order changed after checkout. Please contact the restaurant', 409);
+    }
+    return outcome;
+  }
+
+  /**
+   * Apply a signed gateway webhook; each event is applied once, however often it is delivered
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { outcome, order } - order is null when nothing changed
+   */
+  async handleWebhook(rawBody, headers) {
+    const provider = this.getProvider();
+    const event = provider.parseWebhook(rawBody, headers);
+
+    if (!['payment.captured', 'payment.failed'].includes(event.type)) {
+      return { outcome: 'ignored', order: null };
+    }
+
+    let outcome;
+    let order;
+    try {
+      await runInTransaction(async (session) => {
+        order = await Order.findOne({
+          'paymentDetails.gatewayOrderId': event.gatewayOrderId,
+        }).session(session);
+
+        if (!order) {
+          outcome = 'unmatched';
+        } else if (event.type === 'payment.captured') {
+          outcome = await this.applyPayment(order, event, session);
+        } else {
+          outcome = await this.applyFailure(order, event, session);
+        }
+
+        // Unique on provider + eventId, so a concurrent redelivery rolls this one back
+        await PaymentEvent.create(
+          [
+            {
+              provider: provider.name,
+              eventId: event.eventId,
+              type: event.type,
+              order: order?._id,
+              gatewayOrderId: event.gatewayOrderId,
+              paymentId: event.paymentId,
+              amount: event.amount,
+              outcome,
+            },
+          ],
+          { session }
+        );
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { outcome: 'duplicate', order: null };
+      }
+      throw error;
+    }
+
+    if (outcome === 'unmatched') {
+      logger.error(`Payment ${event.paymentId} for unknown gateway order ${event.gatewayOrderId}`);
+    }
+
+    return { outcome, order: ['paid', 'failed'].includes(outcome) ? order : null };
+  }
+
+  /**
+   * Mark an order paid unless it already is, or the amount is wrong
+   * @private
+   */
+  async applyPayment(order, { paymentId, amount, method }, session) {
+    if (!UNPAID_STATUSES.includes(order.paymentStatus)) {
+      if (order.paymentDetails.transactionId === paymentId) {
+        return 'ignored';
+      }
+      // The customer paid a second time; finance refunds it from the payment events
+      logger.error(
+        `Order ${order.orderNumber} is already ${order.paymentStatus}; second payment ${paymentId} received`
+      );
+      return 'double_payment';
+    }
+
+    if (amount !== toPaise(order.getAmountDue())) {
+      logger.error(
+        `Payment ${paymentId} of ${amount} paise does not match order ${order.orderNumber} (₹${order.getAmountDue()} due)`
+      );
+      return 'amount_mismatch';
+    }
+
+    try {
+      await order.recordOnlinePayment({
+        gateway: this.provider.name,
+        paymentId,
+        method,
+        session,
+      });
+    } catch (error) {
+      // Confirmed a moment ago by the other path (checkout callback or webhook)
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        return 'ignored';
+      }
+      throw error;
+    }
+
+    logger.info(`Order ${order.orderNumber} paid online (${paymentId})`);
+    return 'paid';
+  }
+
+  /**
+   * Record a failed attempt; a later successful attempt still marks the order paid
+   * @private
+   */
+  async applyFailure(order, { paymentId, error }, session) {
+    if (order.paymentStatus !== 'PENDING') {
+      return 'ignored';
+    }
+
+    order.updateDueLeg('FAILED');
+    order.paymentDetails.failureReason = error || `Payment ${paymentId} failed`;
+    order.$where = { paymentStatus: 'PENDING' };
+
+    try {
+      await order.save({ session });
+    } catch (saveError) {
+      if (saveError instanceof mongoose.Error.DocumentNotFoundError) {
+        return 'ignored';
+      }
+      throw saveError;
+    }
+    return 'failed';
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const RazorpayProvider = require('./razorpay.provider');
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Local stand-in for Razorpay, for development and tests.
+ * Speaks the same checkout and webhook formats, signed with a local secret, and never
+ * leaves the process. The helpers below play the part of the customer and the gateway.
+ */
+class MockProvider extends RazorpayProvider {
+  /**
+   * @param {Object} config - { secret }
+   */
+  constructor({ secret }) {
+    super({ keyId: 'rzp_mock', keySecret: secret, webhookSecret: secret });
+    this.name = 'mock';
+  }
+
+  async createOrder({ amount, currency }) {
+    return { id: `order_mock${crypto.randomBytes(7).toString('hex')}`, amount, currency };
+  }
+
+  /**
+   * Complete a checkout, as the customer's app would after paying
+   * @param {string} gatewayOrderId
+   * @returns {Object} { paymentId, signature } to send to the verify endpoint
+   */
+  pay(gatewayOrderId) {
+    const paymentId = `pay_mock${crypto.randomBytes(7).toString('hex')}`;
+    return { paymentId, signature: sign(this.keySecret, `${gatewayOrderId}|${paymentId}`) };
+  }
+
+  /**
+   * Build a signed webhook request, as the gateway would send it
+   * @param {string} event - payment.captured | payment.failed
+   * @param {Object} payment - { gatewayOrderId, paymentId, amount, method, error }
+   * @returns {Object} { rawBody, headers } to POST to the webhook endpoint
+   */
+  buildWebhook(event, { gatewayOrderId, paymentId, amount, method = 'upi', error }) {
+    const rawBody = JSON.stringify({
+      event,
+      payload: {
+        payment: {
+          entity: {
+            id: paymentId,
+            order_id: gatewayOrderId,
+            amount,
+            method,
+            error_description: error,
+          },
+        },
+      },
+    });
+
+    return {
+      rawBody,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-razorpay-signature': sign(this.webhookSecret, rawBody),
+        'x-razorpay-event-id': `evt_mock${crypto.randomBytes(7).toString('hex')}`,
+      },
+    };
+  }
+}
+
+module.exports = MockProvider;
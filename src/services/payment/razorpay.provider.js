@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const AppError = require('../../utils/AppError');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Constant-time comparison of a hex HMAC-SHA256 signature
+const signatureMatches = (secret, payload, signature) => {
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+
+  // Compared as bytes: a multibyte header can match the string length but not the byte length
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+  const received = Buffer.from(signature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Razorpay payment provider.
+ * Amounts are in paise. Checkout signatures are signed with the key secret, webhooks with
+ * the webhook secret configured on the Razorpay dashboard.
+ */
+class RazorpayProvider {
+  /**
+   * @param {Object} config - { keyId, keySecret, webhookSecret }
+   */
+  constructor({ keyId, keySecret, webhookSecret }) {
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * Create a gateway order that the checkout collects against
+   * @param {Object} params - { amount (paise), currency, receipt, notes }
+   * @returns {Promise<Object>} { id, amount, currency }
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const credentials = Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64');
+
+    let response;
+    try {
+      response = await fetch(`${API_URL}/orders`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ amount, currency, receipt, notes }),
+      });
+    } catch (error) {
+      throw new AppError('Payment gateway is unreachable. Please try again', 502);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const reason = body.error?.description || `HTTP ${response.status}`;
+      throw new AppError(`Payment gateway rejected the order: ${reason}`, 502);
+    }
+
+    return { id: body.id, amount: body.amount, currency: body.currency };
+  }
+
+  /**
+   * Check the signature the checkout returns after a successful payment
+   * @param {Object} params - { gatewayOrderId, paymentId, signature }
+   * @returns {boolean}
+   */
+  verifyPaymentSignature({ gatewayOrderId, paymentId, signature }) {
+    return signatureMatches(this.keySecret, `${gatewayOrderId}|${paymentId}`, signature);
+  }
+
+  /**
+   * Authenticate a webhook and normalise the payment it describes
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} { eventId, type, gatewayOrderId, paymentId, amount, method, error }
+   */
+  parseWebhook(rawBody, headers) {
+    if (
+      !rawBody ||
+      !signatureMatches(this.webhookSecret, rawBody, headers['x-razorpay-signature'])
+    ) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    const body = JSON.parse(rawBody.toString('utf8'));
+    const payment = body.payload?.payment?.entity || {};
+
+    return {
+      // Razorpay retries with the same event id
+      eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+      type: body.event,
+      gatewayOrderId: payment.order_id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      method: payment.method,
+      error: payment.error_description,
+    };
+  }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,530 @@
+const MenuItem = require('../models/MenuItem');
+const PromoCode = require('../models/PromoCode');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/currency');
+const serviceAreaService = require('./serviceArea.service');
+
+/**
+ * Server-authoritative pricing engine.
+ * Every amount stored in order.pricing is computed here from the menu catalog
+ * and Settings; prices sent by the apps are only used to detect drift.
+ */
+class PricingService {
+  /**
+   * Round a currency amount to paise
+   * @param {number} amount
+   */
+  round(amount) {
+    return roundCurrency(amount);
+  }
+
+  /**
+   * Resolve the unit price of a menu item for the requested portion
+   * Falls back to the first variant when the app does not send a portion
+   * @param {Object} menuItem - MenuItem document
+   * @param {string} portion - Quarter, Half, Full, 2PCS, ...
+   * @returns {{ portion: string, price: number }}
+   */
+  resolveUnitPrice(menuItem, portion) {
+    const variants = menuItem.priceVariants || [];
+
+    if (variants.length === 0) {
+      throw new AppError(`No price is configured for ${menuItem.name}`, 400);
+    }
+
+    if (!portion) {
+      return { portion: variants[0].quantity, price: variants[0].price };
+    }
+
+    const variant = variants.find((v) => v.quantity === portion);
+    if (!variant) {
+      throw new AppError(`${menuItem.name} is not available in ${portion} portion`, 400);
+    }
+
+    return { portion: variant.quantity, price: variant.price };
+  }
+
+  /**
+   * Price the requested customizations against the item's customization catalog
+   * @param {Object} menuItem - MenuItem document
+   * @param {Array<{name: string, option: string}>} requested - Customizations from the cart
+   * @returns {Array} Order customizations grouped by name ({ name, options, additionalPrice })
+   */
+  priceCustomizations(menuItem, requested = []) {
+    const catalog = menuItem.customizations || [];
+    const selected = [];
+
+    requested.forEach(({ name, option }) => {
+      const group = catalog.find((c) => c.name === name);
+      if (!group) {
+        throw new AppError(`"${name}" is not a customization of ${menuItem.name}`, 400);
+      }
+
+      const catalogOption = group.options.find((o) => o.name === option);
+      if (!catalogOption) {
+        throw new AppError(`"${option}" is not a valid option for ${name}`, 400);
+      }
+
+      let entry = selected.find((s) => s.name === group.name);
+      if (!entry) {
+        entry = { name: group.name, options: [], additionalPrice: 0 };
+        selected.push(entry);
+      }
+
+      if (group.type === 'single' && entry.options.length > 0) {
+        throw new AppError(`Only one option can be chosen for ${name}`, 400);
+      }
+
+      entry.options.push(catalogOption.name);
+      entry.additionalPrice = this.round(entry.additionalPrice + (catalogOption.price || 0));
+    });
+
+    const missing = catalog.filter((c) => c.required && !selected.some((s) => s.name === c.name));
+    if (missing.length > 0) {
+      throw new AppError(
+        `Please choose ${missing.map((c) => c.name).join(', ')} for ${menuItem.name}`,
+        400
+      );
+    }
+
+    return selected;
+  }
+
+  /**
+   * Build a priced order line from a cart item
+   * @param {Object} menuItem - MenuItem document
+   * @param {Object} item - Cart item ({ quantity, portion, customizations })
+   */
+  buildLine(menuItem, item) {
+    const { portion, price } = this.resolveUnitPrice(menuItem, item.portion);
+    const customizations = this.priceCustomizations(menuItem, item.customizations);
+    const customizationPrice = customizations.reduce((sum, c) => sum + c.additionalPrice, 0);
+
+    return {
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      image: menuItem.image,
+      description: menuItem.description,
+      portion,
+      price,
+      quantity: item.quantity,
+      customizations,
+      subtotal: this.round((price + customizationPrice) * item.quantity),
+    };
+  }
+
+  /**
+   * Load the available menu items referenced by a cart
+   * @param {Array} items - Cart items
+   * @returns {Promise<Map<string, Object>>} Menu items keyed by id
+   */
+  async loadMenuItems(items) {
+    const uniqueIds = [...new Set(items.map((item) => item.menuItem.toString()))];
+
+    const menuItems = await MenuItem.find({
+      _id: { $in: uniqueIds },
+      isAvailable: true,
+      isActive: true,
+    });
+
+    if (menuItems.length !== uniqueIds.length) {
+      const foundIds = menuItems.map((mi) => mi._id.toString());
+      const missingIds = uniqueIds.filter((id) => !foundIds.includes(id));
+      logger.warn(`Missing or unavailable menu items: ${missingIds.join(', ')}`);
+      throw new AppError('Some menu items are not available or do not exist', 400);
+    }
+
+    return new Map(menuItems.map((mi) => [mi._id.toString(), mi]));
+  }
+
+  /**
+   * Whether the delivery surge multiplier currently applies
+   * @param {Object} settings - Settings document
+   * @param {Date} now
+   */
+  isSurgeActive(settings, now = new Date()) {
+    const { surge } = settings;
+    return Boolean(surge && surge.enabled && (!surge.endsAt || surge.endsAt > now));
+  }
+
+  /**
+   * Delivery fee for a basket and drop point, with the rule that produced it
+   * Slabs are matched on distance from Settings.serviceArea.location; without slabs or a
+   * pinned address the flat Settings.deliveryCharge applies. Surge multiplies the base fee.
+   * @param {number} itemsTotal - Sum of line subtotals
+   * @param {Object} settings - Settings document
+   * @param {Object} deliveryAddress - Address with GeoJSON coordinates
+   * @returns {{ deliveryFee: number, deliveryRule: Object }}
+   */
+  calculateDeliveryFee(itemsTotal, settings, deliveryAddress) {
+    const slabs = settings.deliveryFeeSlabs || [];
+    const { location: origin } = settings.serviceArea || {};
+    const drop = deliveryAddress && deliveryAddress.coordinates;
+    const canMeasure =
+      slabs.length > 0 &&
+      origin &&
+      serviceAreaService.isPinned(origin.coordinates) &&
+      drop &&
+      serviceAreaService.isPinned(drop.coordinates);
+
+    const rule = { mode: 'flat', baseFee: settings.deliveryCharge || 0 };
+    let freeAbove = settings.freeDeliveryAbove || 0;
+
+    if (canMeasure) {
+      const distanceKm = this.round(
+        serviceAreaService.distanceKm(origin.coordinates, drop.coordinates)
+      );
+      // Past the last slab the farthest slab's fee applies; the service area limits the range
+      const slab = slabs.find((s) => distanceKm <= s.upToKm) || slabs[slabs.length - 1];
+
+      Object.assign(rule, {
+        mode: 'distance',
+        distanceKm,
+        slabUpToKm: slab.upToKm,
+        baseFee: slab.fee,
+      });
+      if (slab.freeAbove) ({ freeAbove } = slab);
+    }
+
+    if (freeAbove > 0 && itemsTotal >= freeAbove) {
+      return {
+        deliveryFee: 0,
+        deliveryRule: { ...rule, mode: 'free', freeDeliveryAbove: freeAbove },
+      };
+    }
+
+    let deliveryFee = rule.baseFee;
+    if (this.isSurgeActive(settings)) {
+      rule.surgeMultiplier = settings.surge.multiplier;
+      rule.surgeReason = settings.surge.reason;
+      deliveryFee = this.round(rule.baseFee * settings.surge.multiplier);
+    }
+
+    return { deliveryFee, deliveryRule: rule };
+  }
+
+  /**
+   * Settings.orderTypes entry for a counter order type
+   * @param {Object} settings - Settings document
+   * @param {string} orderType - pickup | dine-in
+   * @returns {Object|null} null for delivery orders
+   */
+  orderTypeConfig(settings, orderType) {
+    const { orderTypes = {} } = settings;
+    return { pickup: orderTypes.pickup, 'dine-in': orderTypes.dineIn }[orderType] || null;
+  }
+
+  /**
+   * Fees that apply to an order type
+   * Delivery fees are worked out separately by calculateDeliveryFee (delivery orders only)
+   * @param {Object} settings - Settings document
+   * @param {string} orderType - delivery | pickup | dine-in
+   * @returns {{ deliveryFee?: number, platformFee: number, packagingFee: number }}
+   */
+  feesForType(settings, orderType) {
+    const config = this.orderTypeConfig(settings, orderType);
+    const platformFee = settings.platformFee || 0;
+    const packagingFee = settings.packagingFee || 0;
+
+    if (!config) {
+      return { platformFee, packagingFee };
+    }
+
+    return {
+      deliveryFee: 0,
+      platformFee: config.applyPlatformFee ? platformFee : 0,
+      packagingFee: config.applyPackagingFee ? packagingFee : 0,
+    };
+  }
+
+  /**
+   * Compute the pricing breakdown stored on an order
+   * GST is charged on the discounted items and on the delivery, platform and packaging fees,
+   * which are taxable supplies too; the tax invoice carries each of them as its own line.
+   * The loyalty discount is what redeemed points take off the amount to pay. Points pay for
+   * the order (its LOYALTY payment leg) rather than lower its price, so it comes off after GST
+   * and finalAmount stays the order total.
+   * @param {number} itemsTotal - Sum of line subtotals
+   * @param {Object} settings - Settings document
+   * @param {Object} adjustments - Optional overrides (deliveryFee and the rule behind it,
+   *   platform and packaging fees, promo discount, loyalty points redeemed and their value -
+   *   Settings.loyaltyPointValue per point unless given)
+   */
+  calculateTotals(itemsTotal, settings, adjustments = {}) {
+    const {
+      deliveryFee = settings.deliveryCharge || 0,
+      deliveryRule,
+      platformFee = settings.platformFee || 0,
+      packagingFee = settings.packagingFee || 0,
+      promoCode,
+      promoDiscount = 0,
+      loyaltyPoints = 0,
+      loyaltyDiscount = loyaltyPoints * (settings.loyaltyPointValue || 0),
+    } = adjustments;
+
+    const taxRate = settings.taxRate || 0;
+    const discount = this.round(Math.min(promoDiscount, itemsTotal));
+
+    const taxableAmount = itemsTotal - discount + deliveryFee + platformFee + packagingFee;
+    const gst = this.round(taxableAmount * (taxRate / 100));
+    const grossAmount = this.round(taxableAmount + gst);
+    const finalAmount = Math.round(grossAmount);
+
+    return {
+      itemsTotal: this.round(itemsTotal),
+      deliveryFee: this.round(deliveryFee),
+      deliveryRule,
+      platformFee,
+      packagingFee,
+      gst,
+      taxRate,
+      discount,
+      promoCode,
+      promoDiscount: this.round(promoDiscount),
+      loyaltyPointsUsed: loyaltyPoints,
+      loyaltyDiscount: this.round(loyaltyDiscount),
+      roundOff: this.round(finalAmount - grossAmount),
+      finalAmount,
+    };
+  }
+
+  /**
+   * Loyalty points redeemed by a list of payments, as calculateTotals adjustments
+   * @param {Array} payments - Cart payments ({ method, points }) or an order's payment legs,
+   *   whose amount keeps the point value they were redeemed at
+   * @returns {Object} { loyaltyPoints, loyaltyDiscount } or {} without a LOYALTY payment
+   */
+  loyaltyRedemption(payments = []) {
+    const leg = payments.find((payment) => payment.method === 'LOYALTY');
+    return leg ? { loyaltyPoints: leg.points, loyaltyDiscount: leg.amount } : {};
+  }
+
+  /**
+   * Validate a promo code for a priced cart and compute its discount
+   * @param {string} code - Promo code from the cart
+   * @param {Object} user - Customer placing the order
+   * @param {Array} lines - Priced order lines
+   * @param {Object} pricing - Pricing before discounts
+   * @param {boolean} isExistingOrder - Code was already claimed by the order being edited
+   * @returns {Promise<{ promo: Object, promoCode: string, promoDiscount: number }>}
+   */
+  async applyPromo(code, user, lines, pricing, isExistingOrder = false) {
+    const result = await PromoCode.validateCode(code, user._id, {
+      itemsTotal: pricing.itemsTotal,
+      items: lines,
+      isFirstOrder: (user.customerData?.totalOrders || 0) === 0,
+      isExistingOrder,
+    });
+
+    if (!result.valid) {
+      throw new AppError(result.message, 400);
+    }
+
+    const { promo, eligibleTotal } = result;
+    const promoDiscount = this.round(
+      promo.calculateDiscount(eligibleTotal, { deliveryFee: pricing.deliveryFee })
+    );
+
+    return { promo, promoCode: promo.code, promoDiscount };
+  }
+
+  /**
+   * Price a lines list and apply the cart-level adjustments (delivery fee, promo code,
+   * loyalty points among the payments)
+   * @returns {Promise<{ pricing: Object, promo: Object|null }>}
+   */
+  async priceLines(
+    lines,
+    settings,
+    { user, promoCode, isExistingOrder, deliveryAddress, orderType = 'delivery', payments } = {}
+  ) {
+    const itemsTotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    const fees = {
+      ...this.feesForType(settings, orderType),
+      ...(orderType === 'delivery' &&
+        this.calculateDeliveryFee(itemsTotal, settings, deliveryAddress)),
+      ...this.loyaltyRedemption(payments),
+    };
+    let pricing = this.calculateTotals(itemsTotal, settings, fees);
+
+    if (!promoCode) {
+      return { pricing, promo: null };
+    }
+
+    const { promo, ...adjustments } = await this.applyPromo(
+      promoCode,
+      user,
+      lines,
+      pricing,
+      isExistingOrder
+    );
+    pricing = this.calculateTotals(itemsTotal, settings, { ...fees, ...adjustments });
+
+    return { pricing, promo };
+  }
+
+  /**
+   * Price a cart end to end
+   * @param {Array} items - Cart items as validated by createOrderSchema
+   * @param {Object} settings - Settings document
+   * @param {Object} options - { user, promoCode, isExistingOrder, deliveryAddress, orderType,
+   *   payments }
+   * @returns {Promise<{ items: Array, pricing: Object, promo: Object|null }>}
+   */
+  async priceCart(items, settings, options = {}) {
+    const menuItems = await this.loadMenuItems(items);
+    const lines = items.map((item) =>
+      this.buildLine(menuItems.get(item.menuItem.toString()), item)
+    );
+    const { pricing, promo } = await this.priceLines(lines, settings, options);
+
+    return { items: lines, pricing, promo };
+  }
+
+  /**
+   * Price a cart without rejecting it, for checkout previews
+   * Lines that cannot be ordered are left out of the totals and reported as warnings
+   * @param {Array} items - Cart items as validated by createOrderSchema
+   * @param {Object} settings - Settings document
+   * @param {Object} options - { user, promoCode, deliveryAddress, orderType, payments }
+   * @returns {Promise<{ items: Array, pricing: Object, warnings: Array }>}
+   */
+  async quoteCart(items, settings, options = {}) {
+    const uniqueIds = [...new Set(items.map((item) => item.menuItem.toString()))];
+    const menuItems = await MenuItem.find({ _id: { $in: uniqueIds } });
+    const menuItemsById = new Map(menuItems.map((mi) => [mi._id.toString(), mi]));
+
+    const lines = [];
+    const warnings = [];
+
+    items.forEach((item, index) => {
+      const menuItem = menuItemsById.get(item.menuItem.toString());
+      const warning = { index, menuItem: item.menuItem };
+
+      if (!menuItem) {
+        warnings.push({ ...warning, code: 'NOT_FOUND', message: 'This item no longer exists' });
+        return;
+      }
+
+      if (!menuItem.isAvailable || !menuItem.isActive) {
+        warnings.push({
+          ...warning,
+          name: menuItem.name,
+          code: 'UNAVAILABLE',
+          message: `${menuItem.name} is currently unavailable`,
+        });
+        return;
+      }
+
+      let line;
+      try {
+        line = this.buildLine(menuItem, item);
+      } catch (err) {
+        if (!err.isOperational) throw err;
+        warnings.push({
+          ...warning,
+          name: menuItem.name,
+          code: 'INVALID_SELECTION',
+          message: err.message,
+        });
+        return;
+      }
+
+      if (item.price !== undefined && item.price !== line.price) {
+        warnings.push({
+          ...warning,
+          name: menuItem.name,
+          code: 'PRICE_CHANGED',
+          message: `${menuItem.name} now costs ₹${line.price}`,
+          previousPrice: item.price,
+          currentPrice: line.price,
+        });
+      }
+
+      lines.push(line);
+    });
+
+    let priced;
+    try {
+      priced = await this.priceLines(lines, settings, options);
+    } catch (err) {
+      if (!err.isOperational) throw err;
+      warnings.push({ index: null, code: 'PROMO_INVALID', message: err.message });
+      priced = await this.priceLines(lines, settings, {
+        deliveryAddress: options.deliveryAddress,
+        orderType: options.orderType,
+        payments: options.payments,
+      });
+    }
+
+    const { loyaltyPointsUsed } = priced.pricing;
+    const balance = options.user?.customerData?.loyaltyPoints || 0;
+    if (loyaltyPointsUsed > 0 && !(settings.loyaltyPointValue > 0)) {
+      warnings.push({
+        index: null,
+        code: 'LOYALTY_UNAVAILABLE',
+        message: 'Loyalty points cannot be used to pay for orders right now',
+      });
+    } else if (loyaltyPointsUsed > balance) {
+      warnings.push({
+        index: null,
+        code: 'NOT_ENOUGH_POINTS',
+        message: `You have ${balance} loyalty points`,
+      });
+    }
+
+    try {
+      serviceAreaService.assertMinimumOrder(settings, priced.pricing, options.orderType);
+    } catch (err) {
+      warnings.push({ index: null, code: 'BELOW_MINIMUM', message: err.message });
+    }
+
+    return {
+      items: lines,
+      pricing: priced.pricing,
+      warnings,
+    };
+  }
+
+  /**
+   * Reject carts whose app-side total drifted from the server total
+   * Compares expectedTotal with finalAmount when sent, otherwise the app's
+   * line prices with itemsTotal
+   * @param {Object} pricing - Server pricing from calculateTotals
+   * @param {Array} clientItems - Cart items as sent by the app
+   * @param {number} expectedTotal - Final amount shown to the customer
+   * @param {Object} settings - Settings document
+   */
+  assertClientTotal(pricing, clientItems, expectedTotal, settings) {
+    const tolerance = settings.priceTolerance ?? 1;
+    let clientAmount;
+    let serverAmount;
+
+    if (expectedTotal !== undefined) {
+      clientAmount = expectedTotal;
+      serverAmount = pricing.finalAmount;
+    } else if (clientItems.every((item) => item.price !== undefined)) {
+      clientAmount = clientItems.reduce((sum, item) => {
+        const customizationPrice = (item.customizations || []).reduce(
+          (total, c) => total + (c.price || 0),
+          0
+        );
+        return sum + (item.price + customizationPrice) * item.quantity;
+      }, 0);
+      serverAmount = pricing.itemsTotal;
+    } else {
+      return;
+    }
+
+    if (Math.abs(clientAmount - serverAmount) > tolerance) {
+      logger.warn(`Price mismatch: app sent ₹${clientAmount}, server computed ₹${serverAmount}`);
+      throw new AppError(
+        `Prices have changed. Please review your cart (updated total: ₹${pricing.finalAmount})`,
+        409
+      );
+    }
+  }
+}
+
+module.exports = new PricingService();
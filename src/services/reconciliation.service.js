@@ -0,0 +1,392 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const AppError = require('../utils/AppError');
+const { csvLine, parseCsv } = require('../utils/csv');
+const { roundCurrency } = require('../utils/currency');
+
+// Report columns we read, by the header names gateways and banks use for them
+const COLUMN_ALIASES = {
+  transactionId: ['transaction_id', 'payment_id', 'entity_id', 'utr', 'rrn'],
+  amount: ['amount', 'credit', 'gross_amount', 'transaction_amount'],
+  fee: ['fee', 'fees'],
+  tax: ['tax', 'gst'],
+  settlementId: ['settlement_id', 'settlement_utr'],
+  settledAt: ['settled_at', 'settlement_date'],
+  type: ['type', 'entity_type'],
+};
+
+const EXCEPTION_COLUMNS = [
+  { header: 'Type', value: (exception) => exception.type },
+  { header: 'Row', value: (exception) => exception.rowNumber },
+  { header: 'Transaction ID', value: (exception) => exception.transactionId },
+  { header: 'Order Number', value: (exception) => exception.orderNumber },
+  { header: 'Expected Amount', value: (exception) => exception.expectedAmount },
+  { header: 'Reported Amount', value: (exception) => exception.reportedAmount },
+  { header: 'Details', value: (exception) => exception.details },
+];
+
+// Orders whose payment was taken and should therefore be settled
+const SETTLED_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+const LOOKUP_CHUNK = 1000;
+// Report rows that are not customer payments
+const SKIPPED_TYPES = ['refund', 'adjustment', 'transfer', 'reversal', 'chargeback', 'dispute'];
+
+const normaliseHeader = (header) =>
+  header
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+// What the gateway collected for a (lean) order: its payment leg, or the whole amount charged
+// on orders placed before payment legs
+const gatewayAmount = (order) => {
+  const leg = (order.payments || []).find((p) => !['WALLET', 'LOYALTY'].includes(p.method));
+  return roundCurrency(leg ? leg.amount : (order.amountPaid ?? order.pricing.finalAmount));
+};
+
+// "1,234.50", "₹ 1234.5" -> 1234.5; null when not a number
+const parseAmount = (text) => {
+  const cleaned = (text || '').replace(/[₹,\s]/g, '');
+  if (cleaned === '') return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const settledEarlier = (settlement) =>
+  `Settled earlier (settlement ${settlement?.settlementId || 'unknown'})`;
+
+/**
+ * Payment reconciliation.
+ * Settlement reports from the gateway (or bank) are matched to orders by
+ * paymentDetails.transactionId. Matched orders get their settlement recorded; everything
+ * that needs a person to look at it is stored as an exception on the run.
+ */
+class ReconciliationService {
+  /**
+   * Reconcile one settlement report
+   * @param {string} csvText - Report contents
+   * @param {Object} options - { fileName, source, from, to, amountUnit, uploadedBy }
+   *   from/to (order creation, [from, to)) enable the check for paid orders the report missed
+   * @returns {Promise<Object>} Saved ReconciliationRun
+   */
+  async reconcile(csvText, { fileName, source, from, to, amountUnit = 'rupees', uploadedBy }) {
+    const runId = new mongoose.Types.ObjectId();
+    const { rows, skippedRows, exceptions } = this.readReport(csvText, amountUnit);
+    const ordersByTransaction = await this.findOrders(rows.map((row) => row.transactionId));
+
+    const settled = [];
+    rows.forEach((row) => {
+      const orders = ordersByTransaction.get(row.transactionId) || [];
+      const base = {
+        rowNumber: row.rowNumber,
+        transactionId: row.transactionId,
+        reportedAmount: row.amount,
+      };
+
+      if (orders.length === 0) {
+        exceptions.push({
+          ...base,
+          type: 'missing_order',
+          details: 'No order has this transaction ID',
+        });
+        return;
+      }
+      if (orders.length > 1) {
+        exceptions.push({
+          ...base,
+          type: 'duplicate_order',
+          details: `Claimed by orders ${orders.map((order) => order.orderNumber).join(', ')}`,
+        });
+        return;
+      }
+
+      const [order] = orders;
+      const expectedAmount = gatewayAmount(order);
+      const withOrder = {
+        ...base,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        expectedAmount,
+      };
+
+      if (order.settlement?.reconciliation) {
+        exceptions.push({
+          ...withOrder,
+          type: 'already_settled',
+          details: settledEarlier(order.settlement),
+        });
+        return;
+      }
+      if (Math.abs(expectedAmount - row.amount) >= 0.01) {
+        exceptions.push({
+          ...withOrder,
+          type: 'amount_mismatch',
+          details: `Off by ₹${roundCurrency(row.amount - expectedAmount)}`,
+        });
+        return;
+      }
+
+      settled.push({ row, order, withOrder });
+    });
+
+    if (from && to) {
+      const missing = await this.findUnsettledOrders({
+        from,
+        to,
+        source,
+        reported: rows.map((row) => row.transactionId),
+      });
+      missing.forEach((order) =>
+        exceptions.push({
+          type: 'missing_in_report',
+          transactionId: order.paymentDetails.transactionId,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          expectedAmount: gatewayAmount(order),
+          details: 'Paid order not settled in this report',
+        })
+      );
+    }
+
+    let applied = settled;
+    if (settled.length > 0) {
+      const { modifiedCount } = await Order.bulkWrite(
+        settled.map(({ row, order }) => ({
+          updateOne: {
+            filter: { _id: order._id, 'settlement.reconciliation': { $exists: false } },
+            update: {
+              $set: {
+                settlement: {
+                  settlementId: row.settlementId,
+                  settledAt: row.settledAt,
+                  amount: row.amount,
+                  fee: row.fee,
+                  tax: row.tax,
+                  reconciliation: runId,
+                },
+              },
+            },
+          },
+        }))
+      );
+
+      // Another report uploaded at the same time can settle an order after it was read;
+      // the guarded update skips it and it is reported here instead of as matched
+      if (modifiedCount < settled.length) {
+        const current = await Order.find({ _id: { $in: settled.map(({ order }) => order._id) } })
+          .select('settlement')
+          .lean();
+        const settlementById = new Map(
+          current.map((order) => [order._id.toString(), order.settlement])
+        );
+        const wasApplied = ({ order }) =>
+          settlementById.get(order._id.toString())?.reconciliation?.equals(runId);
+
+        applied = settled.filter(wasApplied);
+        settled
+          .filter((entry) => !wasApplied(entry))
+          .forEach(({ order, withOrder }) =>
+            exceptions.push({
+              ...withOrder,
+              type: 'already_settled',
+              details: settledEarlier(settlementById.get(order._id.toString())),
+            })
+          );
+      }
+    }
+
+    const matchedRows = applied.map(({ row }) => row);
+    const sum = (items, field) =>
+      roundCurrency(items.reduce((total, item) => total + (item[field] || 0), 0));
+    const byType = {};
+    exceptions.forEach((exception) => {
+      byType[exception.type] = (byType[exception.type] || 0) + 1;
+    });
+
+    return ReconciliationRun.create({
+      _id: runId,
+      fileName,
+      source,
+      period: { from, to },
+      amountUnit,
+      uploadedBy,
+      summary: {
+        rows: rows.length,
+        skippedRows,
+        matched: applied.length,
+        reportedAmount: sum(rows, 'amount'),
+        matchedAmount: sum(matchedRows, 'amount'),
+        fees: sum(rows, 'fee'),
+        taxes: sum(rows, 'tax'),
+        exceptions: exceptions.length,
+        byType,
+      },
+      exceptions,
+    });
+  }
+
+  /**
+   * Parse the report into payment rows; unreadable and repeated rows become exceptions
+   * @private
+   */
+  readReport(csvText, amountUnit) {
+    const [header, ...lines] = parseCsv(csvText);
+    if (!header) {
+      throw new AppError('The settlement report is empty', 400);
+    }
+
+    const headers = header.map(normaliseHeader);
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const index = headers.findIndex((name) => aliases.includes(name));
+      if (index !== -1) columns[field] = index;
+    });
+
+    if (columns.transactionId === undefined || columns.amount === undefined) {
+      throw new AppError(
+        `The report needs a transaction ID column (${COLUMN_ALIASES.transactionId.join(', ')}) and an amount column (${COLUMN_ALIASES.amount.join(', ')})`,
+        400
+      );
+    }
+
+    const divisor = amountUnit === 'paise' ? 100 : 1;
+    const readAmount = (cells, field) => {
+      if (columns[field] === undefined) return undefined;
+      const amount = parseAmount(cells[columns[field]]);
+      return amount === null ? undefined : roundCurrency(amount / divisor);
+    };
+    const readText = (cells, field) =>
+      columns[field] === undefined ? undefined : (cells[columns[field]] || '').trim() || undefined;
+
+    const rows = [];
+    const exceptions = [];
+    const seen = new Map();
+    let skippedRows = 0;
+
+    lines.forEach((cells, index) => {
+      const rowNumber = index + 2;
+
+      // Refunds, adjustments and transfers settle separately from payments
+      const type = readText(cells, 'type');
+      if (type && SKIPPED_TYPES.includes(type.toLowerCase())) {
+        skippedRows += 1;
+        return;
+      }
+
+      const transactionId = readText(cells, 'transactionId');
+      const amount = readAmount(cells, 'amount');
+      if (!transactionId || amount === undefined) {
+        exceptions.push({
+          type: 'invalid_row',
+          rowNumber,
+          transactionId,
+          details: transactionId
+            ? 'Amount is missing or not a number'
+            : 'Transaction ID is missing',
+        });
+        return;
+      }
+
+      if (seen.has(transactionId)) {
+        exceptions.push({
+          type: 'duplicate_in_report',
+          rowNumber,
+          transactionId,
+          reportedAmount: amount,
+          details: `Same transaction as row ${seen.get(transactionId)}`,
+        });
+        return;
+      }
+      seen.set(transactionId, rowNumber);
+
+      const settledAt = readText(cells, 'settledAt');
+      const settledDate = settledAt ? new Date(settledAt) : undefined;
+
+      rows.push({
+        rowNumber,
+        transactionId,
+        amount,
+        fee: readAmount(cells, 'fee'),
+        tax: readAmount(cells, 'tax'),
+        settlementId: readText(cells, 'settlementId'),
+        settledAt: settledDate && !Number.isNaN(settledDate.getTime()) ? settledDate : undefined,
+      });
+    });
+
+    return { rows, skippedRows, exceptions };
+  }
+
+  /**
+   * Orders by transaction ID (a list, so double claims show up)
+   * @private
+   */
+  async findOrders(transactionIds) {
+    const chunks = [];
+    for (let start = 0; start < transactionIds.length; start += LOOKUP_CHUNK) {
+      chunks.push(transactionIds.slice(start, start + LOOKUP_CHUNK));
+    }
+
+    const results = await Promise.all(
+      chunks.map((chunk) =>
+        Order.find({ 'paymentDetails.transactionId': { $in: chunk } })
+          .select(
+            'orderNumber pricing.finalAmount amountPaid payments.method payments.amount paymentDetails.transactionId settlement'
+          )
+          .lean()
+      )
+    );
+
+    const ordersByTransaction = new Map();
+    results.flat().forEach((order) => {
+      const { transactionId } = order.paymentDetails;
+      ordersByTransaction.set(transactionId, [
+        ...(ordersByTransaction.get(transactionId) || []),
+        order,
+      ]);
+    });
+
+    return ordersByTransaction;
+  }
+
+  /**
+   * Paid orders in the period that no report has settled and this one does not mention
+   * @private
+   */
+  findUnsettledOrders({ from, to, source, reported }) {
+    return Order.find({
+      createdAt: { $gte: from, $lt: to },
+      paymentStatus: { $in: SETTLED_PAYMENT_STATUSES },
+      'paymentDetails.transactionId': { $exists: true, $nin: reported },
+      'settlement.reconciliation': { $exists: false },
+      ...(source && { 'paymentDetails.gateway': source }),
+    })
+      .select(
+        'orderNumber pricing.finalAmount amountPaid payments.method payments.amount paymentDetails.transactionId'
+      )
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Exceptions of a run as a CSV report
+   * @param {Object} run - ReconciliationRun document
+   * @param {string[]} types - Only these exception types (all when empty)
+   * @returns {string}
+   */
+  exceptionsCsv(run, types) {
+    const exceptions = types
+      ? run.exceptions.filter((exception) => types.includes(exception.type))
+      : run.exceptions;
+    const lines = [
+      csvLine(EXCEPTION_COLUMNS.map((column) => column.header)),
+      ...exceptions.map((exception) =>
+        csvLine(EXCEPTION_COLUMNS.map((column) => column.value(exception)))
+      ),
+    ];
+    // BOM so Excel reads the file as UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,124 @@
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+
+// Period a sequence restarts from 1, and the date tokens the format needs to stay unique
+const RESET_PERIODS = {
+  daily: ['{DD}'],
+  monthly: ['{MM}'],
+  yearly: ['{YYYY}', '{YY}'],
+  never: [],
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Human-friendly sequential numbers backed by atomic counters.
+ * Format tokens: {YYYY} {YY} {MM} {DD} {OUTLET} {SEQ} / {SEQ:n} (zero-padded to n digits)
+ */
+class SequenceService {
+  /**
+   * Key of the counter a number is drawn from for the given period
+   * @param {string} name - Sequence name (e.g. 'order')
+   * @param {string} outlet - Outlet code, when numbers are issued per outlet
+   * @param {string} reset - daily | monthly | yearly | never
+   * @param {Date} date
+   */
+  periodKey(name, outlet, reset, date) {
+    const period = {
+      daily: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+      monthly: `${date.getFullYear()}${pad(date.getMonth() + 1)}`,
+      yearly: `${date.getFullYear()}`,
+      never: 'all',
+    }[reset];
+
+    return [name, outlet || 'default', period].join(':');
+  }
+
+  /**
+   * Check that a number format can never repeat within its reset period
+   * @param {string} format
+   * @param {string} reset
+   * @param {string} label - Name of the number in error messages
+   * @returns {string|null} Error message, or null when the format is usable
+   */
+  validateFormat(format, reset, label = 'Order number') {
+    if (!RESET_PERIODS[reset]) {
+      return `${label} reset must be one of: ${Object.keys(RESET_PERIODS).join(', ')}`;
+    }
+    if (!/\{SEQ(:\d+)?\}/.test(format)) {
+      return `${label} format must contain {SEQ} or {SEQ:n}`;
+    }
+
+    // Every coarser period must also appear, otherwise numbers repeat (e.g. daily reset without {MM})
+    const periods = Object.keys(RESET_PERIODS);
+    const required = periods.slice(periods.indexOf(reset), periods.indexOf('never'));
+    const missing = required.find((period) =>
+      RESET_PERIODS[period].every((token) => !format.includes(token))
+    );
+    if (missing) {
+      return `${label} format must contain ${RESET_PERIODS[missing].join(' or ')} when numbers reset ${reset}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Render a number format
+   * @param {string} format
+   * @param {Object} values - { seq, outlet, date }
+   */
+  render(format, { seq, outlet, date }) {
+    return format
+      .replace(/\{YYYY\}/g, date.getFullYear())
+      .replace(/\{YY\}/g, pad(date.getFullYear() % 100))
+      .replace(/\{MM\}/g, pad(date.getMonth() + 1))
+      .replace(/\{DD\}/g, pad(date.getDate()))
+      .replace(/\{OUTLET\}/g, outlet || '')
+      .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => pad(seq, Number(width) || 1));
+  }
+
+  /**
+   * Issue the next order number
+   * Outlets only get their own sequence when the format contains {OUTLET}, so numbers stay unique
+   * @param {Object} options - { settings, date, session }
+   * @returns {Promise<string>}
+   */
+  async nextOrderNumber({ settings, date = new Date(), session } = {}) {
+    const config = settings || (await Settings.getSettings());
+
+    return this.next('order', config.orderNumberFormat, config.orderNumberReset || 'daily', {
+      outletCode: config.outletCode,
+      date,
+      session,
+    });
+  }
+
+  /**
+   * Issue the next tax invoice number - a separate series from order numbers
+   * @param {Object} options - { settings, date, session }
+   * @returns {Promise<string>}
+   */
+  async nextInvoiceNumber({ settings, date = new Date(), session } = {}) {
+    const config = settings || (await Settings.getSettings());
+    const { numberFormat, numberReset } = config.invoice;
+
+    return this.next('invoice', numberFormat, numberReset || 'yearly', {
+      outletCode: config.outletCode,
+      date,
+      session,
+    });
+  }
+
+  /**
+   * Draw and render the next number of a sequence
+   * @private
+   */
+  async next(name, format, reset, { outletCode, date, session }) {
+    const outlet = format.includes('{OUTLET}') ? outletCode : null;
+    const seq = await Counter.next(this.periodKey(name, outlet, reset, date), { session });
+
+    return this.render(format, { seq, outlet, date });
+  }
+}
+
+module.exports = new SequenceService();
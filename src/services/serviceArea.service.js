@@ -0,0 +1,190 @@
+const AppError = require('../utils/AppError');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Delivery service area and minimum order checks.
+ * The area is the union of a radius around the restaurant and any GeoJSON polygons
+ * configured in Settings.serviceArea. Coordinates are GeoJSON order: [longitude, latitude].
+ */
+class ServiceAreaService {
+  /**
+   * Great-circle distance between two points
+   * @param {number[]} from - [lng, lat]
+   * @param {number[]} to - [lng, lat]
+   * @returns {number} Distance in km
+   */
+  distanceKm([fromLng, fromLat], [toLng, toLat]) {
+    const dLat = toRadians(toLat - fromLat);
+    const dLng = toRadians(toLng - fromLng);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Whether a point lies inside a GeoJSON polygon (outer ring minus holes)
+   * @param {number[]} point - [lng, lat]
+   * @param {Array} rings - Polygon coordinates: [outerRing, ...holes]
+   */
+  isInPolygon(point, [outer, ...holes]) {
+    const inRing = ([x, y], ring) => {
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    };
+
+    return inRing(point, outer) && !holes.some((hole) => inRing(point, hole));
+  }
+
+  /**
+   * Whether a point was actually set - [0, 0] is the schema default for unpinned addresses
+   * @param {number[]} coordinates - [lng, lat]
+   */
+  isPinned(coordinates) {
+    return (
+      Array.isArray(coordinates) &&
+      coordinates.length === 2 &&
+      !(coordinates[0] === 0 && coordinates[1] === 0)
+    );
+  }
+
+  /**
+   * Whether the service area restricts deliveries at all
+   * @param {Object} settings - Settings document
+   */
+  isRestricted(settings) {
+    const { serviceArea } = settings;
+    return Boolean(
+      serviceArea &&
+      serviceArea.enabled &&
+      (serviceArea.radiusKm || (serviceArea.zones && serviceArea.zones.length > 0))
+    );
+  }
+
+  /**
+   * Check a configuration before it is saved
+   * @param {Object} serviceArea - Settings.serviceArea
+   * @returns {string|null} Error message, or null when the configuration is usable
+   */
+  validateConfig(serviceArea) {
+    const { enabled, location, radiusKm, zones = [] } = serviceArea;
+    const hasLocation = location && location.coordinates && location.coordinates.length === 2;
+
+    if (radiusKm && !hasLocation) {
+      return 'Set the restaurant location to use a delivery radius';
+    }
+    if (enabled && !radiusKm && zones.length === 0) {
+      return 'Add a delivery radius or at least one delivery zone';
+    }
+
+    const isClosedRing = (ring) =>
+      Array.isArray(ring) &&
+      ring.length >= 4 &&
+      ring.every((point) => Array.isArray(point) && point.length === 2) &&
+      ring[0][0] === ring[ring.length - 1][0] &&
+      ring[0][1] === ring[ring.length - 1][1];
+
+    const badZone = zones.find(
+      ({ polygon }) =>
+        !polygon ||
+        !Array.isArray(polygon.coordinates) ||
+        polygon.coordinates.length === 0 ||
+        !polygon.coordinates.every(isClosedRing)
+    );
+    if (badZone) {
+      return `Delivery zone "${badZone.name}" must be a closed polygon (first and last points equal)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an address can be delivered to
+   * @param {Object} settings - Settings document
+   * @param {number[]} coordinates - [lng, lat]
+   * @returns {{ serviceable: boolean, distanceKm: number|null, zone: string|null, message: string|null }}
+   */
+  check(settings, coordinates) {
+    if (!this.isRestricted(settings)) {
+      return { serviceable: true, distanceKm: null, zone: null, message: null };
+    }
+
+    if (!this.isPinned(coordinates)) {
+      return {
+        serviceable: false,
+        distanceKm: null,
+        zone: null,
+        message: 'Please pin your delivery location on the map',
+      };
+    }
+
+    const { location, radiusKm, zones = [] } = settings.serviceArea;
+    const distanceKm =
+      location && location.coordinates && location.coordinates.length === 2
+        ? Math.round(this.distanceKm(location.coordinates, coordinates) * 100) / 100
+        : null;
+
+    const zone = zones.find(({ polygon }) => this.isInPolygon(coordinates, polygon.coordinates));
+    const serviceable = Boolean(zone) || (Boolean(radiusKm) && distanceKm <= radiusKm);
+
+    return {
+      serviceable,
+      distanceKm,
+      zone: zone ? zone.name : null,
+      message: serviceable ? null : 'Sorry, we do not deliver to this location yet',
+    };
+  }
+
+  /**
+   * Reject addresses outside the service area
+   * @param {Object} settings - Settings document
+   * @param {Object} address - Address with GeoJSON coordinates
+   * @returns {Object} Result of check()
+   */
+  assertServiceable(settings, address) {
+    const result = this.check(
+      settings,
+      address && address.coordinates && address.coordinates.coordinates
+    );
+
+    if (!result.serviceable) {
+      throw new AppError(result.message, 400);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reject delivery carts below Settings.minimumOrderAmount (items total, before discounts)
+   * @param {Object} settings - Settings document
+   * @param {Object} pricing - Pricing breakdown
+   * @param {string} orderType - Pickup and dine-in orders have no minimum
+   */
+  assertMinimumOrder(settings, pricing, orderType = 'delivery') {
+    if (orderType !== 'delivery') {
+      return;
+    }
+
+    const minimum = settings.minimumOrderAmount || 0;
+
+    if (pricing.itemsTotal < minimum) {
+      throw new AppError(
+        `Minimum order amount is ₹${minimum}. Add ₹${Math.ceil(minimum - pricing.itemsTotal)} more to place this order`,
+        400
+      );
+    }
+  }
+}
+
+module.exports = new ServiceAreaService();
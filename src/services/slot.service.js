@@ -0,0 +1,151 @@
+const Counter = require('../models/Counter');
+const AppError = require('../utils/AppError');
+const { zonedParts, zonedTime } = require('../utils/timezone');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Delivery slots for scheduled (pre-order) deliveries.
+ * Slots are generated from Settings in the restaurant's time zone (Settings.timezone), whatever
+ * the server's; bookings per slot are kept in a Counter (slot:<ISO start>) so capacity checks
+ * are atomic.
+ */
+class SlotService {
+  /**
+   * Convert HH:mm to minutes since midnight
+   * @param {string} time
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Counter key holding the number of orders booked into a slot
+   * @param {Date} start - Slot start
+   */
+  slotKey(start) {
+    return `slot:${start.toISOString()}`;
+  }
+
+  /**
+   * Start times of every slot on a day
+   * @param {Object} settings - Settings document
+   * @param {Date} day - Any time on the day, in the restaurant's time zone
+   * @returns {Date[]}
+   */
+  slotStartsForDay(settings, day) {
+    const { year, month, day: date } = zonedParts(day, settings.timezone);
+    const duration = settings.slotDurationMinutes;
+    const first = this.toMinutes(settings.slotStartTime);
+    const last = this.toMinutes(settings.slotEndTime) - duration;
+
+    const starts = [];
+    for (let minutes = first; minutes <= last; minutes += duration) {
+      starts.push(zonedTime(settings.timezone, { year, month, day: date, minutes }));
+    }
+    return starts;
+  }
+
+  /**
+   * Whether a slot can still be booked: after the booking lead time and within the booking window
+   * @param {Object} settings - Settings document
+   * @param {Date} start - Slot start
+   * @param {Date} now
+   */
+  isWithinBookingWindow(settings, start, now = new Date()) {
+    const earliest = now.getTime() + settings.scheduleLeadTimeMinutes * MINUTE;
+    const { year, month, day } = zonedParts(now, settings.timezone);
+    const lastDay = zonedTime(settings.timezone, {
+      year,
+      month,
+      day: day + settings.scheduleMaxDaysAhead + 1,
+    });
+
+    return start.getTime() >= earliest && start < lastDay;
+  }
+
+  /**
+   * Slots of a day with their remaining capacity
+   * @param {Object} settings - Settings document
+   * @param {Date} day - Any time on the day
+   * @returns {Promise<Array>} [{ start, end, capacity, booked, remaining, available }]
+   */
+  async getSlots(settings, day) {
+    const starts = this.slotStartsForDay(settings, day);
+    const counters = await Counter.find({ _id: { $in: starts.map((s) => this.slotKey(s)) } });
+    const bookedByKey = new Map(counters.map((c) => [c._id, c.seq]));
+
+    return starts.map((start) => {
+      const booked = bookedByKey.get(this.slotKey(start)) || 0;
+      const remaining = Math.max(settings.maxOrdersPerSlot - booked, 0);
+
+      return {
+        start,
+        end: new Date(start.getTime() + settings.slotDurationMinutes * MINUTE),
+        capacity: settings.maxOrdersPerSlot,
+        booked,
+        remaining,
+        available: remaining > 0 && this.isWithinBookingWindow(settings, start),
+      };
+    });
+  }
+
+  /**
+   * Check a requested delivery time is the start of a bookable slot
+   * @param {Object} settings - Settings document
+   * @param {Date|string} scheduledFor - Requested slot start
+   * @returns {Date} Slot start
+   */
+  resolveSlot(settings, scheduledFor) {
+    const start = new Date(scheduledFor);
+    const isSlotStart = this.slotStartsForDay(settings, start).some(
+      (s) => s.getTime() === start.getTime()
+    );
+
+    if (!isSlotStart) {
+      throw new AppError('Please choose one of the available delivery slots', 400);
+    }
+
+    if (!this.isWithinBookingWindow(settings, start)) {
+      throw new AppError('This delivery slot can no longer be booked', 400);
+    }
+
+    return start;
+  }
+
+  /**
+   * Book one order into a slot, failing when the slot is full
+   * Run inside the order transaction so a failed order frees its place
+   * @param {Object} settings - Settings document
+   * @param {Date} start - Slot start
+   * @param {Object} options - { session }
+   */
+  async reserve(settings, start, { session } = {}) {
+    const booked = await Counter.increment(this.slotKey(start), 1, { session });
+
+    if (booked > settings.maxOrdersPerSlot) {
+      throw new AppError('This delivery slot is full. Please choose another slot', 409);
+    }
+  }
+
+  /**
+   * Give a slot place back (e.g. when a scheduled order is cancelled)
+   * @param {Date} start - Slot start
+   * @param {Object} options - { session }
+   */
+  async release(start, { session } = {}) {
+    await Counter.increment(this.slotKey(start), -1, { session });
+  }
+
+  /**
+   * When a scheduled order should enter the live kitchen queue
+   * @param {Object} settings - Settings document
+   * @param {Date} start - Slot start
+   */
+  releaseTime(settings, start) {
+    return new Date(start.getTime() - settings.kitchenLeadTimeMinutes * MINUTE);
+  }
+}
+
+module.exports = new SlotService();
@@ -0,0 +1,306 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const {
+  emitUserNotification,
+  emitRoleNotification,
+  emitOrderEdited,
+  emitKitchenTicket,
+} = require('../utils/socket');
+const notificationService = require('./notification.service');
+const pricingService = require('./pricing.service');
+const orderService = require('./order.service');
+const kitchenService = require('./kitchen.service');
+
+const MINUTE = 60 * 1000;
+
+// Substitution status for each way a request can be answered
+const RESPONSE_STATUSES = {
+  accept: 'ACCEPTED',
+  remove: 'REMOVED',
+  cancel: 'CANCELLED',
+  expire: 'EXPIRED',
+};
+
+/**
+ * Kitchen-initiated substitutions on PENDING orders.
+ * The kitchen flags lines that ran out and proposes a substitute or removal; the customer
+ * accepts, keeps the order without those lines, or cancels it. Unanswered requests expire
+ * and the flagged lines are dropped. Pricing and prepaid refunds go through the regular
+ * order edit flow.
+ */
+class SubstitutionService {
+  /**
+   * Cart items for an order after a substitution request is applied
+   * @param {Object} order - Order document
+   * @param {Object} substitution - Substitution subdocument
+   * @param {boolean} withSubstitutes - Add the proposed substitutes (false = only drop lines)
+   */
+  buildCart(order, substitution, withSubstitutes) {
+    const flagged = new Map(substitution.lines.map((line) => [line.itemId.toString(), line]));
+
+    return order.toCartItems().flatMap((item, index) => {
+      const line = flagged.get(order.items[index]._id.toString());
+
+      if (!line) {
+        return [item];
+      }
+      if (!withSubstitutes || line.action === 'remove') {
+        return [];
+      }
+
+      return [
+        {
+          menuItem: line.substitute.menuItemId.toString(),
+          portion: line.substitute.portion,
+          quantity: line.substitute.quantity,
+          customizations: line.substitute.customizations.map(({ name, option }) => ({
+            name,
+            option,
+          })),
+        },
+      ];
+    });
+  }
+
+  /**
+   * Price a cart for an existing order (its promo code stays applied)
+   * @returns {Promise<{ items: Array, pricing: Object }|null>} null when the cart is empty
+   */
+  async priceCart(order, cart, settings) {
+    if (cart.length === 0) {
+      return null;
+    }
+
+    const customer = (await User.findById(order.customer.id)) || { _id: order.customer.id };
+    return pricingService.priceCart(cart, settings, {
+      user: customer,
+      promoCode: order.pricing.promoCode,
+      isExistingOrder: true,
+      deliveryAddress: order.deliveryAddress,
+      orderType: order.orderType,
+      payments: order.payments,
+    });
+  }
+
+  /**
+   * Flag lines of a PENDING order and ask the customer about substitutes
+   * @param {Object} order - Order document
+   * @param {Object} request - { lines: [{ itemId, action, substitute }], note, proposedBy }
+   * @returns {Promise<Object>} Substitution subdocument
+   */
+  async propose(order, { lines, note, proposedBy }) {
+    if (order.status !== 'PENDING') {
+      throw new AppError('Substitutions can only be proposed while the order is PENDING', 400);
+    }
+    if (order.getOpenSubstitution()) {
+      throw new AppError('This order already has a substitution waiting for the customer', 400);
+    }
+
+    const settings = await Settings.getSettings();
+
+    // Resolve substitutes against the menu so the customer sees names and prices
+    const substituteItems = lines
+      .filter((line) => line.action === 'substitute')
+      .map((line) => line.substitute);
+    const menuItems =
+      substituteItems.length > 0 ? await pricingService.loadMenuItems(substituteItems) : new Map();
+
+    const substitutionLines = lines.map(({ itemId, action, substitute }) => {
+      const item = order.items.id(itemId);
+      if (!item) {
+        throw new AppError(`Order line ${itemId} not found`, 400);
+      }
+
+      const line = { itemId: item._id, name: item.name, quantity: item.quantity, action };
+      if (action === 'substitute') {
+        const menuItem = menuItems.get(substitute.menuItem);
+        line.substitute = {
+          menuItemId: menuItem._id,
+          name: menuItem.name,
+          portion: substitute.portion,
+          quantity: substitute.quantity || item.quantity,
+          customizations: substitute.customizations || [],
+        };
+      }
+      return line;
+    });
+
+    order.substitutions.push({
+      lines: substitutionLines,
+      note,
+      proposedBy,
+      currentTotal: order.pricing.finalAmount,
+      expiresAt: new Date(Date.now() + settings.substitutionTimeoutMinutes * MINUTE),
+    });
+    const substitution = order.substitutions[order.substitutions.length - 1];
+
+    // Price the proposal now so invalid substitutes are rejected before the customer is asked
+    const priced = await this.priceCart(order, this.buildCart(order, substitution, true), settings);
+    substitution.proposedTotal = priced ? priced.pricing.finalAmount : 0;
+
+    const isPrepaid = ['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus);
+    if (isPrepaid && substitution.proposedTotal > order.pricing.finalAmount) {
+      throw new AppError(
+        'Substitutes cannot cost more than the original items on a paid order',
+        400
+      );
+    }
+
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      updatedBy: proposedBy,
+      notes: `Substitution proposed for ${substitutionLines.map((l) => l.name).join(', ')}`,
+    });
+
+    order.$where = { status: 'PENDING' };
+    await order.save();
+
+    logger.info(`Substitution proposed on order ${order.orderNumber}`);
+    if (order.isInKitchenQueue()) {
+      emitKitchenTicket(kitchenService.toTicket(order));
+    }
+    await this.notifyCustomer(order, substitution);
+
+    return substitution;
+  }
+
+  /**
+   * Apply the customer's answer (or the timeout) to a substitution request
+   * @param {Object} order - Order document
+   * @param {string} substitutionId - Substitution subdocument id
+   * @param {string} response - accept | remove | cancel | expire
+   * @param {Object} actor - { role, userId }
+   * @returns {Promise<Object>} Substitution subdocument
+   */
+  async respond(order, substitutionId, response, { role, userId }) {
+    const substitution = order.substitutions.id(substitutionId);
+
+    if (!substitution) {
+      throw new AppError('Substitution request not found', 404);
+    }
+    if (substitution.status !== 'PROPOSED') {
+      throw new AppError(`Substitution request is already ${substitution.status}`, 400);
+    }
+    if (response !== 'expire' && substitution.expiresAt <= new Date()) {
+      await this.respond(order, substitutionId, 'expire', { role: 'system' });
+      throw new AppError(
+        'This substitution request has expired; the unavailable items were removed',
+        400
+      );
+    }
+
+    substitution.status = RESPONSE_STATUSES[response];
+    substitution.respondedAt = new Date();
+
+    const settings = await Settings.getSettings();
+    const cart =
+      response === 'cancel' ? [] : this.buildCart(order, substitution, response === 'accept');
+    const priced = await this.priceCart(order, cart, settings);
+
+    if (priced) {
+      const changes = await orderService.editOrder(order, {
+        items: priced.items,
+        pricing: priced.pricing,
+        updatedBy: userId,
+      });
+      emitOrderEdited(order, changes);
+      await kitchenService.syncTicket(order, userId);
+    } else {
+      // Nothing left to cook - cancelling also opens a refund for prepaid orders
+      await order.updateStatus('CANCELLED', {
+        role,
+        updatedBy: userId,
+        reason:
+          response === 'cancel'
+            ? 'Customer declined the kitchen substitution'
+            : 'All items were unavailable',
+      });
+    }
+
+    logger.info(`Substitution on order ${order.orderNumber} ${substitution.status}`);
+
+    emitRoleNotification('admin', {
+      type: 'substitution_answered',
+      title: 'Substitution Answered',
+      message: `Order ${order.orderNumber}: substitution ${substitution.status.toLowerCase()}`,
+      orderId: order._id,
+      status: substitution.status,
+    });
+
+    return substitution;
+  }
+
+  /**
+   * Drop the flagged lines of every substitution request nobody answered in time
+   * @returns {Promise<number>} Number of requests expired
+   */
+  async expireOverdue() {
+    const orders = await Order.find({
+      status: 'PENDING',
+      substitutions: { $elemMatch: { status: 'PROPOSED', expiresAt: { $lte: new Date() } } },
+    });
+
+    const results = await Promise.allSettled(
+      orders.map((order) =>
+        this.respond(order, order.getOpenSubstitution()._id, 'expire', { role: 'system' })
+      )
+    );
+
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => logger.error('Failed to expire substitution:', result.reason));
+
+    return results.filter((result) => result.status === 'fulfilled').length;
+  }
+
+  /**
+   * Check for expired substitution requests on an interval
+   * @param {number} intervalMs - How often to check (default: 1 minute)
+   * @returns {NodeJS.Timeout} Timer, to clear on shutdown
+   */
+  startExpiryWatcher(intervalMs = MINUTE) {
+    return setInterval(() => {
+      this.expireOverdue().catch((err) => {
+        logger.error('Substitution expiry check failed:', err);
+      });
+    }, intervalMs);
+  }
+
+  /**
+   * Ask the customer to answer a substitution request (socket + push)
+   * @private
+   */
+  async notifyCustomer(order, substitution) {
+    const message = `Some items in order ${order.orderNumber} are unavailable. Please review the kitchen's suggestion`;
+
+    emitUserNotification(order.customer.id.toString(), {
+      type: 'substitution_proposed',
+      title: 'Item Unavailable',
+      message,
+      orderId: order._id,
+      substitution,
+    });
+
+    try {
+      const customer = await User.findById(order.customer.id);
+      const tokens = customer ? customer.getActiveDeviceTokens() : [];
+      if (tokens.length > 0) {
+        await notificationService.sendMulticastNotification(tokens, 'Item Unavailable', message, {
+          type: 'SUBSTITUTION_PROPOSED',
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          substitutionId: substitution._id.toString(),
+          expiresAt: substitution.expiresAt.toISOString(),
+        });
+      }
+    } catch (err) {
+      logger.warn('[SUBSTITUTION NOTIFICATION] Failed to send push notification:', err.message);
+    }
+  }
+}
+
+module.exports = new SubstitutionService();
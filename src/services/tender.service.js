@@ -0,0 +1,251 @@
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { roundCurrency } = require('../utils/currency');
+const runInTransaction = require('../utils/transaction');
+const walletService = require('./wallet.service');
+
+// Tenders paid from the customer's own balance, taken when the order is placed
+const STORE_CREDIT_METHODS = ['WALLET', 'LOYALTY'];
+// Payment statuses where store credit has not been settled into a payment yet
+const UNPAID_STATUSES = ['PENDING', 'AWAITING_PAYMENT', 'FAILED'];
+
+const sumAmounts = (legs) => roundCurrency(legs.reduce((sum, leg) => sum + leg.amount, 0));
+
+/**
+ * Split tender.
+ * An order is paid by one or more legs (Order.payments): store credit (wallet, loyalty points),
+ * taken when the order is placed, and at most one leg collected outside the app's balances
+ * (online, COD, card or UPI) for the rest. Order.paymentStatus is derived from the legs.
+ */
+class TenderService {
+  /**
+   * Turn the payment choice of a new order into legs
+   * @param {Object} settings - Settings document
+   * @param {Object} choice - { finalAmount, paymentMethod, payments: [{ method, amount, points }],
+   *   upiToRestaurant }; paymentMethod alone pays the whole order (WALLET from the wallet)
+   * @returns {Object} { payments, paymentMethod, paymentStatus }
+   */
+  buildLegs(settings, { finalAmount, paymentMethod, payments, upiToRestaurant }) {
+    const requested = payments || [
+      { method: paymentMethod, ...(paymentMethod === 'WALLET' && { amount: finalAmount }) },
+    ];
+
+    const external = requested.filter((leg) => !STORE_CREDIT_METHODS.includes(leg.method));
+    if (external.length > 1) {
+      throw new AppError(
+        'Only one of ONLINE, COD, CARD and UPI can pay an order; wallet and loyalty points can pay part of it',
+        400
+      );
+    }
+
+    const legs = requested
+      .filter((leg) => STORE_CREDIT_METHODS.includes(leg.method))
+      .filter((leg) => leg.amount > 0 || leg.points > 0)
+      .map((leg) => {
+        if (leg.method === 'WALLET') {
+          return { method: 'WALLET', amount: roundCurrency(leg.amount), status: 'PAID' };
+        }
+        if (!(settings.loyaltyPointValue > 0)) {
+          throw new AppError('Loyalty points cannot be used to pay for orders right now', 400);
+        }
+        return {
+          method: 'LOYALTY',
+          points: leg.points,
+          amount: roundCurrency(leg.points * settings.loyaltyPointValue),
+          status: 'PAID',
+        };
+      });
+
+    const storeCredit = sumAmounts(legs);
+    if (storeCredit > finalAmount) {
+      throw new AppError(
+        `Wallet and loyalty points cover ₹${storeCredit}, more than the order total of ₹${finalAmount}`,
+        400
+      );
+    }
+
+    const remainder = roundCurrency(finalAmount - storeCredit);
+    const [due] = external;
+    if (due) {
+      if (due.amount !== undefined && Math.abs(due.amount - remainder) >= 0.01) {
+        throw new AppError(
+          `The ${due.method} payment should be ₹${remainder} to make up the order total of ₹${finalAmount}`,
+          400
+        );
+      }
+      if (remainder > 0 || legs.length === 0) {
+        // UPI to the restaurant's own UPI ID waits for an admin to confirm it
+        legs.push({
+          method: due.method,
+          amount: remainder,
+          status: due.method === 'UPI' && upiToRestaurant ? 'AWAITING_PAYMENT' : 'PENDING',
+        });
+      }
+    } else if (remainder > 0) {
+      throw new AppError(`Choose how to pay the remaining ₹${remainder}`, 400);
+    }
+
+    const dueLeg = legs.find((leg) => !STORE_CREDIT_METHODS.includes(leg.method));
+    let method = 'LOYALTY';
+    if (dueLeg) {
+      ({ method } = dueLeg);
+    } else if (legs.some((leg) => leg.method === 'WALLET')) {
+      method = 'WALLET';
+    }
+
+    return {
+      payments: legs,
+      paymentMethod: method,
+      paymentStatus: this.derivePaymentStatus(legs),
+    };
+  }
+
+  /**
+   * Order payment status from its legs
+   * @param {Array} legs - Order.payments
+   * @returns {string} PAID | AWAITING_PAYMENT | FAILED | PENDING
+   */
+  derivePaymentStatus(legs) {
+    if (legs.every((leg) => leg.status === 'PAID')) return 'PAID';
+    if (legs.some((leg) => leg.status === 'AWAITING_PAYMENT')) return 'AWAITING_PAYMENT';
+    if (legs.some((leg) => leg.status === 'FAILED')) return 'FAILED';
+    return 'PENDING';
+  }
+
+  /**
+   * Fit an unpaid order's legs to a new total (does not save)
+   * The due leg takes up the difference. Once store credit alone covers the total, the due leg
+   * is dropped, the order is paid, and the credit beyond the total is to be given back.
+   * @param {Object} order - Order document with payment legs
+   * @param {number} total - New pricing.finalAmount
+   * @returns {Array} Store credit to give back: [{ method, amount, points }]
+   */
+  rebalance(order, total) {
+    const credits = order.payments.filter(
+      (leg) => STORE_CREDIT_METHODS.includes(leg.method) && leg.status === 'PAID'
+    );
+    const dueLeg = order.getDueLeg();
+    let excess = roundCurrency(sumAmounts(credits) - total);
+
+    if (excess < 0) {
+      if (dueLeg) dueLeg.amount = -excess;
+      return [];
+    }
+
+    // Later legs go back first
+    const giveBack = [];
+    [...credits].reverse().forEach((leg) => {
+      const amount = Math.min(leg.amount, excess);
+      if (amount <= 0) return;
+
+      const points = leg.method === 'LOYALTY' ? Math.round((leg.points * amount) / leg.amount) : 0;
+      leg.amount = roundCurrency(leg.amount - amount);
+      if (points) leg.points -= points;
+      excess = roundCurrency(excess - amount);
+      giveBack.push({ method: leg.method, amount, points });
+    });
+
+    if (dueLeg) {
+      order.payments.pull(dueLeg._id);
+      order.paymentMethod = credits.some((leg) => leg.method === 'WALLET') ? 'WALLET' : 'LOYALTY';
+    }
+    order.paymentStatus = this.derivePaymentStatus(order.payments);
+
+    return giveBack;
+  }
+
+  /**
+   * Give store credit back to the order's customer, inside the caller's transaction
+   * @param {Object} order - Order document
+   * @param {Object} credit - { method: WALLET|LOYALTY, amount, points, reason, actor, actorRole }
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object|null>} WalletTransaction for wallet credit
+   */
+  async giveBack(order, { method, amount, points, reason, actor, actorRole }, session) {
+    if (method === 'WALLET') {
+      return walletService.credit(order.customer.id, {
+        amount,
+        reason,
+        actor,
+        actorRole,
+        order: order._id,
+        session,
+      });
+    }
+
+    await User.updateOne(
+      { _id: order.customer.id },
+      { $inc: { 'customerData.loyaltyPoints': points } },
+      { session }
+    );
+    return null;
+  }
+
+  /**
+   * Save an order together with the store credit its refunds and cancellation give back:
+   * processed refunds to the wallet or to loyalty points are credited, and a cancelled order
+   * that was never paid returns its wallet and loyalty legs. Other orders are simply saved.
+   * @param {Object} order - Order document
+   * @param {Object} context - { actor, actorRole }
+   * @returns {Promise<Object>} The order
+   */
+  async saveOrder(order, { actor, actorRole }) {
+    const refunds = order.refunds.filter(
+      (refund) =>
+        ['wallet', 'loyalty'].includes(refund.destination) &&
+        refund.status === 'PROCESSED' &&
+        !refund.creditedAt
+    );
+    const legs =
+      order.status === 'CANCELLED' && UNPAID_STATUSES.includes(order.paymentStatus)
+        ? order.payments.filter(
+            (leg) => STORE_CREDIT_METHODS.includes(leg.method) && leg.status === 'PAID'
+          )
+        : [];
+
+    if (refunds.length === 0 && legs.length === 0) {
+      return order.save();
+    }
+
+    await runInTransaction(async (session) => {
+      const now = new Date();
+      const credits = [
+        ...refunds.map((refund) => ({
+          method: refund.destination.toUpperCase(),
+          amount: refund.amount,
+          points: refund.points,
+          reason: `Refund for order ${order.orderNumber}: ${refund.reason}`,
+          record: (entry) => {
+            refund.walletTransaction = entry ? entry._id : undefined;
+            refund.creditedAt = now;
+          },
+        })),
+        ...legs.map((leg) => ({
+          method: leg.method,
+          amount: leg.amount,
+          points: leg.points,
+          reason: `Order ${order.orderNumber} cancelled`,
+          record: () => {
+            leg.status = 'RETURNED';
+            leg.returnedAt = now;
+          },
+        })),
+      ];
+
+      // One after the other - the entries update the same customer
+      await credits.reduce(
+        (previous, { record, ...credit }) =>
+          previous.then(async () => {
+            record(await this.giveBack(order, { ...credit, actor, actorRole }, session));
+          }),
+        Promise.resolve()
+      );
+
+      await order.save({ session });
+    });
+
+    return order;
+  }
+}
+
+module.exports = new TenderService();
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const AppError = require('../utils/AppError');
+
+/**
+ * Direct UPI payments to the restaurant's own UPI ID (Settings.upiId).
+ * Each order gets a upi://pay link with its exact amount and its order number as the note,
+ * so admins can match the credit in the bank app. The order waits in AWAITING_PAYMENT,
+ * out of the kitchen queue, until an admin confirms the payment with its UTR.
+ */
+class UpiService {
+  /**
+   * Whether new UPI orders should be paid to Settings.upiId (otherwise the gateway collects)
+   * @param {Object} settings - Settings document
+   */
+  isEnabled(settings) {
+    return Boolean(settings.upiId);
+  }
+
+  /**
+   * UPI deep link and QR payload for an order
+   * @param {Object} settings - Settings document
+   * @param {Object} order - Order document
+   * @returns {Object} { upiId, payeeName, amount, note, link, qrPayload }
+   */
+  buildPaymentRequest(settings, order) {
+    if (!this.isEnabled(settings)) {
+      throw new AppError('UPI payments are not set up', 400);
+    }
+
+    const payeeName = settings.invoice?.legalName || settings.siteName;
+    // Store credit already paid part of the order
+    const amount = order.getAmountDue().toFixed(2);
+    const params = {
+      pa: settings.upiId,
+      pn: payeeName,
+      am: amount,
+      cu: 'INR',
+      tn: order.orderNumber,
+      tr: order.orderNumber,
+    };
+    // Some UPI apps do not decode %40, so the @ of the UPI ID stays as is
+    const query = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+      .join('&');
+    const link = `upi://pay?${query}`;
+
+    return {
+      upiId: settings.upiId,
+      payeeName,
+      amount: Number(amount),
+      note: order.orderNumber,
+      link,
+      // UPI apps scan the same URI from a QR code
+      qrPayload: link,
+    };
+  }
+
+  /**
+   * Confirm a UPI payment after finding it in the bank statement
+   * @param {Object} order - Order document
+   * @param {Object} confirmation - { utr, confirmedBy }
+   */
+  async confirm(order, { utr, confirmedBy }) {
+    if (order.paymentStatus !== 'AWAITING_PAYMENT') {
+      throw new AppError('This order is not waiting for a UPI payment', 400);
+    }
+
+    // One bank credit cannot pay for two orders
+    const usedBy = await Order.findOne(
+      { 'paymentDetails.gateway': 'upi', 'paymentDetails.transactionId': utr },
+      'orderNumber'
+    );
+    if (usedBy) {
+      throw new AppError(`UTR ${utr} was already used for order ${usedBy.orderNumber}`, 409);
+    }
+
+    await order.confirmUpiPayment({ utr, confirmedBy });
+    return order;
+  }
+
+  /**
+   * Reject a UPI payment that never arrived; the order is cancelled before it reaches the kitchen
+   * @param {Object} order - Order document
+   * @param {Object} rejection - { reason, rejectedBy }
+   */
+  async reject(order, { reason, rejectedBy }) {
+    if (order.paymentStatus !== 'AWAITING_PAYMENT') {
+      throw new AppError('This order is not waiting for a UPI payment', 400);
+    }
+
+    order.updateDueLeg('FAILED');
+    order.paymentDetails.failureReason = reason;
+    // Another admin may be confirming the same payment
+    order.$where = { paymentStatus: 'AWAITING_PAYMENT' };
+    try {
+      await order.updateStatus('CANCELLED', {
+        role: 'admin',
+        updatedBy: rejectedBy,
+        reason: `UPI payment not received: ${reason}`,
+      });
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        throw new AppError('This payment was already handled. Please refresh the order', 409);
+      }
+      throw error;
+    }
+    return order;
+  }
+}
+
+module.exports = new UpiService();
@@ -0,0 +1,413 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/currency');
+const runInTransaction = require('../utils/transaction');
+
+const HOUR = 60 * 60 * 1000;
+const ACTOR_ROLES = ['customer', 'admin', 'system'];
+
+// Credits that never expire are spent last
+const expiryOf = (lot) => (lot.expiresAt ? lot.expiresAt.getTime() : Number.MAX_SAFE_INTEGER);
+
+/**
+ * Customer wallet (store credit).
+ * Every change is an entry in the append-only WalletTransaction ledger, written in the same
+ * transaction as a conditional update of User.customerData.walletBalance, so the balance can
+ * never go negative and always equals the sum of the ledger. Credits may carry an expiry date;
+ * spending uses the credit that expires first.
+ */
+class WalletService {
+  /**
+   * Add store credit to a customer's wallet
+   * @param {ObjectId} userId - Customer
+   * @param {Object} entry - { amount, reason, actor, actorRole, order, expiresAt, session }
+   * @returns {Promise<Object>} WalletTransaction
+   */
+  credit(userId, { amount, reason, actor, actorRole, order, expiresAt, session }) {
+    return runInTransaction(
+      (txn) =>
+        this.post(
+          {
+            user: userId,
+            type: 'credit',
+            amount: this.checkAmount(amount),
+            reason,
+            actor,
+            actorRole,
+            order,
+            expiresAt,
+          },
+          txn
+        ),
+      { session }
+    );
+  }
+
+  /**
+   * Take money out of a customer's wallet - fails when the balance is too low
+   * @param {ObjectId} userId - Customer
+   * @param {Object} entry - { amount, reason, actor, actorRole, order, session }
+   * @returns {Promise<Object>} WalletTransaction
+   */
+  debit(userId, { amount, reason, actor, actorRole, order, session }) {
+    return runInTransaction(
+      (txn) =>
+        this.post(
+          {
+            user: userId,
+            type: 'debit',
+            amount: this.checkAmount(amount),
+            reason,
+            actor,
+            actorRole,
+            order,
+          },
+          txn
+        ),
+      { session }
+    );
+  }
+
+  /**
+   * Undo a ledger entry with an entry of the same amount in the opposite direction
+   * @param {ObjectId} transactionId - Entry to reverse (not itself a reversal)
+   * @param {Object} context - { reason, actor, actorRole, session }
+   * @returns {Promise<Object>} The reversal WalletTransaction
+   */
+  reverse(transactionId, { reason, actor, actorRole, session }) {
+    return runInTransaction(
+      async (txn) => {
+        const original = await WalletTransaction.findById(transactionId).session(txn);
+
+        if (!original) {
+          throw new AppError('Wallet transaction not found', 404);
+        }
+        if (original.type === 'reversal') {
+          throw new AppError('A reversal cannot be reversed', 400);
+        }
+        if (
+          original.type === 'credit' &&
+          (await WalletTransaction.exists({ expiredCredit: original._id }).session(txn))
+        ) {
+          throw new AppError('This credit has expired. Reverse its expiry first', 400);
+        }
+
+        return this.post(
+          {
+            user: original.user,
+            type: 'reversal',
+            amount: original.amount,
+            // Undoing a credit takes the money back out; anything else puts it back
+            inflow: original.type !== 'credit',
+            reason,
+            actor,
+            actorRole,
+            order: original.order,
+            reverses: original._id,
+          },
+          txn
+        );
+      },
+      { session }
+    );
+  }
+
+  /**
+   * A customer's balance and ledger entries, newest first
+   * @param {ObjectId} userId - Customer
+   * @param {Object} query - { from, to, type, page, limit }
+   * @returns {Promise<Object>} { balance, expiring, transactions, pagination }
+   */
+  async getStatement(userId, { from, to, type, page = 1, limit = 20 }) {
+    const customer = await User.findOne({ _id: userId, role: 'customer' }).select(
+      'customerData.walletBalance'
+    );
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    // Expiries of credit that was already spent are bookkeeping only
+    const filter = { user: customer._id, amount: { $gt: 0 } };
+    if (type) filter.type = { $in: type };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lt = to;
+    }
+
+    const [transactions, total, ledger] = await Promise.all([
+      WalletTransaction.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('order', 'orderNumber')
+        .populate('actor', 'name')
+        .lean(),
+      WalletTransaction.countDocuments(filter),
+      this.findLedger(customer._id),
+    ]);
+
+    const now = new Date();
+    const expiring = this.replay(ledger)
+      .filter((lot) => lot.expiresAt && lot.expiresAt > now && !lot.closed && lot.remaining > 0)
+      .map((lot) => ({ amount: lot.remaining, expiresAt: lot.expiresAt }))
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      balance: customer.customerData?.walletBalance || 0,
+      expiring,
+      transactions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Remove the unused part of every credit past its expiry date
+   * @param {Date} now
+   * @returns {Promise<number>} Number of wallets processed
+   */
+  async expireDue(now = new Date()) {
+    // Due credits not yet expired or reversed
+    const wallets = await WalletTransaction.aggregate([
+      { $match: { type: 'credit', expiresAt: { $lte: now } } },
+      {
+        $lookup: {
+          from: WalletTransaction.collection.name,
+          localField: '_id',
+          foreignField: 'expiredCredit',
+          as: 'expiry',
+        },
+      },
+      {
+        $lookup: {
+          from: WalletTransaction.collection.name,
+          localField: '_id',
+          foreignField: 'reverses',
+          as: 'reversal',
+        },
+      },
+      { $match: { expiry: { $size: 0 }, reversal: { $size: 0 } } },
+      { $group: { _id: '$user' } },
+    ]);
+
+    const results = await Promise.allSettled(
+      wallets.map((wallet) => this.expireWallet(wallet._id, now))
+    );
+
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => logger.error('Failed to expire wallet credit:', result.reason));
+
+    return results.filter((result) => result.status === 'fulfilled').length;
+  }
+
+  /**
+   * Check for expired store credit on an interval
+   * @param {number} intervalMs - How often to check (default: 1 hour)
+   * @returns {NodeJS.Timeout} Timer, to clear on shutdown
+   */
+  startExpiryWatcher(intervalMs = HOUR) {
+    return setInterval(() => {
+      this.expireDue().catch((err) => {
+        logger.error('Wallet expiry check failed:', err);
+      });
+    }, intervalMs);
+  }
+
+  /**
+   * Post expiry entries for one customer's due credits
+   * Fully spent credits get a zero entry, so they are not picked up again
+   * @private
+   */
+  expireWallet(userId, now) {
+    return runInTransaction(async (session) => {
+      const ledger = await this.findLedger(userId, session);
+      const due = this.replay(ledger).filter(
+        (lot) => lot.expiresAt && lot.expiresAt <= now && !lot.closed
+      );
+
+      await due.reduce(
+        (previous, lot) =>
+          previous.then(() =>
+            this.post(
+              {
+                user: userId,
+                type: 'expiry',
+                amount: lot.remaining,
+                reason: `Expired: ${lot.reason}`,
+                expiredCredit: lot.credit,
+              },
+              session
+            )
+          ),
+        Promise.resolve()
+      );
+    });
+  }
+
+  /**
+   * Every ledger entry of a customer, oldest first
+   * @private
+   */
+  findLedger(userId, session) {
+    return WalletTransaction.find({ user: userId })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session || null)
+      .lean();
+  }
+
+  /**
+   * Rebuild the credit lots of a ledger and how much of each is left
+   * Debits spend the lot that expires first; money put back by a reversal never expires.
+   * A lot is closed once it has expired or its credit was reversed.
+   * @private
+   */
+  replay(ledger) {
+    const entries = new Map(ledger.map((entry) => [entry._id.toString(), entry]));
+    const lots = [];
+    const lotOf = (id) => lots.find((lot) => lot.credit.equals(id));
+
+    const spend = (amount) => {
+      let left = amount;
+      lots
+        .filter((lot) => !lot.closed && lot.remaining > 0)
+        .sort((a, b) => expiryOf(a) - expiryOf(b))
+        .forEach((lot) => {
+          const used = Math.min(lot.remaining, left);
+          lot.remaining = roundCurrency(lot.remaining - used);
+          left = roundCurrency(left - used);
+        });
+    };
+
+    ledger.forEach((entry) => {
+      if (entry.type === 'credit') {
+        lots.push({
+          credit: entry._id,
+          reason: entry.reason,
+          remaining: entry.amount,
+          expiresAt: entry.expiresAt,
+          closed: false,
+        });
+      } else if (entry.type === 'debit') {
+        spend(entry.amount);
+      } else if (entry.type === 'expiry') {
+        const lot = lotOf(entry.expiredCredit);
+        if (lot) {
+          lot.remaining = 0;
+          lot.closed = true;
+        }
+      } else if (entries.get(entry.reverses.toString())?.type === 'credit') {
+        // Whatever of the reversed credit was already spent comes out of the other lots
+        const lot = lotOf(entry.reverses);
+        const fromLot = lot ? Math.min(lot.remaining, entry.amount) : 0;
+        if (lot) {
+          lot.remaining = 0;
+          lot.closed = true;
+        }
+        spend(roundCurrency(entry.amount - fromLot));
+      } else {
+        lots.push({
+          credit: entry._id,
+          reason: entry.reason,
+          remaining: entry.amount,
+          closed: false,
+        });
+      }
+    });
+
+    return lots;
+  }
+
+  /**
+   * Write one ledger entry and move the cached balance, inside the caller's transaction
+   * Money going out is only taken while the balance covers it.
+   * @private
+   */
+  async post({ user, type, amount, inflow = type === 'credit', actorRole, ...entry }, session) {
+    const change = inflow ? amount : -amount;
+    const filter = { _id: user, role: 'customer' };
+    if (!inflow) {
+      filter['customerData.walletBalance'] = { $gte: amount };
+    }
+
+    // Rounded on the server so repeated paise arithmetic does not drift
+    const customer = await User.findOneAndUpdate(
+      filter,
+      [
+        {
+          $set: {
+            'customerData.walletBalance': {
+              $round: [{ $add: [{ $ifNull: ['$customerData.walletBalance', 0] }, change] }, 2],
+            },
+          },
+        },
+      ],
+      { new: true, session, projection: { 'customerData.walletBalance': 1 } }
+    );
+
+    if (!customer) {
+      const wallet = await User.findOne({ _id: user, role: 'customer' })
+        .select('customerData.walletBalance')
+        .session(session);
+      if (!wallet) {
+        throw new AppError('Customer not found', 404);
+      }
+      throw new AppError(
+        `Not enough wallet balance (₹${wallet.customerData?.walletBalance || 0} available)`,
+        400
+      );
+    }
+
+    try {
+      const [transaction] = await WalletTransaction.create(
+        [
+          {
+            ...entry,
+            user,
+            type,
+            direction: inflow ? 'in' : 'out',
+            amount,
+            actorRole: ACTOR_ROLES.includes(actorRole) ? actorRole : 'system',
+            balanceAfter: customer.customerData.walletBalance,
+          },
+        ],
+        { session }
+      );
+      return transaction;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(
+          type === 'reversal'
+            ? 'This transaction was already reversed'
+            : 'This credit has already expired',
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Positive amount in rupees, rounded to paise
+   * @private
+   */
+  checkAmount(amount) {
+    const rounded = roundCurrency(Number(amount));
+    if (!(rounded > 0)) {
+      throw new AppError('Wallet amount must be more than zero', 400);
+    }
+    return rounded;
+  }
+}
+
+module.exports = new WalletService();
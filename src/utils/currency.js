@@ -0,0 +1,9 @@
+/**
+ * Round a rupee amount to paise
+ * Number.EPSILON keeps values like 1.005 from rounding down through binary representation
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundCurrency };
@@ -0,0 +1,137 @@
+const AppError = require('./AppError');
+
+/**
+ * Order status state machine
+ * Single source of truth for which role may move an order from one status to
+ * another and which fields the transition needs. Used by Order.methods.updateStatus,
+ * so every controller gets the same rules.
+ */
+
+const ORDER_STATUSES = ['PENDING', 'READY', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'];
+
+// delivery: home delivery by a partner; pickup: takeaway collected at the counter;
+// dine-in: served at a table. Counter orders use DELIVERED for handed over / served.
+const ORDER_TYPES = ['delivery', 'pickup', 'dine-in'];
+
+// Statuses an order can no longer leave
+const FINAL_STATUSES = ['DELIVERED', 'CANCELLED'];
+
+// Statuses the kitchen / dispatch still has to act on
+const ACTIVE_STATUSES = ['PENDING', 'READY', 'OUT_FOR_DELIVERY'];
+
+/**
+ * from -> to -> { roles, requires } for delivery orders
+ * roles: who may perform the transition ('system' = background jobs / internal flows)
+ * requires: 'reason' (non-empty reason), 'deliveryPartner' (partner assigned; a
+ * delivery role must be that partner), 'pickupCode' (code shown to the customer)
+ */
+const TRANSITIONS = {
+  PENDING: {
+    READY: { roles: ['admin', 'kitchen', 'system'] },
+    CANCELLED: { roles: ['customer', 'admin', 'system'], requires: ['reason'] },
+  },
+  READY: {
+    OUT_FOR_DELIVERY: { roles: ['delivery'], requires: ['deliveryPartner'] },
+    CANCELLED: { roles: ['admin', 'system'], requires: ['reason'] },
+  },
+  OUT_FOR_DELIVERY: {
+    DELIVERED: { roles: ['delivery'], requires: ['deliveryPartner'] },
+    CANCELLED: { roles: ['admin'], requires: ['reason'] },
+  },
+  DELIVERED: {},
+  CANCELLED: {},
+};
+
+// Counter orders skip the rider: staff hand them over (pickup) or serve them (dine-in)
+const COUNTER_TRANSITIONS = {
+  PENDING: TRANSITIONS.PENDING,
+  READY: {
+    DELIVERED: { roles: ['admin'] },
+    CANCELLED: { roles: ['admin', 'system'], requires: ['reason'] },
+  },
+  DELIVERED: {},
+  CANCELLED: {},
+};
+
+const TRANSITIONS_BY_TYPE = {
+  delivery: TRANSITIONS,
+  pickup: {
+    ...COUNTER_TRANSITIONS,
+    READY: {
+      ...COUNTER_TRANSITIONS.READY,
+      DELIVERED: { roles: ['admin'], requires: ['pickupCode'] },
+    },
+  },
+  'dine-in': COUNTER_TRANSITIONS,
+};
+
+/**
+ * Transition table for an order type (orders placed before order types are deliveries)
+ * @param {string} orderType
+ */
+const transitionsFor = (orderType) => TRANSITIONS_BY_TYPE[orderType] || TRANSITIONS;
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} from - Current status
+ * @param {string} role - Optional role to filter by
+ * @param {string} orderType - delivery | pickup | dine-in
+ */
+const getAllowedTransitions = (from, role, orderType) =>
+  Object.entries(transitionsFor(orderType)[from] || {})
+    .filter(([, rule]) => !role || rule.roles.includes(role))
+    .map(([to]) => to);
+
+/**
+ * Ensure a transition is legal, throwing an operational AppError otherwise
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {Object} context - { role, userId, reason, pickupCode }
+ */
+const assertTransition = (order, to, { role = 'system', userId, reason, pickupCode } = {}) => {
+  const from = order.status;
+
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new AppError(`Invalid order status: ${to}`, 400);
+  }
+
+  const rule = (transitionsFor(order.orderType)[from] || {})[to];
+  if (!rule) {
+    throw new AppError(`Cannot change order status from ${from} to ${to}`, 400);
+  }
+
+  if (!rule.roles.includes(role)) {
+    throw new AppError(`A ${role} cannot change order status from ${from} to ${to}`, 403);
+  }
+
+  const requires = rule.requires || [];
+
+  if (requires.includes('reason') && !(reason && reason.trim())) {
+    throw new AppError(`A reason is required to move an order to ${to}`, 400);
+  }
+
+  if (requires.includes('deliveryPartner')) {
+    const partnerId = order.deliveryPartner && order.deliveryPartner.id;
+    if (!partnerId) {
+      throw new AppError(`A delivery partner must be assigned before ${to}`, 400);
+    }
+    if (role === 'delivery' && (!userId || partnerId.toString() !== userId.toString())) {
+      throw new AppError('This order is not assigned to you', 403);
+    }
+  }
+
+  if (requires.includes('pickupCode') && String(pickupCode || '') !== order.pickupCode) {
+    throw new AppError('Pickup code does not match this order', 400);
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TYPES,
+  FINAL_STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  transitionsFor,
+  getAllowedTransitions,
+  assertTransition,
+};
@@ -60,6 +60,11 @@ const initializeSocket = (server) => {
     // Join role-specific room
     socket.join(`role:${socket.user.role}`);
 
+    // Kitchen display screens (cooks, or admins running the pass)
+    if (['kitchen', 'admin'].includes(socket.user.role)) {
+      socket.join('kitchen');
+    }
+
     // Handle customer events
     if (socket.user.role === 'customer') {
       handleCustomerEvents(socket);
@@ -267,6 +272,75 @@ const emitNewOrder = (order) => {
   logger.info(`New order notification emitted for order ${order.orderNumber}`);
 };
 
+/**
+ * Emit order edit to admins (kitchen) and anyone tracking the order
+ * @param {Object} order - Edited order
+ * @param {Object} changes - What the edit changed
+ */
+const emitOrderEdited = (order, changes) => {
+  if (!io) return;
+
+  const payload = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    items: order.items,
+    pricing: order.pricing,
+    deliveryAddress: order.deliveryAddress,
+    specialInstructions: order.specialInstructions,
+    changes,
+    timestamp: new Date(),
+  };
+
+  io.to('role:admin').emit('order:edited', payload);
+  io.to(`order:${order._id}`).emit('order:edited', payload);
+
+  logger.info(`Order edit emitted for order ${order.orderNumber}`);
+};
+
+/**
+ * Emit an updated delivery estimate to anyone tracking the order
+ * @param {Object} order - Order with fresh estimates
+ */
+const emitOrderEta = (order) => {
+  if (!io) return;
+
+  io.to(`order:${order._id}`).emit('order:eta', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    estimatedPrepTime: order.estimatedPrepTime,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    timestamp: new Date(),
+  });
+
+  logger.info(`ETA emitted for order ${order.orderNumber}`);
+};
+
+/**
+ * Emit a new or updated kitchen ticket to the kitchen display
+ * @param {Object} ticket - Ticket built by kitchenService.toTicket
+ */
+const emitKitchenTicket = (ticket) => {
+  if (!io) return;
+
+  io.to('kitchen').emit('kitchen:ticket', { ...ticket, timestamp: new Date() });
+};
+
+/**
+ * Tell the kitchen display to drop a ticket (order READY or cancelled)
+ * @param {Object} order - Order that left the kitchen queue
+ */
+const emitKitchenTicketClosed = (order) => {
+  if (!io) return;
+
+  io.to('kitchen').emit('kitchen:ticket-closed', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    timestamp: new Date(),
+  });
+};
+
 /**
  * Get Socket.IO instance
  */
@@ -281,6 +355,10 @@ module.exports = {
   initializeSocket,
   emitOrderUpdate,
   emitNewOrder,
+  emitOrderEdited,
+  emitOrderEta,
+  emitKitchenTicket,
+  emitKitchenTicketClosed,
   emitUserNotification,
   emitRoleNotification,
   emitAdminStats,
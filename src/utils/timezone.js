@@ -0,0 +1,69 @@
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether an IANA time zone name (e.g. Asia/Kolkata) is known
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+const zonedParts = (date, timeZone) =>
+  formatterFor(timeZone)
+    .formatToParts(date)
+    .filter((part) => part.type !== 'literal')
+    .reduce((parts, { type, value }) => ({ ...parts, [type]: Number(value) }), {});
+
+// How far a zone's wall clock is ahead of UTC at an instant, in ms
+const offsetAt = (time, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(new Date(time), timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - (time - (time % 1000));
+};
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * Days and minutes past the end of a month or day roll over, as with Date.UTC.
+ * @param {string} timeZone - IANA name
+ * @param {Object} wallClock - { year, month (1-12), day, minutes since midnight }
+ * @returns {Date}
+ */
+const zonedTime = (timeZone, { year, month, day, minutes = 0 }) => {
+  const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  // The second pass picks up a change of offset (daylight saving) between the two guesses
+  const guess = asUtc - offsetAt(asUtc, timeZone);
+  return new Date(asUtc - offsetAt(guess, timeZone));
+};
+
+module.exports = { isValidTimeZone, zonedParts, zonedTime };
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run work in a MongoDB transaction and return what it returns
+ * The transaction is retried as a whole on transient errors (e.g. write conflicts), so work
+ * may run more than once: every write must use the session, and work should not change
+ * anything outside the database or mutate its inputs in a way a second run would repeat.
+ * Connection#transaction restores the modified paths, version and isNew of documents saved in
+ * an aborted attempt, so the retry saves them again instead of writing nothing.
+ * @param {Function} work - async (session) => result
+ * @param {Object} options - { session } to run inside the caller's transaction instead
+ * @returns {Promise<*>}
+ */
+const runInTransaction = (work, { session } = {}) => {
+  if (session) {
+    return work(session);
+  }
+
+  return mongoose.connection.transaction(work);
+};
+
+module.exports = runInTransaction;
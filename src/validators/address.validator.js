@@ -39,6 +39,12 @@ const addressSchema = Joi.object({
   landmark: Joi.string().trim().max(100).allow('').optional().messages({
     'string.max': 'Landmark is too long (max 100 characters)',
   }),
+  coordinates: Joi.object({
+    type: Joi.string().valid('Point').default('Point'),
+    coordinates: Joi.array().items(Joi.number()).length(2).required().messages({
+      'array.length': 'Coordinates must be [longitude, latitude]',
+    }),
+  }).optional(),
   isDefault: Joi.boolean().optional(),
 });
 
@@ -98,6 +104,12 @@ exports.validateUpdateAddress = (req, res, next) => {
     landmark: Joi.string().trim().max(100).allow('').optional().messages({
       'string.max': 'Landmark is too long (max 100 characters)',
     }),
+    coordinates: Joi.object({
+      type: Joi.string().valid('Point').default('Point'),
+      coordinates: Joi.array().items(Joi.number()).length(2).required().messages({
+        'array.length': 'Coordinates must be [longitude, latitude]',
+      }),
+    }).optional(),
     isDefault: Joi.boolean().optional(),
   });
 
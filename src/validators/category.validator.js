@@ -25,6 +25,16 @@ exports.createCategorySchema = {
     color: Joi.string()
       .valid('green', 'red', 'blue', 'purple', 'orange', 'pink', 'yellow')
       .optional(),
+    station: Joi.string()
+      .trim()
+      .lowercase()
+      .max(30)
+      .pattern(/^[a-z0-9-]+$/)
+      .optional()
+      .messages({
+        'string.max': 'Station name cannot exceed 30 characters',
+        'string.pattern.base': 'Station can only contain letters, numbers and dashes',
+      }),
   }),
 };
 
@@ -51,6 +61,16 @@ exports.updateCategorySchema = {
     color: Joi.string()
       .valid('green', 'red', 'blue', 'purple', 'orange', 'pink', 'yellow')
       .optional(),
+    station: Joi.string()
+      .trim()
+      .lowercase()
+      .max(30)
+      .pattern(/^[a-z0-9-]+$/)
+      .optional()
+      .messages({
+        'string.max': 'Station name cannot exceed 30 characters',
+        'string.pattern.base': 'Station can only contain letters, numbers and dashes',
+      }),
   }),
   params: Joi.object({
     id: Joi.string()
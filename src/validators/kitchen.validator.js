@@ -0,0 +1,78 @@
+const Joi = require('joi');
+
+const station = Joi.string()
+  .trim()
+  .lowercase()
+  .max(30)
+  .pattern(/^[a-z0-9-]+$/)
+  .messages({
+    'string.pattern.base': 'Station can only contain letters, numbers and dashes',
+  });
+
+/**
+ * Validation schema for the kitchen queue query
+ */
+exports.queueQuerySchema = Joi.object({
+  station,
+});
+
+/**
+ * Validation schema for bumping order lines
+ */
+exports.bumpSchema = Joi.object({
+  status: Joi.string().uppercase().valid('DONE', 'QUEUED').default('DONE').messages({
+    'any.only': 'Status must be DONE or QUEUED',
+  }),
+});
+
+/**
+ * Middleware to validate request body
+ */
+exports.validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate query parameters
+ */
+exports.validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Query validation error',
+      errors,
+    });
+  }
+
+  req.query = value;
+  next();
+};
@@ -89,6 +89,13 @@ exports.createMenuItemSchema = Joi.object({
 
   isVegetarian: Joi.boolean(),
 
+  hsnCode: Joi.string()
+    .pattern(/^\d{4,8}$/)
+    .allow('')
+    .messages({
+      'string.pattern.base': 'HSN/SAC code must be 4 to 8 digits',
+    }),
+
   prepTime: Joi.number().integer().min(1).max(180).messages({
     'number.base': 'Preparation time must be a number',
     'number.min': 'Preparation time must be at least 1 minute',
@@ -250,6 +257,13 @@ exports.updateMenuItemSchema = Joi.object({
 
   isVegetarian: Joi.boolean(),
 
+  hsnCode: Joi.string()
+    .pattern(/^\d{4,8}$/)
+    .allow('')
+    .messages({
+      'string.pattern.base': 'HSN/SAC code must be 4 to 8 digits',
+    }),
+
   prepTime: Joi.number().integer().min(1).max(180).messages({
     'number.min': 'Preparation time must be at least 1 minute',
     'number.max': 'Preparation time cannot exceed 180 minutes',
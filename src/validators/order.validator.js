@@ -1,4 +1,50 @@
 const Joi = require('joi');
+const { ORDER_STATUSES, ORDER_TYPES } = require('../utils/orderStateMachine');
+
+/**
+ * Delivery address of an order (delivery orders only)
+ */
+const deliveryAddressSchema = Joi.object({
+  street: Joi.string().trim().min(5).max(200).required().messages({
+    'string.empty': 'Street address is required',
+    'string.min': 'Street address must be at least 5 characters',
+    'string.max': 'Street address is too long (max 200 characters)',
+  }),
+  apartment: Joi.string().trim().max(100).allow('').optional().messages({
+    'string.max': 'Apartment info is too long (max 100 characters)',
+  }),
+  city: Joi.string().trim().min(2).max(50).pattern(/^[a-zA-Z\s]+$/).required().messages({
+    'string.empty': 'City is required',
+    'string.min': 'City name must be at least 2 characters',
+    'string.max': 'City name is too long (max 50 characters)',
+    'string.pattern.base': 'City name should only contain letters',
+  }),
+  state: Joi.string().trim().min(2).max(50).pattern(/^[a-zA-Z\s]+$/).required().messages({
+    'string.empty': 'State is required',
+    'string.min': 'State name must be at least 2 characters',
+    'string.max': 'State name is too long (max 50 characters)',
+    'string.pattern.base': 'State name should only contain letters',
+  }),
+  zipCode: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.empty': 'Zip code is required',
+      'string.pattern.base': 'Zip code must be exactly 6 digits',
+    }),
+  landmark: Joi.string().trim().max(100).allow('').optional().messages({
+    'string.max': 'Landmark is too long (max 100 characters)',
+  }),
+  coordinates: Joi.object({
+    type: Joi.string().valid('Point').default('Point'),
+    coordinates: Joi.array()
+      .items(Joi.number())
+      .length(2)
+      .messages({
+        'array.length': 'Coordinates must be [longitude, latitude]',
+      }),
+  }),
+});
 
 /**
  * Validation schema for creating an order
@@ -24,6 +70,11 @@ exports.createOrderSchema = Joi.object({
           'number.max': 'Quantity cannot exceed 50',
           'any.required': 'Quantity is required',
         }),
+        portion: Joi.string()
+          .valid('Quarter', 'Half', 'Full', '2PCS', '4PCS', '8PCS', '16PCS')
+          .messages({
+            'any.only': 'Portion must be Quarter, Half, Full, 2PCS, 4PCS, 8PCS, or 16PCS',
+          }),
         price: Joi.number().min(0).messages({
           'number.base': 'Price must be a number',
           'number.min': 'Price cannot be negative',
@@ -47,60 +98,84 @@ exports.createOrderSchema = Joi.object({
       'any.required': 'Order items are required',
     }),
 
-  deliveryAddress: Joi.object({
-    street: Joi.string().trim().min(5).max(200).required().messages({
-      'string.empty': 'Street address is required',
-      'string.min': 'Street address must be at least 5 characters',
-      'string.max': 'Street address is too long (max 200 characters)',
-    }),
-    apartment: Joi.string().trim().max(100).allow('').optional().messages({
-      'string.max': 'Apartment info is too long (max 100 characters)',
-    }),
-    city: Joi.string().trim().min(2).max(50).pattern(/^[a-zA-Z\s]+$/).required().messages({
-      'string.empty': 'City is required',
-      'string.min': 'City name must be at least 2 characters',
-      'string.max': 'City name is too long (max 50 characters)',
-      'string.pattern.base': 'City name should only contain letters',
-    }),
-    state: Joi.string().trim().min(2).max(50).pattern(/^[a-zA-Z\s]+$/).required().messages({
-      'string.empty': 'State is required',
-      'string.min': 'State name must be at least 2 characters',
-      'string.max': 'State name is too long (max 50 characters)',
-      'string.pattern.base': 'State name should only contain letters',
-    }),
-    zipCode: Joi.string()
-      .pattern(/^\d{6}$/)
-      .required()
-      .messages({
-        'string.empty': 'Zip code is required',
-        'string.pattern.base': 'Zip code must be exactly 6 digits',
-      }),
-    landmark: Joi.string().trim().max(100).allow('').optional().messages({
-      'string.max': 'Landmark is too long (max 100 characters)',
-    }),
-    coordinates: Joi.object({
-      type: Joi.string().valid('Point').default('Point'),
-      coordinates: Joi.array()
-        .items(Joi.number())
-        .length(2)
-        .messages({
-          'array.length': 'Coordinates must be [longitude, latitude]',
-        }),
+  orderType: Joi.string().lowercase().valid(...ORDER_TYPES).default('delivery').messages({
+    'any.only': 'Order type must be delivery, pickup or dine-in',
+  }),
+
+  // Pickup and dine-in orders have no address; apps may still send the saved one
+  deliveryAddress: deliveryAddressSchema.when('orderType', {
+    is: 'delivery',
+    then: Joi.required(),
+    otherwise: Joi.strip(),
+  }),
+
+  tableNumber: Joi.string()
+    .trim()
+    .max(10)
+    .when('orderType', { is: 'dine-in', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Table number is required for dine-in orders',
+      'any.unknown': 'Table number is only used for dine-in orders',
+      'string.max': 'Table number cannot exceed 10 characters',
     }),
-  }).required(),
 
-  paymentMethod: Joi.string()
-    .valid('ONLINE', 'COD', 'CARD', 'UPI')
-    .required()
+  // Pays the whole order; use payments to split it
+  paymentMethod: Joi.string().valid('ONLINE', 'COD', 'CARD', 'UPI', 'WALLET').messages({
+    'any.only': 'Payment method must be ONLINE, COD, CARD, UPI, or WALLET',
+  }),
+
+  // Split tender: wallet and/or loyalty points, plus one other method for the rest
+  payments: Joi.array()
+    .items(
+      Joi.object({
+        method: Joi.string()
+          .uppercase()
+          .valid('ONLINE', 'COD', 'CARD', 'UPI', 'WALLET', 'LOYALTY')
+          .required()
+          .messages({
+            'any.only': 'Payment method must be ONLINE, COD, CARD, UPI, WALLET, or LOYALTY',
+            'any.required': 'Payment method is required',
+          }),
+        // The remainder when left out; loyalty is priced from its points
+        amount: Joi.number()
+          .positive()
+          .precision(2)
+          .when('method', {
+            switch: [
+              { is: 'WALLET', then: Joi.required() },
+              { is: 'LOYALTY', then: Joi.forbidden() },
+            ],
+          })
+          .messages({
+            'number.positive': 'Payment amount must be more than zero',
+            'any.required': 'Wallet payment amount is required',
+            'any.unknown': 'Loyalty payments are given in points',
+          }),
+        points: Joi.number()
+          .integer()
+          .positive()
+          .when('method', { is: 'LOYALTY', then: Joi.required(), otherwise: Joi.forbidden() })
+          .messages({
+            'number.positive': 'Loyalty points must be more than zero',
+            'any.required': 'Loyalty points are required',
+            'any.unknown': 'Points are only used for loyalty payments',
+          }),
+      })
+    )
+    .min(1)
+    .max(3)
+    .unique('method')
     .messages({
-      'any.only': 'Payment method must be ONLINE, COD, CARD, or UPI',
-      'any.required': 'Payment method is required',
+      'array.min': 'At least one payment is required',
+      'array.max': 'An order can be paid in at most 3 parts',
+      'array.unique': 'Each payment method can only be used once',
     }),
   
   contactPhone: Joi.string().trim().messages({
     'string.empty': 'Contact phone is required',
   }),
   
+  // Still sent by older app versions; ignored, payments are confirmed by the gateway
   paymentDetails: Joi.object({
     transactionId: Joi.string(),
     gateway: Joi.string(),
@@ -108,32 +183,53 @@ exports.createOrderSchema = Joi.object({
     timestamp: Joi.date(),
   }),
 
-  scheduledFor: Joi.date().min('now').messages({
-    'date.min': 'Scheduled time must be in the future',
-  }),
+  scheduledFor: Joi.date()
+    .min('now')
+    .when('orderType', { is: 'dine-in', then: Joi.forbidden() })
+    .messages({
+      'date.min': 'Scheduled time must be in the future',
+      'any.unknown': 'Dine-in orders cannot be scheduled',
+    }),
 
   specialInstructions: Joi.string().trim().max(500).messages({
     'string.max': 'Special instructions cannot exceed 500 characters',
   }),
 
   promoCode: Joi.string().trim().uppercase(),
-});
+
+  // Final amount shown in the app, checked against the server total
+  expectedTotal: Joi.number().min(0).messages({
+    'number.base': 'Expected total must be a number',
+    'number.min': 'Expected total cannot be negative',
+  }),
+})
+  .xor('paymentMethod', 'payments')
+  .messages({
+    'object.missing': 'Payment method is required',
+    'object.xor': 'Send either paymentMethod or payments, not both',
+  });
+
+/**
+ * Validation schema for editing a pending order
+ */
+exports.editOrderSchema = Joi.object({
+  items: exports.createOrderSchema.extract('items').optional(),
+  deliveryAddress: deliveryAddressSchema,
+  specialInstructions: exports.createOrderSchema.extract('specialInstructions').allow(''),
+  expectedTotal: exports.createOrderSchema.extract('expectedTotal'),
+})
+  .or('items', 'deliveryAddress', 'specialInstructions')
+  .messages({
+    'object.missing': 'Provide items, deliveryAddress or specialInstructions to update',
+  });
 
 /**
  * Validation schema for updating order status
  */
 exports.updateOrderStatusSchema = Joi.object({
   status: Joi.string()
-    .valid(
-      'pending',
-      'confirmed',
-      'preparing',
-      'ready',
-      'picked-up',
-      'out-for-delivery',
-      'delivered',
-      'cancelled'
-    )
+    .uppercase()
+    .valid(...ORDER_STATUSES)
     .required()
     .messages({
       'any.only': 'Invalid order status',
@@ -143,6 +239,66 @@ exports.updateOrderStatusSchema = Joi.object({
   notes: Joi.string().trim().max(500).messages({
     'string.max': 'Notes cannot exceed 500 characters',
   }),
+
+  // Required by the state machine when cancelling
+  reason: Joi.string().trim().min(5).max(500).messages({
+    'string.min': 'Reason must be at least 5 characters',
+    'string.max': 'Reason cannot exceed 500 characters',
+  }),
+
+  // Required to hand over a pickup order
+  pickupCode: Joi.string()
+    .pattern(/^\d{4}$/)
+    .messages({
+      'string.pattern.base': 'Pickup code must be 4 digits',
+    }),
+
+  // Cash the rider took when delivering a COD order (defaults to the amount due)
+  collectedAmount: Joi.number().min(0).precision(2),
+  changeFund: Joi.number().min(0).precision(2),
+});
+
+/**
+ * Validation schema for settling a pickup / dine-in bill at the counter
+ */
+exports.settleOrderSchema = Joi.object({
+  method: Joi.string().uppercase().valid('COD', 'CARD', 'UPI').required().messages({
+    'any.only': 'Payment method must be COD (cash), CARD or UPI',
+    'any.required': 'Payment method is required',
+  }),
+  // Card slip / UPI transaction reference
+  reference: Joi.string().trim().max(100).messages({
+    'string.max': 'Reference cannot exceed 100 characters',
+  }),
+});
+
+/**
+ * Validation schema for confirming or rejecting a UPI payment
+ */
+exports.upiPaymentSchema = Joi.object({
+  action: Joi.string().lowercase().valid('confirm', 'reject').required().messages({
+    'any.only': 'Action must be confirm or reject',
+    'any.required': 'Action is required',
+  }),
+  // UTR / RRN from the bank statement, 12 digits
+  utr: Joi.string()
+    .trim()
+    .pattern(/^\d{12}$/)
+    .when('action', { is: 'confirm', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'UTR must be the 12-digit reference from the bank statement',
+      'any.required': 'UTR is required to confirm a payment',
+      'any.unknown': 'UTR is only sent when confirming a payment',
+    }),
+  reason: Joi.string()
+    .trim()
+    .min(5)
+    .max(500)
+    .when('action', { is: 'reject', then: Joi.required() })
+    .messages({
+      'string.min': 'Reason must be at least 5 characters',
+      'any.required': 'Reason is required to reject a payment',
+    }),
 });
 
 /**
@@ -156,6 +312,149 @@ exports.cancelOrderSchema = Joi.object({
   }),
 });
 
+/**
+ * Validation schema for refunding an order
+ */
+exports.createRefundSchema = Joi.object({
+  type: Joi.string().valid('full', 'partial', 'items').required().messages({
+    'any.only': 'Refund type must be full, partial, or items',
+    'any.required': 'Refund type is required',
+  }),
+
+  amount: Joi.number().positive().when('type', {
+    is: 'partial',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+
+  items: Joi.array()
+    .items(
+      Joi.object({
+        itemId: Joi.string()
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .required()
+          .messages({
+            'string.pattern.base': 'Invalid order line ID',
+          }),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .unique('itemId')
+    .when('type', {
+      is: 'items',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+
+  reason: Joi.string().trim().min(5).max(500).required().messages({
+    'string.min': 'Reason must be at least 5 characters',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Refund reason is required',
+  }),
+
+  // PROCESSED when the money has already been returned, PENDING to settle it later
+  status: Joi.string().valid('PROCESSED', 'PENDING').default('PROCESSED'),
+
+  // wallet = give store credit instead of returning the money (default for WALLET orders)
+  destination: Joi.string().lowercase().valid('original', 'wallet').messages({
+    'any.only': 'Refund destination must be original or wallet',
+  }),
+
+  reference: Joi.string().trim().max(100),
+});
+
+/**
+ * Validation schema for settling a pending refund
+ */
+exports.settleRefundSchema = Joi.object({
+  status: Joi.string().valid('PROCESSED', 'FAILED').required().messages({
+    'any.only': 'Status must be PROCESSED or FAILED',
+  }),
+
+  // Switch a pending refund to store credit (or back) as it is processed
+  destination: Joi.string()
+    .lowercase()
+    .valid('original', 'wallet')
+    .when('status', { is: 'PROCESSED', otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': 'Refund destination must be original or wallet',
+    }),
+
+  reference: Joi.string().trim().max(100),
+
+  failureReason: Joi.string().trim().max(500).when('status', {
+    is: 'FAILED',
+    then: Joi.required(),
+  }),
+});
+
+/**
+ * Validation schema for proposing substitutions on unavailable order lines
+ */
+exports.proposeSubstitutionSchema = Joi.object({
+  lines: Joi.array()
+    .items(
+      Joi.object({
+        itemId: Joi.string()
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .required()
+          .messages({
+            'string.pattern.base': 'Invalid order line ID',
+          }),
+        action: Joi.string().valid('substitute', 'remove').required().messages({
+          'any.only': 'Action must be substitute or remove',
+        }),
+        substitute: Joi.object({
+          menuItem: Joi.string()
+            .regex(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+              'string.pattern.base': 'Invalid menu item ID',
+            }),
+          portion: Joi.string()
+            .valid('Quarter', 'Half', 'Full', '2PCS', '4PCS', '8PCS', '16PCS')
+            .messages({
+              'any.only': 'Portion must be Quarter, Half, Full, 2PCS, 4PCS, 8PCS, or 16PCS',
+            }),
+          quantity: Joi.number().integer().min(1).max(50),
+          customizations: Joi.array().items(
+            Joi.object({
+              name: Joi.string().required(),
+              option: Joi.string().required(),
+            })
+          ),
+        }).when('action', {
+          is: 'substitute',
+          then: Joi.required(),
+          otherwise: Joi.forbidden(),
+        }),
+      })
+    )
+    .min(1)
+    .unique('itemId')
+    .required()
+    .messages({
+      'array.min': 'Flag at least one order line',
+      'array.unique': 'Each order line can only be flagged once',
+    }),
+
+  note: Joi.string().trim().max(500).messages({
+    'string.max': 'Note cannot exceed 500 characters',
+  }),
+});
+
+/**
+ * Validation schema for answering a substitution request
+ */
+exports.respondSubstitutionSchema = Joi.object({
+  // accept the substitutes, remove the flagged lines only, or cancel the order
+  response: Joi.string().valid('accept', 'remove', 'cancel').required().messages({
+    'any.only': 'Response must be accept, remove, or cancel',
+    'any.required': 'Response is required',
+  }),
+});
+
 /**
  * Validation schema for assigning delivery partner
  */
@@ -211,18 +510,14 @@ exports.orderQuerySchema = Joi.object({
   fields: Joi.string().pattern(/^[\w,.-]+$/),
 
   // Filtering
-  status: Joi.string().valid(
-    'pending',
-    'confirmed',
-    'preparing',
-    'ready',
-    'picked-up',
-    'out-for-delivery',
-    'delivered',
-    'cancelled'
-  ),
-  paymentMethod: Joi.string().valid('cash', 'card', 'upi', 'wallet'),
-  paymentStatus: Joi.string().valid('pending', 'completed', 'failed', 'refunded'),
+  status: Joi.string().uppercase().valid(...ORDER_STATUSES),
+  orderType: Joi.string().lowercase().valid(...ORDER_TYPES),
+  paymentMethod: Joi.string()
+    .uppercase()
+    .valid('ONLINE', 'COD', 'CARD', 'UPI', 'WALLET', 'LOYALTY'),
+  paymentStatus: Joi.string()
+    .uppercase()
+    .valid('PENDING', 'AWAITING_PAYMENT', 'PAID', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'),
 
   // Date range
   'createdAt[gte]': Joi.date(),
@@ -235,6 +530,55 @@ exports.orderQuerySchema = Joi.object({
   // Allow unknown query parameters for MongoDB operators
 }).unknown(true);
 
+/**
+ * Validation schema for delivery slot query parameters
+ */
+exports.slotQuerySchema = Joi.object({
+  date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'Date must be in YYYY-MM-DD format',
+    }),
+});
+
+/**
+ * Validation schema for order exports
+ * Range is [from, to) - e.g. from=2026-09-01&to=2026-10-01 for September
+ */
+exports.exportQuerySchema = Joi.object({
+  from: Joi.date().iso().required().messages({
+    'any.required': 'Start date (from) is required',
+    'date.format': 'from must be an ISO date, e.g. 2026-09-01',
+  }),
+  to: Joi.date().iso().greater(Joi.ref('from')).required().messages({
+    'any.required': 'End date (to) is required',
+    'date.format': 'to must be an ISO date, e.g. 2026-10-01',
+    'date.greater': 'to must be after from',
+  }),
+  status: Joi.array()
+    .items(Joi.string().uppercase().valid(...ORDER_STATUSES))
+    .single(),
+  paymentMethod: Joi.array()
+    .items(Joi.string().uppercase().valid('ONLINE', 'COD', 'CARD', 'UPI', 'WALLET', 'LOYALTY'))
+    .single(),
+  deliveryPartner: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid delivery partner ID format',
+    }),
+  format: Joi.string().lowercase().valid('csv', 'xlsx').default('csv'),
+  rows: Joi.string().lowercase().valid('order', 'item').default('order'),
+});
+
+/**
+ * Validation schema for invoice downloads
+ */
+exports.invoiceQuerySchema = Joi.object({
+  format: Joi.string().lowercase().valid('pdf', 'html').default('pdf').messages({
+    'any.only': 'Format must be pdf or html',
+  }),
+});
+
 /**
  * Middleware to validate request body
  */
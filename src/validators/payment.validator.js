@@ -0,0 +1,122 @@
+const Joi = require('joi');
+
+/**
+ * Validation schema for confirming a checkout payment
+ * Field values are the ones the gateway checkout hands back to the app
+ */
+exports.verifyPaymentSchema = Joi.object({
+  gatewayOrderId: Joi.string().trim().max(64).required().messages({
+    'any.required': 'Gateway order ID is required',
+  }),
+  paymentId: Joi.string().trim().max(64).required().messages({
+    'any.required': 'Payment ID is required',
+  }),
+  signature: Joi.string().trim().max(256).required().messages({
+    'any.required': 'Payment signature is required',
+  }),
+});
+
+/**
+ * Validation schema for uploading a settlement report
+ * The CSV is the request body; these options come in the query string
+ */
+exports.reconciliationQuerySchema = Joi.object({
+  fileName: Joi.string().trim().max(200),
+  // Gateway the report is from, as stored in Order.paymentDetails.gateway
+  source: Joi.string().trim().lowercase().max(30),
+  from: Joi.date().iso().messages({
+    'date.format': 'from must be an ISO date, e.g. 2026-09-01',
+  }),
+  to: Joi.date().iso().greater(Joi.ref('from')).messages({
+    'date.format': 'to must be an ISO date, e.g. 2026-09-08',
+    'date.greater': 'to must be after from',
+  }),
+  amountUnit: Joi.string().lowercase().valid('rupees', 'paise').default('rupees').messages({
+    'any.only': 'Amount unit must be rupees or paise',
+  }),
+})
+  .and('from', 'to')
+  .messages({
+    'object.and': 'Send both from and to to check for paid orders missing from the report',
+  });
+
+/**
+ * Validation schema for listing reconciliation runs
+ */
+exports.reconciliationListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+/**
+ * Validation schema for downloading a run's exceptions
+ */
+exports.exceptionsQuerySchema = Joi.object({
+  type: Joi.array()
+    .items(
+      Joi.string()
+        .lowercase()
+        .valid(
+          'missing_order',
+          'missing_in_report',
+          'duplicate_in_report',
+          'duplicate_order',
+          'already_settled',
+          'amount_mismatch',
+          'invalid_row'
+        )
+    )
+    .single(),
+});
+
+/**
+ * Middleware to validate request body
+ */
+exports.validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate query parameters
+ */
+exports.validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Query validation error',
+      errors,
+    });
+  }
+
+  req.query = value;
+  next();
+};
@@ -0,0 +1,110 @@
+const Joi = require('joi');
+const { createOrderSchema, validate, validateQuery } = require('./order.validator');
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': 'Invalid ID',
+});
+
+const timeOfDay = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Time must be in HH:mm format',
+  });
+
+const promoFields = {
+  code: Joi.string().trim().uppercase().alphanum().min(3).max(20).messages({
+    'string.alphanum': 'Promo code can only contain letters and numbers',
+    'string.min': 'Promo code must be at least 3 characters',
+    'string.max': 'Promo code cannot exceed 20 characters',
+  }),
+  discountType: Joi.string().valid('percentage', 'fixed', 'free-delivery').messages({
+    'any.only': 'Discount type must be percentage, fixed, or free-delivery',
+  }),
+  discountValue: Joi.number().min(0).messages({
+    'number.min': 'Discount value cannot be negative',
+  }),
+  maxDiscount: Joi.number().min(0),
+  minOrderValue: Joi.number().min(0),
+  applicableTo: Joi.string().valid('all', 'specific-users', 'first-order', 'specific-items'),
+  applicableItems: Joi.array().items(objectId),
+  applicableCategories: Joi.array().items(Joi.string().trim()),
+  eligibleUsers: Joi.array().items(objectId),
+  eligibleUserSegments: Joi.array().items(
+    Joi.string().valid('new-users', 'high-value', 'regular', 'at-risk')
+  ),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  validFrom: Joi.date(),
+  validTo: Joi.date(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  timeSlots: Joi.array().items(
+    Joi.object({
+      from: timeOfDay.required(),
+      to: timeOfDay.required(),
+    })
+  ),
+  isActive: Joi.boolean(),
+  campaignName: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  termsAndConditions: Joi.string().trim().max(2000).allow(''),
+};
+
+/**
+ * Validation schema for creating a promo code
+ */
+exports.createPromoSchema = Joi.object({
+  ...promoFields,
+  code: promoFields.code.required(),
+  discountType: promoFields.discountType.required(),
+  discountValue: promoFields.discountValue.when('discountType', {
+    is: 'percentage',
+    then: Joi.number().max(100).required(),
+    otherwise: Joi.number().required(),
+  }),
+  validFrom: promoFields.validFrom.required(),
+  validTo: Joi.date().greater(Joi.ref('validFrom')).required().messages({
+    'date.greater': 'validTo must be after validFrom',
+  }),
+});
+
+/**
+ * Validation schema for updating a promo code
+ */
+exports.updatePromoSchema = Joi.object(promoFields).min(1).messages({
+  'object.min': 'Provide at least one field to update',
+});
+
+/**
+ * Validation schema for duplicating a promo code
+ */
+exports.duplicatePromoSchema = Joi.object({
+  code: promoFields.code.required(),
+  validFrom: promoFields.validFrom,
+  validTo: promoFields.validTo,
+});
+
+/**
+ * Validation schema for checking a promo code against a cart
+ */
+exports.validatePromoSchema = Joi.object({
+  code: Joi.string().trim().uppercase().required().messages({
+    'any.required': 'Promo code is required',
+  }),
+  items: createOrderSchema.extract('items'),
+});
+
+/**
+ * Validation schema for promo listing query parameters
+ */
+exports.promoQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  sort: Joi.string().pattern(/^-?[\w,.-]+$/),
+  fields: Joi.string().pattern(/^[\w,.-]+$/),
+  isActive: Joi.boolean(),
+  discountType: Joi.string().valid('percentage', 'fixed', 'free-delivery'),
+}).unknown(true);
+
+// Same request/query validation middleware as orders
+exports.validate = validate;
+exports.validateQuery = validateQuery;
@@ -0,0 +1,186 @@
+const Joi = require('joi');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const amount = Joi.number().min(0);
+const minutes = Joi.number().integer().min(0);
+const hhmm = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ 'string.pattern.base': '{#label} must be in HH:mm format' });
+const resetPeriod = Joi.string().valid('daily', 'monthly', 'yearly', 'never');
+const timezone = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{#label} must be an IANA time zone, e.g. Asia/Kolkata' });
+
+// [longitude, latitude]
+const coordinates = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+const orderTypeSchema = Joi.object({
+  enabled: Joi.boolean(),
+  applyPackagingFee: Joi.boolean(),
+  applyPlatformFee: Joi.boolean(),
+}).options({ stripUnknown: false });
+
+/**
+ * Validation schema for updating settings
+ * Nested objects are merged into the current settings, so their fields are all optional
+ */
+exports.updateSettingsSchema = Joi.object({
+  siteName: Joi.string().trim().max(100),
+  contactEmail: Joi.string().trim().email(),
+  contactPhone: Joi.string().trim().max(30),
+  businessAddress: Joi.string().trim().allow('').max(500),
+  website: Joi.string().trim().allow('').max(200),
+  notificationEmails: Joi.array().items(Joi.string().trim().email()),
+
+  minimumOrderAmount: amount,
+  taxRate: Joi.number().min(0).max(100),
+  deliveryCharge: amount,
+  deliveryFeeSlabs: Joi.array().items(
+    Joi.object({
+      upToKm: Joi.number().min(0).required(),
+      fee: amount.required(),
+      freeAbove: amount,
+    })
+  ),
+  freeDeliveryAbove: amount,
+  surge: Joi.object({
+    enabled: Joi.boolean(),
+    multiplier: Joi.number().min(1).max(5),
+    reason: Joi.string().trim().allow('').max(200),
+    endsAt: Joi.date().allow(null),
+  }),
+  platformFee: amount,
+  packagingFee: amount,
+  priceTolerance: amount,
+
+  orderNumberFormat: Joi.string().trim().max(50),
+  orderNumberReset: resetPeriod,
+  outletCode: Joi.string().trim().max(20),
+
+  timezone,
+  slotDurationMinutes: Joi.number().integer().min(5),
+  maxOrdersPerSlot: Joi.number().integer().min(1),
+  slotStartTime: hhmm,
+  slotEndTime: hhmm,
+  scheduleLeadTimeMinutes: minutes,
+  kitchenLeadTimeMinutes: minutes,
+  scheduleMaxDaysAhead: Joi.number().integer().min(0),
+
+  defaultPrepTimeMinutes: Joi.number().min(1),
+  kitchenParallelOrders: Joi.number().integer().min(1),
+  riderSpeedKmph: Joi.number().min(1),
+  defaultTravelMinutes: minutes,
+  handoverMinutes: minutes,
+  substitutionTimeoutMinutes: Joi.number().integer().min(1),
+
+  serviceArea: Joi.object({
+    enabled: Joi.boolean(),
+    location: Joi.object({
+      type: Joi.string().valid('Point'),
+      coordinates: coordinates.required(),
+    }),
+    radiusKm: Joi.number().min(0),
+    zones: Joi.array().items(
+      Joi.object({
+        name: Joi.string().trim().required(),
+        polygon: Joi.object({
+          type: Joi.string().valid('Polygon'),
+          coordinates: Joi.array().items(Joi.array().items(coordinates)).required(),
+        }).required(),
+      })
+    ),
+  }),
+
+  invoice: Joi.object({
+    legalName: Joi.string().trim().allow(''),
+    gstin: Joi.string().trim().allow(''),
+    address: Joi.string().trim().allow(''),
+    stateCode: Joi.string().trim().allow(''),
+    stateName: Joi.string().trim().allow(''),
+    fssaiNumber: Joi.string().trim().allow(''),
+    numberFormat: Joi.string().trim().max(50),
+    numberReset: resetPeriod,
+    foodSacCode: Joi.string().trim(),
+    deliverySacCode: Joi.string().trim(),
+    footerNote: Joi.string().trim().allow('').max(500),
+  }),
+
+  // Unknown order types are rejected rather than stripped, so a typo is not silently ignored
+  orderTypes: Joi.object({
+    pickup: orderTypeSchema,
+    dineIn: orderTypeSchema,
+  }).options({ stripUnknown: false }),
+
+  upiId: Joi.string().trim().allow(''),
+  loyaltyPointValue: amount,
+});
+
+/**
+ * Validation schema for checking a location against the delivery area
+ */
+exports.serviceabilityQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required().messages({
+    'number.base': 'Latitude must be a number',
+    'any.required': 'Latitude is required',
+  }),
+  lng: Joi.number().min(-180).max(180).required().messages({
+    'number.base': 'Longitude must be a number',
+    'any.required': 'Longitude is required',
+  }),
+});
+
+/**
+ * Middleware to validate request body
+ */
+exports.validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate query parameters
+ */
+exports.validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Query validation error',
+      errors,
+    });
+  }
+
+  req.query = value;
+  next();
+};
@@ -0,0 +1,112 @@
+const Joi = require('joi');
+
+const reasonSchema = Joi.string().trim().min(5).max(500).required().messages({
+  'string.min': 'Reason must be at least 5 characters',
+  'string.max': 'Reason cannot exceed 500 characters',
+  'any.required': 'Reason is required',
+});
+
+const amountSchema = Joi.number().positive().precision(2).max(100000).required().messages({
+  'number.base': 'Amount must be a number',
+  'number.positive': 'Amount must be more than zero',
+  'number.max': 'Amount cannot exceed ₹100000',
+  'any.required': 'Amount is required',
+});
+
+/**
+ * Validation schema for adding store credit (goodwill, refund as credit, ...)
+ */
+exports.creditSchema = Joi.object({
+  amount: amountSchema,
+  reason: reasonSchema,
+  // Unused credit is removed after this date; no date = never expires
+  expiresAt: Joi.date().greater('now').messages({
+    'date.greater': 'Expiry date must be in the future',
+  }),
+});
+
+/**
+ * Validation schema for taking money out of a wallet
+ */
+exports.debitSchema = Joi.object({
+  amount: amountSchema,
+  reason: reasonSchema,
+});
+
+/**
+ * Validation schema for reversing a wallet transaction
+ */
+exports.reverseSchema = Joi.object({
+  reason: reasonSchema,
+});
+
+/**
+ * Validation schema for wallet statement query parameters
+ * Range is [from, to)
+ */
+exports.statementQuerySchema = Joi.object({
+  from: Joi.date().iso().messages({
+    'date.format': 'from must be an ISO date, e.g. 2026-09-01',
+  }),
+  to: Joi.date().iso().greater(Joi.ref('from')).messages({
+    'date.format': 'to must be an ISO date, e.g. 2026-10-01',
+    'date.greater': 'to must be after from',
+  }),
+  type: Joi.array()
+    .items(Joi.string().lowercase().valid('credit', 'debit', 'expiry', 'reversal'))
+    .single(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Middleware to validate request body
+ */
+exports.validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate query parameters
+ */
+exports.validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Query validation error',
+      errors,
+    });
+  }
+
+  req.query = value;
+  next();
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet;
+
+/**
+ * Connect mongoose to the test database
+ * MONGODB_URI_TEST (a replica set) when set, otherwise an in-memory single-node replica set;
+ * orders, wallets and webhooks use transactions, which need one
+ */
+const connect = async () => {
+  let uri = process.env.MONGODB_URI_TEST;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    uri = replSet.getUri();
+  }
+  await mongoose.connect(uri);
+
+  // Collections and unique indexes must exist before the first transaction writes to them
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+/**
+ * Empty every collection, keeping the indexes
+ */
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+  }
+};
+
+module.exports = { connect, clear, disconnect };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const MenuItem = require('../../src/models/MenuItem');
+const Settings = require('../../src/models/Settings');
+const User = require('../../src/models/User');
+
+/**
+ * Settings document with the given overrides
+ */
+const createSettings = (overrides = {}) => Settings.create({ singleton: true, ...overrides });
+
+/**
+ * Customer with a unique email
+ * @returns {Promise<{ user: Object, token: string }>} user and a bearer token for it
+ */
+const createCustomer = async (overrides = {}) => {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const user = await User.create({
+    email: { address: `customer-${suffix}@example.com`, isVerified: true },
+    phone: { number: '+919800000000', isVerified: true },
+    password: 'Password123!',
+    name: { first: 'Test', last: 'Customer' },
+    role: 'customer',
+    ...overrides,
+  });
+
+  return { user, token: user.generateAuthToken() };
+};
+
+/**
+ * Admin with a unique email
+ * @returns {Promise<{ user: Object, token: string }>}
+ */
+const createAdmin = (overrides = {}) => createCustomer({ role: 'admin', ...overrides });
+
+/**
+ * Available menu item with a single Full portion
+ */
+const createMenuItem = (price, overrides = {}) =>
+  MenuItem.create({
+    name: `Dish ${crypto.randomBytes(4).toString('hex')}`,
+    image: 'https://example.com/dish.jpg',
+    categories: ['Main Course'],
+    priceVariants: [{ quantity: 'Full', price }],
+    isAvailable: true,
+    isActive: true,
+    ...overrides,
+  });
+
+module.exports = { createSettings, createCustomer, createAdmin, createMenuItem };
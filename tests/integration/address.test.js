@@ -0,0 +1,60 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const db = require('../helpers/db');
+const { createSettings, createCustomer } = require('../helpers/factories');
+
+describe('Saving addresses inside the service area', () => {
+  let customer;
+  let token;
+
+  const address = (overrides = {}) => ({
+    type: 'home',
+    street: '12 MG Road',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    zipCode: '560001',
+    ...overrides,
+  });
+
+  const addAddress = (body) =>
+    request(app).post('/api/v1/addresses').set('Authorization', `Bearer ${token}`).send(body);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({
+      serviceArea: {
+        enabled: true,
+        location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+        radiusKm: 5,
+      },
+    });
+    ({ user: customer, token } = await createCustomer());
+  });
+
+  it('saves an address without coordinates', async () => {
+    await addAddress(address()).expect(201);
+
+    const { addresses } = await User.findById(customer._id);
+    expect(addresses).toHaveLength(1);
+  });
+
+  it('saves an address pinned inside the area', async () => {
+    await addAddress(
+      address({ coordinates: { type: 'Point', coordinates: [77.5946, 12.9916] } })
+    ).expect(201);
+  });
+
+  it('rejects an address pinned outside the area', async () => {
+    const res = await addAddress(
+      address({ coordinates: { type: 'Point', coordinates: [77.5946, 13.0716] } })
+    ).expect(400);
+
+    expect(res.body.message).toBe('Sorry, we do not deliver to this location yet');
+    const { addresses } = await User.findById(customer._id);
+    expect(addresses).toHaveLength(0);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../helpers/db');
+const { parseCsv } = require('../../src/utils/csv');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Order export', () => {
+  let customer;
+  let admin;
+  let orders;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const range = {
+    from: new Date(Date.now() - DAY).toISOString(),
+    to: new Date(Date.now() + DAY).toISOString(),
+  };
+
+  const exportOrders = (query, token = admin.token) =>
+    request(app)
+      .get('/api/v1/orders/export')
+      .query({ ...range, ...query })
+      .set('Authorization', `Bearer ${token}`);
+
+  const placeOrder = (items) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items, orderType: 'pickup', paymentMethod: 'COD' })
+      .expect(201)
+      .then((res) => res.body.data.order);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    const dal = await createMenuItem(200);
+    const naan = await createMenuItem(50);
+
+    orders = [
+      await placeOrder([{ menuItem: dal._id.toString(), quantity: 2 }]),
+      await placeOrder([
+        { menuItem: dal._id.toString(), quantity: 1 },
+        { menuItem: naan._id.toString(), quantity: 3 },
+      ]),
+    ];
+  });
+
+  it('streams one CSV row per order, oldest first', async () => {
+    const res = await exportOrders().expect(200);
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="orders-.+\.csv"$/);
+
+    const [header, ...rows] = parseCsv(res.text);
+    const column = (name) => rows.map((row) => row[header.indexOf(name)]);
+    expect(column('Order Number')).toEqual(orders.map((order) => order.orderNumber));
+    expect(column('Final Amount')).toEqual(
+      orders.map((order) => String(order.pricing.finalAmount))
+    );
+    expect(column('Order Type')).toEqual(['pickup', 'pickup']);
+  });
+
+  it('can list line items instead', async () => {
+    const res = await exportOrders({ rows: 'item' }).expect(200);
+
+    const [header, ...rows] = parseCsv(res.text);
+    expect(rows).toHaveLength(3);
+    expect(rows.map((row) => row[header.indexOf('Quantity')])).toEqual(['2', '1', '3']);
+  });
+
+  it('applies the status filter', async () => {
+    const res = await exportOrders({ status: 'DELIVERED' }).expect(200);
+
+    expect(parseCsv(res.text)).toHaveLength(1);
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const res = await exportOrders({ from: range.to, to: range.from }).expect(400);
+
+    expect(res.body.errors).toEqual([{ field: 'to', message: 'to must be after from' }]);
+  });
+
+  it('is for admins only', async () => {
+    await exportOrders({}, customer.token).expect(403);
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const db = require('../helpers/db');
+const { createAdmin, createCustomer } = require('../helpers/factories');
+
+describe('Idempotency-Key', () => {
+  let admin;
+  let customer;
+
+  const credit = (key, body = { amount: 50, reason: 'Goodwill' }) =>
+    request(app)
+      .post(`/api/v1/wallet/users/${customer._id}/credit`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .set('Idempotency-Key', key)
+      .send(body);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    admin = await createAdmin();
+    ({ user: customer } = await createCustomer());
+  });
+
+  it('replays the first response to a retry without running it again', async () => {
+    const first = await credit('credit-1').expect(201);
+    const retry = await credit('credit-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await WalletTransaction.countDocuments()).toBe(1);
+  });
+
+  it('rejects the key for a different request', async () => {
+    await credit('credit-1').expect(201);
+
+    const res = await credit('credit-1', { amount: 60, reason: 'Goodwill' }).expect(409);
+    expect(res.body.message).toMatch(/different request/);
+  });
+
+  it('rejects a retry while the key is still processing', async () => {
+    await credit('credit-1').expect(201);
+    // As if the first request were still running, long after it started
+    await IdempotencyKey.updateOne(
+      { key: 'credit-1' },
+      { status: 'processing', updatedAt: new Date(0) },
+      { timestamps: false }
+    );
+
+    const res = await credit('credit-1').expect(409);
+    expect(res.body.message).toMatch(/still being processed/);
+    expect(await WalletTransaction.countDocuments()).toBe(1);
+  });
+
+  it('releases the key of a failed request so it can be retried', async () => {
+    const debit = () =>
+      request(app)
+        .post(`/api/v1/wallet/users/${customer._id}/debit`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .set('Idempotency-Key', 'debit-1')
+        .send({ amount: 30, reason: 'Correction' });
+
+    await debit().expect(400);
+    await credit('credit-1').expect(201);
+
+    const retry = await debit().expect(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
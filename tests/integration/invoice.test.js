@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Invoice = require('../../src/models/Invoice');
+const invoiceService = require('../../src/services/invoice.service');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('GST invoices', () => {
+  let customer;
+  let admin;
+  let order;
+
+  const getInvoice = (token = customer.token) =>
+    request(app)
+      .get(`/api/v1/orders/${order._id}/invoice?format=html`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const setStatus = (status) =>
+    request(app)
+      .patch(`/api/v1/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status })
+      .expect(200);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    // The delivery email issues the invoice in the background; these tests issue it themselves
+    jest.spyOn(invoiceService, 'sendDeliveryConfirmation').mockResolvedValue();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    const menuItem = await createMenuItem(200, { hsnCode: '2106' });
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'dine-in',
+        tableNumber: '4',
+        paymentMethod: 'COD',
+      })
+      .expect(201);
+    ({ order } = res.body.data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is only issued once the order is delivered', async () => {
+    const res = await getInvoice().expect(400);
+
+    expect(res.body.message).toBe('A tax invoice is issued once the order is delivered');
+    expect(await Invoice.countDocuments()).toBe(0);
+  });
+
+  it('keeps the first number and a snapshot that matches what the customer paid', async () => {
+    await setStatus('READY');
+    await setStatus('DELIVERED');
+
+    await getInvoice().expect(200);
+    await getInvoice(admin.token).expect(200);
+
+    const invoices = await Invoice.find();
+    const year = new Date().getFullYear();
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0].invoiceNumber).toBe(`INV/${year}/00001`);
+    expect(invoices[0].lines[0].sacCode).toBe('2106');
+    expect(invoices[0].totals).toMatchObject({
+      taxableValue: 410,
+      totalTax: 20.5,
+      grandTotal: order.pricing.finalAmount,
+    });
+  });
+
+  it('is not shown to other customers', async () => {
+    const other = await createCustomer();
+
+    const res = await getInvoice(other.token).expect(403);
+
+    expect(res.body.message).toBe('You do not have permission to view this invoice');
+  });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/category.model');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('Kitchen display', () => {
+  let customer;
+  let cook;
+  let order;
+
+  const kitchen = (method, path) =>
+    request(app)[method](`/api/v1/kitchen${path}`).set('Authorization', `Bearer ${cook.token}`);
+
+  const placeOrder = (items, body = {}) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items, orderType: 'pickup', paymentMethod: 'COD', ...body })
+      .expect(201)
+      .then((res) => res.body.data.order);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    await Category.create([
+      { name: 'Curries', station: 'curry' },
+      { name: 'Breads', station: 'tandoor' },
+    ]);
+    customer = await createCustomer();
+    cook = await createCustomer({ role: 'kitchen' });
+
+    const curry = await createMenuItem(200, { name: 'Dal', categories: ['curries'] });
+    const naan = await createMenuItem(50, { name: 'Naan', categories: ['Breads'] });
+    const soup = await createMenuItem(80, { name: 'Soup', categories: ['Soups'] });
+    order = await placeOrder([
+      { menuItem: curry._id.toString(), quantity: 1 },
+      { menuItem: naan._id.toString(), quantity: 2 },
+      { menuItem: soup._id.toString(), quantity: 1 },
+    ]);
+  });
+
+  it("routes each line to its category's station, main when there is none", async () => {
+    const saved = await Order.findById(order._id);
+
+    expect(saved.items.map(({ name, station }) => `${name}@${station}`)).toEqual([
+      'Dal@curry',
+      'Naan@tandoor',
+      'Soup@main',
+    ]);
+  });
+
+  it('shows each station only its own lines', async () => {
+    const res = await kitchen('get', '/queue').query({ station: 'tandoor' }).expect(200);
+
+    expect(res.body.data.stations).toEqual(['curry', 'main', 'tandoor']);
+    expect(res.body.data.tickets).toHaveLength(1);
+    expect(res.body.data.tickets[0].stations).toEqual({
+      tandoor: [expect.objectContaining({ name: 'Naan', quantity: 2, status: 'QUEUED' })],
+    });
+  });
+
+  it('moves the order to READY once every line is bumped', async () => {
+    const tandoor = await kitchen('patch', `/orders/${order._id}/stations/tandoor`)
+      .send({})
+      .expect(200);
+    expect(tandoor.body.data.ticket.progress).toEqual({ done: 1, total: 3 });
+
+    await kitchen('patch', `/orders/${order._id}/stations/main`).send({}).expect(200);
+    const last = await kitchen('patch', `/orders/${order._id}/items/${order.items[0]._id}`)
+      .send({ status: 'DONE' })
+      .expect(200);
+
+    expect(last.body.data.orderStatus).toBe('READY');
+    const saved = await Order.findById(order._id);
+    expect(saved.statusHistory.map((entry) => entry.status)).toEqual(['PENDING', 'READY']);
+  });
+
+  it('can put a bumped line back', async () => {
+    await kitchen('patch', `/orders/${order._id}/stations/tandoor`).send({}).expect(200);
+
+    const res = await kitchen('patch', `/orders/${order._id}/items/${order.items[1]._id}`)
+      .send({ status: 'QUEUED' })
+      .expect(200);
+
+    expect(res.body.data.ticket.progress.done).toBe(0);
+  });
+
+  it('refuses bumps on orders not yet on the queue', async () => {
+    const menuItem = await createMenuItem(100);
+    const unpaid = await placeOrder([{ menuItem: menuItem._id.toString(), quantity: 1 }], {
+      paymentMethod: 'ONLINE',
+    });
+
+    const res = await kitchen('patch', `/orders/${unpaid._id}/stations/main`).send({}).expect(400);
+    expect(res.body.message).toBe('This order is not on the kitchen queue yet');
+  });
+});
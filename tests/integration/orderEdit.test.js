@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const MenuItem = require('../../src/models/MenuItem');
+const Order = require('../../src/models/Order');
+const User = require('../../src/models/User');
+const walletService = require('../../src/services/wallet.service');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('PATCH /orders/:id (edit)', () => {
+  let customer;
+  let curry;
+  let naan;
+
+  const placeOrder = (body = {}) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: curry._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+        ...body,
+      })
+      .expect(201)
+      .then((res) => res.body.data.order);
+
+  const edit = (order, body) =>
+    request(app)
+      .patch(`/api/v1/orders/${order._id}`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send(body);
+
+  const walletBalance = async () =>
+    (await User.findById(customer.user._id)).customerData.walletBalance;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    curry = await createMenuItem(200);
+    naan = await createMenuItem(50);
+  });
+
+  it('re-prices the order, moves the stats and notes the change', async () => {
+    const order = await placeOrder();
+
+    await edit(order, {
+      items: [
+        { menuItem: curry._id.toString(), quantity: 1 },
+        { menuItem: naan._id.toString(), quantity: 2 },
+      ],
+    }).expect(200);
+
+    const saved = await Order.findById(order._id);
+    // (300 + 10) * 1.05 = 325.5, rounded to 326
+    expect(saved.pricing.finalAmount).toBe(326);
+    expect(saved.items.map((item) => item.quantity)).toEqual([1, 2]);
+    expect(saved.statusHistory[saved.statusHistory.length - 1].notes).toBe(
+      `Order edited: added 2× ${naan.name} (Full); ${curry.name} (Full) 2 → 1; total ₹431 → ₹326`
+    );
+
+    const [curryStats, naanStats, user] = await Promise.all([
+      MenuItem.findById(curry._id),
+      MenuItem.findById(naan._id),
+      User.findById(customer.user._id),
+    ]);
+    expect(curryStats.stats).toMatchObject({ totalOrders: 1, totalRevenue: 200 });
+    expect(naanStats.stats).toMatchObject({ totalOrders: 2, totalRevenue: 100 });
+    expect(user.customerData.totalSpent).toBe(326);
+  });
+
+  it('refuses edits once the kitchen has marked the order ready', async () => {
+    const order = await placeOrder();
+    const admin = await createAdmin();
+    await request(app)
+      .patch(`/api/v1/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'READY' })
+      .expect(200);
+
+    const res = await edit(order, { specialInstructions: 'Less oil' }).expect(400);
+    expect(res.body.message).toBe('Only orders that are still PENDING can be edited');
+  });
+
+  it('does not let a paid order cost more, and refunds a smaller one', async () => {
+    await walletService.credit(customer.user._id, { amount: 1000, reason: 'Top up' });
+    const order = await placeOrder({ paymentMethod: 'WALLET' });
+
+    const more = await edit(order, {
+      items: [{ menuItem: curry._id.toString(), quantity: 3 }],
+    }).expect(400);
+    expect(more.body.message).toMatch(/already paid and cannot cost more/);
+
+    await edit(order, { items: [{ menuItem: curry._id.toString(), quantity: 1 }] }).expect(200);
+
+    const saved = await Order.findById(order._id);
+    // 431 paid, 221 now due
+    expect(saved.refunds).toHaveLength(1);
+    expect(saved.refunds[0]).toMatchObject({
+      amount: 210,
+      status: 'PENDING',
+      reason: 'Order edited',
+    });
+    expect(saved.getAmountPaid()).toBe(431);
+  });
+
+  it('gives store credit back when it covers the smaller total of an unpaid order', async () => {
+    await walletService.credit(customer.user._id, { amount: 1000, reason: 'Top up' });
+    const order = await placeOrder({
+      paymentMethod: undefined,
+      payments: [{ method: 'WALLET', amount: 300 }, { method: 'COD' }],
+    });
+    expect(await walletBalance()).toBe(700);
+
+    await edit(order, { items: [{ menuItem: curry._id.toString(), quantity: 1 }] }).expect(200);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.payments.map(({ method, amount }) => ({ method, amount }))).toEqual([
+      { method: 'WALLET', amount: 221 },
+    ]);
+    expect(saved.paymentStatus).toBe('PAID');
+    expect(await walletBalance()).toBe(779);
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Counter = require('../../src/models/Counter');
+const MenuItem = require('../../src/models/MenuItem');
+const Order = require('../../src/models/Order');
+const PromoCode = require('../../src/models/PromoCode');
+const User = require('../../src/models/User');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Placing an order in one transaction', () => {
+  let customer;
+  let token;
+  let menuItem;
+
+  const placeOrder = (body = {}) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+        promoCode: 'SAVE10',
+        ...body,
+      });
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    ({ user: customer, token } = await createCustomer());
+    menuItem = await createMenuItem(200);
+    await PromoCode.create({
+      code: 'SAVE10',
+      discountType: 'percentage',
+      discountValue: 10,
+      validFrom: new Date(Date.now() - DAY),
+      validTo: new Date(Date.now() + DAY),
+      usageLimit: 5,
+    });
+  });
+
+  it('writes the order with its promo use, order number and stats', async () => {
+    const res = await placeOrder().expect(201);
+
+    const [promo, item, user, counters] = await Promise.all([
+      PromoCode.findOne({ code: 'SAVE10' }),
+      MenuItem.findById(menuItem._id),
+      User.findById(customer._id),
+      Counter.find({ _id: /^order:/ }),
+    ]);
+    expect(promo.usageCount).toBe(1);
+    expect(item.stats).toMatchObject({ totalOrders: 2, totalRevenue: 400 });
+    expect(user.customerData).toMatchObject({ totalOrders: 1, totalSpent: 389 });
+    expect(counters.map((counter) => counter.seq)).toEqual([1]);
+    expect(res.body.data.order.orderNumber).toBeDefined();
+  });
+
+  it('rolls every side effect back when a later step fails', async () => {
+    // The wallet is empty, so the debit fails after the promo use and the order number are taken
+    const res = await placeOrder({ paymentMethod: 'WALLET' }).expect(400);
+    expect(res.body.message).toBe('Not enough wallet balance (₹0 available)');
+
+    const [orders, promo, item, user, counters] = await Promise.all([
+      Order.countDocuments(),
+      PromoCode.findOne({ code: 'SAVE10' }),
+      MenuItem.findById(menuItem._id),
+      User.findById(customer._id),
+      Counter.countDocuments(),
+    ]);
+    expect(orders).toBe(0);
+    expect(promo.usageCount).toBe(0);
+    expect(item.stats.totalOrders || 0).toBe(0);
+    expect(user.customerData.totalOrders || 0).toBe(0);
+    expect(counters).toBe(0);
+  });
+
+  it('gives the next order the number the failed one would have had', async () => {
+    await placeOrder({ paymentMethod: 'WALLET' }).expect(400);
+    await placeOrder().expect(201);
+
+    const [counter] = await Counter.find({ _id: /^order:/ });
+    expect(counter.seq).toBe(1);
+  });
+});
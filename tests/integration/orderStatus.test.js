@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Order status changes', () => {
+  let customer;
+  let admin;
+  let order;
+
+  const setStatus = (status, body = {}) =>
+    request(app)
+      .patch(`/api/v1/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status, ...body });
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    const menuItem = await createMenuItem(200);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+      })
+      .expect(201);
+    ({ order } = res.body.data);
+  });
+
+  it('records each allowed change once in the status history', async () => {
+    await setStatus('READY').expect(200);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.status).toBe('READY');
+    expect(saved.statusHistory.map((entry) => entry.status)).toEqual(['PENDING', 'READY']);
+  });
+
+  it('rejects a change the state machine does not allow', async () => {
+    const res = await setStatus('OUT_FOR_DELIVERY').expect(400);
+
+    expect(res.body.message).toBe('Cannot change order status from PENDING to OUT_FOR_DELIVERY');
+    expect((await Order.findById(order._id)).status).toBe('PENDING');
+  });
+
+  it('lets the customer cancel only while the order is pending', async () => {
+    await setStatus('READY').expect(200);
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${order._id}/cancel`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ reason: 'Changed my mind' })
+      .expect(403);
+
+    expect(res.body.message).toBe('A customer cannot change order status from READY to CANCELLED');
+  });
+
+  it('keeps a cancelled order cancelled', async () => {
+    await request(app)
+      .patch(`/api/v1/orders/${order._id}/cancel`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ reason: 'Changed my mind' })
+      .expect(200);
+
+    await setStatus('READY').expect(400);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.status).toBe('CANCELLED');
+    expect(saved.cancellation).toMatchObject({
+      reason: 'Changed my mind',
+      cancelledBy: 'customer',
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const Settings = require('../../src/models/Settings');
+const invoiceService = require('../../src/services/invoice.service');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Pickup and dine-in orders', () => {
+  let customer;
+  let admin;
+  let menuItem;
+
+  const placeOrder = (body) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        paymentMethod: 'COD',
+        ...body,
+      });
+
+  const setStatus = (order, body) =>
+    request(app)
+      .patch(`/api/v1/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send(body);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    jest.spyOn(invoiceService, 'sendDeliveryConfirmation').mockResolvedValue();
+    await createSettings({
+      taxRate: 5,
+      deliveryCharge: 40,
+      platformFee: 10,
+      packagingFee: 20,
+      minimumOrderAmount: 1000,
+    });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    menuItem = await createMenuItem(200);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges counter orders only the fees switched on for their type', async () => {
+    const pickup = await placeOrder({ orderType: 'pickup' }).expect(201);
+    const dineIn = await placeOrder({ orderType: 'dine-in', tableNumber: '7' }).expect(201);
+
+    // Neither needs the minimum order amount; dine-in skips packaging and platform fees
+    expect(pickup.body.data.order.pricing).toMatchObject({
+      deliveryFee: 0,
+      platformFee: 10,
+      packagingFee: 20,
+    });
+    expect(dineIn.body.data.order.pricing).toMatchObject({
+      deliveryFee: 0,
+      platformFee: 0,
+      packagingFee: 0,
+      finalAmount: 420,
+    });
+    expect(dineIn.body.data.order.tableNumber).toBe('7');
+  });
+
+  it('needs a table number for dine-in, and only for dine-in', async () => {
+    const missing = await placeOrder({ orderType: 'dine-in' }).expect(400);
+    const extra = await placeOrder({ orderType: 'pickup', tableNumber: '7' }).expect(400);
+
+    expect(JSON.stringify(missing.body)).toContain('Table number is required for dine-in orders');
+    expect(JSON.stringify(extra.body)).toContain('Table number is only used for dine-in orders');
+  });
+
+  it('refuses an order type that is switched off', async () => {
+    await Settings.updateOne({}, { 'orderTypes.dineIn.enabled': false });
+
+    const res = await placeOrder({ orderType: 'dine-in', tableNumber: '7' }).expect(400);
+
+    expect(res.body.message).toBe('dine-in orders are not being accepted right now');
+  });
+
+  it('hands a pickup order over only against its pickup code', async () => {
+    const res = await placeOrder({ orderType: 'pickup' }).expect(201);
+    const { order } = res.body.data;
+    expect(order.pickupCode).toMatch(/^\d{4}$/);
+
+    await setStatus(order, { status: 'READY' }).expect(200);
+    const wrongCode = order.pickupCode === '0000' ? '1111' : '0000';
+    const rejected = await setStatus(order, { status: 'DELIVERED', pickupCode: wrongCode }).expect(
+      400
+    );
+    await setStatus(order, { status: 'DELIVERED', pickupCode: order.pickupCode }).expect(200);
+
+    expect(rejected.body.message).toBe('Pickup code does not match this order');
+    expect((await Order.findById(order._id)).status).toBe('DELIVERED');
+  });
+
+  it('settles a counter bill once', async () => {
+    const res = await placeOrder({ orderType: 'dine-in', tableNumber: '7' }).expect(201);
+    const { order } = res.body.data;
+    const settle = () =>
+      request(app)
+        .patch(`/api/v1/orders/${order._id}/settle`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ method: 'UPI', reference: 'UTR123' });
+
+    await settle().expect(200);
+    const again = await settle().expect(400);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.paymentStatus).toBe('PAID');
+    expect(saved.counterSettlement).toMatchObject({ method: 'UPI', amount: 420 });
+    expect(again.body.message).toBe('This order is already paid');
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const PaymentEvent = require('../../src/models/PaymentEvent');
+const paymentService = require('../../src/services/payment.service');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+const { provider } = paymentService;
+
+describe('Online payments', () => {
+  let token;
+  let order;
+
+  const authed = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const checkout = () =>
+    authed(request(app).post(`/api/v1/payments/orders/${order._id}/checkout`)).expect(200);
+
+  const postWebhook = ({ rawBody, headers }) =>
+    request(app).post('/api/v1/payments/webhook').set(headers).send(rawBody);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    const customer = await createCustomer();
+    ({ token } = customer);
+    const menuItem = await createMenuItem(200);
+
+    const res = await authed(request(app).post('/api/v1/orders'))
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod: 'ONLINE',
+      })
+      .expect(201);
+
+    order = await Order.findById(res.body.data.order._id);
+  });
+
+  it('keeps an unpaid online order off the kitchen queue', async () => {
+    expect(order.paymentStatus).toBe('PENDING');
+    expect(order.isInKitchenQueue()).toBe(false);
+
+    const queue = await Order.findPending();
+    expect(queue).toHaveLength(0);
+  });
+
+  it('marks the order paid after checkout and verify', async () => {
+    const {
+      body: {
+        data: { checkout: details },
+      },
+    } = await checkout();
+
+    // (400 + 10) * 1.05 = 430.5, rounded to 431
+    expect(details).toMatchObject({ provider: 'mock', amount: 43100, currency: 'INR' });
+
+    // A retried checkout reuses the gateway order
+    const retry = await checkout();
+    expect(retry.body.data.checkout.gatewayOrderId).toBe(details.gatewayOrderId);
+
+    const payment = provider.pay(details.gatewayOrderId);
+    const res = await authed(request(app).post(`/api/v1/payments/orders/${order._id}/verify`))
+      .send({ gatewayOrderId: details.gatewayOrderId, ...payment })
+      .expect(200);
+
+    expect(res.body.data.paymentStatus).toBe('PAID');
+
+    const paid = await Order.findById(order._id);
+    expect(paid.paymentDetails.transactionId).toBe(payment.paymentId);
+    expect(paid.isInKitchenQueue()).toBe(true);
+  });
+
+  it('rejects a forged checkout signature', async () => {
+    const { body } = await checkout();
+    const { gatewayOrderId } = body.data.checkout;
+
+    await authed(request(app).post(`/api/v1/payments/orders/${order._id}/verify`))
+      .send({ gatewayOrderId, paymentId: 'pay_forged', signature: 'not-a-signature' })
+      .expect(400);
+
+    expect((await Order.findById(order._id)).paymentStatus).toBe('PENDING');
+  });
+
+  it('rejects a webhook with a bad signature', async () => {
+    const { body } = await checkout();
+    const webhook = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: body.data.checkout.gatewayOrderId,
+      paymentId: 'pay_mock_webhook',
+      amount: body.data.checkout.amount,
+    });
+    webhook.headers['x-razorpay-signature'] = 'f'.repeat(64);
+
+    await postWebhook(webhook).expect(400);
+
+    expect(await PaymentEvent.countDocuments()).toBe(0);
+    expect((await Order.findById(order._id)).paymentStatus).toBe('PENDING');
+  });
+
+  it('applies a redelivered webhook once', async () => {
+    const { body } = await checkout();
+    const webhook = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: body.data.checkout.gatewayOrderId,
+      paymentId: 'pay_mock_webhook',
+      amount: body.data.checkout.amount,
+    });
+
+    const first = await postWebhook(webhook).expect(200);
+    const second = await postWebhook(webhook).expect(200);
+
+    expect(first.body.data.outcome).toBe('paid');
+    expect(second.body.data.outcome).toBe('duplicate');
+    expect(await PaymentEvent.countDocuments()).toBe(1);
+
+    const paid = await Order.findById(order._id);
+    expect(paid.paymentStatus).toBe('PAID');
+    expect(paid.paymentDetails.transactionId).toBe('pay_mock_webhook');
+  });
+
+  it('does not mark the order paid for the wrong amount', async () => {
+    const { body } = await checkout();
+    const webhook = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: body.data.checkout.gatewayOrderId,
+      paymentId: 'pay_mock_short',
+      amount: 100,
+    });
+
+    const res = await postWebhook(webhook).expect(200);
+
+    expect(res.body.data.outcome).toBe('amount_mismatch');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('PENDING');
+  });
+});
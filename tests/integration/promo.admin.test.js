@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const PromoCode = require('../../src/models/PromoCode');
+const db = require('../helpers/db');
+const { createCustomer, createAdmin } = require('../helpers/factories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "HH:mm" a number of hours from now, local time like the promo time slots
+const hoursFromNow = (hours) => {
+  const date = new Date(Date.now() + hours * 60 * 60 * 1000);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+describe('Promo code management', () => {
+  const createPromo = (overrides = {}) =>
+    PromoCode.create({
+      code: 'SAVE10',
+      discountType: 'percentage',
+      discountValue: 10,
+      validFrom: new Date(Date.now() - DAY),
+      validTo: new Date(Date.now() + DAY),
+      ...overrides,
+    });
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+  beforeEach(db.clear);
+
+  describe('POST /promos/:id/duplicate', () => {
+    let token;
+    let source;
+
+    beforeEach(async () => {
+      ({ token } = await createAdmin());
+      source = await createPromo({ usageLimit: 100, usageCount: 40 });
+    });
+
+    const duplicate = (body) =>
+      request(app)
+        .post(`/api/v1/promos/${source._id}/duplicate`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('copies the code as an inactive code with fresh usage', async () => {
+      const res = await duplicate({ code: 'SAVE10B' }).expect(201);
+
+      expect(res.body.data.promo).toMatchObject({
+        code: 'SAVE10B',
+        discountValue: 10,
+        usageLimit: 100,
+        usageCount: 0,
+        remainingUses: 100,
+        isActive: false,
+      });
+    });
+
+    it('rejects a single date that ends before the copied start', async () => {
+      const res = await duplicate({
+        code: 'SAVE10B',
+        validTo: new Date(source.validFrom.getTime() - DAY).toISOString(),
+      }).expect(400);
+
+      expect(res.body.message).toBe('validTo must be after validFrom');
+      expect(await PromoCode.countDocuments({ code: 'SAVE10B' })).toBe(0);
+    });
+  });
+
+  describe('GET /promos/available', () => {
+    it('leaves out used-up codes and codes outside their time slots', async () => {
+      const { token } = await createCustomer();
+      await createPromo({ code: 'UNLIMITED' });
+      await createPromo({ code: 'USEDUP', usageLimit: 5, usageCount: 5 });
+      await createPromo({
+        code: 'LATER',
+        timeSlots: [{ from: hoursFromNow(2), to: hoursFromNow(3) }],
+      });
+      await createPromo({
+        code: 'NOW',
+        timeSlots: [{ from: hoursFromNow(-1), to: hoursFromNow(1) }],
+      });
+
+      const res = await request(app)
+        .get('/api/v1/promos/available')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const codes = res.body.data.promos.map((promo) => promo.code).sort();
+      expect(codes).toEqual(['NOW', 'UNLIMITED']);
+    });
+  });
+});
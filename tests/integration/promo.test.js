@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const PromoCode = require('../../src/models/PromoCode');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('Promo codes at checkout', () => {
+  let token;
+  let menuItem;
+
+  const placeOrder = (body = {}) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+        ...body,
+      });
+
+  const createPromo = (overrides = {}) =>
+    PromoCode.create({
+      code: 'SAVE10',
+      discountType: 'percentage',
+      discountValue: 10,
+      maxDiscount: 100,
+      validFrom: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      validTo: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      perUserLimit: 1,
+      ...overrides,
+    });
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    ({ token } = await createCustomer());
+    menuItem = await createMenuItem(200);
+  });
+
+  it('prices the discount into the order totals', async () => {
+    await createPromo();
+
+    const res = await placeOrder({ promoCode: 'save10' }).expect(201);
+
+    // (400 - 40 + 10) * 5% = 18.5 GST; 388.5 rounds to 389
+    expect(res.body.data.order.pricing).toMatchObject({
+      itemsTotal: 400,
+      discount: 40,
+      promoCode: 'SAVE10',
+      platformFee: 10,
+      gst: 18.5,
+      roundOff: 0.5,
+      finalAmount: 389,
+    });
+
+    const promo = await PromoCode.findOne({ code: 'SAVE10' });
+    expect(promo.usageCount).toBe(1);
+    expect(promo.stats.totalDiscount).toBe(40);
+  });
+
+  it('rejects a second use by the same customer', async () => {
+    await createPromo();
+
+    await placeOrder({ promoCode: 'SAVE10' }).expect(201);
+    const res = await placeOrder({ promoCode: 'SAVE10' }).expect(400);
+
+    expect(res.body.message).toBe('You have already used this promo code');
+  });
+
+  it('lets only one of two simultaneous orders use a once-per-customer code', async () => {
+    await createPromo();
+
+    const responses = await Promise.all([
+      placeOrder({ promoCode: 'SAVE10' }),
+      placeOrder({ promoCode: 'SAVE10' }),
+    ]);
+
+    const placed = responses.filter((res) => res.status === 201);
+    const rejected = responses.filter((res) => res.status !== 201);
+    expect(placed).toHaveLength(1);
+    // 400 when the claim check already sees the other order, 409 from the transaction
+    expect([400, 409]).toContain(rejected[0].status);
+    expect(rejected[0].body.message).toBe('You have already used this promo code');
+    expect(await Order.countDocuments({ 'pricing.promoCode': 'SAVE10' })).toBe(1);
+    expect((await PromoCode.findOne({ code: 'SAVE10' })).usageCount).toBe(1);
+  });
+
+  it('stops a limited code at its usage limit', async () => {
+    await createPromo({ usageLimit: 1, perUserLimit: 0 });
+    await placeOrder({ promoCode: 'SAVE10' }).expect(201);
+
+    ({ token } = await createCustomer());
+    const res = await placeOrder({ promoCode: 'SAVE10' }).expect(400);
+
+    expect(res.body.message).toBe('Promo code usage limit reached');
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('POST /orders/quote', () => {
+  let token;
+  let menuItem;
+
+  const quote = (body = {}) =>
+    request(app)
+      .post('/api/v1/orders/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        ...body,
+      })
+      .expect(200);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0, loyaltyPointValue: 0.5 });
+    ({ token } = await createCustomer({ customerData: { loyaltyPoints: 300 } }));
+    menuItem = await createMenuItem(200);
+  });
+
+  it('returns the pricing createOrder would store, without saving an order', async () => {
+    const res = await quote({ paymentMethod: 'COD' });
+
+    expect(res.body.data.pricing).toMatchObject({
+      itemsTotal: 400,
+      deliveryFee: 0,
+      platformFee: 10,
+      packagingFee: 0,
+      gst: 20.5,
+      discount: 0,
+      loyaltyDiscount: 0,
+      roundOff: 0.5,
+      finalAmount: 431,
+    });
+    expect(res.body.data.warnings).toEqual([]);
+    expect(await Order.countDocuments()).toBe(0);
+  });
+
+  it('includes the loyalty discount of the points being redeemed', async () => {
+    const res = await quote({
+      payments: [{ method: 'LOYALTY', points: 200 }, { method: 'COD' }],
+    });
+
+    expect(res.body.data.pricing).toMatchObject({
+      finalAmount: 431,
+      loyaltyPointsUsed: 200,
+      loyaltyDiscount: 100,
+    });
+    expect(res.body.data.warnings).toEqual([]);
+  });
+
+  it('warns when the customer does not have the points', async () => {
+    const res = await quote({
+      payments: [{ method: 'LOYALTY', points: 500 }, { method: 'COD' }],
+    });
+
+    expect(res.body.data.warnings).toEqual([
+      expect.objectContaining({
+        code: 'NOT_ENOUGH_POINTS',
+        message: 'You have 300 loyalty points',
+      }),
+    ]);
+  });
+
+  it('warns about unavailable items and leaves them out of the totals', async () => {
+    const unavailable = await createMenuItem(120, { isAvailable: false });
+
+    const res = await quote({
+      items: [
+        { menuItem: menuItem._id.toString(), quantity: 2 },
+        { menuItem: unavailable._id.toString(), quantity: 1 },
+      ],
+    });
+
+    expect(res.body.data.pricing.itemsTotal).toBe(400);
+    expect(res.body.data.warnings).toEqual([
+      expect.objectContaining({ index: 1, code: 'UNAVAILABLE' }),
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Settlement reconciliation', () => {
+  let admin;
+  let orders;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const period = {
+    from: new Date(Date.now() - DAY).toISOString(),
+    to: new Date(Date.now() + DAY).toISOString(),
+  };
+
+  const upload = (csv, query = {}) =>
+    request(app)
+      .post('/api/v1/payments/reconciliations')
+      .query({ source: 'razorpay', ...query })
+      .set('Authorization', `Bearer ${admin.token}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    const customer = await createCustomer();
+    admin = await createAdmin();
+    const menuItem = await createMenuItem(200);
+
+    // Three orders paid online: pay_1, pay_2 and pay_3, 431 each
+    orders = await Promise.all(
+      [1, 2, 3].map(async (n) => {
+        const res = await request(app)
+          .post('/api/v1/orders')
+          .set('Authorization', `Bearer ${customer.token}`)
+          .send({
+            items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+            orderType: 'pickup',
+            paymentMethod: 'COD',
+          })
+          .expect(201);
+        const { _id } = res.body.data.order;
+        await Order.updateOne(
+          { _id },
+          {
+            paymentStatus: 'PAID',
+            'paymentDetails.gateway': 'razorpay',
+            'paymentDetails.transactionId': `pay_${n}`,
+          }
+        );
+        return Order.findById(_id);
+      })
+    );
+  });
+
+  it('settles matching orders and reports everything else', async () => {
+    const csv = [
+      'payment_id,amount,fee,tax,settlement_id',
+      'pay_1,431,8.62,1.55,setl_9',
+      'pay_2,430,8.60,1.55,setl_9',
+      'pay_X,99,2,0.36,setl_9',
+    ].join('\n');
+
+    const res = await upload(csv, period).expect(201);
+
+    const { summary, exceptions } = res.body.data.reconciliation;
+    expect(summary).toMatchObject({
+      rows: 3,
+      matched: 1,
+      reportedAmount: 960,
+      matchedAmount: 431,
+      fees: 19.22,
+      exceptions: 3,
+      byType: { amount_mismatch: 1, missing_order: 1, missing_in_report: 1 },
+    });
+    expect(exceptions.find((e) => e.type === 'missing_in_report').orderNumber).toBe(
+      orders[2].orderNumber
+    );
+
+    const settled = await Order.findById(orders[0]._id);
+    expect(settled.settlement).toMatchObject({ settlementId: 'setl_9', amount: 431, fee: 8.62 });
+    expect((await Order.findById(orders[1]._id)).settlement?.reconciliation).toBeUndefined();
+  });
+
+  it('never settles an order twice', async () => {
+    await upload('payment_id,amount\npay_1,431').expect(201);
+
+    const res = await upload('payment_id,amount\npay_1,431').expect(201);
+
+    expect(res.body.data.reconciliation.summary.matched).toBe(0);
+    expect(res.body.data.reconciliation.exceptions).toEqual([
+      expect.objectContaining({ type: 'already_settled', orderNumber: orders[0].orderNumber }),
+    ]);
+  });
+
+  it('downloads the exceptions as CSV', async () => {
+    const res = await upload('payment_id,amount\npay_1,431\npay_X,99').expect(201);
+    const { _id } = res.body.data.reconciliation;
+
+    const download = await request(app)
+      .get(`/api/v1/payments/reconciliations/${_id}/exceptions`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    expect(download.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(download.text.split('\r\n')[1]).toBe(
+      'missing_order,3,pay_X,,,99,No order has this transaction ID'
+    );
+  });
+
+  it('rejects a report without the needed columns', async () => {
+    const res = await upload('order,total\nORD-1,431').expect(400);
+
+    expect(res.body.message).toMatch(/^The report needs a transaction ID column/);
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const walletService = require('../../src/services/wallet.service');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Refunds', () => {
+  let customer;
+  let admin;
+  let menuItem;
+
+  const placeOrder = (paymentMethod) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod,
+      })
+      .expect(201)
+      .then((res) => res.body.data.order);
+
+  const refund = (order, body) =>
+    request(app)
+      .post(`/api/v1/orders/${order._id}/refunds`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Item was cold', ...body });
+
+  const walletBalance = async () =>
+    (await User.findById(customer.user._id)).customerData.walletBalance;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    menuItem = await createMenuItem(200);
+    await walletService.credit(customer.user._id, { amount: 1000, reason: 'Top up' });
+  });
+
+  it('credits a refund of a wallet order back to the wallet once', async () => {
+    const order = await placeOrder('WALLET');
+    // (400 + 10) * 1.05 = 430.5, rounded to 431
+    expect(await walletBalance()).toBe(569);
+
+    const res = await refund(order, {
+      type: 'items',
+      items: [{ itemId: order.items[0]._id, quantity: 1 }],
+    }).expect(201);
+
+    expect(res.body.data.refund).toMatchObject({
+      amount: 210,
+      destination: 'wallet',
+      status: 'PROCESSED',
+    });
+    expect(res.body.data.refund.creditedAt).toBeDefined();
+    expect(res.body.data.order.paymentStatus).toBe('PARTIALLY_REFUNDED');
+    expect(await walletBalance()).toBe(779);
+    expect(await WalletTransaction.countDocuments({ type: 'credit', order: order._id })).toBe(1);
+  });
+
+  it('settles a pending refund to the wallet', async () => {
+    const order = await placeOrder('WALLET');
+
+    const {
+      body: {
+        data: { refund: pending },
+      },
+    } = await refund(order, { type: 'full', status: 'PENDING' }).expect(201);
+    expect(await walletBalance()).toBe(569);
+
+    await request(app)
+      .patch(`/api/v1/orders/${order._id}/refunds/${pending._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'PROCESSED' })
+      .expect(200);
+
+    expect(await walletBalance()).toBe(1000);
+
+    // Settling twice is refused and credits nothing
+    await request(app)
+      .patch(`/api/v1/orders/${order._id}/refunds/${pending._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'PROCESSED' })
+      .expect(400);
+    expect(await walletBalance()).toBe(1000);
+  });
+
+  it('refuses refunds on an unpaid order', async () => {
+    const order = await placeOrder('COD');
+
+    const res = await refund(order, { type: 'full' }).expect(400);
+    expect(res.body.message).toBe('Cannot refund an order with payment status PENDING');
+  });
+});
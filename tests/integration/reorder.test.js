@@ -0,0 +1,84 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const MenuItem = require('../../src/models/MenuItem');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('POST /orders/:id/reorder', () => {
+  let token;
+  let curry;
+  let naan;
+  let order;
+
+  const reorder = (bearer = token) =>
+    request(app)
+      .post(`/api/v1/orders/${order._id}/reorder`)
+      .set('Authorization', `Bearer ${bearer}`);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    ({ token } = await createCustomer());
+    curry = await createMenuItem(200);
+    naan = await createMenuItem(50);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [
+          { menuItem: curry._id.toString(), quantity: 2 },
+          { menuItem: naan._id.toString(), quantity: 3 },
+        ],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+      })
+      .expect(201);
+    ({ order } = res.body.data);
+  });
+
+  it('returns the same cart priced today, without placing an order', async () => {
+    const res = await reorder().expect(200);
+
+    expect(res.body.data).toMatchObject({
+      sourceOrder: { orderNumber: order.orderNumber },
+      orderType: 'pickup',
+      cart: [
+        { menuItem: curry._id.toString(), quantity: 2 },
+        { menuItem: naan._id.toString(), quantity: 3 },
+      ],
+      warnings: [],
+    });
+    expect(res.body.data.pricing.itemsTotal).toBe(550);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('reprices changed items and drops unavailable ones, with a warning for each', async () => {
+    await MenuItem.updateOne({ _id: curry._id }, { 'priceVariants.0.price': 220 });
+    await MenuItem.updateOne({ _id: naan._id }, { isAvailable: false });
+
+    const res = await reorder().expect(200);
+
+    expect(res.body.data.cart).toEqual([
+      expect.objectContaining({ menuItem: curry._id.toString(), quantity: 2 }),
+    ]);
+    expect(res.body.data.pricing.itemsTotal).toBe(440);
+    expect(res.body.data.warnings).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ code: 'PRICE_CHANGED', previousPrice: 200, currentPrice: 220 }),
+        expect.objectContaining({ code: 'UNAVAILABLE', index: 1 }),
+      ])
+    );
+  });
+
+  it("refuses another customer's order", async () => {
+    const other = await createCustomer();
+
+    const res = await reorder(other.token).expect(403);
+    expect(res.body.message).toBe('You can only reorder your own orders');
+  });
+});
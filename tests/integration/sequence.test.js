@@ -0,0 +1,36 @@
+const Counter = require('../../src/models/Counter');
+const sequenceService = require('../../src/services/sequence.service');
+const db = require('../helpers/db');
+const { createSettings } = require('../helpers/factories');
+
+describe('Sequential numbers', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(db.clear);
+
+  it('never hands out the same value twice, even to first-time racers', async () => {
+    const values = await Promise.all(Array.from({ length: 20 }, () => Counter.next('race')));
+
+    expect([...values].sort((a, b) => a - b)).toEqual(
+      Array.from({ length: 20 }, (_, index) => index + 1)
+    );
+  });
+
+  it('restarts numbering in a new period', async () => {
+    const settings = await createSettings({
+      orderNumberFormat: 'ORD{YY}{MM}{DD}{SEQ:3}',
+      orderNumberReset: 'daily',
+    });
+    const today = new Date(2026, 0, 8, 12);
+    const tomorrow = new Date(2026, 0, 9, 12);
+
+    const numbers = [
+      await sequenceService.nextOrderNumber({ settings, date: today }),
+      await sequenceService.nextOrderNumber({ settings, date: today }),
+      await sequenceService.nextOrderNumber({ settings, date: tomorrow }),
+    ];
+
+    expect(numbers).toEqual(['ORD260108001', 'ORD260108002', 'ORD260109001']);
+  });
+});
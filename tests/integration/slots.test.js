@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Counter = require('../../src/models/Counter');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('Scheduled orders', () => {
+  let token;
+  let menuItem;
+  let slot;
+
+  const placeOrder = (body = {}) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+        scheduledFor: slot,
+        ...body,
+      });
+
+  const tomorrow = () => {
+    const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    return date.toISOString().slice(0, 10);
+  };
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({
+      taxRate: 5,
+      platformFee: 10,
+      packagingFee: 0,
+      timezone: 'UTC',
+      slotStartTime: '11:00',
+      slotEndTime: '13:00',
+      slotDurationMinutes: 60,
+      maxOrdersPerSlot: 1,
+      scheduleMaxDaysAhead: 2,
+    });
+    ({ token } = await createCustomer());
+    menuItem = await createMenuItem(200);
+    slot = `${tomorrow()}T11:00:00.000Z`;
+  });
+
+  it('lists the slots of a day in the restaurant time zone', async () => {
+    const res = await request(app)
+      .get('/api/v1/orders/slots')
+      .query({ date: tomorrow() })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data.slots.map(({ start }) => start)).toEqual([
+      slot,
+      `${tomorrow()}T12:00:00.000Z`,
+    ]);
+  });
+
+  it('books a slot up to its capacity', async () => {
+    await placeOrder().expect(201);
+
+    const res = await placeOrder().expect(409);
+    expect(res.body.message).toBe('This delivery slot is full. Please choose another slot');
+
+    const counter = await Counter.findById(`slot:${slot}`);
+    expect(counter.seq).toBe(1);
+  });
+
+  it('frees the place when the order is cancelled', async () => {
+    const res = await placeOrder().expect(201);
+
+    await request(app)
+      .patch(`/api/v1/orders/${res.body.data.order._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Plans changed' })
+      .expect(200);
+
+    await placeOrder().expect(201);
+  });
+
+  it('only accepts slot start times', async () => {
+    const res = await placeOrder({ scheduledFor: `${tomorrow()}T11:15:00.000Z` }).expect(400);
+    expect(res.body.message).toBe('Please choose one of the available delivery slots');
+  });
+});
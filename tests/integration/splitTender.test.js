@@ -0,0 +1,97 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const User = require('../../src/models/User');
+const walletService = require('../../src/services/wallet.service');
+const db = require('../helpers/db');
+const { createSettings, createCustomer, createMenuItem } = require('../helpers/factories');
+
+describe('Split tender', () => {
+  let customer;
+  let menuItem;
+
+  const placeOrder = (payments) =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        payments,
+      });
+
+  const balances = async () => {
+    const { customerData } = await User.findById(customer.user._id);
+    return { wallet: customerData.walletBalance, points: customerData.loyaltyPoints };
+  };
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0, loyaltyPointValue: 0.5 });
+    customer = await createCustomer({ customerData: { loyaltyPoints: 500 } });
+    menuItem = await createMenuItem(200);
+    await walletService.credit(customer.user._id, { amount: 1000, reason: 'Top up' });
+  });
+
+  it('takes store credit when the order is placed and leaves the rest to collect', async () => {
+    const res = await placeOrder([
+      { method: 'WALLET', amount: 100 },
+      { method: 'LOYALTY', points: 200 },
+      { method: 'COD' },
+    ]).expect(201);
+
+    const order = await Order.findById(res.body.data.order._id);
+    expect(
+      order.payments.map(({ method, amount, status }) => ({ method, amount, status }))
+    ).toEqual([
+      { method: 'WALLET', amount: 100, status: 'PAID' },
+      { method: 'LOYALTY', amount: 100, status: 'PAID' },
+      { method: 'COD', amount: 231, status: 'PENDING' },
+    ]);
+    expect(order).toMatchObject({ paymentMethod: 'COD', paymentStatus: 'PENDING' });
+    expect(order.pricing.finalAmount).toBe(431);
+    expect(order.getAmountDue()).toBe(231);
+    expect(await balances()).toEqual({ wallet: 900, points: 300 });
+  });
+
+  it('returns the store credit of an unpaid order that is cancelled', async () => {
+    const res = await placeOrder([{ method: 'WALLET', amount: 100 }, { method: 'COD' }]).expect(
+      201
+    );
+
+    await request(app)
+      .patch(`/api/v1/orders/${res.body.data.order._id}/cancel`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ reason: 'Changed my mind' })
+      .expect(200);
+
+    const order = await Order.findById(res.body.data.order._id);
+    expect(order.payments[0].status).toBe('RETURNED');
+    expect(await balances()).toEqual({ wallet: 1000, points: 500 });
+  });
+
+  it('places nothing when the wallet cannot cover its leg', async () => {
+    await walletService.debit(customer.user._id, { amount: 950, reason: 'Spent' });
+
+    const res = await placeOrder([
+      { method: 'WALLET', amount: 100 },
+      { method: 'LOYALTY', points: 200 },
+      { method: 'COD' },
+    ]).expect(400);
+
+    expect(res.body.message).toBe('Not enough wallet balance (₹50 available)');
+    expect(await Order.countDocuments()).toBe(0);
+    expect(await balances()).toEqual({ wallet: 50, points: 500 });
+  });
+
+  it('accepts only one method outside the wallet and points', async () => {
+    const res = await placeOrder([{ method: 'COD' }, { method: 'UPI' }]).expect(400);
+
+    expect(res.body.message).toBe(
+      'Only one of ONLINE, COD, CARD and UPI can pay an order; wallet and loyalty points can pay part of it'
+    );
+  });
+});
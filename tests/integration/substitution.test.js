@@ -0,0 +1,142 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const substitutionService = require('../../src/services/substitution.service');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('Kitchen substitutions', () => {
+  let customer;
+  let admin;
+  let curry;
+  let naan;
+  let roti;
+  let order;
+
+  const propose = (lines) =>
+    request(app)
+      .post(`/api/v1/orders/${order._id}/substitutions`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ lines, note: 'Out of naan' });
+
+  const swapNaan = () =>
+    propose([
+      {
+        itemId: order.items[1]._id,
+        action: 'substitute',
+        substitute: { menuItem: roti._id.toString() },
+      },
+    ])
+      .expect(201)
+      .then((res) => res.body.data.substitution);
+
+  const respond = (substitution, response) =>
+    request(app)
+      .post(`/api/v1/orders/${order._id}/substitutions/${substitution._id}/respond`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ response });
+
+  const itemNames = async () =>
+    (await Order.findById(order._id)).items.map(({ name, quantity }) => `${quantity}× ${name}`);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({ taxRate: 5, platformFee: 10, packagingFee: 0 });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    curry = await createMenuItem(200, { name: 'Curry' });
+    naan = await createMenuItem(50, { name: 'Naan' });
+    roti = await createMenuItem(30, { name: 'Roti' });
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [
+          { menuItem: curry._id.toString(), quantity: 1 },
+          { menuItem: naan._id.toString(), quantity: 2 },
+        ],
+        orderType: 'pickup',
+        paymentMethod: 'COD',
+      })
+      .expect(201);
+    ({ order } = res.body.data);
+  });
+
+  it('prices the proposal and holds the order until the customer answers', async () => {
+    const substitution = await swapNaan();
+
+    // (200 + 60 + 10) * 1.05 = 283.5, rounded to 284
+    expect(substitution).toMatchObject({
+      status: 'PROPOSED',
+      currentTotal: 326,
+      proposedTotal: 284,
+      lines: [{ name: 'Naan', action: 'substitute', substitute: { name: 'Roti', quantity: 2 } }],
+    });
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'READY' })
+      .expect(400);
+    expect(res.body.message).toBe('The customer has not answered the substitution request yet');
+  });
+
+  it('swaps the lines when the customer accepts', async () => {
+    const substitution = await swapNaan();
+
+    await respond(substitution, 'accept').expect(200);
+
+    expect(await itemNames()).toEqual(['1× Curry', '2× Roti']);
+    expect((await Order.findById(order._id)).pricing.finalAmount).toBe(284);
+  });
+
+  it('drops the flagged lines when the customer only removes them', async () => {
+    const substitution = await swapNaan();
+
+    await respond(substitution, 'remove').expect(200);
+
+    expect(await itemNames()).toEqual(['1× Curry']);
+  });
+
+  it('cancels the order when the customer declines', async () => {
+    const substitution = await swapNaan();
+
+    const res = await respond(substitution, 'cancel').expect(200);
+
+    expect(res.body.message).toBe('Order cancelled');
+    expect((await Order.findById(order._id)).status).toBe('CANCELLED');
+  });
+
+  it('drops the flagged lines of an unanswered request once it expires', async () => {
+    const substitution = await swapNaan();
+    await Order.updateOne(
+      { _id: order._id, 'substitutions._id': substitution._id },
+      { 'substitutions.$.expiresAt': new Date(Date.now() - 1000) }
+    );
+
+    await expect(substitutionService.expireOverdue()).resolves.toBe(1);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.substitutions[0].status).toBe('EXPIRED');
+    expect(await itemNames()).toEqual(['1× Curry']);
+
+    const res = await respond(substitution, 'accept').expect(400);
+    expect(res.body.message).toBe('Substitution request is already EXPIRED');
+  });
+
+  it('allows one open request at a time', async () => {
+    await swapNaan();
+
+    const res = await propose([{ itemId: order.items[0]._id, action: 'remove' }]).expect(400);
+    expect(res.body.message).toBe('This order already has a substitution waiting for the customer');
+  });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Settings = require('../../src/models/Settings');
+const runInTransaction = require('../../src/utils/transaction');
+const db = require('../helpers/db');
+
+// A write conflict as the server reports it, which withTransaction retries
+const writeConflict = () => {
+  const error = new mongoose.mongo.MongoServerError({ message: 'WriteConflict', code: 112 });
+  error.addErrorLabel('TransientTransactionError');
+  return error;
+};
+
+describe('runInTransaction', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+  beforeEach(db.clear);
+
+  it('saves a document changed before the transaction again when an attempt is retried', async () => {
+    const settings = await Settings.create({ singleton: true });
+    settings.siteName = 'Renamed';
+
+    let attempts = 0;
+    await runInTransaction(async (session) => {
+      attempts += 1;
+      await settings.save({ session });
+      if (attempts === 1) {
+        throw writeConflict();
+      }
+    });
+
+    expect(attempts).toBe(2);
+    expect((await Settings.findById(settings._id)).siteName).toBe('Renamed');
+  });
+
+  it('creates a new document again when an attempt is retried', async () => {
+    const settings = new Settings({ singleton: true });
+
+    let attempts = 0;
+    await runInTransaction(async (session) => {
+      attempts += 1;
+      await settings.save({ session });
+      if (attempts === 1) {
+        throw writeConflict();
+      }
+    });
+
+    expect(await Settings.countDocuments()).toBe(1);
+  });
+
+  it("returns the work's result and rolls back on other errors", async () => {
+    expect(await runInTransaction(async () => 42)).toBe(42);
+
+    await expect(
+      runInTransaction(async (session) => {
+        await Settings.create([{ singleton: true }], { session });
+        throw new Error('Boom');
+      })
+    ).rejects.toThrow('Boom');
+    expect(await Settings.countDocuments()).toBe(0);
+  });
+
+  it("runs inside the caller's session when given one", async () => {
+    const session = await mongoose.startSession();
+    try {
+      await expect(
+        session.withTransaction(async () => {
+          await runInTransaction(
+            (txn) => Settings.create([{ singleton: true }], { session: txn }),
+            { session }
+          );
+          throw new Error('Caller failed');
+        })
+      ).rejects.toThrow('Caller failed');
+    } finally {
+      await session.endSession();
+    }
+
+    expect(await Settings.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Order = require('../../src/models/Order');
+const db = require('../helpers/db');
+const {
+  createSettings,
+  createCustomer,
+  createAdmin,
+  createMenuItem,
+} = require('../helpers/factories');
+
+describe('UPI payments to the restaurant', () => {
+  let customer;
+  let admin;
+  let menuItem;
+
+  const placeUpiOrder = () =>
+    request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({
+        items: [{ menuItem: menuItem._id.toString(), quantity: 2 }],
+        orderType: 'pickup',
+        paymentMethod: 'UPI',
+      })
+      .expect(201)
+      .then((res) => res.body.data);
+
+  const review = (order, body) =>
+    request(app)
+      .patch(`/api/v1/orders/${order._id}/upi-payment`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send(body);
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await createSettings({
+      taxRate: 5,
+      platformFee: 10,
+      packagingFee: 0,
+      siteName: 'Spice Hub',
+      upiId: 'spicehub@okaxis',
+    });
+    customer = await createCustomer();
+    admin = await createAdmin();
+    menuItem = await createMenuItem(200);
+  });
+
+  it('waits for the payment and returns the link to pay with', async () => {
+    const { order, upiPayment } = await placeUpiOrder();
+
+    expect(order.paymentStatus).toBe('AWAITING_PAYMENT');
+    expect(upiPayment).toMatchObject({ upiId: 'spicehub@okaxis', amount: 431 });
+    expect(upiPayment.link).toBe(
+      `upi://pay?pa=spicehub@okaxis&pn=Spice%20Hub&am=431.00&cu=INR&tn=${order.orderNumber}&tr=${order.orderNumber}`
+    );
+
+    const res = await request(app)
+      .get(`/api/v1/orders/${order._id}/upi`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .expect(200);
+    expect(res.body.data.upiPayment).toEqual(upiPayment);
+  });
+
+  it('marks the order paid once an admin confirms the UTR, and only once', async () => {
+    const { order } = await placeUpiOrder();
+    const { order: other } = await placeUpiOrder();
+
+    await review(order, { action: 'confirm', utr: '412345678901' }).expect(200);
+    const reused = await review(other, { action: 'confirm', utr: '412345678901' }).expect(409);
+    const twice = await review(order, { action: 'confirm', utr: '412345678902' }).expect(400);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.paymentStatus).toBe('PAID');
+    expect(saved.paymentDetails.transactionId).toBe('412345678901');
+    expect(reused.body.message).toBe(
+      `UTR 412345678901 was already used for order ${order.orderNumber}`
+    );
+    expect(twice.body.message).toBe('This order is not waiting for a UPI payment');
+  });
+
+  it('cancels the order when the payment never arrived', async () => {
+    const { order } = await placeUpiOrder();
+
+    await review(order, { action: 'reject', reason: 'No credit in the account' }).expect(200);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.status).toBe('CANCELLED');
+    expect(saved.paymentStatus).toBe('FAILED');
+    expect(saved.paymentDetails.failureReason).toBe('No credit in the account');
+  });
+});
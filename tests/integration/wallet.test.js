@@ -0,0 +1,103 @@
+const User = require('../../src/models/User');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const walletService = require('../../src/services/wallet.service');
+const runInTransaction = require('../../src/utils/transaction');
+const db = require('../helpers/db');
+const { createCustomer } = require('../helpers/factories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('walletService', () => {
+  let customer;
+
+  const balanceOf = async (userId) =>
+    (await User.findById(userId).select('customerData.walletBalance')).customerData.walletBalance;
+
+  // The cached balance always equals the ledger
+  const ledgerBalance = async (userId) => {
+    const entries = await WalletTransaction.find({ user: userId });
+    return entries.reduce(
+      (sum, entry) => sum + (entry.direction === 'in' ? entry.amount : -entry.amount),
+      0
+    );
+  };
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    ({ user: customer } = await createCustomer());
+  });
+
+  it('credits and debits the balance with a ledger entry each', async () => {
+    await walletService.credit(customer._id, { amount: 100.1, reason: 'Goodwill' });
+    await walletService.credit(customer._id, { amount: 0.2, reason: 'Goodwill' });
+    const debit = await walletService.debit(customer._id, { amount: 50, reason: 'Order' });
+
+    expect(debit).toMatchObject({ type: 'debit', direction: 'out', balanceAfter: 50.3 });
+    expect(await balanceOf(customer._id)).toBe(50.3);
+    expect(await ledgerBalance(customer._id)).toBeCloseTo(50.3, 2);
+  });
+
+  it('refuses a debit larger than the balance and writes nothing', async () => {
+    await walletService.credit(customer._id, { amount: 20, reason: 'Goodwill' });
+
+    await expect(
+      walletService.debit(customer._id, { amount: 25, reason: 'Order' })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Not enough wallet balance (₹20 available)',
+    });
+
+    expect(await balanceOf(customer._id)).toBe(20);
+    expect(await WalletTransaction.countDocuments({ user: customer._id })).toBe(1);
+  });
+
+  it('reverses an entry once', async () => {
+    const credit = await walletService.credit(customer._id, { amount: 40, reason: 'Goodwill' });
+
+    const reversal = await walletService.reverse(credit._id, { reason: 'Given by mistake' });
+    expect(reversal).toMatchObject({ type: 'reversal', direction: 'out', amount: 40 });
+    expect(await balanceOf(customer._id)).toBe(0);
+
+    await expect(walletService.reverse(credit._id, { reason: 'Again' })).rejects.toMatchObject({
+      statusCode: expect.any(Number),
+    });
+    expect(await balanceOf(customer._id)).toBe(0);
+  });
+
+  it('expires the unspent part of a credit, spending the earliest expiry first', async () => {
+    const now = new Date();
+    await walletService.credit(customer._id, {
+      amount: 30,
+      reason: 'Promo credit',
+      expiresAt: new Date(now.getTime() + DAY),
+    });
+    await walletService.credit(customer._id, { amount: 50, reason: 'Refund' });
+    await walletService.debit(customer._id, { amount: 20, reason: 'Order' });
+
+    await walletService.expireDue(new Date(now.getTime() + 2 * DAY));
+
+    const expiry = await WalletTransaction.findOne({ user: customer._id, type: 'expiry' });
+    expect(expiry.amount).toBe(10);
+    expect(await balanceOf(customer._id)).toBe(50);
+    expect(await ledgerBalance(customer._id)).toBe(50);
+
+    // Already expired credit is not picked up again
+    await walletService.expireDue(new Date(now.getTime() + 3 * DAY));
+    expect(await WalletTransaction.countDocuments({ type: 'expiry' })).toBe(1);
+  });
+
+  it('joins the caller transaction when given a session', async () => {
+    await expect(
+      runInTransaction(async (session) => {
+        await walletService.credit(customer._id, { amount: 10, reason: 'Refund', session });
+        throw new Error('Order failed');
+      })
+    ).rejects.toThrow('Order failed');
+
+    expect(await balanceOf(customer._id)).toBe(0);
+    expect(await WalletTransaction.countDocuments()).toBe(0);
+  });
+});
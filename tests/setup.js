@@ -0,0 +1,10 @@
+/**
+ * Environment for the test run - loaded by jest before each test file, so before any
+ * service reads process.env
+ */
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRE = '1h';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.PAYMENT_MOCK_SECRET = 'test-mock-secret';
@@ -0,0 +1,105 @@
+const Order = require('../../src/models/Order');
+const Settings = require('../../src/models/Settings');
+const { emitOrderEta } = require('../../src/utils/socket');
+const etaService = require('../../src/services/eta.service');
+
+jest.mock('../../src/utils/socket');
+
+const NOW = new Date('2026-01-18T12:00:00Z');
+const minutesFromNow = (date) => (date.getTime() - NOW.getTime()) / 60000;
+
+const settings = {
+  defaultPrepTimeMinutes: 20,
+  kitchenParallelOrders: 2,
+  riderSpeedKmph: 20,
+  defaultTravelMinutes: 25,
+  handoverMinutes: 5,
+  serviceArea: { location: { coordinates: [77.5946, 12.9716] } },
+};
+
+// About 2.22 km north of the restaurant: 2.89 km by road, 8.7 minutes at 20 km/h
+const address = { coordinates: { coordinates: [77.5946, 12.9916] } };
+
+describe('etaService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to the default prep time until there is enough history', async () => {
+    jest.spyOn(Order, 'aggregate').mockResolvedValueOnce([{ average: 14, samples: 3 }]);
+    await expect(etaService.averagePrepMinutes(settings)).resolves.toBe(20);
+
+    jest.spyOn(Order, 'aggregate').mockResolvedValueOnce([{ average: 14, samples: 30 }]);
+    await expect(etaService.averagePrepMinutes(settings)).resolves.toBe(14);
+
+    jest.spyOn(Order, 'aggregate').mockResolvedValueOnce([]);
+    await expect(etaService.averagePrepMinutes(settings)).resolves.toBe(20);
+  });
+
+  it('rides the road distance, or the default time without map pins', () => {
+    expect(etaService.travelMinutes(settings, [77.5946, 12.9716], [77.5946, 12.9916])).toBeCloseTo(
+      8.67,
+      1
+    );
+    expect(etaService.travelMinutes(settings, [77.5946, 12.9716], [0, 0])).toBe(25);
+  });
+
+  it('adds the kitchen queue in batches, prep time, handover and travel', async () => {
+    jest.spyOn(etaService, 'averagePrepMinutes').mockResolvedValue(20);
+    jest.spyOn(etaService, 'queueDepth').mockResolvedValue(5);
+
+    const eta = await etaService.estimateForNewOrder(settings, { deliveryAddress: address });
+
+    // 5 orders ahead, 2 at a time: 2 batches of 20 minutes, then this order's 20
+    expect(eta.estimatedPrepTime).toBe(60);
+    // 60 + 5 handover + 8.7 travel
+    expect(minutesFromNow(eta.estimatedDeliveryTime)).toBe(74);
+  });
+
+  it('ends pickup orders at the counter and scheduled orders at their slot', async () => {
+    jest.spyOn(etaService, 'averagePrepMinutes').mockResolvedValue(20);
+    jest.spyOn(etaService, 'queueDepth').mockResolvedValue(1);
+
+    const pickup = await etaService.estimateForNewOrder(settings, { orderType: 'pickup' });
+    expect(minutesFromNow(pickup.estimatedDeliveryTime)).toBe(20);
+
+    const slot = new Date('2026-01-18T15:00:00Z');
+    await expect(
+      etaService.estimateForNewOrder(settings, { deliveryAddress: address, scheduledFor: slot })
+    ).resolves.toEqual({ estimatedPrepTime: 20, estimatedDeliveryTime: slot });
+  });
+
+  it('re-estimates a ready delivery from the travel time and tells trackers', async () => {
+    jest.spyOn(Settings, 'getSettings').mockResolvedValue(settings);
+    const update = jest.spyOn(Order, 'updateOne').mockResolvedValue({});
+    const order = {
+      _id: 'order-1',
+      orderType: 'delivery',
+      status: 'READY',
+      deliveryAddress: address,
+    };
+
+    await etaService.refresh(order);
+
+    expect(minutesFromNow(order.estimatedDeliveryTime)).toBe(14);
+    expect(update).toHaveBeenCalledWith(
+      { _id: 'order-1' },
+      { $set: { estimatedDeliveryTime: order.estimatedDeliveryTime } }
+    );
+    expect(emitOrderEta).toHaveBeenCalledWith(order);
+  });
+
+  it('leaves counter orders and early statuses alone', async () => {
+    const update = jest.spyOn(Order, 'updateOne');
+
+    await etaService.refresh({ orderType: 'pickup', status: 'READY' });
+    await etaService.refresh({ orderType: 'delivery', status: 'PENDING' });
+
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const exportService = require('../../src/services/export.service');
+const { csvCell, csvLine, parseCsv } = require('../../src/utils/csv');
+
+describe('exportService.buildFilter', () => {
+  const from = new Date('2026-09-01');
+  const to = new Date('2026-10-01');
+
+  it('covers from up to but not including to', () => {
+    expect(exportService.buildFilter({ from, to })).toEqual({
+      createdAt: { $gte: from, $lt: to },
+    });
+  });
+
+  it('adds the optional status, payment method and partner filters', () => {
+    expect(
+      exportService.buildFilter({
+        from,
+        to,
+        status: ['DELIVERED'],
+        paymentMethod: ['COD', 'UPI'],
+        deliveryPartner: '64b000000000000000000001',
+      })
+    ).toEqual({
+      createdAt: { $gte: from, $lt: to },
+      status: { $in: ['DELIVERED'] },
+      paymentMethod: { $in: ['COD', 'UPI'] },
+      'deliveryPartner.id': '64b000000000000000000001',
+    });
+  });
+});
+
+describe('CSV cells', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    expect(csvLine(['Paneer, Full', 'Say "hi"', 'two\nlines', 431, null])).toBe(
+      '"Paneer, Full","Say ""hi""","two\nlines",431,'
+    );
+  });
+
+  it('keeps spreadsheets from running customer text as a formula', () => {
+    expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvCell('+91 98000 00000')).toBe("'+91 98000 00000");
+    expect(csvCell(-5)).toBe('-5');
+  });
+
+  it('writes dates as ISO timestamps', () => {
+    expect(csvCell(new Date('2026-09-01T10:00:00Z'))).toBe('2026-09-01T10:00:00.000Z');
+  });
+
+  it('reads back what it writes', () => {
+    const row = ['Paneer, Full', 'Say "hi"', 'two\r\nlines', ''];
+
+    expect(parseCsv(`\uFEFF${csvLine(row)}\r\n\r\n${csvLine(['a', 'b'])}\n`)).toEqual([
+      row,
+      ['a', 'b'],
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const idempotency = require('../../src/middlewares/idempotency');
+
+jest.mock('../../src/models/IdempotencyKey');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+const buildReq = (body = { amount: 10 }) => ({
+  method: 'POST',
+  baseUrl: '/api/v1/wallet',
+  path: '/users/u1/credit',
+  body,
+  user: { _id: 'u1' },
+  get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined),
+});
+
+// Just enough of an Express response for the middleware
+const buildRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headersSent = false;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn(() => res);
+  res.json = jest.fn(() => {
+    res.headersSent = true;
+    return res;
+  });
+  return res;
+};
+
+// catchAsync does not return its promise; wait for the middleware to call next or respond
+const run = (req, res) =>
+  new Promise((resolve) => {
+    const { json } = res;
+    res.json = jest.fn((body) => {
+      json(body);
+      resolve();
+      return res;
+    });
+    idempotency()(req, res, (err) => resolve(err));
+  });
+
+const flush = () =>
+  new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record-1' });
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  it('stores a successful response when the handler answers', async () => {
+    const res = buildRes();
+    expect(await run(buildReq(), res)).toBeUndefined();
+
+    res.status(201).json({ status: 'success' });
+    res.emit('finish');
+    res.emit('close');
+    await flush();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-1' },
+      { status: 'completed', response: { statusCode: 201, body: { status: 'success' } } }
+    );
+  });
+
+  it('still stores the response when the client disconnected before it was sent', async () => {
+    const res = buildRes();
+    await run(buildReq(), res);
+
+    // Client gone while the handler runs: the key stays processing
+    res.emit('close');
+    await flush();
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+
+    // The handler answers anyway; 'finish' never fires on the closed connection
+    res.status(201).json({ status: 'success' });
+    await flush();
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-1' },
+      { status: 'completed', response: { statusCode: 201, body: { status: 'success' } } }
+    );
+  });
+
+  it('releases the key when the request fails', async () => {
+    const res = buildRes();
+    await run(buildReq(), res);
+
+    res.status(400).json({ status: 'fail' });
+    res.emit('close');
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record-1' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a retry while the first request is still processing, however old', async () => {
+    IdempotencyKey.create.mockImplementation((doc) => {
+      IdempotencyKey.findOne.mockResolvedValue({
+        status: 'processing',
+        requestHash: doc.requestHash,
+        updatedAt: new Date(0),
+      });
+      return Promise.reject(duplicateKey());
+    });
+
+    const err = await run(buildReq(), buildRes());
+
+    expect(err).toMatchObject({ statusCode: 409 });
+    expect(err.message).toMatch(/still being processed/);
+    expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('replays a completed response', async () => {
+    IdempotencyKey.create.mockImplementation((doc) => {
+      IdempotencyKey.findOne.mockResolvedValue({
+        status: 'completed',
+        requestHash: doc.requestHash,
+        method: 'POST',
+        path: doc.path,
+        response: { statusCode: 201, body: { status: 'success' } },
+      });
+      return Promise.reject(duplicateKey());
+    });
+    const res = buildRes();
+
+    await run(buildReq(), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.json).toHaveBeenCalledWith({ status: 'success' });
+  });
+
+  it('rejects the same key for a different request', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOne.mockResolvedValue({ status: 'completed', requestHash: 'other' });
+
+    const err = await run(buildReq({ amount: 20 }), buildRes());
+
+    expect(err).toMatchObject({ statusCode: 409 });
+    expect(err.message).toMatch(/different request/);
+  });
+});
@@ -0,0 +1,136 @@
+const invoiceService = require('../../src/services/invoice.service');
+const emailService = require('../../src/services/email.service');
+const logger = require('../../src/utils/logger');
+
+describe('invoiceService.buildLines', () => {
+  const settings = { taxRate: 5, invoice: { foodSacCode: '996331', deliverySacCode: '996813' } };
+  const paneer = { menuItemId: 'paneer', name: 'Paneer Tikka', portion: 'Full', quantity: 2 };
+  const naan = { menuItemId: 'naan', name: 'Butter Naan', quantity: 1 };
+
+  const orderWith = (pricing) => ({
+    items: [
+      {
+        ...paneer,
+        subtotal: 200,
+        customizations: [{ name: 'Add-ons', options: ['Extra cheese', 'Onion'] }],
+      },
+      { ...naan, subtotal: 100, customizations: [] },
+    ],
+    pricing: {
+      itemsTotal: 300,
+      discount: 30,
+      deliveryFee: 0,
+      packagingFee: 0,
+      platformFee: 10,
+      taxRate: 5,
+      gst: 14,
+      ...pricing,
+    },
+  });
+
+  it('spreads the discount over items and splits tax into CGST and SGST', () => {
+    const lines = invoiceService.buildLines(orderWith(), settings, new Map([['paneer', '2106']]));
+
+    expect(lines).toEqual([
+      {
+        description: 'Paneer Tikka (Full) + Extra cheese, Onion',
+        sacCode: '2106',
+        quantity: 2,
+        unitPrice: 100,
+        amount: 200,
+        discount: 20,
+        taxableValue: 180,
+        taxRate: 5,
+        cgst: 4.5,
+        sgst: 4.5,
+        total: 189,
+      },
+      expect.objectContaining({ description: 'Butter Naan', sacCode: '996331', discount: 10 }),
+      expect.objectContaining({ description: 'Platform fee', taxableValue: 10, total: 10.5 }),
+    ]);
+    expect(lines[1]).toMatchObject({ taxableValue: 90, cgst: 2.25, sgst: 2.25 });
+  });
+
+  it('bills delivery under its own SAC code and leaves out charges that are zero', () => {
+    const lines = invoiceService.buildLines(
+      orderWith({ deliveryFee: 40, platformFee: 0, gst: 15.5 }),
+      settings
+    );
+
+    expect(lines.map((line) => [line.description, line.sacCode])).toEqual([
+      ['Paneer Tikka (Full) + Extra cheese, Onion', '996331'],
+      ['Butter Naan', '996331'],
+      ['Delivery charges', '996813'],
+    ]);
+  });
+
+  it('puts the rounding difference on the largest line so tax matches checkout', () => {
+    const lines = invoiceService.buildLines(orderWith({ gst: 14.02 }), settings);
+
+    expect(lines[0]).toMatchObject({ cgst: 4.51, sgst: 4.51, total: 189.02 });
+    const tax = lines.reduce((sum, line) => sum + line.cgst + line.sgst, 0);
+    expect(Math.round(tax * 100) / 100).toBe(14.02);
+  });
+});
+
+describe('invoiceService.validateNumberFormat', () => {
+  it('accepts the default format', () => {
+    expect(invoiceService.validateNumberFormat('INV/{YYYY}/{SEQ:5}', 'yearly', 'MAIN')).toBeNull();
+  });
+
+  it('applies the sequence rules with invoice wording', () => {
+    expect(invoiceService.validateNumberFormat('INV/{YYYY}', 'yearly', 'MAIN')).toBe(
+      'Invoice number format must contain {SEQ} or {SEQ:n}'
+    );
+  });
+
+  it('rejects numbers longer than GST allows', () => {
+    expect(
+      invoiceService.validateNumberFormat('INVOICE/{OUTLET}/{YYYY}/{SEQ:6}', 'yearly', 'MAIN')
+    ).toMatch(/^Invoice numbers must be at most 16 characters/);
+  });
+
+  it('rejects characters GST does not allow', () => {
+    expect(invoiceService.validateNumberFormat('INV_{SEQ:4}', 'never', 'MAIN')).toMatch(
+      /\(got "INV_0001"\)$/
+    );
+  });
+});
+
+describe('invoiceService.sendDeliveryConfirmation', () => {
+  const order = {
+    orderNumber: 'MAIN-0001',
+    customer: { name: 'Asha', email: 'asha@example.com' },
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs a failure instead of throwing', async () => {
+    jest.spyOn(invoiceService, 'issue').mockRejectedValue(new Error('Invoice counter down'));
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await expect(invoiceService.sendDeliveryConfirmation(order)).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith(
+      'Failed to send invoice for order MAIN-0001:',
+      'Invoice counter down'
+    );
+  });
+
+  it('emails the invoice PDF to the customer', async () => {
+    const invoice = { invoiceNumber: 'INV-0001', totals: { grandTotal: 431 } };
+    jest.spyOn(invoiceService, 'issue').mockResolvedValue(invoice);
+    jest.spyOn(invoiceService, 'renderPdf').mockResolvedValue(Buffer.from('%PDF'));
+    jest.spyOn(invoiceService, 'fileName').mockReturnValue('INV-0001.pdf');
+    const send = jest.spyOn(emailService, 'sendDeliveryConfirmation').mockResolvedValue();
+
+    await invoiceService.sendDeliveryConfirmation(order);
+
+    expect(send).toHaveBeenCalledWith(
+      'asha@example.com',
+      expect.objectContaining({ invoiceNumber: 'INV-0001', grandTotal: 431 }),
+      [{ name: 'INV-0001.pdf', content: Buffer.from('%PDF').toString('base64') }]
+    );
+  });
+});
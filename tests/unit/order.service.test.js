@@ -0,0 +1,59 @@
+const orderService = require('../../src/services/order.service');
+
+const line = (menuItemId, quantity, extra = {}) => ({
+  menuItemId,
+  name: `Dish ${menuItemId}`,
+  quantity,
+  customizations: [],
+  ...extra,
+});
+
+describe('orderService edit helpers', () => {
+  it('diffs lines by item, portion and options', () => {
+    const spicy = { customizations: [{ name: 'Spice', options: ['Hot'] }] };
+    const before = [line('a', 2), line('b', 1), line('c', 1, spicy)];
+    const after = [line('a', 3), line('c', 1), line('d', 1, { portion: 'Half' })];
+
+    expect(orderService.diffItems(before, after)).toEqual({
+      added: [
+        { name: 'Dish c', portion: undefined, quantity: 1 },
+        { name: 'Dish d', portion: 'Half', quantity: 1 },
+      ],
+      removed: [
+        { name: 'Dish b', portion: undefined, quantity: 1 },
+        { name: 'Dish c', portion: undefined, quantity: 1 },
+      ],
+      changed: [{ name: 'Dish a', portion: undefined, from: 2, to: 3 }],
+    });
+  });
+
+  it('summarizes an edit for the status history', () => {
+    const note = orderService.summarizeChanges({
+      items: {
+        added: [{ name: 'Naan', portion: 'Full', quantity: 2 }],
+        removed: [{ name: 'Raita' }],
+        changed: [{ name: 'Curry', from: 1, to: 2 }],
+      },
+      finalAmount: { from: 431, to: 600 },
+      specialInstructions: { from: '', to: 'Less oil' },
+    });
+
+    expect(note).toBe(
+      'Order edited: added 2× Naan (Full); removed Raita; Curry 1 → 2; total ₹431 → ₹600; instructions updated'
+    );
+  });
+
+  it('keeps finished kitchen lines done only when they are unchanged', () => {
+    const preparedAt = new Date();
+    const before = [
+      line('a', 1, { kitchenStatus: 'DONE', preparedAt }),
+      line('b', 1, { kitchenStatus: 'DONE', preparedAt }),
+    ];
+    const after = [line('a', 1), line('b', 2)];
+
+    orderService.carryKitchenProgress(before, after);
+
+    expect(after[0]).toMatchObject({ kitchenStatus: 'DONE', preparedAt });
+    expect(after[1].kitchenStatus).toBeUndefined();
+  });
+});
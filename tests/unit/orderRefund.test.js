@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+
+const buildOrder = (overrides = {}) =>
+  new Order({
+    orderNumber: 'MAIN-0001',
+    customer: { id: new mongoose.Types.ObjectId(), name: 'Test Customer' },
+    items: [
+      {
+        menuItemId: new mongoose.Types.ObjectId(),
+        name: 'Curry',
+        quantity: 2,
+        price: 200,
+        subtotal: 400,
+      },
+      {
+        menuItemId: new mongoose.Types.ObjectId(),
+        name: 'Naan',
+        quantity: 2,
+        price: 50,
+        subtotal: 100,
+      },
+    ],
+    // (500 - 50 + 10) * 5% = 23 GST
+    pricing: { itemsTotal: 500, discount: 50, platformFee: 10, gst: 23, finalAmount: 483 },
+    orderType: 'pickup',
+    paymentMethod: 'ONLINE',
+    paymentStatus: 'PAID',
+    payments: [{ method: 'ONLINE', amount: 483, status: 'PAID' }],
+    ...overrides,
+  });
+
+describe('Order refunds', () => {
+  const reason = 'Item was cold';
+
+  it('prices item refunds at their discounted share plus GST', () => {
+    const order = buildOrder();
+    const [curry] = order.items;
+
+    const refund = order.openRefund({
+      type: 'items',
+      items: [{ itemId: curry._id, quantity: 1 }],
+      reason,
+    });
+
+    // 200 less the 10% discount, plus 5% GST
+    expect(refund).toMatchObject({ type: 'items', amount: 189, status: 'PENDING' });
+    expect(refund.destination).toBe('original');
+    expect(order.getRefundableAmount()).toBe(294);
+  });
+
+  it('never refunds a line more times than it was ordered', () => {
+    const order = buildOrder();
+    const [curry] = order.items;
+    order.openRefund({ type: 'items', items: [{ itemId: curry._id, quantity: 1 }], reason });
+
+    expect(() =>
+      order.openRefund({ type: 'items', items: [{ itemId: curry._id, quantity: 2 }], reason })
+    ).toThrow('Only 1 × Curry can still be refunded');
+  });
+
+  it('caps partial refunds at what is left and refunds the rest in full', () => {
+    const order = buildOrder();
+    order.openRefund({ type: 'partial', amount: 100, reason });
+
+    expect(() => order.openRefund({ type: 'partial', amount: 400, reason })).toThrow(
+      'Refund exceeds the refundable amount of ₹383'
+    );
+    expect(order.openRefund({ type: 'full', reason }).amount).toBe(383);
+    expect(() => order.openRefund({ type: 'full', reason })).toThrow(
+      'Nothing left to refund on this order'
+    );
+  });
+
+  it('only refunds paid orders', () => {
+    const order = buildOrder({ paymentStatus: 'PENDING' });
+
+    expect(() => order.openRefund({ type: 'full', reason })).toThrow(
+      expect.objectContaining({
+        statusCode: 400,
+        message: 'Cannot refund an order with payment status PENDING',
+      })
+    );
+  });
+
+  it('derives the payment status from processed refunds and frees failed ones', () => {
+    const order = buildOrder();
+    const partial = order.openRefund({ type: 'partial', amount: 100, reason });
+    order.settleRefund(partial._id, { status: 'PROCESSED', reference: 'rfnd_1' });
+    expect(order.paymentStatus).toBe('PARTIALLY_REFUNDED');
+
+    const failed = order.openRefund({ type: 'full', reason });
+    order.settleRefund(failed._id, { status: 'FAILED', failureReason: 'Card closed' });
+    expect(order.getRefundableAmount()).toBe(383);
+
+    const rest = order.openRefund({ type: 'full', reason });
+    order.settleRefund(rest._id, { status: 'PROCESSED' });
+    expect(order.paymentStatus).toBe('REFUNDED');
+
+    expect(() => order.settleRefund(rest._id, { status: 'FAILED' })).toThrow(
+      'Refund is already PROCESSED'
+    );
+  });
+
+  it('refunds store-credit orders to the wallet by default', () => {
+    const order = buildOrder({
+      paymentMethod: 'WALLET',
+      payments: [{ method: 'WALLET', amount: 483, status: 'PAID' }],
+    });
+
+    expect(order.openRefund({ type: 'partial', amount: 50, reason }).destination).toBe('wallet');
+  });
+});
@@ -0,0 +1,126 @@
+const { assertTransition, getAllowedTransitions } = require('../../src/utils/orderStateMachine');
+
+const partnerId = '64b7f0c2a1b2c3d4e5f60718';
+
+const deliveryOrder = (overrides = {}) => ({
+  status: 'PENDING',
+  orderType: 'delivery',
+  deliveryPartner: { id: partnerId },
+  ...overrides,
+});
+
+describe('order state machine', () => {
+  it('lists the transitions a role may make', () => {
+    expect(getAllowedTransitions('PENDING')).toEqual(['READY', 'CANCELLED']);
+    expect(getAllowedTransitions('PENDING', 'customer')).toEqual(['CANCELLED']);
+    expect(getAllowedTransitions('READY', 'delivery')).toEqual(['OUT_FOR_DELIVERY']);
+    expect(getAllowedTransitions('DELIVERED', 'admin')).toEqual([]);
+  });
+
+  it('allows the delivery flow to the assigned partner', () => {
+    const context = { role: 'delivery', userId: partnerId };
+
+    expect(() => assertTransition(deliveryOrder(), 'READY', { role: 'kitchen' })).not.toThrow();
+    expect(() =>
+      assertTransition(deliveryOrder({ status: 'READY' }), 'OUT_FOR_DELIVERY', context)
+    ).not.toThrow();
+    expect(() =>
+      assertTransition(deliveryOrder({ status: 'OUT_FOR_DELIVERY' }), 'DELIVERED', context)
+    ).not.toThrow();
+  });
+
+  it('rejects unknown statuses and skipped steps with 400', () => {
+    expect(() => assertTransition(deliveryOrder(), 'COOKING')).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Invalid order status: COOKING' })
+    );
+    expect(() => assertTransition(deliveryOrder(), 'DELIVERED', { role: 'admin' })).toThrow(
+      expect.objectContaining({
+        statusCode: 400,
+        message: 'Cannot change order status from PENDING to DELIVERED',
+      })
+    );
+    expect(() =>
+      assertTransition(deliveryOrder({ status: 'CANCELLED' }), 'PENDING', { role: 'admin' })
+    ).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('rejects a role that may not make the transition with 403', () => {
+    expect(() => assertTransition(deliveryOrder(), 'READY', { role: 'customer' })).toThrow(
+      expect.objectContaining({
+        statusCode: 403,
+        message: 'A customer cannot change order status from PENDING to READY',
+      })
+    );
+    expect(() =>
+      assertTransition(deliveryOrder({ status: 'READY' }), 'CANCELLED', {
+        role: 'customer',
+        reason: 'Changed my mind',
+      })
+    ).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('needs a reason to cancel', () => {
+    expect(() =>
+      assertTransition(deliveryOrder(), 'CANCELLED', { role: 'customer', reason: '  ' })
+    ).toThrow('A reason is required to move an order to CANCELLED');
+    expect(() =>
+      assertTransition(deliveryOrder(), 'CANCELLED', { role: 'customer', reason: 'Too late' })
+    ).not.toThrow();
+  });
+
+  it('needs an assigned partner, and only that partner may move the order', () => {
+    expect(() =>
+      assertTransition(
+        deliveryOrder({ status: 'READY', deliveryPartner: {} }),
+        'OUT_FOR_DELIVERY',
+        {
+          role: 'delivery',
+          userId: partnerId,
+        }
+      )
+    ).toThrow('A delivery partner must be assigned before OUT_FOR_DELIVERY');
+    expect(() =>
+      assertTransition(deliveryOrder({ status: 'READY' }), 'OUT_FOR_DELIVERY', {
+        role: 'delivery',
+        userId: '64b7f0c2a1b2c3d4e5f60799',
+      })
+    ).toThrow(
+      expect.objectContaining({ statusCode: 403, message: 'This order is not assigned to you' })
+    );
+  });
+
+  it('hands counter orders over without a rider', () => {
+    const dineIn = { status: 'READY', orderType: 'dine-in' };
+
+    expect(getAllowedTransitions('READY', undefined, 'dine-in')).toEqual([
+      'DELIVERED',
+      'CANCELLED',
+    ]);
+    expect(getAllowedTransitions('READY', 'delivery', 'pickup')).toEqual([]);
+    expect(() => assertTransition(dineIn, 'DELIVERED', { role: 'admin' })).not.toThrow();
+    expect(() => assertTransition(dineIn, 'OUT_FOR_DELIVERY', { role: 'delivery' })).toThrow(
+      'Cannot change order status from READY to OUT_FOR_DELIVERY'
+    );
+  });
+
+  it('needs the pickup code to hand over a takeaway order', () => {
+    const pickup = { status: 'READY', orderType: 'pickup', pickupCode: '4821' };
+
+    expect(() => assertTransition(pickup, 'DELIVERED', { role: 'admin' })).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Pickup code does not match this order' })
+    );
+    expect(() =>
+      assertTransition(pickup, 'DELIVERED', { role: 'admin', pickupCode: '1234' })
+    ).toThrow('Pickup code does not match this order');
+    expect(() =>
+      assertTransition(pickup, 'DELIVERED', { role: 'admin', pickupCode: '4821' })
+    ).not.toThrow();
+  });
+
+  it('treats orders without a type as deliveries', () => {
+    expect(getAllowedTransitions('READY', 'delivery')).toEqual(['OUT_FOR_DELIVERY']);
+    expect(() => assertTransition({ status: 'READY' }, 'DELIVERED', { role: 'admin' })).toThrow(
+      'Cannot change order status from READY to DELIVERED'
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const paymentService = require('../../src/services/payment.service');
+
+describe('paymentService with the mock provider', () => {
+  const { provider } = paymentService;
+
+  it('is enabled by PAYMENT_PROVIDER=mock and PAYMENT_MOCK_SECRET', () => {
+    expect(provider).not.toBeNull();
+    expect(provider.name).toBe('mock');
+  });
+
+  it('rejects webhooks whose signature does not match the body', async () => {
+    const { rawBody, headers } = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: 'order_mock1',
+      paymentId: 'pay_mock1',
+      amount: 50000,
+    });
+    const tampered = rawBody.replace('50000', '1');
+
+    await expect(
+      paymentService.handleWebhook(Buffer.from(tampered), headers)
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Invalid webhook signature' });
+  });
+
+  it('rejects webhooks without a signature', async () => {
+    const { rawBody } = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: 'order_mock1',
+      paymentId: 'pay_mock1',
+      amount: 50000,
+    });
+
+    await expect(paymentService.handleWebhook(Buffer.from(rawBody), {})).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('rejects a multibyte signature of the right length without throwing', async () => {
+    const { rawBody, headers } = provider.buildWebhook('payment.captured', {
+      gatewayOrderId: 'order_mock1',
+      paymentId: 'pay_mock1',
+      amount: 50000,
+    });
+    const signature = `é${headers['x-razorpay-signature'].slice(1)}`;
+
+    await expect(
+      paymentService.handleWebhook(Buffer.from(rawBody), { 'x-razorpay-signature': signature })
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Invalid webhook signature' });
+    expect(
+      provider.verifyPaymentSignature({
+        gatewayOrderId: 'order_mock1',
+        paymentId: 'pay_mock1',
+        signature,
+      })
+    ).toBe(false);
+  });
+
+  it('rejects checkout signatures for another payment', async () => {
+    const order = { paymentDetails: { gatewayOrderId: 'order_mock1', gatewayAmount: 50000 } };
+    const { signature } = provider.pay('order_mock1');
+
+    await expect(
+      paymentService.verifyCheckout(order, {
+        gatewayOrderId: 'order_mock1',
+        paymentId: 'pay_mock_forged',
+        signature,
+      })
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Payment could not be verified' });
+  });
+});
@@ -0,0 +1,269 @@
+const pricingService = require('../../src/services/pricing.service');
+
+describe('pricingService.calculateTotals', () => {
+  const settings = { taxRate: 5, deliveryCharge: 40, platformFee: 10, packagingFee: 15 };
+
+  it('charges GST on the discounted items and every fee', () => {
+    const pricing = pricingService.calculateTotals(400, settings, { promoDiscount: 40 });
+
+    // (400 - 40 + 40 + 10 + 15) * 5% = 21.25
+    expect(pricing).toMatchObject({
+      itemsTotal: 400,
+      discount: 40,
+      deliveryFee: 40,
+      platformFee: 10,
+      packagingFee: 15,
+      gst: 21.25,
+      taxRate: 5,
+      finalAmount: 446,
+      roundOff: -0.25,
+    });
+  });
+
+  it('never discounts more than the items total', () => {
+    const pricing = pricingService.calculateTotals(100, settings, { promoDiscount: 150 });
+
+    expect(pricing.discount).toBe(100);
+    expect(pricing.promoDiscount).toBe(150);
+    expect(pricing.finalAmount).toBe(Math.round((40 + 10 + 15) * 1.05));
+  });
+
+  it('uses the fees passed in over the settings', () => {
+    const pricing = pricingService.calculateTotals(200, settings, {
+      deliveryFee: 0,
+      platformFee: 0,
+      packagingFee: 0,
+    });
+
+    expect(pricing.gst).toBe(10);
+    expect(pricing.finalAmount).toBe(210);
+  });
+});
+
+describe('pricingService loyalty discount', () => {
+  const settings = { taxRate: 5, platformFee: 10, loyaltyPointValue: 0.5 };
+
+  it('values redeemed points at Settings.loyaltyPointValue, after GST', () => {
+    const pricing = pricingService.calculateTotals(400, settings, { loyaltyPoints: 100 });
+
+    expect(pricing).toMatchObject({
+      gst: 20.5,
+      finalAmount: 431,
+      loyaltyPointsUsed: 100,
+      loyaltyDiscount: 50,
+    });
+  });
+
+  it('is zero without points', () => {
+    expect(pricingService.calculateTotals(400, settings)).toMatchObject({
+      loyaltyPointsUsed: 0,
+      loyaltyDiscount: 0,
+    });
+  });
+
+  it('keeps the value an order redeemed its points at', () => {
+    const legs = [
+      { method: 'LOYALTY', points: 100, amount: 80 },
+      { method: 'COD', amount: 351 },
+    ];
+    const pricing = pricingService.calculateTotals(
+      400,
+      settings,
+      pricingService.loyaltyRedemption(legs)
+    );
+
+    expect(pricing).toMatchObject({ loyaltyPointsUsed: 100, loyaltyDiscount: 80 });
+    expect(pricingService.loyaltyRedemption([{ method: 'COD' }])).toEqual({});
+  });
+});
+
+describe('pricingService.buildLine', () => {
+  const menuItem = {
+    _id: 'item1',
+    name: 'Paneer Tikka',
+    priceVariants: [
+      { quantity: 'Half', price: 150 },
+      { quantity: 'Full', price: 260 },
+    ],
+    customizations: [
+      {
+        name: 'Spice',
+        type: 'single',
+        required: true,
+        options: [
+          { name: 'Mild', price: 0 },
+          { name: 'Hot', price: 0 },
+        ],
+      },
+      {
+        name: 'Extras',
+        type: 'multiple',
+        options: [
+          { name: 'Cheese', price: 30 },
+          { name: 'Mint Dip', price: 15.5 },
+        ],
+      },
+    ],
+  };
+
+  it('prices the portion and customizations from the catalog', () => {
+    const line = pricingService.buildLine(menuItem, {
+      portion: 'Full',
+      quantity: 2,
+      customizations: [
+        { name: 'Spice', option: 'Hot' },
+        { name: 'Extras', option: 'Cheese' },
+        { name: 'Extras', option: 'Mint Dip' },
+      ],
+    });
+
+    expect(line).toMatchObject({ portion: 'Full', price: 260, quantity: 2, subtotal: 611 });
+    expect(line.customizations).toEqual([
+      { name: 'Spice', options: ['Hot'], additionalPrice: 0 },
+      { name: 'Extras', options: ['Cheese', 'Mint Dip'], additionalPrice: 45.5 },
+    ]);
+  });
+
+  it('rejects portions and options the item does not have', () => {
+    const spice = [{ name: 'Spice', option: 'Mild' }];
+
+    expect(() =>
+      pricingService.buildLine(menuItem, { portion: 'Quarter', quantity: 1, customizations: spice })
+    ).toThrow('Paneer Tikka is not available in Quarter portion');
+    expect(() =>
+      pricingService.buildLine(menuItem, {
+        quantity: 1,
+        customizations: [...spice, { name: 'Extras', option: 'Gold Leaf' }],
+      })
+    ).toThrow('"Gold Leaf" is not a valid option for Extras');
+  });
+
+  it('requires required customizations and one option for single choices', () => {
+    expect(() => pricingService.buildLine(menuItem, { quantity: 1 })).toThrow(
+      'Please choose Spice for Paneer Tikka'
+    );
+    expect(() =>
+      pricingService.buildLine(menuItem, {
+        quantity: 1,
+        customizations: [
+          { name: 'Spice', option: 'Mild' },
+          { name: 'Spice', option: 'Hot' },
+        ],
+      })
+    ).toThrow('Only one option can be chosen for Spice');
+  });
+});
+
+describe('pricingService.assertClientTotal', () => {
+  const pricing = { itemsTotal: 400, finalAmount: 431 };
+  const settings = { priceTolerance: 1 };
+
+  it('accepts totals within the tolerance', () => {
+    expect(() => pricingService.assertClientTotal(pricing, [], 430.5, settings)).not.toThrow();
+  });
+
+  it('rejects a drifted total with the current one', () => {
+    expect(() => pricingService.assertClientTotal(pricing, [], 420, settings)).toThrow(
+      expect.objectContaining({ statusCode: 409, message: expect.stringContaining('₹431') })
+    );
+  });
+
+  it('compares app line prices with the items total when no total is sent', () => {
+    const items = [{ price: 180, quantity: 2 }];
+
+    expect(() => pricingService.assertClientTotal(pricing, items, undefined, settings)).toThrow(
+      expect.objectContaining({ statusCode: 409 })
+    );
+  });
+});
+
+describe('pricingService.calculateDeliveryFee', () => {
+  const origin = { type: 'Point', coordinates: [72.8777, 19.076] };
+  // About 2.2 km north of the origin
+  const drop = { coordinates: { type: 'Point', coordinates: [72.8777, 19.096] } };
+  const settings = {
+    deliveryCharge: 30,
+    freeDeliveryAbove: 500,
+    serviceArea: { location: origin },
+    deliveryFeeSlabs: [
+      { upToKm: 1, fee: 20 },
+      { upToKm: 3, fee: 40, freeAbove: 800 },
+      { upToKm: 6, fee: 60 },
+    ],
+    surge: { enabled: false, multiplier: 1 },
+  };
+
+  it('charges the flat fee when the address has no map pin', () => {
+    const { deliveryFee, deliveryRule } = pricingService.calculateDeliveryFee(200, settings, {});
+
+    expect(deliveryFee).toBe(30);
+    expect(deliveryRule.mode).toBe('flat');
+  });
+
+  it('charges the slab for the distance', () => {
+    const { deliveryFee, deliveryRule } = pricingService.calculateDeliveryFee(200, settings, drop);
+
+    expect(deliveryFee).toBe(40);
+    expect(deliveryRule).toMatchObject({ mode: 'distance', slabUpToKm: 3, baseFee: 40 });
+  });
+
+  it('charges the farthest slab past the last one', () => {
+    const far = { coordinates: { type: 'Point', coordinates: [72.8777, 19.166] } };
+
+    expect(pricingService.calculateDeliveryFee(200, settings, far).deliveryRule).toMatchObject({
+      mode: 'distance',
+      slabUpToKm: 6,
+      baseFee: 60,
+    });
+  });
+
+  it("uses the slab's free delivery threshold over the global one", () => {
+    expect(pricingService.calculateDeliveryFee(600, settings, drop).deliveryFee).toBe(40);
+
+    const { deliveryFee, deliveryRule } = pricingService.calculateDeliveryFee(800, settings, drop);
+    expect(deliveryFee).toBe(0);
+    expect(deliveryRule).toMatchObject({ mode: 'free', freeDeliveryAbove: 800 });
+  });
+
+  it('multiplies the fee during a surge', () => {
+    const { deliveryFee, deliveryRule } = pricingService.calculateDeliveryFee(
+      200,
+      { ...settings, surge: { enabled: true, multiplier: 1.5, reason: 'Rain' } },
+      drop
+    );
+
+    expect(deliveryFee).toBe(60);
+    expect(deliveryRule).toMatchObject({ surgeMultiplier: 1.5, surgeReason: 'Rain' });
+  });
+});
+
+describe('pricingService.feesForType', () => {
+  const settings = {
+    platformFee: 10,
+    packagingFee: 15,
+    orderTypes: {
+      pickup: { enabled: true, applyPackagingFee: true, applyPlatformFee: false },
+      dineIn: { enabled: true, applyPackagingFee: false, applyPlatformFee: true },
+    },
+  };
+
+  it('leaves the delivery fee to calculateDeliveryFee for deliveries', () => {
+    expect(pricingService.feesForType(settings, 'delivery')).toEqual({
+      platformFee: 10,
+      packagingFee: 15,
+    });
+  });
+
+  it('never charges counter orders for delivery and applies the per-type switches', () => {
+    expect(pricingService.feesForType(settings, 'pickup')).toEqual({
+      deliveryFee: 0,
+      platformFee: 0,
+      packagingFee: 15,
+    });
+    expect(pricingService.feesForType(settings, 'dine-in')).toEqual({
+      deliveryFee: 0,
+      platformFee: 10,
+      packagingFee: 0,
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const PromoCode = require('../../src/models/PromoCode');
+
+const buildPromo = (overrides = {}) =>
+  new PromoCode({
+    code: 'SAVE10',
+    discountType: 'percentage',
+    discountValue: 10,
+    validFrom: new Date('2026-01-01'),
+    validTo: new Date('2026-12-31'),
+    ...overrides,
+  });
+
+describe('PromoCode.calculateDiscount', () => {
+  it('caps percentage discounts at maxDiscount', () => {
+    expect(buildPromo().calculateDiscount(400)).toBe(40);
+    expect(buildPromo({ maxDiscount: 25 }).calculateDiscount(400)).toBe(25);
+  });
+
+  it('never discounts more than the amount', () => {
+    const promo = buildPromo({ discountType: 'fixed', discountValue: 150 });
+
+    expect(promo.calculateDiscount(100)).toBe(100);
+  });
+
+  it('takes the delivery fee off free-delivery codes', () => {
+    const promo = buildPromo({ discountType: 'free-delivery', discountValue: 0 });
+
+    expect(promo.calculateDiscount(400, { deliveryFee: 35 })).toBe(35);
+  });
+});
+describe('PromoCode.remainingUses', () => {
+  it('is null for codes without a usage limit', () => {
+    const promo = buildPromo({ usageCount: 12 });
+
+    expect(promo.remainingUses).toBeNull();
+    expect(promo.toJSON().remainingUses).toBeNull();
+  });
+
+  it('counts down to the usage limit', () => {
+    expect(buildPromo({ usageLimit: 5, usageCount: 3 }).remainingUses).toBe(2);
+  });
+});
+
+describe('PromoCode.isWithinTimeSlots', () => {
+  const at = (hours, minutes = 0) => new Date(2026, 5, 1, hours, minutes);
+
+  it('allows any time without slots', () => {
+    expect(buildPromo().isWithinTimeSlots(at(3))).toBe(true);
+  });
+
+  it('checks the time against each slot', () => {
+    const promo = buildPromo({
+      timeSlots: [
+        { from: '12:00', to: '15:00' },
+        { from: '19:00', to: '22:30' },
+      ],
+    });
+
+    expect(promo.isWithinTimeSlots(at(13))).toBe(true);
+    expect(promo.isWithinTimeSlots(at(22, 30))).toBe(true);
+    expect(promo.isWithinTimeSlots(at(17))).toBe(false);
+  });
+
+  it('handles slots that cross midnight', () => {
+    const promo = buildPromo({ timeSlots: [{ from: '22:00', to: '02:00' }] });
+
+    expect(promo.isWithinTimeSlots(at(23))).toBe(true);
+    expect(promo.isWithinTimeSlots(at(1, 30))).toBe(true);
+    expect(promo.isWithinTimeSlots(at(12))).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+const reconciliationService = require('../../src/services/reconciliation.service');
+
+describe('reconciliationService.readReport', () => {
+  it('finds columns by the names gateways use and reads formatted amounts', () => {
+    const report = [
+      'Payment ID,Gross Amount,Fees,GST,Settlement UTR,Settlement Date',
+      'pay_A,"1,234.50",24.69,4.44,setl_1,2026-09-02',
+      'pay_B,₹ 431,8.62,1.55,setl_1,not a date',
+    ].join('\n');
+
+    const { rows, skippedRows, exceptions } = reconciliationService.readReport(report, 'rupees');
+
+    expect(skippedRows).toBe(0);
+    expect(exceptions).toEqual([]);
+    expect(rows).toEqual([
+      {
+        rowNumber: 2,
+        transactionId: 'pay_A',
+        amount: 1234.5,
+        fee: 24.69,
+        tax: 4.44,
+        settlementId: 'setl_1',
+        settledAt: new Date('2026-09-02'),
+      },
+      expect.objectContaining({ rowNumber: 3, amount: 431, settledAt: undefined }),
+    ]);
+  });
+
+  it('converts paise to rupees', () => {
+    const { rows } = reconciliationService.readReport(
+      'entity_id,amount,fee\npay_A,43100,862',
+      'paise'
+    );
+
+    expect(rows[0]).toMatchObject({ amount: 431, fee: 8.62 });
+  });
+
+  it('skips refunds and turns bad or repeated rows into exceptions', () => {
+    const report = [
+      'transaction_id,amount,type',
+      'pay_A,431,payment',
+      'rfnd_A,100,refund',
+      ',200,payment',
+      'pay_B,n/a,payment',
+      'pay_A,431,payment',
+    ].join('\n');
+
+    const { rows, skippedRows, exceptions } = reconciliationService.readReport(report, 'rupees');
+
+    expect(rows.map((row) => row.transactionId)).toEqual(['pay_A']);
+    expect(skippedRows).toBe(1);
+    expect(exceptions).toEqual([
+      expect.objectContaining({
+        type: 'invalid_row',
+        rowNumber: 4,
+        details: 'Transaction ID is missing',
+      }),
+      expect.objectContaining({
+        type: 'invalid_row',
+        rowNumber: 5,
+        details: 'Amount is missing or not a number',
+      }),
+      expect.objectContaining({
+        type: 'duplicate_in_report',
+        rowNumber: 6,
+        details: 'Same transaction as row 2',
+      }),
+    ]);
+  });
+
+  it('rejects an empty report or one without the columns it needs', () => {
+    expect(() => reconciliationService.readReport('', 'rupees')).toThrow(
+      'The settlement report is empty'
+    );
+    expect(() => reconciliationService.readReport('order,total\nORD-1,431', 'rupees')).toThrow(
+      expect.objectContaining({
+        statusCode: 400,
+        message: expect.stringMatching(/^The report needs/),
+      })
+    );
+  });
+});
+
+describe('reconciliationService.exceptionsCsv', () => {
+  const run = {
+    exceptions: [
+      { type: 'missing_order', rowNumber: 2, transactionId: 'pay_X', reportedAmount: 99 },
+      {
+        type: 'amount_mismatch',
+        rowNumber: 3,
+        transactionId: 'pay_A',
+        orderNumber: 'ORD-0001',
+        expectedAmount: 431,
+        reportedAmount: 430,
+        details: 'Off by ₹-1',
+      },
+    ],
+  };
+
+  it('lists the exceptions of the requested types', () => {
+    expect(reconciliationService.exceptionsCsv(run, ['amount_mismatch'])).toBe(
+      '\uFEFFType,Row,Transaction ID,Order Number,Expected Amount,Reported Amount,Details\r\n' +
+        'amount_mismatch,3,pay_A,ORD-0001,431,430,Off by ₹-1\r\n'
+    );
+    expect(reconciliationService.exceptionsCsv(run).split('\r\n')).toHaveLength(4);
+  });
+});
@@ -0,0 +1,66 @@
+const Counter = require('../../src/models/Counter');
+const sequenceService = require('../../src/services/sequence.service');
+
+// Local time, as the service reads it
+const DATE = new Date(2026, 0, 8, 12, 0);
+
+describe('sequenceService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keys counters by name, outlet and reset period', () => {
+    expect(sequenceService.periodKey('order', 'MAIN', 'daily', DATE)).toBe('order:MAIN:20260108');
+    expect(sequenceService.periodKey('order', null, 'monthly', DATE)).toBe('order:default:202601');
+    expect(sequenceService.periodKey('invoice', 'MAIN', 'yearly', DATE)).toBe('invoice:MAIN:2026');
+    expect(sequenceService.periodKey('order', 'MAIN', 'never', DATE)).toBe('order:MAIN:all');
+  });
+
+  it('renders date, outlet and padded sequence tokens', () => {
+    expect(
+      sequenceService.render('{OUTLET}-{YY}{MM}{DD}-{SEQ:4}', {
+        seq: 7,
+        outlet: 'MAIN',
+        date: DATE,
+      })
+    ).toBe('MAIN-260108-0007');
+    expect(sequenceService.render('ORD{YYYY}{SEQ}', { seq: 12345, date: DATE })).toBe(
+      'ORD202612345'
+    );
+  });
+
+  it('rejects formats that could repeat within their period', () => {
+    expect(sequenceService.validateFormat('ORD-{YYYY}{MM}{DD}', 'daily')).toBe(
+      'Order number format must contain {SEQ} or {SEQ:n}'
+    );
+    expect(sequenceService.validateFormat('ORD-{DD}-{SEQ}', 'daily')).toBe(
+      'Order number format must contain {MM} when numbers reset daily'
+    );
+    expect(sequenceService.validateFormat('INV-{MM}-{SEQ}', 'monthly', 'Invoice number')).toBe(
+      'Invoice number format must contain {YYYY} or {YY} when numbers reset monthly'
+    );
+    expect(sequenceService.validateFormat('ORD-{SEQ}', 'weekly')).toMatch(/reset must be one of/);
+    expect(sequenceService.validateFormat('{YY}{MM}{DD}-{SEQ:3}', 'daily')).toBeNull();
+    expect(sequenceService.validateFormat('ORD-{SEQ:6}', 'never')).toBeNull();
+  });
+
+  it('draws order numbers from the outlet counter only when the format shows the outlet', async () => {
+    const next = jest.spyOn(Counter, 'next').mockResolvedValue(42);
+    const settings = {
+      orderNumberFormat: '{OUTLET}-{YYYY}{MM}{DD}-{SEQ:3}',
+      orderNumberReset: 'daily',
+      outletCode: 'MAIN',
+    };
+
+    await expect(sequenceService.nextOrderNumber({ settings, date: DATE })).resolves.toBe(
+      'MAIN-20260108-042'
+    );
+    expect(next).toHaveBeenCalledWith('order:MAIN:20260108', { session: undefined });
+
+    await sequenceService.nextOrderNumber({
+      settings: { ...settings, orderNumberFormat: 'ORD{YYYY}{MM}{DD}{SEQ:3}' },
+      date: DATE,
+    });
+    expect(next).toHaveBeenLastCalledWith('order:default:20260108', { session: undefined });
+  });
+});
@@ -0,0 +1,109 @@
+const serviceAreaService = require('../../src/services/serviceArea.service');
+
+// Restaurant in Bengaluru, [lng, lat]
+const RESTAURANT = [77.5946, 12.9716];
+
+const square = (lng, lat, size) => [
+  [lng, lat],
+  [lng + size, lat],
+  [lng + size, lat + size],
+  [lng, lat + size],
+  [lng, lat],
+];
+
+const settingsWith = (serviceArea) => ({
+  serviceArea: { enabled: true, location: { coordinates: RESTAURANT }, ...serviceArea },
+});
+
+describe('serviceAreaService.check', () => {
+  it('serves everywhere while the area is disabled', () => {
+    const result = serviceAreaService.check({ serviceArea: { enabled: false } }, undefined);
+    expect(result.serviceable).toBe(true);
+  });
+
+  it('asks for a map pin when the area is restricted', () => {
+    const settings = settingsWith({ radiusKm: 5 });
+
+    expect(serviceAreaService.check(settings, undefined)).toMatchObject({
+      serviceable: false,
+      message: 'Please pin your delivery location on the map',
+    });
+    // [0, 0] is the schema default, not a real pin
+    expect(serviceAreaService.check(settings, [0, 0]).serviceable).toBe(false);
+  });
+
+  it('serves points within the radius', () => {
+    const settings = settingsWith({ radiusKm: 5 });
+
+    // About 2.2 km north
+    const near = serviceAreaService.check(settings, [77.5946, 12.9916]);
+    expect(near.serviceable).toBe(true);
+    expect(near.distanceKm).toBeCloseTo(2.22, 1);
+
+    // About 11 km north
+    const far = serviceAreaService.check(settings, [77.5946, 13.0716]);
+    expect(far).toMatchObject({
+      serviceable: false,
+      message: 'Sorry, we do not deliver to this location yet',
+    });
+  });
+
+  it('serves points inside a zone but not inside its holes', () => {
+    const settings = settingsWith({
+      zones: [
+        {
+          name: 'Whitefield',
+          polygon: { coordinates: [square(77.7, 12.9, 0.1), square(77.74, 12.94, 0.02)] },
+        },
+      ],
+    });
+
+    expect(serviceAreaService.check(settings, [77.71, 12.91])).toMatchObject({
+      serviceable: true,
+      zone: 'Whitefield',
+    });
+    expect(serviceAreaService.check(settings, [77.75, 12.95]).serviceable).toBe(false);
+    expect(serviceAreaService.check(settings, [77.6, 12.91]).serviceable).toBe(false);
+  });
+});
+
+describe('serviceAreaService.validateConfig', () => {
+  it('needs a location for a radius and a closed ring for a zone', () => {
+    expect(serviceAreaService.validateConfig({ enabled: true, radiusKm: 5 })).toBe(
+      'Set the restaurant location to use a delivery radius'
+    );
+    expect(serviceAreaService.validateConfig({ enabled: true })).toBe(
+      'Add a delivery radius or at least one delivery zone'
+    );
+
+    const open = square(77.7, 12.9, 0.1).slice(0, 4);
+    expect(
+      serviceAreaService.validateConfig({
+        enabled: true,
+        zones: [{ name: 'Open', polygon: { coordinates: [open] } }],
+      })
+    ).toMatch(/must be a closed polygon/);
+  });
+});
+
+describe('serviceAreaService.assertMinimumOrder', () => {
+  const settings = { minimumOrderAmount: 200 };
+
+  it('rejects delivery carts below the minimum with the amount still to add', () => {
+    expect(() =>
+      serviceAreaService.assertMinimumOrder(settings, { itemsTotal: 150.5 }, 'delivery')
+    ).toThrow('Minimum order amount is ₹200. Add ₹50 more to place this order');
+  });
+
+  it('accepts the minimum itself and has no minimum for pickup or dine-in', () => {
+    expect(() =>
+      serviceAreaService.assertMinimumOrder(settings, { itemsTotal: 200 }, 'delivery')
+    ).not.toThrow();
+    expect(() =>
+      serviceAreaService.assertMinimumOrder(settings, { itemsTotal: 50 }, 'pickup')
+    ).not.toThrow();
+    expect(() =>
+      serviceAreaService.assertMinimumOrder(settings, { itemsTotal: 50 }, 'dine-in')
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,152 @@
+const Counter = require('../../src/models/Counter');
+const slotService = require('../../src/services/slot.service');
+const { isValidTimeZone, zonedParts, zonedTime } = require('../../src/utils/timezone');
+
+const settings = {
+  timezone: 'Asia/Kolkata',
+  slotDurationMinutes: 60,
+  maxOrdersPerSlot: 2,
+  slotStartTime: '11:00',
+  slotEndTime: '14:00',
+  scheduleLeadTimeMinutes: 60,
+  kitchenLeadTimeMinutes: 30,
+  scheduleMaxDaysAhead: 1,
+};
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+describe('timezone utils', () => {
+  it('reads wall-clock time in a zone', () => {
+    expect(zonedParts(new Date('2026-01-18T20:00:00Z'), 'Asia/Kolkata')).toEqual({
+      year: 2026,
+      month: 1,
+      day: 19,
+      hour: 1,
+      minute: 30,
+      second: 0,
+    });
+  });
+
+  it('finds the instant of a wall-clock time, rolling over days and across DST', () => {
+    expect(
+      zonedTime('Asia/Kolkata', { year: 2026, month: 1, day: 31, minutes: 24 * 60 + 90 })
+    ).toEqual(new Date('2026-01-31T20:00:00Z'));
+    // New York is UTC-5 in winter and UTC-4 in summer
+    expect(zonedTime('America/New_York', { year: 2026, month: 1, day: 18, minutes: 600 })).toEqual(
+      new Date('2026-01-18T15:00:00Z')
+    );
+    expect(zonedTime('America/New_York', { year: 2026, month: 7, day: 18, minutes: 600 })).toEqual(
+      new Date('2026-07-18T14:00:00Z')
+    );
+  });
+
+  it('knows IANA zone names', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
+
+describe('slotService', () => {
+  const serverTimeZone = process.env.TZ;
+
+  beforeAll(() => {
+    // A server far from the restaurant must still lay slots out in the restaurant's day
+    process.env.TZ = 'America/Los_Angeles';
+  });
+
+  afterAll(() => {
+    process.env.TZ = serverTimeZone;
+    jest.useRealTimers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lays slots out in the restaurant time zone', () => {
+    // 22:00 on the 17th in Los Angeles is already the 18th in India
+    const starts = slotService.slotStartsForDay(settings, new Date('2026-01-18T06:00:00Z'));
+
+    expect(iso(starts)).toEqual([
+      '2026-01-18T05:30:00.000Z',
+      '2026-01-18T06:30:00.000Z',
+      '2026-01-18T07:30:00.000Z',
+    ]);
+    expect(slotService.slotKey(starts[0])).toBe('slot:2026-01-18T05:30:00.000Z');
+  });
+
+  it('books only slots within the lead time and the days ahead', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-18T05:00:00Z') }); // 10:30 in India
+
+    expect(() => slotService.resolveSlot(settings, '2026-01-18T05:30:00Z')).toThrow(
+      'This delivery slot can no longer be booked'
+    );
+    expect(slotService.resolveSlot(settings, '2026-01-18T06:30:00Z')).toEqual(
+      new Date('2026-01-18T06:30:00Z')
+    );
+    // Tomorrow is the last bookable day
+    expect(() => slotService.resolveSlot(settings, '2026-01-19T07:30:00Z')).not.toThrow();
+    expect(() => slotService.resolveSlot(settings, '2026-01-20T05:30:00Z')).toThrow(
+      'This delivery slot can no longer be booked'
+    );
+    expect(() => slotService.resolveSlot(settings, '2026-01-18T06:45:00Z')).toThrow(
+      'Please choose one of the available delivery slots'
+    );
+
+    jest.useRealTimers();
+  });
+
+  it('reports remaining capacity per slot', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-17T05:00:00Z') });
+    jest.spyOn(Counter, 'find').mockResolvedValue([
+      { _id: 'slot:2026-01-18T05:30:00.000Z', seq: 2 },
+      { _id: 'slot:2026-01-18T06:30:00.000Z', seq: 1 },
+    ]);
+
+    const slots = await slotService.getSlots(settings, new Date('2026-01-18T06:00:00Z'));
+
+    expect(
+      slots.map(({ booked, remaining, available }) => ({ booked, remaining, available }))
+    ).toEqual([
+      { booked: 2, remaining: 0, available: false },
+      { booked: 1, remaining: 1, available: true },
+      { booked: 0, remaining: 2, available: true },
+    ]);
+    jest.useRealTimers();
+  });
+
+  it('rejects a booking past the slot capacity', async () => {
+    jest.spyOn(Counter, 'increment').mockResolvedValue(3);
+
+    await expect(
+      slotService.reserve(settings, new Date('2026-01-18T05:30:00Z'))
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('Counter.increment', () => {
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('retries a lost first-time upsert outside a transaction', async () => {
+    jest
+      .spyOn(Counter, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicateKey())
+      .mockResolvedValueOnce({ seq: 2 });
+
+    await expect(Counter.increment('slot:x', 1)).resolves.toBe(2);
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves the retry to the transaction when given a session', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockRejectedValueOnce(duplicateKey());
+
+    await expect(Counter.increment('slot:x', 1, { session: {} })).rejects.toMatchObject({
+      code: 11000,
+    });
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
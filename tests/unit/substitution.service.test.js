@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const substitutionService = require('../../src/services/substitution.service');
+
+describe('substitutionService.buildCart', () => {
+  const rotiId = new mongoose.Types.ObjectId();
+  const order = new Order({
+    items: [
+      { menuItemId: new mongoose.Types.ObjectId(), name: 'Curry', quantity: 1, price: 200 },
+      { menuItemId: new mongoose.Types.ObjectId(), name: 'Naan', quantity: 2, price: 50 },
+      { menuItemId: new mongoose.Types.ObjectId(), name: 'Raita', quantity: 1, price: 40 },
+    ],
+  });
+  const [curry, naan, raita] = order.items;
+  const substitution = {
+    lines: [
+      {
+        itemId: naan._id,
+        action: 'substitute',
+        substitute: { menuItemId: rotiId, portion: 'Full', quantity: 2, customizations: [] },
+      },
+      { itemId: raita._id, action: 'remove' },
+    ],
+  };
+
+  it('swaps substituted lines and drops removed ones', () => {
+    expect(substitutionService.buildCart(order, substitution, true)).toEqual([
+      expect.objectContaining({ menuItem: curry.menuItemId.toString(), quantity: 1 }),
+      { menuItem: rotiId.toString(), portion: 'Full', quantity: 2, customizations: [] },
+    ]);
+  });
+
+  it('only drops the flagged lines without substitutes', () => {
+    expect(substitutionService.buildCart(order, substitution, false)).toEqual([
+      expect.objectContaining({ menuItem: curry.menuItemId.toString(), quantity: 1 }),
+    ]);
+  });
+});
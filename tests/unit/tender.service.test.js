@@ -0,0 +1,134 @@
+const tenderService = require('../../src/services/tender.service');
+const Order = require('../../src/models/Order');
+
+describe('tenderService.buildLegs', () => {
+  const settings = { loyaltyPointValue: 0.5 };
+
+  it('pays the whole order with one method when no legs are given', () => {
+    expect(tenderService.buildLegs(settings, { finalAmount: 431, paymentMethod: 'COD' })).toEqual({
+      payments: [{ method: 'COD', amount: 431, status: 'PENDING' }],
+      paymentMethod: 'COD',
+      paymentStatus: 'PENDING',
+    });
+    expect(
+      tenderService.buildLegs(settings, { finalAmount: 431, paymentMethod: 'WALLET' })
+    ).toEqual({
+      payments: [{ method: 'WALLET', amount: 431, status: 'PAID' }],
+      paymentMethod: 'WALLET',
+      paymentStatus: 'PAID',
+    });
+  });
+
+  it('collects the rest after wallet and loyalty points', () => {
+    const tender = tenderService.buildLegs(settings, {
+      finalAmount: 431,
+      payments: [
+        { method: 'WALLET', amount: 100 },
+        { method: 'LOYALTY', points: 200 },
+        { method: 'UPI' },
+      ],
+      upiToRestaurant: true,
+    });
+
+    expect(tender).toEqual({
+      payments: [
+        { method: 'WALLET', amount: 100, status: 'PAID' },
+        { method: 'LOYALTY', points: 200, amount: 100, status: 'PAID' },
+        { method: 'UPI', amount: 231, status: 'AWAITING_PAYMENT' },
+      ],
+      paymentMethod: 'UPI',
+      paymentStatus: 'AWAITING_PAYMENT',
+    });
+  });
+
+  it('is paid when store credit covers the order', () => {
+    const tender = tenderService.buildLegs(settings, {
+      finalAmount: 431,
+      payments: [{ method: 'LOYALTY', points: 862 }, { method: 'COD' }],
+    });
+
+    expect(tender.payments).toEqual([
+      { method: 'LOYALTY', points: 862, amount: 431, status: 'PAID' },
+    ]);
+    expect(tender).toMatchObject({ paymentMethod: 'LOYALTY', paymentStatus: 'PAID' });
+  });
+
+  it.each([
+    [
+      [{ method: 'COD' }, { method: 'CARD' }],
+      'Only one of ONLINE, COD, CARD and UPI can pay an order; wallet and loyalty points can pay part of it',
+    ],
+    [
+      [{ method: 'WALLET', amount: 500 }],
+      'Wallet and loyalty points cover ₹500, more than the order total of ₹431',
+    ],
+    [
+      [
+        { method: 'WALLET', amount: 100 },
+        { method: 'COD', amount: 300 },
+      ],
+      'The COD payment should be ₹331 to make up the order total of ₹431',
+    ],
+    [[{ method: 'WALLET', amount: 100 }], 'Choose how to pay the remaining ₹331'],
+  ])('rejects %j', (payments, message) => {
+    expect(() => tenderService.buildLegs(settings, { finalAmount: 431, payments })).toThrow(
+      expect.objectContaining({ statusCode: 400, message })
+    );
+  });
+
+  it('refuses loyalty points while they cannot pay for orders', () => {
+    expect(() =>
+      tenderService.buildLegs(
+        { loyaltyPointValue: 0 },
+        { finalAmount: 431, payments: [{ method: 'LOYALTY', points: 10 }, { method: 'COD' }] }
+      )
+    ).toThrow('Loyalty points cannot be used to pay for orders right now');
+  });
+});
+
+describe('tenderService.derivePaymentStatus', () => {
+  it.each([
+    [['PAID', 'PAID'], 'PAID'],
+    [['PAID', 'AWAITING_PAYMENT'], 'AWAITING_PAYMENT'],
+    [['PAID', 'FAILED'], 'FAILED'],
+    [['PAID', 'PENDING'], 'PENDING'],
+  ])('%j -> %s', (statuses, expected) => {
+    expect(tenderService.derivePaymentStatus(statuses.map((status) => ({ status })))).toBe(
+      expected
+    );
+  });
+});
+
+describe('tenderService.rebalance', () => {
+  const splitOrder = () =>
+    new Order({
+      paymentMethod: 'COD',
+      paymentStatus: 'PENDING',
+      payments: [
+        { method: 'WALLET', amount: 100, status: 'PAID' },
+        { method: 'LOYALTY', points: 200, amount: 100, status: 'PAID' },
+        { method: 'COD', amount: 231, status: 'PENDING' },
+      ],
+    });
+
+  it('lets the due leg take up a new total', () => {
+    const order = splitOrder();
+
+    expect(tenderService.rebalance(order, 300)).toEqual([]);
+    expect(order.getDueLeg().amount).toBe(100);
+  });
+
+  it('gives back the store credit beyond the total, latest leg first', () => {
+    const order = splitOrder();
+
+    expect(tenderService.rebalance(order, 150)).toEqual([
+      { method: 'LOYALTY', amount: 50, points: 100 },
+    ]);
+    expect(order.payments.map(({ method, amount }) => ({ method, amount }))).toEqual([
+      { method: 'WALLET', amount: 100 },
+      { method: 'LOYALTY', amount: 50 },
+    ]);
+    expect(order.payments[1].points).toBe(100);
+    expect(order).toMatchObject({ paymentMethod: 'WALLET', paymentStatus: 'PAID' });
+  });
+});
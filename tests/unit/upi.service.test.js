@@ -0,0 +1,75 @@
+const upiService = require('../../src/services/upi.service');
+const Order = require('../../src/models/Order');
+
+describe('upiService.buildPaymentRequest', () => {
+  const settings = { upiId: 'spicehub@okaxis', siteName: 'Spice Hub', invoice: { legalName: '' } };
+  const order = { orderNumber: 'ORD-0042', getAmountDue: () => 331.5 };
+
+  it('builds a upi://pay link for the amount still due', () => {
+    expect(upiService.buildPaymentRequest(settings, order)).toEqual({
+      upiId: 'spicehub@okaxis',
+      payeeName: 'Spice Hub',
+      amount: 331.5,
+      note: 'ORD-0042',
+      link: 'upi://pay?pa=spicehub@okaxis&pn=Spice%20Hub&am=331.50&cu=INR&tn=ORD-0042&tr=ORD-0042',
+      qrPayload:
+        'upi://pay?pa=spicehub@okaxis&pn=Spice%20Hub&am=331.50&cu=INR&tn=ORD-0042&tr=ORD-0042',
+    });
+  });
+
+  it('pays the legal name from the invoice settings when there is one', () => {
+    const request = upiService.buildPaymentRequest(
+      { ...settings, invoice: { legalName: 'Spice & Co' } },
+      order
+    );
+
+    expect(request.payeeName).toBe('Spice & Co');
+    expect(request.link).toContain('pn=Spice%20%26%20Co&');
+  });
+
+  it('fails when no UPI ID is set', () => {
+    expect(() => upiService.buildPaymentRequest({ ...settings, upiId: '' }, order)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'UPI payments are not set up' })
+    );
+  });
+});
+
+describe('upiService.confirm', () => {
+  const awaiting = () => ({
+    paymentStatus: 'AWAITING_PAYMENT',
+    confirmUpiPayment: jest.fn().mockResolvedValue(),
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only confirms orders waiting for a UPI payment', async () => {
+    await expect(
+      upiService.confirm({ paymentStatus: 'PAID' }, { utr: '412345678901' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a UTR that already paid another order', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ orderNumber: 'ORD-0041' });
+    const order = awaiting();
+
+    await expect(upiService.confirm(order, { utr: '412345678901' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'UTR 412345678901 was already used for order ORD-0041',
+    });
+    expect(order.confirmUpiPayment).not.toHaveBeenCalled();
+  });
+
+  it('records the payment with its UTR', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+    const order = awaiting();
+
+    await upiService.confirm(order, { utr: '412345678901', confirmedBy: 'admin-1' });
+
+    expect(order.confirmUpiPayment).toHaveBeenCalledWith({
+      utr: '412345678901',
+      confirmedBy: 'admin-1',
+    });
+  });
+});